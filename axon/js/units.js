@@ -41,8 +41,10 @@ const units = {
     'm/s^2', // meters/seconds squared
     'mA', // milliampere
     'mm', //millimeters
+    'mm^2', // millimeters squared
     'mol',
     'mol/L',
+    'mW', // milliwatts
     'N', // Newtons
     'N/m', // Newtons/meter
     'nm', // nanometers
@@ -50,6 +52,7 @@ const units = {
     'N\u00b7s/m', // N·s/m, Newton-seconds/meter
     '\u2126', // Ω, ohms - don't use the one in MathSymbols to prevent a dependency on scenery-phet
     '\u2126\u00b7cm', // Ω·cm, ohm-centimeters
+    '\u2126\u00b7mm^2/m', // Ω·mm^2/m, ohm-millimeters squared per meter
     'Pa\u00b7s', // Pascal-seconds
     'particles/ps', // particles/picosecond
     'pm', // picometers
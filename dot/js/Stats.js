@@ -6,6 +6,7 @@
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import Matrix from './Matrix.js';
 import dot from './dot.js';
 
 const Stats = {
@@ -89,6 +90,47 @@ const Stats = {
       lowerLimit: lowerLimit,
       upperLimit: upperLimit
     };
+  },
+
+  /**
+   * Fit a line y = slope * x + intercept through points with the method of least squares, solved with the QR
+   * decomposition of Matrix.
+   * @public
+   *
+   * @param {Array.<number>} xValues
+   * @param {Array.<number>} yValues - same length as xValues
+   * @returns {Object|null} - null if there aren't two different x values to fit a line through
+   *                    slope: {number}
+   *                    intercept: {number}
+   *                    rSquared: {number} - coefficient of determination, 1 if all y values are the same
+   *                    residuals: {Array.<number>} - y - ( slope * x + intercept ) for each point
+   */
+  linearRegression( xValues, yValues ) {
+    assert && assert( Array.isArray( xValues ) && Array.isArray( yValues ) );
+    assert && assert( xValues.length === yValues.length, 'need a y value for each x value' );
+    assert && xValues.concat( yValues ).forEach( n => assert && assert( typeof n === 'number' ) );
+
+    if ( _.uniq( xValues ).length < 2 ) {
+      return null;
+    }
+
+    // each row of the design matrix is [ x, 1 ]
+    const design = new Matrix( xValues.length, 2, _.flatMap( xValues, x => [ x, 1 ] ) );
+    const coefficients = design.solve( new Matrix( yValues.length, 1, yValues ) );
+    const slope = coefficients.get( 0, 0 );
+    const intercept = coefficients.get( 1, 0 );
+
+    const residuals = xValues.map( ( x, index ) => yValues[ index ] - ( slope * x + intercept ) );
+    const mean = _.mean( yValues );
+    const totalSumOfSquares = _.sumBy( yValues, y => ( y - mean ) * ( y - mean ) );
+    const residualSumOfSquares = _.sumBy( residuals, residual => residual * residual );
+
+    return {
+      slope: slope,
+      intercept: intercept,
+      rSquared: totalSumOfSquares === 0 ? 1 : 1 - residualSumOfSquares / totalSumOfSquares,
+      residuals: residuals
+    };
   }
 };
 
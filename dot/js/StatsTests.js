@@ -97,4 +97,41 @@ QUnit.test( 'Quartiles', assert => {
   assert.equal( values.q3, 28 );
   assert.equal( limits.lowerLimit, 13 );
   assert.equal( limits.upperLimit, 37 );
+} );
+
+QUnit.test( 'linearRegression', assert => {
+
+  if ( window.assert ) {
+    assert.throws( () => {
+      Stats.linearRegression( [ 1, 2 ], [ 1 ] );
+    } );
+    assert.throws( () => {
+      Stats.linearRegression( [ 1, 'test' ], [ 1, 2 ] );
+    } );
+  }
+
+  assert.equal( Stats.linearRegression( [], [] ), null );
+  assert.equal( Stats.linearRegression( [ 2 ], [ 3 ] ), null );
+  assert.equal( Stats.linearRegression( [ 2, 2, 2 ], [ 1, 2, 3 ] ), null );
+
+  // points on a line
+  let fit = Stats.linearRegression( [ 0, 1, 2, 3 ], [ 1, 3, 5, 7 ] );
+  assert.ok( Math.abs( fit.slope - 2 ) < 1E-10 );
+  assert.ok( Math.abs( fit.intercept - 1 ) < 1E-10 );
+  assert.ok( Math.abs( fit.rSquared - 1 ) < 1E-10 );
+  fit.residuals.forEach( residual => assert.ok( Math.abs( residual ) < 1E-10 ) );
+
+  // a line through scattered points, with a mean of y of 1.5
+  fit = Stats.linearRegression( [ 0, 1, 2, 3 ], [ 0, 2, 1, 3 ] );
+  assert.ok( Math.abs( fit.slope - 0.8 ) < 1E-10 );
+  assert.ok( Math.abs( fit.intercept - 0.3 ) < 1E-10 );
+  assert.ok( Math.abs( fit.rSquared - 0.64 ) < 1E-10 );
+  [ -0.3, 0.9, -0.9, 0.3 ].forEach( ( residual, index ) => {
+    assert.ok( Math.abs( fit.residuals[ index ] - residual ) < 1E-10 );
+  } );
+
+  // a horizontal line
+  fit = Stats.linearRegression( [ 1, 2, 3 ], [ 4, 4, 4 ] );
+  assert.ok( Math.abs( fit.slope ) < 1E-10 );
+  assert.equal( fit.rSquared, 1 );
 } );
\ No newline at end of file
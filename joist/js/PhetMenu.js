@@ -147,6 +147,18 @@ class PhetMenu extends Node {
           phetioDocumentation: 'This menu item shows an options dialog.'
         }
       },
+
+      // items of the sim, which aren't instrumented
+      ...sim.options.phetMenuItems.map( item => ( {
+        text: item.text,
+        present: true,
+        callback: item.callback,
+        options: {
+
+          // pdom
+          handleFocusCallback: restoreFocusCallback
+        }
+      } ) ),
       {
         text: menuItemPhetWebsiteString,
         present: isPhETBrand,
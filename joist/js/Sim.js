@@ -111,6 +111,9 @@ class Sim extends PhetioObject {
       // {null|function(tandem:Tandem):Node} creates the content for the Options dialog
       createOptionsDialogContent: null,
 
+      // {Array.<{text:string, callback:function}>} items that the sim adds to the PhET menu, below the Options item
+      phetMenuItems: [],
+
       // a {Node} placed onto the home screen (if available)
       homeScreenWarningNode: null,
 
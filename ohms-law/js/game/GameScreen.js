@@ -0,0 +1,57 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The game screen, where Ohm's law is practiced with challenges at a few levels.
+ */
+
+import Property from '../../../axon/js/Property.js';
+import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import FaceNode from '../../../scenery-phet/js/FaceNode.js';
+import GeneralKeyboardHelpSection from '../../../scenery-phet/js/keyboard/help/GeneralKeyboardHelpSection.js';
+import StarNode from '../../../scenery-phet/js/StarNode.js';
+import HBox from '../../../scenery/js/nodes/HBox.js';
+import VBox from '../../../scenery/js/nodes/VBox.js';
+import Color from '../../../scenery/js/util/Color.js';
+import ohmsLaw from '../ohmsLaw.js';
+import ohmsLawStrings from '../ohmsLawStrings.js';
+import GameModel from './model/GameModel.js';
+import GameScreenView from './view/GameScreenView.js';
+
+const screenGameString = ohmsLawStrings.screen.game;
+
+class GameScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const backgroundColorProperty = new Property( new Color( '#ffffdf' ), {
+      tandem: tandem.createTandem( 'backgroundColorProperty' ),
+      phetioType: Property.PropertyIO( Color.ColorIO )
+    } );
+
+    super(
+      () => new GameModel( tandem.createTandem( 'model' ) ),
+      model => new GameScreenView( model, tandem.createTandem( 'view' ) ),
+      {
+        name: screenGameString,
+        homeScreenIcon: new ScreenIcon( new VBox( {
+          spacing: 10,
+          children: [
+            new FaceNode( 100 ),
+            new HBox( { spacing: 5, children: _.range( 3 ).map( () => new StarNode() ) } )
+          ]
+        } ), { fill: backgroundColorProperty.value } ),
+        backgroundColorProperty: backgroundColorProperty,
+        tandem: tandem,
+
+        keyboardHelpNode: new GeneralKeyboardHelpSection()
+      }
+    );
+  }
+}
+
+ohmsLaw.register( 'GameScreen', GameScreen );
+export default GameScreen;
@@ -0,0 +1,83 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Creates the challenges for each level of the game, from the random number generator of the level, so that the same
+ * seed gives the same challenges.
+ *
+ * Level 1 - find the current from a voltage that is a whole number of batteries and a resistance in ohms
+ * Level 2 - find the voltage, current or resistance, in volts, milliamps and ohms
+ * Level 3 - like level 2, with the current in amps or milliamps and the resistance in ohms or kiloohms
+ * Level 4 - read the resistance of a resistor from its color bands, in the preferred values that resistors are made in
+ */
+
+import ohmsLaw from '../../ohmsLaw.js';
+import ColorBands from '../../ohms-law/model/ColorBands.js';
+import CurrentUnit from '../../ohms-law/model/CurrentUnit.js';
+import PreferredValues from '../../ohms-law/model/PreferredValues.js';
+import ResistanceUnit from '../../ohms-law/model/ResistanceUnit.js';
+import SolveFor from '../../ohms-law/model/SolveFor.js';
+import OhmsLawConstants from '../../ohms-law/OhmsLawConstants.js';
+import OhmsLawChallenge from './OhmsLawChallenge.js';
+
+// values that the challenges are made of, chosen so that most of the answers are round numbers
+const BATTERY_VOLTAGES = _.range( 1, OhmsLawConstants.MAX_NUMBER_OF_BATTERIES + 1 )
+  .map( numberOfBatteries => numberOfBatteries * OhmsLawConstants.AA_VOLTAGE ); // in volts
+const HALF_VOLT_VOLTAGES = _.range( 1, 19 ).map( index => index / 2 ); // 0.5 to 9 volts
+const LEVEL_1_RESISTANCES = [ 10, 20, 25, 50, 75, 100, 150, 200, 250, 300, 500, 750, 1000 ]; // in ohms
+const LEVEL_2_RESISTANCES = [ 10, 20, 25, 30, 40, 50, 60, 75, 100, 120, 150, 200, 250, 300, 400, 500, 600, 750, 800,
+  1000 ]; // in ohms
+const LEVEL_3_RESISTANCES = [ 100, 150, 220, 330, 470, 680, 1000, 1500, 2200, 3300, 4700 ]; // in ohms
+
+// a current is only given or answered in amps when it is at least this, in milliamps, so that it isn't too small to
+// enter
+const MIN_AMPS_CURRENT = 10;
+
+// number of attempts to create a challenge that differs from the previous one
+const MAX_ATTEMPTS = 10;
+
+const ChallengeFactory = {
+
+  /**
+   * Create a challenge for a level.
+   * @public
+   *
+   * @param {number} levelIndex - starting from 0
+   * @param {Random} random
+   * @param {OhmsLawChallenge|null} previousChallenge - the new challenge differs from this one
+   * @returns {OhmsLawChallenge}
+   */
+  createChallenge( levelIndex, random, previousChallenge ) {
+    const isRepeated = challenge => !!previousChallenge && challenge.equals( previousChallenge );
+    let challenge = CREATE_CHALLENGE_FUNCTIONS[ levelIndex ]( random );
+    for ( let i = 0; i < MAX_ATTEMPTS && isRepeated( challenge ); i++ ) {
+      challenge = CREATE_CHALLENGE_FUNCTIONS[ levelIndex ]( random );
+    }
+    return challenge;
+  }
+};
+
+// functions that create a challenge for each level, from the random number generator of the level
+const CREATE_CHALLENGE_FUNCTIONS = [
+  random => new OhmsLawChallenge( SolveFor.CURRENT, random.sample( BATTERY_VOLTAGES ),
+    random.sample( LEVEL_1_RESISTANCES ) ),
+  random => new OhmsLawChallenge( random.sample( SolveFor.VALUES ), random.sample( HALF_VOLT_VOLTAGES ),
+    random.sample( LEVEL_2_RESISTANCES ) ),
+  random => {
+    const voltage = random.sample( HALF_VOLT_VOLTAGES );
+    const resistance = random.sample( LEVEL_3_RESISTANCES );
+    const useAmps = 1000 * voltage / resistance >= MIN_AMPS_CURRENT && random.nextBoolean();
+    return new OhmsLawChallenge( random.sample( SolveFor.VALUES ), voltage, resistance, {
+      currentUnit: useAmps ? CurrentUnit.AMPS : CurrentUnit.MILLIAMPS,
+      resistanceUnit: random.nextBoolean() ? ResistanceUnit.KILOOHMS : ResistanceUnit.OHMS
+    } );
+  },
+  random => new OhmsLawChallenge( SolveFor.RESISTANCE, null, random.sample( PreferredValues.E24.values ), {
+    colorBands: random.sample( [ ColorBands.FOUR, ColorBands.FIVE ] )
+  } )
+];
+
+// @public
+ChallengeFactory.NUMBER_OF_LEVELS = CREATE_CHALLENGE_FUNCTIONS.length;
+
+ohmsLaw.register( 'ChallengeFactory', ChallengeFactory );
+export default ChallengeFactory;
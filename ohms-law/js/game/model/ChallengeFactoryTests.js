@@ -0,0 +1,59 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for ChallengeFactory
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import ColorBands from '../../ohms-law/model/ColorBands.js';
+import SolveFor from '../../ohms-law/model/SolveFor.js';
+import ChallengeFactory from './ChallengeFactory.js';
+
+const NUMBER_OF_CHALLENGES = 20;
+const SEED = 0.42;
+
+/**
+ * Create challenges for a level, each different from the previous one, like the game does.
+ * @param {number} levelIndex
+ * @param {Random} random
+ * @returns {OhmsLawChallenge[]}
+ */
+function createChallenges( levelIndex, random ) {
+  const challenges = [];
+  _.times( NUMBER_OF_CHALLENGES, () => {
+    challenges.push( ChallengeFactory.createChallenge( levelIndex, random, _.last( challenges ) || null ) );
+  } );
+  return challenges;
+}
+
+QUnit.module( 'ChallengeFactory' );
+
+QUnit.test( 'the same seed gives the same challenges', assert => {
+  _.times( ChallengeFactory.NUMBER_OF_LEVELS, levelIndex => {
+    const challenges = createChallenges( levelIndex, new Random( { seed: SEED } ) );
+    const sameChallenges = createChallenges( levelIndex, new Random( { seed: SEED } ) );
+    assert.ok( _.every( challenges, ( challenge, index ) => challenge.equals( sameChallenges[ index ] ) ),
+      `level ${levelIndex + 1} has the same challenges` );
+
+    const otherChallenges = createChallenges( levelIndex, new Random( { seed: SEED + 0.1 } ) );
+    assert.ok( _.some( challenges, ( challenge, index ) => !challenge.equals( otherChallenges[ index ] ) ),
+      `another seed gives other challenges for level ${levelIndex + 1}` );
+  } );
+} );
+
+QUnit.test( 'challenges differ from the previous one', assert => {
+  _.times( ChallengeFactory.NUMBER_OF_LEVELS, levelIndex => {
+    const challenges = createChallenges( levelIndex, new Random( { seed: SEED } ) );
+    assert.ok( _.every( _.tail( challenges ), ( challenge, index ) => !challenge.equals( challenges[ index ] ) ),
+      `no challenge of level ${levelIndex + 1} repeats the previous one` );
+  } );
+} );
+
+QUnit.test( 'challenges of each level', assert => {
+  const random = new Random( { seed: SEED } );
+  assert.ok( _.every( createChallenges( 0, random ), challenge => challenge.unknown === SolveFor.CURRENT ),
+    'level 1 finds the current' );
+  assert.ok( _.every( createChallenges( 3, random ), challenge => challenge.unknown === SolveFor.RESISTANCE &&
+                                                                  challenge.colorBands !== ColorBands.NONE ),
+    'level 4 reads the resistance from color bands' );
+} );
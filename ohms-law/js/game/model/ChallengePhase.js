@@ -0,0 +1,18 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for the phases of a challenge in the game.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// ANSWERING - the student is entering an answer
+// CORRECT - the answer was correct, and the points were added to the score
+// TRY_AGAIN - the first answer was wrong, and the student can answer again
+// ANSWER_SHOWN - the second answer was wrong too, and the correct answer is shown
+// LEVEL_COMPLETED - all of the challenges of the level were answered
+const ChallengePhase = Enumeration.byKeys( [ 'ANSWERING', 'CORRECT', 'TRY_AGAIN', 'ANSWER_SHOWN', 'LEVEL_COMPLETED' ] );
+
+ohmsLaw.register( 'ChallengePhase', ChallengePhase );
+export default ChallengePhase;
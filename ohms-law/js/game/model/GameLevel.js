@@ -0,0 +1,59 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A level of the game, with its own random number generator for its challenges and the best score that was reached.
+ * The generator is seeded from dotRandom, so the seed of the sim gives the same challenges for each level, in whatever
+ * order the levels are played.
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Random from '../../../../dot/js/Random.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ChallengeFactory from './ChallengeFactory.js';
+
+class GameLevel {
+
+  /**
+   * @param {number} index - starting from 0
+   * @param {number} maxScore
+   * @param {Tandem} tandem
+   */
+  constructor( index, maxScore, tandem ) {
+
+    // @public (read-only)
+    this.index = index;
+    this.maxScore = maxScore;
+
+    // @private
+    this.random = new Random( { seed: dotRandom.nextDouble() } );
+
+    // @public {NumberProperty}
+    this.bestScoreProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'bestScoreProperty' ),
+      phetioDocumentation: 'The best score that was reached on the level'
+    } );
+  }
+
+  /**
+   * Create the next challenge of the level.
+   * @public
+   *
+   * @param {OhmsLawChallenge|null} previousChallenge - the new challenge differs from this one
+   * @returns {OhmsLawChallenge}
+   */
+  createChallenge( previousChallenge ) {
+    return ChallengeFactory.createChallenge( this.index, this.random, previousChallenge );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.bestScoreProperty.reset();
+  }
+}
+
+ohmsLaw.register( 'GameLevel', GameLevel );
+export default GameLevel;
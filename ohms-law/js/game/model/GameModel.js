@@ -0,0 +1,161 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model for the game, where the student solves a level of challenges with Ohm's law. Each challenge gets points on the
+ * first or the second answer, after which the correct answer is shown.
+ */
+
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ChallengeFactory from './ChallengeFactory.js';
+import ChallengePhase from './ChallengePhase.js';
+import GameLevel from './GameLevel.js';
+
+// constants
+const CHALLENGES_PER_LEVEL = 5;
+const POINTS_FIRST_ANSWER = 2;
+const POINTS_SECOND_ANSWER = 1;
+
+class GameModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public (read-only) {GameLevel[]}
+    this.levels = _.range( ChallengeFactory.NUMBER_OF_LEVELS ).map( index => new GameLevel( index,
+      CHALLENGES_PER_LEVEL * POINTS_FIRST_ANSWER, tandem.createTandem( `level${index + 1}` ) ) );
+
+    // @public {Property.<GameLevel|null>} - the level that is played, null while a level is chosen
+    this.levelProperty = new Property( null );
+
+    // @public {Property.<OhmsLawChallenge|null>}
+    this.challengeProperty = new Property( null );
+
+    // @public - the number of the challenge in the level, starting from 1
+    this.challengeNumberProperty = new NumberProperty( 1, {
+      numberType: 'Integer',
+      range: new Range( 1, CHALLENGES_PER_LEVEL ),
+      tandem: tandem.createTandem( 'challengeNumberProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public - the score in the level that is played
+    this.scoreProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'scoreProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public
+    this.phaseProperty = new EnumerationProperty( ChallengePhase, ChallengePhase.ANSWERING, {
+      tandem: tandem.createTandem( 'phaseProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private - whether the challenge was answered wrong once
+    this.answeredWrong = false;
+  }
+
+  /**
+   * Start playing a level from its first challenge.
+   * @public
+   *
+   * @param {GameLevel} level
+   */
+  startLevel( level ) {
+    this.scoreProperty.reset();
+    this.challengeNumberProperty.reset();
+    this.levelProperty.value = level;
+    this.setChallenge( level.createChallenge( this.challengeProperty.value ) );
+  }
+
+  /**
+   * Check an answer to the challenge.
+   * @public
+   *
+   * @param {number} answer - in the unit of the challenge
+   */
+  checkAnswer( answer ) {
+    assert && assert( this.phaseProperty.value === ChallengePhase.ANSWERING, 'not answering' );
+
+    if ( this.challengeProperty.value.isCorrect( answer ) ) {
+      this.scoreProperty.value += this.answeredWrong ? POINTS_SECOND_ANSWER : POINTS_FIRST_ANSWER;
+      this.phaseProperty.value = ChallengePhase.CORRECT;
+    }
+    else if ( !this.answeredWrong ) {
+      this.answeredWrong = true;
+      this.phaseProperty.value = ChallengePhase.TRY_AGAIN;
+    }
+    else {
+      this.phaseProperty.value = ChallengePhase.ANSWER_SHOWN;
+    }
+  }
+
+  /**
+   * Answer the challenge again, after a wrong answer.
+   * @public
+   */
+  tryAgain() {
+    assert && assert( this.phaseProperty.value === ChallengePhase.TRY_AGAIN, 'nothing to try again' );
+    this.phaseProperty.value = ChallengePhase.ANSWERING;
+  }
+
+  /**
+   * Go on to the next challenge, or complete the level after the last one.
+   * @public
+   */
+  nextChallenge() {
+    const level = this.levelProperty.value;
+
+    if ( this.challengeNumberProperty.value < CHALLENGES_PER_LEVEL ) {
+      this.challengeNumberProperty.value++;
+      this.setChallenge( level.createChallenge( this.challengeProperty.value ) );
+    }
+    else {
+      level.bestScoreProperty.value = Math.max( level.bestScoreProperty.value, this.scoreProperty.value );
+      this.phaseProperty.value = ChallengePhase.LEVEL_COMPLETED;
+    }
+  }
+
+  /**
+   * Stop playing the level, to choose a level.
+   * @public
+   */
+  leaveLevel() {
+    this.levelProperty.value = null;
+  }
+
+  /**
+   * @private
+   * @param {OhmsLawChallenge} challenge
+   */
+  setChallenge( challenge ) {
+    this.answeredWrong = false;
+    this.challengeProperty.value = challenge;
+    this.phaseProperty.value = ChallengePhase.ANSWERING;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.levels.forEach( level => level.reset() );
+    this.levelProperty.reset();
+    this.challengeProperty.reset();
+    this.challengeNumberProperty.reset();
+    this.scoreProperty.reset();
+    this.phaseProperty.reset();
+    this.answeredWrong = false;
+  }
+}
+
+// @public
+GameModel.CHALLENGES_PER_LEVEL = CHALLENGES_PER_LEVEL;
+
+ohmsLaw.register( 'GameModel', GameModel );
+export default GameModel;
@@ -0,0 +1,111 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A challenge of the game: two of the voltage, current and resistance of a circuit are given, and the student finds
+ * the third. The current and the resistance are given and answered in their own units, which can differ from the units
+ * of the rest of the sim. In a challenge with color bands, only a resistor is given, and the student reads its
+ * resistance from the bands.
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ColorBands from '../../ohms-law/model/ColorBands.js';
+import CurrentUnit from '../../ohms-law/model/CurrentUnit.js';
+import ResistanceUnit from '../../ohms-law/model/ResistanceUnit.js';
+import SolveFor from '../../ohms-law/model/SolveFor.js';
+
+// relative difference from the exact answer that is still correct, so that answers rounded to a few significant
+// figures are accepted
+const ANSWER_TOLERANCE = 0.02;
+
+class OhmsLawChallenge {
+
+  /**
+   * @param {SolveFor} unknown - the quantity that the student finds
+   * @param {number|null} voltage - in volts, null for a challenge with color bands
+   * @param {number} resistance - in ohms
+   * @param {Object} [options]
+   */
+  constructor( unknown, voltage, resistance, options ) {
+
+    options = merge( {
+      currentUnit: CurrentUnit.MILLIAMPS,
+      resistanceUnit: ResistanceUnit.OHMS,
+
+      // {ColorBands} - the color code that the resistance is given with, NONE for a challenge with Ohm's law
+      colorBands: ColorBands.NONE
+    }, options );
+
+    assert && assert( ( options.colorBands === ColorBands.NONE ) === ( voltage !== null ),
+      'a challenge has either a voltage or color bands' );
+    assert && assert( options.colorBands === ColorBands.NONE || unknown === SolveFor.RESISTANCE,
+      'the resistance is found from color bands' );
+
+    // @public (read-only)
+    this.unknown = unknown;
+    this.voltage = voltage;
+    this.resistance = resistance;
+    this.current = voltage === null ? null : 1000 * voltage / resistance; // in milliamps
+    this.currentUnit = options.currentUnit;
+    this.resistanceUnit = options.resistanceUnit;
+    this.colorBands = options.colorBands;
+  }
+
+  /**
+   * Get the current in the unit of the challenge.
+   * @public
+   *
+   * @returns {number}
+   */
+  getCurrentInUnit() {
+    return CurrentUnit.convert( this.currentUnit, this.current );
+  }
+
+  /**
+   * Get the resistance in the unit of the challenge.
+   * @public
+   *
+   * @returns {number}
+   */
+  getResistanceInUnit() {
+    return this.resistanceUnit === ResistanceUnit.KILOOHMS ? this.resistance / 1000 : this.resistance;
+  }
+
+  /**
+   * Get the value of the unknown, in the unit of the challenge.
+   * @public
+   *
+   * @returns {number}
+   */
+  getAnswer() {
+    return this.unknown === SolveFor.VOLTAGE ? this.voltage :
+           this.unknown === SolveFor.CURRENT ? this.getCurrentInUnit() :
+           this.getResistanceInUnit();
+  }
+
+  /**
+   * @public
+   *
+   * @param {number} answer - in the unit of the challenge
+   * @returns {boolean}
+   */
+  isCorrect( answer ) {
+    const correctAnswer = this.getAnswer();
+    return Math.abs( answer - correctAnswer ) <= ANSWER_TOLERANCE * correctAnswer;
+  }
+
+  /**
+   * @public
+   *
+   * @param {OhmsLawChallenge} challenge
+   * @returns {boolean}
+   */
+  equals( challenge ) {
+    return this.unknown === challenge.unknown && this.voltage === challenge.voltage &&
+           this.resistance === challenge.resistance && this.currentUnit === challenge.currentUnit &&
+           this.resistanceUnit === challenge.resistanceUnit && this.colorBands === challenge.colorBands;
+  }
+}
+
+ohmsLaw.register( 'OhmsLawChallenge', OhmsLawChallenge );
+export default OhmsLawChallenge;
@@ -0,0 +1,50 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for OhmsLawChallenge
+ */
+
+import ColorBands from '../../ohms-law/model/ColorBands.js';
+import CurrentUnit from '../../ohms-law/model/CurrentUnit.js';
+import ResistanceUnit from '../../ohms-law/model/ResistanceUnit.js';
+import SolveFor from '../../ohms-law/model/SolveFor.js';
+import OhmsLawChallenge from './OhmsLawChallenge.js';
+
+QUnit.module( 'OhmsLawChallenge' );
+
+QUnit.test( 'answer in the unit of the challenge', assert => {
+  assert.equal( new OhmsLawChallenge( SolveFor.CURRENT, 3, 100 ).getAnswer(), 30, 'current in milliamps' );
+  assert.equal( new OhmsLawChallenge( SolveFor.CURRENT, 3, 100, { currentUnit: CurrentUnit.AMPS } ).getAnswer(), 0.03,
+    'current in amps' );
+  assert.equal( new OhmsLawChallenge( SolveFor.RESISTANCE, 3, 1500, { resistanceUnit: ResistanceUnit.KILOOHMS } )
+    .getAnswer(), 1.5, 'resistance in kiloohms' );
+  assert.equal( new OhmsLawChallenge( SolveFor.VOLTAGE, 4.5, 150 ).getAnswer(), 4.5, 'voltage in volts' );
+  assert.equal( new OhmsLawChallenge( SolveFor.RESISTANCE, null, 4700, { colorBands: ColorBands.FOUR } ).getAnswer(),
+    4700, 'resistance from color bands' );
+} );
+
+QUnit.test( 'isCorrect respects the answer tolerance', assert => {
+
+  // 3 V / 7 ohms = 428.571... mA, which is rounded by the student
+  const challenge = new OhmsLawChallenge( SolveFor.CURRENT, 3, 7 );
+  assert.ok( challenge.isCorrect( 3000 / 7 ), 'the exact answer' );
+  assert.ok( challenge.isCorrect( 429 ) && challenge.isCorrect( 428 ), 'an answer rounded to three figures' );
+  assert.ok( challenge.isCorrect( 430 ), 'an answer rounded to two figures' );
+  assert.ok( challenge.isCorrect( 3000 / 7 * 1.019 ) && challenge.isCorrect( 3000 / 7 * 0.981 ),
+    'an answer just within 2% of the exact answer' );
+  assert.ok( !challenge.isCorrect( 3000 / 7 * 1.021 ) && !challenge.isCorrect( 3000 / 7 * 0.979 ),
+    'an answer just more than 2% from the exact answer' );
+  assert.ok( !challenge.isCorrect( 0.429 ), 'an answer in the wrong unit' );
+  assert.ok( !challenge.isCorrect( -3000 / 7 ), 'an answer with the wrong sign' );
+
+  const ampsChallenge = new OhmsLawChallenge( SolveFor.CURRENT, 3, 7, { currentUnit: CurrentUnit.AMPS } );
+  assert.ok( ampsChallenge.isCorrect( 0.429 ) && !ampsChallenge.isCorrect( 429 ), 'the tolerance is relative' );
+} );
+
+QUnit.test( 'equals', assert => {
+  const challenge = new OhmsLawChallenge( SolveFor.CURRENT, 3, 100 );
+  assert.ok( challenge.equals( new OhmsLawChallenge( SolveFor.CURRENT, 3, 100 ) ), 'the same challenge' );
+  assert.ok( !challenge.equals( new OhmsLawChallenge( SolveFor.VOLTAGE, 3, 100 ) ), 'another unknown' );
+  assert.ok( !challenge.equals( new OhmsLawChallenge( SolveFor.CURRENT, 3, 100, { currentUnit: CurrentUnit.AMPS } ) ),
+    'another unit' );
+} );
@@ -0,0 +1,383 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The view of a level that is played: a status bar, the challenge with the values that are given, a keypad to enter the
+ * answer, the buttons to check it and go on, and the feedback on the answer.
+ */
+
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import BackButton from '../../../../scenery-phet/js/buttons/BackButton.js';
+import FaceNode from '../../../../scenery-phet/js/FaceNode.js';
+import Keypad from '../../../../scenery-phet/js/keypad/Keypad.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import ColorBands from '../../ohms-law/model/ColorBands.js';
+import SolveFor from '../../ohms-law/model/SolveFor.js';
+import OhmsLawA11yStrings from '../../ohms-law/OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../../ohms-law/OhmsLawConstants.js';
+import ResistorNode from '../../ohms-law/view/ResistorNode.js';
+import UnitStrings from '../../ohms-law/view/UnitStrings.js';
+import ChallengePhase from '../model/ChallengePhase.js';
+import GameModel from '../model/GameModel.js';
+
+const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const currentSymbolString = ohmsLawStrings.currentSymbol;
+const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const levelPatternString = ohmsLawStrings.levelPattern;
+const challengeNumberPatternString = ohmsLawStrings.challengeNumberPattern;
+const scorePatternString = ohmsLawStrings.scorePattern;
+const findCurrentString = ohmsLawStrings.findCurrent;
+const findVoltageString = ohmsLawStrings.findVoltage;
+const findResistanceString = ohmsLawStrings.findResistance;
+const findResistanceFromBandsString = ohmsLawStrings.findResistanceFromBands;
+const valuePatternString = ohmsLawStrings.valuePattern;
+const checkString = ohmsLawStrings.check;
+const tryAgainString = ohmsLawStrings.tryAgain;
+const nextString = ohmsLawStrings.next;
+const correctString = ohmsLawStrings.correct;
+const incorrectString = ohmsLawStrings.incorrect;
+const answerPatternString = ohmsLawStrings.answerPattern;
+
+const backToLevelSelectionString = OhmsLawA11yStrings.backToLevelSelection.value;
+const answerLabelString = OhmsLawA11yStrings.answerLabel.value;
+const yourAnswerPatternString = OhmsLawA11yStrings.answerPattern.value;
+const noAnswerString = OhmsLawA11yStrings.noAnswer.value;
+const incorrectAlertString = OhmsLawA11yStrings.incorrectAlert.value;
+const answerShownAlertPatternString = OhmsLawA11yStrings.answerShownAlertPattern.value;
+
+// constants
+const STATUS_FONT = new PhetFont( 20 );
+const INSTRUCTION_FONT = new PhetFont( { size: 24, weight: 'bold' } );
+const VALUE_FONT = new PhetFont( 28 );
+const FEEDBACK_FONT = new PhetFont( { size: 24, weight: 'bold' } );
+const BUTTON_FONT = new PhetFont( 20 );
+const ANSWER_BOX_WIDTH = 130;
+const MARGIN = 20;
+const SIGNIFICANT_FIGURES = 3;
+
+class ChallengeNode extends Node {
+
+  /**
+   * @param {GameModel} model
+   * @param {Bounds2} layoutBounds
+   * @param {Object} [options]
+   */
+  constructor( model, layoutBounds, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super( options );
+
+    //------------------------------------------------------------------------------------------------------------------
+    // status bar
+
+    const backButton = new BackButton( {
+      listener: () => model.leaveLevel(),
+      left: layoutBounds.left + MARGIN,
+      top: layoutBounds.top + MARGIN,
+
+      // pdom
+      innerContent: backToLevelSelectionString,
+      tandem: options.tandem.createTandem( 'backButton' )
+    } );
+    const levelText = new Text( '', { font: STATUS_FONT, maxWidth: 150, tagName: 'p' } );
+    const challengeNumberText = new Text( '', { font: STATUS_FONT, maxWidth: 250, tagName: 'p' } );
+    const scoreText = new Text( '', { font: STATUS_FONT, maxWidth: 150, tagName: 'p' } );
+
+    //------------------------------------------------------------------------------------------------------------------
+    // challenge
+
+    const instructionText = new Text( '', { font: INSTRUCTION_FONT, maxWidth: 400, tagName: 'p' } );
+    const formulaText = new Text( `${voltageSymbolString} = ${currentSymbolString} ${MathSymbols.TIMES} ${resistanceSymbolString}`, {
+      font: STATUS_FONT,
+      fill: 'rgb( 100, 100, 100 )'
+    } );
+    const givenTexts = [
+      new Text( '', { font: VALUE_FONT, maxWidth: 400, tagName: 'p' } ),
+      new Text( '', { font: VALUE_FONT, maxWidth: 400, tagName: 'p' } )
+    ];
+
+    // the resistor of a challenge with color bands, which is given in place of the formula and the values
+    const resistanceProperty = new NumberProperty( OhmsLawConstants.RESISTANCE_RANGE.defaultValue );
+    const colorBandsProperty = new EnumerationProperty( ColorBands, ColorBands.FOUR );
+    const resistorNode = new ResistorNode( resistanceProperty, {
+      colorBandsProperty: colorBandsProperty,
+
+      // pdom
+      tagName: 'p',
+      tandem: options.tandem.createTandem( 'resistorNode' )
+    } );
+
+    const keypad = new Keypad( Keypad.PositiveDecimalLayout, {
+      accumulatorOptions: {
+        maxDigits: 6,
+        maxDigitsRightOfMantissa: 3
+      },
+      tandem: options.tandem.createTandem( 'keypad' )
+    } );
+
+    // the unknown, with the answer that is entered on the keypad
+    const unknownSymbolText = new Text( '', { font: VALUE_FONT } );
+    const answerText = new Text( '', { font: VALUE_FONT, maxWidth: ANSWER_BOX_WIDTH - 10 } );
+    const answerBox = new Rectangle( 0, 0, ANSWER_BOX_WIDTH, answerText.height + 8, 4, 4, {
+      fill: 'white',
+      stroke: 'black'
+    } );
+    const answerNode = new Node( { children: [ answerBox, answerText ] } );
+    const unknownUnitsText = new Text( '', { font: VALUE_FONT } );
+    const unknownNode = new HBox( {
+      spacing: 8,
+      children: [ unknownSymbolText, new Text( '=', { font: VALUE_FONT } ), answerNode, unknownUnitsText ],
+
+      // pdom
+      tagName: 'p'
+    } );
+
+    const challengePanel = new Panel( new VBox( {
+      spacing: 16,
+      align: 'left',
+      children: [ instructionText, formulaText, ...givenTexts, resistorNode, unknownNode ]
+    } ), {
+      fill: 'white',
+      stroke: 'rgb( 180, 180, 180 )',
+      xMargin: 25,
+      yMargin: 20,
+      cornerRadius: 8,
+      minWidth: 420
+    } );
+
+    //------------------------------------------------------------------------------------------------------------------
+    // buttons and feedback
+
+    const buttonOptions = {
+      font: BUTTON_FONT,
+      maxTextWidth: 150,
+      baseColor: 'rgb( 255, 200, 0 )'
+    };
+    const checkButton = new TextPushButton( checkString, merge( {
+      listener: () => {
+        model.checkAnswer( keypad.valueProperty.value );
+
+        // pdom
+        if ( model.phaseProperty.value === ChallengePhase.CORRECT ) {
+          this.alertDescriptionUtterance( correctString );
+        }
+        else if ( model.phaseProperty.value === ChallengePhase.TRY_AGAIN ) {
+          this.alertDescriptionUtterance( incorrectAlertString );
+        }
+        else {
+          this.alertDescriptionUtterance( StringUtils.fillIn( answerShownAlertPatternString, {
+            value: formatValue( model.challengeProperty.value.getAnswer() ),
+            units: unknownUnitsText.text
+          } ) );
+        }
+      },
+      tandem: options.tandem.createTandem( 'checkButton' )
+    }, buttonOptions ) );
+    const tryAgainButton = new TextPushButton( tryAgainString, merge( {
+      listener: () => {
+        model.tryAgain();
+        keypad.setClearOnNextKeyPress( true );
+      },
+      tandem: options.tandem.createTandem( 'tryAgainButton' )
+    }, buttonOptions ) );
+    const nextButton = new TextPushButton( nextString, merge( {
+      listener: () => model.nextChallenge(),
+      tandem: options.tandem.createTandem( 'nextButton' )
+    }, buttonOptions ) );
+
+    const faceNode = new FaceNode( 60 );
+    const feedbackText = new Text( '', { font: FEEDBACK_FONT, maxWidth: 330, tagName: 'p' } );
+    const feedbackNode = new HBox( { spacing: 15, children: [ faceNode, feedbackText ] } );
+
+    //------------------------------------------------------------------------------------------------------------------
+    // layout
+
+    const statusBar = new HBox( {
+      spacing: 40,
+      children: [ levelText, challengeNumberText, scoreText ],
+      left: backButton.right + MARGIN,
+      centerY: backButton.centerY
+    } );
+    challengePanel.left = layoutBounds.left + 100;
+    challengePanel.top = backButton.bottom + 40;
+    keypad.left = challengePanel.right + 80;
+    keypad.top = challengePanel.top;
+    checkButton.centerX = tryAgainButton.centerX = nextButton.centerX = 0;
+    const buttonsNode = new Node( {
+      children: [ checkButton, tryAgainButton, nextButton ],
+      centerX: keypad.centerX,
+      top: keypad.bottom + 25
+    } );
+    feedbackNode.left = challengePanel.left;
+    feedbackNode.top = challengePanel.bottom + 25;
+
+    this.children = [ backButton, statusBar, challengePanel, keypad, buttonsNode, feedbackNode ];
+
+    // pdom - the challenge is read before the keypad and the buttons
+    this.pdomOrder = [ statusBar, challengePanel, keypad, buttonsNode, feedbackNode, backButton ];
+
+    //------------------------------------------------------------------------------------------------------------------
+    // updates
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.levelProperty.link( level => {
+      if ( level ) {
+        levelText.text = StringUtils.fillIn( levelPatternString, { number: level.index + 1 } );
+        levelText.innerContent = levelText.text;
+      }
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.challengeNumberProperty.link( challengeNumber => {
+      challengeNumberText.text = StringUtils.fillIn( challengeNumberPatternString, {
+        number: challengeNumber,
+        total: GameModel.CHALLENGES_PER_LEVEL
+      } );
+      challengeNumberText.innerContent = challengeNumberText.text;
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.scoreProperty.link( score => {
+      scoreText.text = StringUtils.fillIn( scorePatternString, { score: score } );
+      scoreText.innerContent = scoreText.text;
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.challengeProperty.link( challenge => {
+      if ( challenge ) {
+        const quantities = getQuantities( challenge );
+        const unknown = _.find( quantities, quantity => quantity.solveFor === challenge.unknown );
+        const given = _.without( quantities, unknown );
+        const hasColorBands = challenge.colorBands !== ColorBands.NONE;
+
+        instructionText.text = hasColorBands ? findResistanceFromBandsString : unknown.instruction;
+        instructionText.innerContent = instructionText.text;
+        formulaText.visible = !hasColorBands;
+        resistorNode.visible = hasColorBands;
+        givenTexts.forEach( ( givenText, index ) => {
+          givenText.visible = !hasColorBands;
+          if ( givenText.visible ) {
+            givenText.text = StringUtils.fillIn( valuePatternString, {
+              symbol: given[ index ].symbol,
+              value: formatValue( given[ index ].value ),
+              units: given[ index ].units
+            } );
+            givenText.innerContent = givenText.text;
+          }
+        } );
+        if ( hasColorBands ) {
+          resistanceProperty.value = challenge.resistance;
+          colorBandsProperty.value = challenge.colorBands;
+        }
+        unknownSymbolText.text = unknown.symbol;
+        unknownUnitsText.text = unknown.units;
+        keypad.clear();
+      }
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    keypad.stringProperty.link( string => {
+      answerText.text = string;
+      answerText.center = answerBox.center;
+    } );
+
+    // Check is only possible once there is an answer.
+    // Present for the lifetime of the simulation; no need to unlink.
+    keypad.valueProperty.link( value => {
+      checkButton.enabled = value !== null;
+
+      // pdom - describe the answer that is entered
+      unknownNode.innerContent = `${answerLabelString}: ${value === null ? noAnswerString :
+                                                         StringUtils.fillIn( yourAnswerPatternString, {
+                                                           value: value,
+                                                           units: unknownUnitsText.text
+                                                         } )}`;
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.phaseProperty.link( phase => {
+      const answering = phase === ChallengePhase.ANSWERING;
+      keypad.inputEnabled = answering;
+      checkButton.visible = answering;
+      tryAgainButton.visible = phase === ChallengePhase.TRY_AGAIN;
+      nextButton.visible = phase === ChallengePhase.CORRECT || phase === ChallengePhase.ANSWER_SHOWN;
+
+      feedbackNode.visible = !answering && phase !== ChallengePhase.LEVEL_COMPLETED;
+      if ( phase === ChallengePhase.CORRECT ) {
+        faceNode.smile();
+        feedbackText.text = correctString;
+      }
+      else if ( phase === ChallengePhase.TRY_AGAIN ) {
+        faceNode.frown();
+        feedbackText.text = incorrectString;
+      }
+      else if ( phase === ChallengePhase.ANSWER_SHOWN ) {
+        faceNode.frown();
+        feedbackText.text = StringUtils.fillIn( answerPatternString, {
+          value: formatValue( model.challengeProperty.value.getAnswer() ),
+          units: unknownUnitsText.text
+        } );
+      }
+      feedbackText.innerContent = feedbackText.text;
+    } );
+  }
+}
+
+/**
+ * Get the voltage, current and resistance of a challenge, in the order that they are shown, with the symbol, value
+ * and units that they are shown with.
+ * @param {OhmsLawChallenge} challenge
+ * @returns {Object[]} - each {solveFor: SolveFor, symbol: string, value: number, units: string, instruction: string}
+ */
+function getQuantities( challenge ) {
+  return [ {
+    solveFor: SolveFor.VOLTAGE,
+    symbol: voltageSymbolString,
+    value: challenge.voltage,
+    units: voltageUnitsString,
+    instruction: findVoltageString
+  }, {
+    solveFor: SolveFor.CURRENT,
+    symbol: currentSymbolString,
+    value: challenge.getCurrentInUnit(),
+    units: UnitStrings.getCurrentUnitString( challenge.currentUnit, challenge.current ),
+    instruction: findCurrentString
+  }, {
+    solveFor: SolveFor.RESISTANCE,
+    symbol: resistanceSymbolString,
+    value: challenge.getResistanceInUnit(),
+    units: UnitStrings.getResistanceUnitString( challenge.resistanceUnit ),
+    instruction: findResistanceString
+  } ];
+}
+
+/**
+ * Format a value to a few significant figures, without trailing zeros.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue( value ) {
+  const decimalPlaces = Math.max( SIGNIFICANT_FIGURES - 1 - Math.floor( Math.log10( value ) ), 0 );
+  return `${Number( Utils.toFixed( value, decimalPlaces ) )}`;
+}
+
+ohmsLaw.register( 'ChallengeNode', ChallengeNode );
+export default ChallengeNode;
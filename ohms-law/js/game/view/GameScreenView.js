@@ -0,0 +1,99 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Screen view for the game, which shows either the level selection or the level that is played.
+ */
+
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawA11yStrings from '../../ohms-law/OhmsLawA11yStrings.js';
+import ChallengePhase from '../model/ChallengePhase.js';
+import ChallengeNode from './ChallengeNode.js';
+import LevelCompletedNode from './LevelCompletedNode.js';
+import LevelSelectionNode from './LevelSelectionNode.js';
+
+const gameScreenSummaryString = OhmsLawA11yStrings.gameScreenSummary.value;
+const levelCompletedAlertPatternString = OhmsLawA11yStrings.levelCompletedAlertPattern.value;
+
+class GameScreenView extends ScreenView {
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    super( {
+      tandem: tandem,
+      screenSummaryContent: new Node( { tagName: 'p', innerContent: gameScreenSummaryString } )
+    } );
+
+    const levelSelectionNode = new LevelSelectionNode( model, {
+      center: this.layoutBounds.center,
+      tandem: tandem.createTandem( 'levelSelectionNode' )
+    } );
+
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        this.interruptSubtreeInput();
+        model.reset();
+      },
+      right: this.layoutBounds.maxX - 10,
+      bottom: this.layoutBounds.maxY - 10,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    const levelSelectionParent = new Node( { children: [ levelSelectionNode, resetAllButton ] } );
+
+    const challengeNode = new ChallengeNode( model, this.layoutBounds, {
+      tandem: tandem.createTandem( 'challengeNode' )
+    } );
+
+    const levelCompletedNode = new LevelCompletedNode( model, {
+      tandem: tandem.createTandem( 'levelCompletedNode' )
+    } );
+
+    this.addChild( levelSelectionParent );
+    this.addChild( challengeNode );
+    this.addChild( levelCompletedNode );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.levelProperty.link( level => {
+      this.interruptSubtreeInput();
+      levelSelectionParent.visible = !level;
+      challengeNode.visible = !!level && model.phaseProperty.value !== ChallengePhase.LEVEL_COMPLETED;
+      levelCompletedNode.visible = !!level && model.phaseProperty.value === ChallengePhase.LEVEL_COMPLETED;
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.phaseProperty.link( phase => {
+      const levelCompleted = phase === ChallengePhase.LEVEL_COMPLETED;
+      if ( model.levelProperty.value ) {
+        challengeNode.visible = !levelCompleted;
+        levelCompletedNode.visible = levelCompleted;
+      }
+      if ( levelCompleted ) {
+        levelCompletedNode.setScore( model.levelProperty.value, model.scoreProperty.value );
+        levelCompletedNode.center = this.layoutBounds.center;
+      }
+    } );
+
+    // pdom - announce the score when the last challenge is done
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.phaseProperty.lazyLink( phase => {
+      if ( phase === ChallengePhase.LEVEL_COMPLETED && levelCompletedNode.getConnectedDisplays().length > 0 ) {
+        levelCompletedNode.alertDescriptionUtterance( StringUtils.fillIn( levelCompletedAlertPatternString, {
+          number: model.levelProperty.value.index + 1,
+          score: model.scoreProperty.value,
+          maxScore: model.levelProperty.value.maxScore
+        } ) );
+      }
+    } );
+  }
+}
+
+ohmsLaw.register( 'GameScreenView', GameScreenView );
+export default GameScreenView;
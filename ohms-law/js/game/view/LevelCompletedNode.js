@@ -0,0 +1,81 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel that is shown when the last challenge of a level is done, with the score and stars of the level.
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import ScoreStarsNode from './ScoreStarsNode.js';
+
+const levelCompletePatternString = ohmsLawStrings.levelCompletePattern;
+const finalScorePatternString = ohmsLawStrings.finalScorePattern;
+const continueString = ohmsLawStrings.continue;
+
+class LevelCompletedNode extends Panel {
+
+  /**
+   * @param {GameModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      fill: 'rgb( 180, 205, 255 )',
+      stroke: 'black',
+      xMargin: 40,
+      yMargin: 25,
+      cornerRadius: 10,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleText = new Text( '', { font: new PhetFont( { size: 28, weight: 'bold' } ), maxWidth: 300, tagName: 'h2' } );
+    const scoreText = new Text( '', { font: new PhetFont( 22 ), maxWidth: 300, tagName: 'p' } );
+    const fractionProperty = new NumberProperty( 0 );
+
+    const continueButton = new TextPushButton( continueString, {
+      font: new PhetFont( 20 ),
+      maxTextWidth: 200,
+      baseColor: 'rgb( 255, 200, 0 )',
+      listener: () => model.leaveLevel(),
+      tandem: options.tandem.createTandem( 'continueButton' )
+    } );
+
+    super( new VBox( {
+      spacing: 20,
+      children: [ titleText, new ScoreStarsNode( fractionProperty ), scoreText, continueButton ]
+    } ), options );
+
+    // @private
+    this.titleText = titleText;
+    this.scoreText = scoreText;
+    this.fractionProperty = fractionProperty;
+  }
+
+  /**
+   * Show the score of a level.
+   * @public
+   *
+   * @param {GameLevel} level
+   * @param {number} score
+   */
+  setScore( level, score ) {
+    this.titleText.text = StringUtils.fillIn( levelCompletePatternString, { number: level.index + 1 } );
+    this.titleText.innerContent = this.titleText.text;
+    this.scoreText.text = StringUtils.fillIn( finalScorePatternString, { score: score, maxScore: level.maxScore } );
+    this.scoreText.innerContent = this.scoreText.text;
+    this.fractionProperty.value = score / level.maxScore;
+  }
+}
+
+ohmsLaw.register( 'LevelCompletedNode', LevelCompletedNode );
+export default LevelCompletedNode;
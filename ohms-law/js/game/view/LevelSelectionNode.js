@@ -0,0 +1,107 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The buttons for choosing a level of the game, each with the stars and the best score of the level.
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import OhmsLawA11yStrings from '../../ohms-law/OhmsLawA11yStrings.js';
+import ScoreStarsNode from './ScoreStarsNode.js';
+
+const chooseYourLevelString = ohmsLawStrings.chooseYourLevel;
+const levelPatternString = ohmsLawStrings.levelPattern;
+const bestScorePatternString = ohmsLawStrings.bestScorePattern;
+const levelDescriptionStrings = [
+  ohmsLawStrings.level1Description,
+  ohmsLawStrings.level2Description,
+  ohmsLawStrings.level3Description,
+  ohmsLawStrings.level4Description
+];
+
+const levelButtonPatternString = OhmsLawA11yStrings.levelButtonPattern.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 30, weight: 'bold' } );
+const LEVEL_FONT = new PhetFont( { size: 20, weight: 'bold' } );
+const DESCRIPTION_FONT = new PhetFont( 16 );
+const BUTTON_CONTENT_WIDTH = 150;
+
+class LevelSelectionNode extends VBox {
+
+  /**
+   * @param {GameModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      spacing: 40,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const levelButtons = model.levels.map( level => {
+      const number = level.index + 1;
+
+      const bestScoreText = new Text( '', { font: DESCRIPTION_FONT, maxWidth: BUTTON_CONTENT_WIDTH } );
+
+      const button = new RectangularPushButton( {
+        content: new VBox( {
+          spacing: 12,
+          children: [
+            new Text( StringUtils.fillIn( levelPatternString, { number: number } ), {
+              font: LEVEL_FONT,
+              maxWidth: BUTTON_CONTENT_WIDTH
+            } ),
+            new Text( levelDescriptionStrings[ level.index ], {
+              font: DESCRIPTION_FONT,
+              maxWidth: BUTTON_CONTENT_WIDTH
+            } ),
+            new ScoreStarsNode( new DerivedProperty( [ level.bestScoreProperty ], bestScore => bestScore / level.maxScore ) ),
+            bestScoreText
+          ]
+        } ),
+        minWidth: BUTTON_CONTENT_WIDTH + 30,
+        xMargin: 15,
+        yMargin: 15,
+        baseColor: 'rgb( 242, 255, 204 )',
+        listener: () => model.startLevel( level ),
+        tandem: options.tandem.createTandem( `level${number}Button` )
+      } );
+
+      // Present for the lifetime of the simulation; no need to unlink.
+      level.bestScoreProperty.link( bestScore => {
+        bestScoreText.text = StringUtils.fillIn( bestScorePatternString, { score: bestScore } );
+
+        // pdom
+        button.innerContent = StringUtils.fillIn( levelButtonPatternString, {
+          number: number,
+          description: levelDescriptionStrings[ level.index ],
+          score: bestScore,
+          maxScore: level.maxScore
+        } );
+      } );
+
+      return button;
+    } );
+
+    options.children = [
+      new Text( chooseYourLevelString, { font: TITLE_FONT, maxWidth: 600 } ),
+      new HBox( { spacing: 40, children: levelButtons } )
+    ];
+
+    super( options );
+  }
+}
+
+ohmsLaw.register( 'LevelSelectionNode', LevelSelectionNode );
+export default LevelSelectionNode;
@@ -0,0 +1,47 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A row of stars that fill up with a score, as a fraction of the maximum score.
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StarNode from '../../../../scenery-phet/js/StarNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// constants
+const NUMBER_OF_STARS = 3;
+
+class ScoreStarsNode extends HBox {
+
+  /**
+   * @param {Property.<number>} fractionProperty - the score as a fraction of the maximum score, from 0 to 1
+   * @param {Object} [options]
+   */
+  constructor( fractionProperty, options ) {
+
+    options = merge( {
+      spacing: 4,
+      starOptions: { outerRadius: 12, innerRadius: 6 }
+    }, options );
+
+    super( options );
+
+    // @private
+    this.starOptions = options.starOptions;
+
+    // StarNode can't change its value, so the stars are replaced when the score changes.
+    // Present for the lifetime of the simulation; no need to unlink.
+    fractionProperty.link( fraction => {
+      this.children.forEach( starNode => starNode.dispose() );
+      this.children = _.range( NUMBER_OF_STARS ).map( index => new StarNode( merge( {
+
+        // each star is a third of the score, filled in part for part of its third
+        value: Math.min( Math.max( fraction * NUMBER_OF_STARS - index, 0 ), 1 )
+      }, this.starOptions ) ) );
+    } );
+  }
+}
+
+ohmsLaw.register( 'ScoreStarsNode', ScoreStarsNode );
+export default ScoreStarsNode;
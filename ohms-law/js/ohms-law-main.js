@@ -9,7 +9,10 @@
 import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import GameScreen from './game/GameScreen.js';
 import OhmsLawScreen from './ohms-law/OhmsLawScreen.js';
+import OhmsLawSetup from './ohms-law/OhmsLawSetup.js';
+import OhmsLawGlobalOptionsNode from './ohms-law/view/OhmsLawGlobalOptionsNode.js';
 import ohmsLawStrings from './ohmsLawStrings.js';
 
 const ohmsLawTitleString = ohmsLawStrings[ 'ohms-law' ].title;
@@ -27,12 +30,23 @@ const simOptions = {
     thanks: 'Thanks to Mobile Learner Labs for working with the PhET development team to convert this ' +
             'simulation to HTML5.'
   },
-  hasKeyboardHelpContent: true
+  hasKeyboardHelpContent: true,
+
+  // Creates content for the Options dialog, accessible via the PhET menu
+  createOptionsDialogContent: tandem => new OhmsLawGlobalOptionsNode( tandem )
 };
 
 simLauncher.launch( () => {
 
+  const ohmsLawScreen = new OhmsLawScreen( tandem.createTandem( 'ohmsLawScreen' ) );
+
+  // Items of the PhET menu that share the setup of the Explore screen
+  simOptions.phetMenuItems = OhmsLawSetup.createPhetMenuItems( ohmsLawScreen );
+
   // Create and start the sim
-  const sim = new Sim( ohmsLawTitleString, [ new OhmsLawScreen( tandem.createTandem( 'ohmsLawScreen' ) ) ], simOptions );
+  const sim = new Sim( ohmsLawTitleString, [
+    ohmsLawScreen,
+    new GameScreen( tandem.createTandem( 'gameScreen' ) )
+  ], simOptions );
   sim.start();
 } );
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Unit tests for ohms-law. Please run once in phet brand and once in brand=phet-io to cover all functionality.
+ */
+
+import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
+import './game/model/ChallengeFactoryTests.js';
+import './game/model/OhmsLawChallengeTests.js';
+import './ohms-law/EngineeringNotationTests.js';
+import './ohms-law/model/CurrentPredictionTests.js';
+import './ohms-law/model/CurrentUnitTests.js';
+import './ohms-law/model/OhmsLawModelTests.js';
+import './ohms-law/model/ResistanceWireTests.js';
+import './ohms-law/model/UndoHistoryTests.js';
+import './ohms-law/OhmsLawSetupTests.js';
+
+// Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+qunitStart();
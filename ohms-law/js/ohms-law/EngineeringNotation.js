@@ -0,0 +1,72 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Formats values in engineering notation, with an SI prefix whose power of ten is a multiple of three, so that a value
+ * is shown with the same number of significant figures whatever its magnitude, like 100 µA, 2.50 mA or 1.20 kΩ.
+ * The units pick the prefix that they are displayed with, see CurrentUnit and ResistanceUnit.
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import ohmsLaw from '../ohmsLaw.js';
+
+// constants
+const SIGNIFICANT_FIGURES = 3;
+const MAX_DECIMAL_PLACES = 6; // so that a tiny value in a large unit still shows something other than zero
+
+const EngineeringNotation = {
+
+  /**
+   * Get the prefix for the magnitude of a value, the largest prefix that leaves at least one digit before the decimal
+   * point, or the smallest prefix if the value is smaller than all of them. A value that rounds up to the next
+   * prefix, like 999.7 µA, gets that prefix, so that it is displayed as 1.00 mA.
+   * @public
+   *
+   * @param {number} value - in the base unit, without a prefix
+   * @param {MetricPrefix[]} prefixes - that the value can be displayed with
+   * @returns {MetricPrefix}
+   */
+  getPrefix( value, prefixes ) {
+    assert && assert( prefixes.length > 0, 'there must be a prefix to choose from' );
+    const sortedPrefixes = _.sortBy( prefixes, prefix => prefix.exponent );
+
+    // zero has no magnitude, so it gets the prefix of the base unit if there is one
+    if ( value === 0 ) {
+      return _.findLast( sortedPrefixes, prefix => prefix.exponent <= 0 ) || sortedPrefixes[ 0 ];
+    }
+
+    // The digits are those that are displayed, so that the value is rounded the same way as by format
+    const getDisplayedMagnitude = prefix => Math.abs( Number( EngineeringNotation.format( value, prefix ) ) );
+    const index = _.findLastIndex( sortedPrefixes, prefix => getDisplayedMagnitude( prefix ) >= 1 );
+    if ( index === -1 ) {
+      return sortedPrefixes[ 0 ];
+    }
+    const prefix = sortedPrefixes[ index ];
+    const nextPrefix = sortedPrefixes[ index + 1 ];
+    return nextPrefix && getDisplayedMagnitude( prefix ) >= Math.pow( 10, nextPrefix.exponent - prefix.exponent ) ?
+           nextPrefix : prefix;
+  },
+
+  /**
+   * Format a value in a unit with a prefix, with a fixed number of significant figures.
+   * @public
+   *
+   * @param {number} value - in the base unit, without a prefix
+   * @param {MetricPrefix} prefix
+   * @returns {string}
+   */
+  format( value, prefix ) {
+    const scaledValue = value / Math.pow( 10, prefix.exponent );
+    const magnitude = Math.abs( scaledValue );
+    const exponent = magnitude === 0 ? 0 : Math.floor( Math.log10( magnitude ) );
+    let decimalPlaces = SIGNIFICANT_FIGURES - 1 - exponent;
+
+    // a value that rounds up to the next power of ten, like 9.996, has one more digit before the decimal point
+    if ( Math.abs( Utils.toFixedNumber( scaledValue, Math.max( decimalPlaces, 0 ) ) ) >= Math.pow( 10, exponent + 1 ) ) {
+      decimalPlaces--;
+    }
+    return Utils.toFixed( scaledValue, Utils.clamp( decimalPlaces, 0, MAX_DECIMAL_PLACES ) );
+  }
+};
+
+ohmsLaw.register( 'EngineeringNotation', EngineeringNotation );
+export default EngineeringNotation;
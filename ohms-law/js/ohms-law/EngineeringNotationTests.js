@@ -0,0 +1,63 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for EngineeringNotation
+ */
+
+import EngineeringNotation from './EngineeringNotation.js';
+import MetricPrefix from './model/MetricPrefix.js';
+
+const PREFIXES = [ MetricPrefix.MICRO, MetricPrefix.MILLI, MetricPrefix.NONE ];
+
+QUnit.module( 'EngineeringNotation' );
+
+QUnit.test( 'getPrefix', assert => {
+  assert.equal( EngineeringNotation.getPrefix( 2.5E-3, PREFIXES ), MetricPrefix.MILLI, 'a value in milli' );
+  assert.equal( EngineeringNotation.getPrefix( 12, PREFIXES ), MetricPrefix.NONE, 'a value in the base unit' );
+  assert.equal( EngineeringNotation.getPrefix( 1E-9, PREFIXES ), MetricPrefix.MICRO,
+    'a value smaller than all of the prefixes gets the smallest' );
+  assert.equal( EngineeringNotation.getPrefix( 12345, PREFIXES ), MetricPrefix.NONE,
+    'a value larger than all of the prefixes gets the largest' );
+  assert.equal( EngineeringNotation.getPrefix( 0, PREFIXES ), MetricPrefix.NONE, 'zero gets the base unit' );
+  assert.equal( EngineeringNotation.getPrefix( 0, [ MetricPrefix.MICRO, MetricPrefix.MILLI ] ), MetricPrefix.MILLI,
+    'zero gets the prefix closest to the base unit without it' );
+  assert.equal( EngineeringNotation.getPrefix( -2.5E-3, PREFIXES ), MetricPrefix.MILLI,
+    'a negative value gets the prefix of its magnitude' );
+} );
+
+QUnit.test( 'getPrefix at the boundary of two prefixes', assert => {
+  assert.equal( EngineeringNotation.getPrefix( 999.4E-6, PREFIXES ), MetricPrefix.MICRO, '999.4 µ stays micro' );
+  assert.equal( EngineeringNotation.getPrefix( 999.5E-6, PREFIXES ), MetricPrefix.MILLI, '999.5 µ rounds up to milli' );
+  assert.equal( EngineeringNotation.getPrefix( 999.6E-6, PREFIXES ), MetricPrefix.MILLI, '999.6 µ rounds up to milli' );
+  assert.equal( EngineeringNotation.getPrefix( 1E-3, PREFIXES ), MetricPrefix.MILLI, '1 m is milli' );
+  assert.equal( EngineeringNotation.getPrefix( -999.6E-6, PREFIXES ), MetricPrefix.MILLI,
+    '-999.6 µ rounds up to milli' );
+
+  // every value near a boundary is displayed with one to three digits before the decimal point
+  _.range( 9990, 10010 ).forEach( digits => {
+    [ -1, 1 ].forEach( sign => {
+      const value = sign * digits * 1E-7;
+      const prefix = EngineeringNotation.getPrefix( value, PREFIXES );
+      const magnitude = Math.abs( Number( EngineeringNotation.format( value, prefix ) ) );
+      assert.ok( magnitude >= 1 && magnitude < 1000, `${value} is displayed as ${magnitude} ${prefix.name}` );
+    } );
+  } );
+} );
+
+QUnit.test( 'format', assert => {
+  assert.equal( EngineeringNotation.format( 2.5E-3, MetricPrefix.MILLI ), '2.50', 'three significant figures' );
+  assert.equal( EngineeringNotation.format( 0.1234, MetricPrefix.MILLI ), '123', 'no decimal places' );
+  assert.equal( EngineeringNotation.format( 999.4E-6, MetricPrefix.MICRO ), '999', 'just below the next prefix' );
+  assert.equal( EngineeringNotation.format( 999.6E-6, MetricPrefix.MILLI ), '1.00', 'rounded up to the next prefix' );
+  assert.equal( EngineeringNotation.format( 9.996, MetricPrefix.NONE ), '10.0',
+    'rounded up to the next power of ten, still with three significant figures' );
+  assert.equal( EngineeringNotation.format( 0, MetricPrefix.MILLI ), '0.00', 'zero' );
+  assert.equal( EngineeringNotation.format( -2.5E-3, MetricPrefix.MILLI ), '-2.50', 'a negative value' );
+  assert.equal( EngineeringNotation.format( -999.6E-6, MetricPrefix.MILLI ), '-1.00', 'a negative value rounded up' );
+  assert.equal( EngineeringNotation.format( 12345, MetricPrefix.NONE ), '12345',
+    'a value too large for its prefix keeps all of its integer digits' );
+  assert.equal( EngineeringNotation.format( 1E-9, MetricPrefix.MICRO ), '0.00100',
+    'a value too small for its prefix keeps its significant figures' );
+  assert.equal( EngineeringNotation.format( 1E-12, MetricPrefix.NONE ), '0.000000',
+    'a value much too small for its prefix has a limited number of decimal places' );
+} );
@@ -30,6 +30,15 @@ const OhmsLawA11yStrings = {
   currentMilliamps: {
     value: 'milliamps'
   },
+  currentMicroamps: {
+    value: 'microamps'
+  },
+  resistanceOhms: {
+    value: 'ohms'
+  },
+  resistanceKiloohms: {
+    value: 'kiloohms'
+  },
   chooseUnitForCurrent: {
     value: 'Choose unit for current.'
   },
@@ -92,6 +101,15 @@ const OhmsLawA11yStrings = {
   relativeSizePattern: {
     value: 'In equation, <strong>letter V</strong> is <em>{{iComparison}}</em> <strong>letter I</strong> and <em>{{rComparison}}</em> <strong>letter R</strong>.'
   },
+  relativePowerSizePattern: {
+    value: 'In power equation, <strong>letter P</strong> is <em>{{iComparison}}</em> <strong>letter I</strong> and <em>{{vComparison}}</em> <strong>letter V</strong>.'
+  },
+  hiddenCurrentRelativeSizePattern: {
+    value: 'In equation, <strong>letter I</strong> is hidden until you predict the current, and <strong>letter V</strong> is <em>{{rComparison}}</em> <strong>letter R</strong>.'
+  },
+  hiddenCurrentPowerSize: {
+    value: 'In power equation, <strong>letters P and I</strong> are hidden until you predict the current.'
+  },
 
   //--------------------------------------------------------------------------
   // Equation strings
@@ -102,6 +120,12 @@ const OhmsLawA11yStrings = {
   ohmsLawDefinition: {
     value: 'Voltage, <strong>V</strong>, is equal to Current, <strong>I</strong>, times Resistance, <strong>R</strong>.'
   },
+  ohmsLawResistanceDefinition: {
+    value: 'Resistance, <strong>R</strong>, is equal to Voltage, <strong>V</strong>, divided by Current, <strong>I</strong>.'
+  },
+  powerDefinition: {
+    value: 'Power, <strong>P</strong>, is equal to Current, <strong>I</strong>, times Voltage, <strong>V</strong>.'
+  },
 
   //--------------------------------------------------------------------------
   // Circuit strings
@@ -120,6 +144,141 @@ const OhmsLawA11yStrings = {
   batteriesSupplyPattern: {
     value: 'batteries supply <em>{{voltage}} volts</em>'
   },
+  batteryPackSupplyPattern: {
+    value: 'battery pack of {{cells}}, connected in {{arrangement}}, supplies <em>{{voltage}} volts</em>'
+  },
+  cellDescriptionPattern: {
+    value: '{{cell}} of {{voltage}} volts'
+  },
+  reversedCellDescriptionPattern: {
+    value: 'reversed {{cell}} of {{voltage}} volts'
+  },
+  seriesArrangement: {
+    value: 'series'
+  },
+  parallelArrangement: {
+    value: 'parallel'
+  },
+
+  // names of the cells of the battery pack
+  aaCell: {
+    value: 'AA cell'
+  },
+  cCell: {
+    value: 'C cell'
+  },
+  nineVoltCell: {
+    value: '9 volt battery'
+  },
+  customCell: {
+    value: 'custom cell'
+  },
+
+  batteryPackDescription: {
+    value: 'Build the voltage from cells. Add AA, C, 9 volt or custom cells, reverse or remove them, and connect ' +
+           'them in series or in parallel. The voltage slider is disabled while the pack is used.'
+  },
+  useBatteryPackDescription: {
+    value: 'Supply the voltage with the cells of the battery pack in place of the voltage slider.'
+  },
+  cellArrangement: {
+    value: 'Cells connected in'
+  },
+  customVoltageLabel: {
+    value: 'Voltage of custom cells'
+  },
+  addCellPattern: {
+    value: 'Add {{cell}}'
+  },
+  reverseCellPattern: {
+    value: 'Reverse cell {{number}}'
+  },
+  removeCellPattern: {
+    value: 'Remove cell {{number}}'
+  },
+  batteryPackAlertPattern: {
+    value: 'Battery pack supplies {{voltage}} volts.'
+  },
+
+  //--------------------------------------------------------------------------
+  // AC source strings
+  //--------------------------------------------------------------------------
+  acSourceSupplyPattern: {
+    value: 'AC source supplies a peak voltage of <em>{{peakVoltage}} volts</em> at {{frequency}} hertz, which is ' +
+           '<em>{{rmsVoltage}} volts</em> RMS'
+  },
+  acSourceDescription: {
+    value: 'Supply an alternating voltage that rises and falls as a sine wave, with an adjustable peak voltage and ' +
+           'frequency. The chart traces the voltage and the current against time, and the time can be paused and ' +
+           'stepped to freeze the waves. The readouts of the circuit show the RMS values.'
+  },
+  useACSourceDescription: {
+    value: 'Supply the voltage with the AC source in place of the batteries. The load is a resistor.'
+  },
+  peakVoltageLabel: {
+    value: 'Peak voltage'
+  },
+  frequencyLabel: {
+    value: 'Frequency'
+  },
+  oscilloscopeSummaryPattern: {
+    value: 'The voltage and the current rise and fall together, in phase, {{frequency}} times per second. The ' +
+           'voltage peaks at {{peakVoltage}} volts and the current at {{peakCurrent}} {{unit}}.'
+  },
+  oscilloscopeDisabled: {
+    value: 'The chart is empty until the AC source is used.'
+  },
+
+  //--------------------------------------------------------------------------
+  // Worked solution strings
+  //--------------------------------------------------------------------------
+  solutionDescription: {
+    value: 'Show the worked solution of Ohm\'s law, with the values of the circuit and their units.'
+  },
+  workedSolution: {
+    value: 'Worked Solution'
+  },
+  currentSolutionPattern: {
+    value: 'I equals V divided by R: {{voltage}} volts divided by {{resistance}} ohms equals {{current}}.'
+  },
+  currentWithInternalResistanceSolutionPattern: {
+    value: 'I equals V divided by the sum of R and the internal resistance r: {{voltage}} volts divided by the sum ' +
+           'of {{resistance}} ohms and {{internalResistance}} ohms equals {{current}}.'
+  },
+  voltageSolutionPattern: {
+    value: 'V equals I times R: {{current}} times {{resistance}} ohms equals {{voltage}} volts.'
+  },
+  resistanceSolutionPattern: {
+    value: 'R equals V divided by I: {{voltage}} volts divided by {{current}} equals {{resistance}} ohms.'
+  },
+  ampsPattern: {
+    value: '{{amps}} amps'
+  },
+  ampsToUnitPattern: {
+    value: '{{amps}} amps, which is {{current}} {{unit}}'
+  },
+  unitToAmpsPattern: {
+    value: '{{current}} {{unit}}, which is {{amps}} amps,'
+  },
+  nonOhmicSolution: {
+    value: 'Only resistors follow Ohm\'s law, so there is no worked solution for the current of this load.'
+  },
+
+  //--------------------------------------------------------------------------
+  // Keypad strings
+  //--------------------------------------------------------------------------
+  enterValuePattern: {
+    value: 'Enter an exact {{name}}'
+  },
+  keypad: {
+    value: 'Keypad'
+  },
+  keypadDescription: {
+    value: 'Enter a value with the keypad and press Enter, or press Escape to cancel.'
+  },
+  valueOutOfRangePattern: {
+    value: '{{value}} is out of range. Enter a value from {{min}} to {{max}}.'
+  },
 
   //--------------------------------------------------------------------------
   // Current strings
@@ -127,6 +286,40 @@ const OhmsLawA11yStrings = {
   currentDescriptionPattern: {
     value: '<em>{{arrowSize}} arrows</em> indicate a current flowing clockwise at <em>{{value}} {{unit}}</em>'
   },
+  hiddenCurrentDescription: {
+    value: 'current is hidden until you predict how it changed'
+  },
+
+  //--------------------------------------------------------------------------
+  // Power strings
+  //--------------------------------------------------------------------------
+  powerDescriptionPattern: {
+    value: 'resistor dissipates <em>{{value}} {{unit}}</em> of power'
+  },
+  powerWatts: {
+    value: 'watts'
+  },
+  powerMilliwatts: {
+    value: 'milliwatts'
+  },
+  powerMicrowatts: {
+    value: 'microwatts'
+  },
+  hiddenPowerDescription: {
+    value: 'power is hidden until you predict how the current changed'
+  },
+  terminalVoltageDescriptionPattern: {
+    value: 'internal resistance of batteries loses <em>{{lostVoltage}} volts</em>, leaving a terminal voltage of <em>{{terminalVoltage}} volts</em>'
+  },
+  showPowerDescription: {
+    value: 'Show power readout and power equation.'
+  },
+  resistorTemperatureDescriptionPattern: {
+    value: 'resistors heated to <em>{{temperature}} degrees Celsius</em>, raising their resistance by <em>{{percentage}} percent</em>'
+  },
+  heatResistorsDescription: {
+    value: 'Heat resistors with the power dissipated in them. Hotter resistors have more resistance.'
+  },
 
   //--------------------------------------------------------------------------
   // Resistance strings
@@ -158,6 +351,61 @@ const OhmsLawA11yStrings = {
     value: 'resistor shows <em>{{impurities}}</em>'
   },
 
+  //--------------------------------------------------------------------------
+  // Multiple resistor strings
+  //--------------------------------------------------------------------------
+  seriesDescriptionPattern: {
+    value: '{{numberOfResistors}} resistors are connected in series, with an equivalent resistance of <em>{{resistance}} {{unit}}</em>'
+  },
+  parallelDescriptionPattern: {
+    value: '{{numberOfResistors}} resistors are connected in parallel, with an equivalent resistance of <em>{{resistance}} {{unit}}</em>'
+  },
+  resistorDescriptionPattern: {
+    value: 'resistor {{index}} is <em>{{resistance}} {{resistanceUnit}}</em>, with <em>{{current}} {{unit}}</em> flowing through it and a voltage drop of <em>{{voltage}} volts</em>'
+  },
+  circuitControls: {
+    value: 'Circuit Controls'
+  },
+  circuitControlsDescription: {
+    value: 'Choose how many resistors are in the circuit, how they are connected, which resistor the resistance slider changes, whether a single resistor is made from a wire, what the load in the circuit is, and the internal resistance of the batteries.'
+  },
+  numberOfResistors: {
+    value: 'Number of resistors'
+  },
+  resistorPattern: {
+    value: 'Resistor {{index}}'
+  },
+  internalResistance: {
+    value: 'Internal resistance of each battery'
+  },
+  internalResistancePattern: {
+    value: '{{value}} ohms'
+  },
+  resistorModeDescription: {
+    value: 'Set the resistance directly, or make the resistor from a wire.'
+  },
+  material: {
+    value: 'Material'
+  },
+  materialDescription: {
+    value: 'The material of the wire. Materials with a higher resistivity have more impurities.'
+  },
+  wireLengthPattern: {
+    value: '{{value}} meters'
+  },
+  wireAreaPattern: {
+    value: '{{value}} square millimeters'
+  },
+  resistivityDescriptionPattern: {
+    value: 'Resistivity is {{value}} ohm square millimeters per meter.'
+  },
+  solveForDescription: {
+    value: 'Choose the unknown in the equation. When solving for voltage or resistance, the current is locked and the slider changes the other quantity.'
+  },
+  solveForPattern: {
+    value: 'Solve for {{quantity}}'
+  },
+
   //--------------------------------------------------------------------------
   // Screen summary strings
   //--------------------------------------------------------------------------
@@ -172,7 +420,7 @@ const OhmsLawA11yStrings = {
            'allow changes to the equation and circuit.'
   },
   summaryControlArea: {
-    value: 'The Control Area has radio buttons to switch between milliamps and amps, and a button to reset the sim.'
+    value: 'The Control Area has radio buttons to choose the unit of the current, and a button to reset the sim.'
   },
 
   stateOfSim: {
@@ -186,11 +434,14 @@ const OhmsLawA11yStrings = {
     value: 'voltage, <strong>V</strong>, is <em>{{value}} volts</em>'
   },
   resistanceSummaryPattern: {
-    value: 'resistance, <strong>R</strong>, is <em>{{value}} ohms</em>'
+    value: 'resistance, <strong>R</strong>, is <em>{{value}} {{unit}}</em>'
   },
   currentSummaryPattern: {
     value: 'current, <strong>I</strong>, is <em>{{value}} {{unit}}</em>'
   },
+  hiddenCurrentSummary: {
+    value: 'current, <strong>I</strong>, is hidden until you predict how it changed'
+  },
 
 
   //--------------------------------------------------------------------------
@@ -206,6 +457,12 @@ const OhmsLawA11yStrings = {
   sliderChangeAlertPattern: {
     value: 'As letter {{initLetter}} {{initSizeChange}}, letter I {{iSizeChange}}.  Current now {{currentVal}} {{unit}}.'
   },
+  hiddenCurrentChangeAlertPattern: {
+    value: 'As letter {{initLetter}} {{initSizeChange}}, the current is hidden. Predict how it changed.'
+  },
+  lockedCurrentChangeAlertPattern: {
+    value: 'As letter {{initLetter}} {{sizeChange}}, letter {{unknownLetter}} {{sizeChange}}.  Current stays locked at {{currentVal}} {{unit}}.'
+  },
   letterR: {
     value: 'R'
   },
@@ -220,6 +477,317 @@ const OhmsLawA11yStrings = {
   },
   aLot: {
     value: 'a lot'
+  },
+  loadDescription: {
+    value: 'Choose what the batteries drive current through. The resistor obeys Ohm\'s law, the other devices do not.'
+  },
+  lampDescriptionPattern: {
+    value: 'A filament lamp is in place of the resistor. Its resistance, the voltage across it divided by the current, is {{resistance}} {{unit}}, and rises as the lamp gets brighter.'
+  },
+  diodeDescriptionPattern: {
+    value: 'A diode is in series with the resistor. Their resistance together, the voltage divided by the current, is {{resistance}} {{unit}}, and drops steeply once the voltage is enough for the diode to conduct.'
+  },
+  thermistorDescriptionPattern: {
+    value: 'A thermistor is in place of the resistor. Its resistance, the voltage across it divided by the current, is {{resistance}} {{unit}}, and falls as the thermistor heats up.'
+  },
+  loadResistanceAboveDescriptionPattern: {
+    value: 'more than {{value}}'
+  },
+  toolButtonDescriptionPattern: {
+    value: 'Show or hide the {{tool}} box beside the formula. Showing it hides the box that is shown.'
+  },
+  graphDescription: {
+    value: 'Plots the current against the voltage across the load or against its resistance, with a fading trail of the recent values as they change.'
+  },
+  graphAxes: {
+    value: 'Axes'
+  },
+  currentVsVoltageLabel: {
+    value: 'Current against voltage'
+  },
+  currentVsResistanceLabel: {
+    value: 'Current against resistance'
+  },
+  curveDescription: {
+    value: 'Show the curve that the circuit follows as the quantity on the horizontal axis changes.'
+  },
+  currentVsVoltageSummaryPattern: {
+    value: 'Current against voltage, with current up to {{maxCurrent}} {{maxCurrentUnit}}. The circuit is at {{voltage}} volts and {{current}} {{currentUnit}}.'
+  },
+  currentVsResistanceSummaryPattern: {
+    value: 'Current against resistance, with current up to {{maxCurrent}} {{maxCurrentUnit}}. The circuit is at {{resistance}} ohms and {{current}} {{currentUnit}}.'
+  },
+  straightLineCurvePattern: {
+    value: 'The curve is a straight line through the origin with a slope of 1 over {{resistance}} ohms, so the load obeys Ohm\'s law.'
+  },
+  nonOhmicCurve: {
+    value: 'The curve is not a straight line, so the load does not obey Ohm\'s law.'
+  },
+  hyperbolaCurvePattern: {
+    value: 'The curve is a hyperbola, the current for every resistance at {{voltage}} volts.'
+  },
+  chargesDescription: {
+    value: 'Show charges moving around the circuit, faster with more current.'
+  },
+  chargeType: {
+    value: 'Charges shown'
+  },
+  conventionalCurrentDescription: {
+    value: 'Positive charges, moving in the direction of the current.'
+  },
+  electronFlowDescription: {
+    value: 'Electrons, moving against the direction of the current.'
+  },
+  conventionalChargesDescription: {
+    value: 'Positive charges move clockwise around the circuit, from the positive end of the batteries through the resistance.'
+  },
+  electronChargesDescription: {
+    value: 'Electrons move counterclockwise around the circuit, from the negative end of the batteries through the resistance.'
+  },
+  reducedMotionDescription: {
+    value: 'Stop the charges moving around the circuit. The arrows still show the direction and size of the current.'
+  },
+  animateResetAllDescription: {
+    value: 'Move the voltage and resistance sliders smoothly back to their initial values on Reset All, unless motion is reduced.'
+  },
+  multimeterDescription: {
+    value: 'Drag the probes onto the wires. In voltage mode, the multimeter reads the voltage of the red probe compared to the black probe. In current mode, touch the same wire with both probes to put the multimeter in line with it.'
+  },
+  multimeterCheckboxDescription: {
+    value: 'Show a multimeter with probes that measure the voltage or the current in the circuit.'
+  },
+  redProbe: {
+    value: 'Red probe'
+  },
+  blackProbe: {
+    value: 'Black probe'
+  },
+  meterMode: {
+    value: 'Mode'
+  },
+  voltageMode: {
+    value: 'Voltage'
+  },
+  currentMode: {
+    value: 'Current'
+  },
+  meterRange: {
+    value: 'Range'
+  },
+  meterVoltageReadingPattern: {
+    value: 'The multimeter reads {{value}} volts.'
+  },
+  meterCurrentReadingPattern: {
+    value: 'The multimeter reads {{value}} milliamps.'
+  },
+  meterVoltageOverloadPattern: {
+    value: 'The voltage is over the range of {{range}} volts.'
+  },
+  meterCurrentOverloadPattern: {
+    value: 'The current is over the range of {{range}} milliamps.'
+  },
+  meterVoltageNoReading: {
+    value: 'The multimeter has no reading. Touch a wire with each probe.'
+  },
+  meterCurrentNoReading: {
+    value: 'The multimeter has no reading. Touch the same wire with both probes, apart from each other.'
+  },
+
+  //--------------------------------------------------------------------------
+  // Prediction strings
+  //--------------------------------------------------------------------------
+  predictDescription: {
+    value: 'Hide the current after each change of the circuit until you predict how it changed.'
+  },
+  predictionPanelDescription: {
+    value: 'Predict whether the current got bigger or smaller and by how much, then reveal it.'
+  },
+  predictedChange: {
+    value: 'Predicted change of the current'
+  },
+  predictedFactor: {
+    value: 'Predicted factor'
+  },
+  revealDescription: {
+    value: 'Show the current and compare it with your prediction.'
+  },
+  predictionResultAlertPattern: {
+    value: '{{prediction}} {{change}} {{verdict}}'
+  },
+
+  //--------------------------------------------------------------------------
+  // Data table strings
+  //--------------------------------------------------------------------------
+  dataTableDescription: {
+    value: 'Record the voltage, resistance and current in a table, and save the table as a CSV file.'
+  },
+  recordDescription: {
+    value: 'Add the voltage, resistance and current of the circuit to the table.'
+  },
+  saveCSVDescription: {
+    value: 'Download the table as a CSV file that a spreadsheet can open.'
+  },
+  dataTableCaption: {
+    value: 'Recorded values, one row per recording'
+  },
+  voltageColumn: {
+    value: 'Voltage in volts'
+  },
+  resistanceColumn: {
+    value: 'Resistance in ohms'
+  },
+  currentColumn: {
+    value: 'Current'
+  },
+  deleteColumn: {
+    value: 'Delete'
+  },
+  sortDescription: {
+    value: 'Sort the table by this column, press again to reverse the order.'
+  },
+  currentValuePattern: {
+    value: '{{value}} {{unit}}'
+  },
+  deleteRowPattern: {
+    value: 'Delete row {{number}}'
+  },
+  recordedAlertPattern: {
+    value: 'Recorded row {{number}}: {{voltage}} volts, {{resistance}} ohms, {{current}} {{unit}}.'
+  },
+  rowDeletedAlertPattern: {
+    value: 'Row {{number}} deleted.'
+  },
+  noiseDescription: {
+    value: 'Add random errors to the recorded voltage and current, like real measurements.'
+  },
+  fitDescriptionPattern: {
+    value: 'The best-fit line of current against voltage has a slope of {{slope}} {{unit}} per volt, an intercept ' +
+           'of {{intercept}} {{unit}} and an R squared of {{rSquared}}.'
+  },
+  fitResistanceDescriptionPattern: {
+    value: 'One over the slope estimates the resistance as {{resistance}} ohms.'
+  },
+  residualsDescriptionPattern: {
+    value: 'The residuals, in the order of recording, are {{residuals}} {{unit}}.'
+  },
+
+  //--------------------------------------------------------------------------
+  // Color code strings
+  //--------------------------------------------------------------------------
+  colorBandsDescription: {
+    value: 'Draw the resistors with color bands that give their resistance, in place of the dots.'
+  },
+  preferredValuesDescription: {
+    value: 'Choose the values that the resistance slider snaps to. Resistors are made in the values of the E12 and ' +
+           'E24 series.'
+  },
+  colorBandsPattern: {
+    value: 'Resistor with {{numberOfBands}} color bands, from left to right: {{colors}}.'
+  },
+
+  // names of the colors of the bands
+  black: {
+    value: 'black'
+  },
+  brown: {
+    value: 'brown'
+  },
+  red: {
+    value: 'red'
+  },
+  orange: {
+    value: 'orange'
+  },
+  yellow: {
+    value: 'yellow'
+  },
+  green: {
+    value: 'green'
+  },
+  blue: {
+    value: 'blue'
+  },
+  violet: {
+    value: 'violet'
+  },
+  grey: {
+    value: 'grey'
+  },
+  white: {
+    value: 'white'
+  },
+  gold: {
+    value: 'gold'
+  },
+  silver: {
+    value: 'silver'
+  },
+
+  //--------------------------------------------------------------------------
+  // Undo strings
+  //--------------------------------------------------------------------------
+  undo: {
+    value: 'Undo'
+  },
+  redo: {
+    value: 'Redo'
+  },
+  undoDescription: {
+    value: 'Undo the last change of the voltage or resistance, or Reset All. Shortcut is Control plus Z.'
+  },
+  redoDescription: {
+    value: 'Redo the last change that was undone. Shortcut is Control plus Y.'
+  },
+  voltageChange: {
+    value: 'voltage change'
+  },
+  resistanceChange: {
+    value: 'resistance change'
+  },
+  resetAllChange: {
+    value: 'Reset All'
+  },
+  loadSetupChange: {
+    value: 'Load Setup'
+  },
+  undoneAlertPattern: {
+    value: 'Undid {{change}}. Voltage is {{voltage}} volts and resistance is {{resistance}} {{unit}}.'
+  },
+  redoneAlertPattern: {
+    value: 'Redid {{change}}. Voltage is {{voltage}} volts and resistance is {{resistance}} {{unit}}.'
+  },
+
+  //--------------------------------------------------------------------------
+  // Game screen strings
+  //--------------------------------------------------------------------------
+  gameScreenSummary: {
+    value: 'In the game, each challenge gives two of voltage, current and resistance, and you find the third with ' +
+           'Ohm\'s law. Enter your answer with the keypad and check it. A correct answer on the first try earns 2 ' +
+           'points, and on the second try 1 point. Choose a level to start.'
+  },
+  levelButtonPattern: {
+    value: 'Level {{number}}, {{description}}. Best score {{score}} of {{maxScore}}.'
+  },
+  backToLevelSelection: {
+    value: 'Back to level selection'
+  },
+  answerLabel: {
+    value: 'Your answer'
+  },
+  answerPattern: {
+    value: 'Your answer is {{value}} {{units}}.'
+  },
+  noAnswer: {
+    value: 'No answer entered yet.'
+  },
+  incorrectAlert: {
+    value: 'Not quite. Try again.'
+  },
+  answerShownAlertPattern: {
+    value: 'Not quite. The answer is {{value}} {{units}}.'
+  },
+  levelCompletedAlertPattern: {
+    value: 'Level {{number}} complete. Your score is {{score}} of {{maxScore}}.'
   }
 };
 
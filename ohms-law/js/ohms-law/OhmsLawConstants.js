@@ -10,6 +10,7 @@ import Range from '../../../dot/js/Range.js';
 import RangeWithValue from '../../../dot/js/RangeWithValue.js';
 import PhetFont from '../../../scenery-phet/js/PhetFont.js';
 import ohmsLaw from '../ohmsLaw.js';
+import ohmsLawQueryParameters from '../ohmsLawQueryParameters.js';
 import OhmsLawA11yStrings from './OhmsLawA11yStrings.js';
 
 const tinyString = OhmsLawA11yStrings.tiny.value;
@@ -27,9 +28,15 @@ const slightlyLargerThanString = OhmsLawA11yStrings.slightlyLargerThan.value;
 const muchLargerThanString = OhmsLawA11yStrings.muchLargerThan.value;
 const muchMuchLargerThanString = OhmsLawA11yStrings.muchMuchLargerThan.value;
 
-// constants used by other constants
-const RESISTANCE_RANGE = new RangeWithValue( 10, 1000, 500 ); // in ohms
-const VOLTAGE_RANGE = new RangeWithValue( 0.1, 9, 4.5 ); // in volts
+// constants used by other constants, the ranges of the sliders can be set with query parameters
+const RESISTANCE_RANGE = new RangeWithValue( ...ohmsLawQueryParameters.resistanceRange, ohmsLawQueryParameters.resistance ); // in ohms
+const VOLTAGE_RANGE = new RangeWithValue( ...ohmsLawQueryParameters.voltageRange, ohmsLawQueryParameters.voltage ); // in volts
+const NUMBER_OF_RESISTORS_RANGE = new RangeWithValue( 2, 3, 2 ); // for resistors in series or in parallel
+const INTERNAL_RESISTANCE_RANGE = new RangeWithValue( 0, 5, 0 ); // in ohms, for each battery
+const AMBIENT_TEMPERATURE = 20; // in degrees Celsius
+
+// Cross-sectional area of the resistance wire. Its length follows the RESISTANCE_RANGE, see ResistanceWire.LENGTH_RANGE.
+const WIRE_AREA_RANGE = new RangeWithValue( 0.02, 0.08, 0.05 ); // in square millimeters
 
 const WIRE_WIDTH = 505;
 const BATTERIES_OFFSET = 30;
@@ -78,9 +85,26 @@ const OhmsLawConstants = {
   // range for sliders with default values
   RESISTANCE_RANGE: RESISTANCE_RANGE,
   VOLTAGE_RANGE: VOLTAGE_RANGE,
+  NUMBER_OF_RESISTORS_RANGE: NUMBER_OF_RESISTORS_RANGE,
+  INTERNAL_RESISTANCE_RANGE: INTERNAL_RESISTANCE_RANGE,
+  WIRE_AREA_RANGE: WIRE_AREA_RANGE,
+
+  // temperature of the resistors, in degrees Celsius. The max is above the hottest the resistors can get, when all of
+  // the max power is dissipated in them without raising their resistance.
+  AMBIENT_TEMPERATURE: AMBIENT_TEMPERATURE,
+  TEMPERATURE_RANGE: new Range( AMBIENT_TEMPERATURE, 200 ),
+
+  // thermal model of the resistors
+  TEMPERATURE_COEFFICIENT: 0.004, // fractional increase of resistance per degree Celsius, close to copper or tungsten
+  THERMAL_CONDUCTANCE: 0.05, // in watts per degree Celsius, for the heat lost to the surroundings
+  HEAT_CAPACITY: 0.5, // in joules per degree Celsius
+
+  // the filament lamp is at full brightness at its rated voltage, the max voltage of the batteries
+  LAMP_RATED_VOLTAGE: VOLTAGE_RANGE.max, // in volts
+  LAMP_RATED_CURRENT: 300, // in milliamps, at the rated voltage
 
-  // range of current values that can occur
-  CURRENT_RANGE: new Range( VOLTAGE_RANGE.min / RESISTANCE_RANGE.max, VOLTAGE_RANGE.max / RESISTANCE_RANGE.min ),
+  // range of current values that can occur with a single resistor, in milliamps like the current of the model
+  CURRENT_RANGE: new Range( 1000 * VOLTAGE_RANGE.min / RESISTANCE_RANGE.max, 1000 * VOLTAGE_RANGE.max / RESISTANCE_RANGE.min ),
 
   // formula
   FONT_FAMILY: 'Times New Roman',
@@ -89,7 +113,7 @@ const OhmsLawConstants = {
   SLIDER_WIDTH: 89,
 
   // slider unit
-  SLIDER_HEIGHT: 210,
+  SLIDER_HEIGHT: 145,
   SYMBOL_FONT: new PhetFont( { family: 'Times New Roman', size: 60 } ),
   NAME_FONT: new PhetFont( 16 ),
   READOUT_FONT: new PhetFont( 28 ),
@@ -99,8 +123,12 @@ const OhmsLawConstants = {
   // precision for each of the physical quantities in this sim
   VOLTAGE_SIG_FIGS: 1,
   RESISTANCE_SIG_FIGS: 0,
-  CURRENT_MILLIAMPS_SIG_FIGS: 1,
-  CURRENT_AMPS_SIG_FIGS: 3,
+  TERMINAL_VOLTAGE_SIG_FIGS: 2, // so that small losses across the internal resistance are visible
+  INTERNAL_RESISTANCE_SIG_FIGS: 1,
+  TEMPERATURE_SIG_FIGS: 0,
+  WIRE_LENGTH_SIG_FIGS: 1,
+  WIRE_AREA_SIG_FIGS: 2,
+  FREQUENCY_SIG_FIGS: 1,
 
   // wire circuit
   WIRE_WIDTH: WIRE_WIDTH,
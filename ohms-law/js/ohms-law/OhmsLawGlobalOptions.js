@@ -0,0 +1,51 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Options that apply to the whole simulation, which are set in the Options dialog of the PhET menu.
+ */
+
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../axon/js/EnumerationProperty.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import ohmsLaw from '../ohmsLaw.js';
+import ColorBands from './model/ColorBands.js';
+import PreferredValues from './model/PreferredValues.js';
+
+// the preference of the operating system, where the browser supports it
+const prefersReducedMotion = !!window.matchMedia && window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches;
+
+const OhmsLawGlobalOptions = {
+
+  // @public {BooleanProperty} - whether motion that only decorates the sim is stopped, like the charges moving around
+  // the circuit
+  reducedMotionProperty: new BooleanProperty( prefersReducedMotion, {
+    tandem: Tandem.GLOBAL_VIEW.createTandem( 'reducedMotionProperty' ),
+    phetioDocumentation: 'Whether motion that only decorates the sim is stopped, initially the preference of the ' +
+                         'operating system'
+  } ),
+
+  // @public {BooleanProperty} - whether Reset All moves the values of the sliders back to their initial values, rather
+  // than setting them right away. Reset All isn't animated while motion is reduced.
+  animateResetAllProperty: new BooleanProperty( true, {
+    tandem: Tandem.GLOBAL_VIEW.createTandem( 'animateResetAllProperty' ),
+    phetioDocumentation: 'Whether Reset All moves the voltage and the resistances back to their initial values, ' +
+                         'unless reducedMotionProperty is set'
+  } ),
+
+  // @public {EnumerationProperty.<ColorBands>} - the color code that the resistors are drawn with
+  colorBandsProperty: new EnumerationProperty( ColorBands, ColorBands.NONE, {
+    tandem: Tandem.GLOBAL_VIEW.createTandem( 'colorBandsProperty' ),
+    phetioDocumentation: 'The color code that the resistors are drawn with, which shows their resistance in place of ' +
+                         'the dots'
+  } ),
+
+  // @public {EnumerationProperty.<PreferredValues>} - the values that the resistance slider snaps to
+  preferredValuesProperty: new EnumerationProperty( PreferredValues, PreferredValues.ANY, {
+    tandem: Tandem.GLOBAL_VIEW.createTandem( 'preferredValuesProperty' ),
+    phetioDocumentation: 'The values that the resistance slider snaps to, any whole number of ohms or the preferred ' +
+                         'values of the E12 or E24 series that resistors are made in'
+  } )
+};
+
+ohmsLaw.register( 'OhmsLawGlobalOptions', OhmsLawGlobalOptions );
+export default OhmsLawGlobalOptions;
@@ -9,22 +9,40 @@
 
 import Property from '../../../axon/js/Property.js';
 import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
 import SliderAndGeneralKeyboardHelpContent from '../../../scenery-phet/js/keyboard/help/SliderAndGeneralKeyboardHelpContent.js';
+import PhetFont from '../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../scenery/js/nodes/Text.js';
 import Color from '../../../scenery/js/util/Color.js';
 import ohmsLaw from '../ohmsLaw.js';
+import ohmsLawStrings from '../ohmsLawStrings.js';
+import OhmsLawConstants from './OhmsLawConstants.js';
 import OhmsLawModel from './model/OhmsLawModel.js';
 import OhmsLawScreenView from './view/OhmsLawScreenView.js';
 
+const screenExploreString = ohmsLawStrings.screen.explore;
+const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const currentSymbolString = ohmsLawStrings.currentSymbol;
+const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
+
 class OhmsLawScreen extends Screen {
   constructor( tandem ) {
+
+    const backgroundColorProperty = new Property( new Color( '#ffffdf' ), {
+      tandem: tandem.createTandem( 'backgroundColorProperty' ),
+      phetioType: Property.PropertyIO( Color.ColorIO )
+    } );
+
     super(
       () => new OhmsLawModel( tandem.createTandem( 'model' ) ),
       model => new OhmsLawScreenView( model, tandem.createTandem( 'view' ) ),
       {
-        backgroundColorProperty: new Property( new Color( '#ffffdf' ), {
-          tandem: tandem.createTandem( 'backgroundColorProperty' ),
-          phetioType: Property.PropertyIO( Color.ColorIO )
-        } ),
+        name: screenExploreString,
+        homeScreenIcon: new ScreenIcon( new Text( `${voltageSymbolString} = ${currentSymbolString}${resistanceSymbolString}`, {
+          font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 60, weight: 'bold' } ),
+          fill: OhmsLawConstants.BLUE_COLOR
+        } ), { fill: backgroundColorProperty.value } ),
+        backgroundColorProperty: backgroundColorProperty,
         tandem: tandem,
 
         keyboardHelpNode: new SliderAndGeneralKeyboardHelpContent()
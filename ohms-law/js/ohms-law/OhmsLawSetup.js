@@ -0,0 +1,203 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Saves and restores the setup of the Explore screen outside of PhET-iO, so that a teacher can share it with students:
+ * the voltage, the resistance, the unit of the current and the optional representations that are shown. A setup is a
+ * compact object like { v: 4.5, r: 500, u: 'milliamps', power: true }, that is copied in the hash of a link to the sim
+ * or saved to a JSON file. The link keeps the query parameters of the sim, so the ranges and the panels that are shown
+ * are shared with it.
+ *
+ * The items of the PhET menu are created with createPhetMenuItems, and a setup in the hash of the link that the sim
+ * was opened with is restored by OhmsLawScreenView when it is created.
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import ohmsLaw from '../ohmsLaw.js';
+import ohmsLawStrings from '../ohmsLawStrings.js';
+import CurrentUnit from './model/CurrentUnit.js';
+import OhmsLawConstants from './OhmsLawConstants.js';
+import CurrentDirection from './view/CurrentDirection.js';
+
+const copySetupLinkString = ohmsLawStrings.copySetupLink;
+const saveSetupString = ohmsLawStrings.saveSetup;
+const loadSetupString = ohmsLawStrings.loadSetup;
+
+// constants
+const HASH_PREFIX = '#setup=';
+const FILE_NAME = 'ohms-law-setup.json';
+const BOOLEAN_KEYS = [ 'power', 'solution', 'charges', 'multimeter' ];
+
+/**
+ * Gets the value of an enumeration from its name in lowercase, which is how it is written in a setup.
+ * @param {Enumeration} enumeration
+ * @param {*} name
+ * @returns {Object|null} - null if it isn't the name of a value
+ */
+const getEnumerationValue = ( enumeration, name ) => {
+  return typeof name === 'string' && enumeration.KEYS.includes( name.toUpperCase() ) ?
+         enumeration[ name.toUpperCase() ] : null;
+};
+
+const OhmsLawSetup = {
+
+  /**
+   * Parses the JSON of a setup. Entries that are missing or invalid are left out, and the voltage and the resistance
+   * are constrained to the values of their sliders.
+   * @public
+   *
+   * @param {string} json
+   * @returns {{
+   *   voltage: number|undefined,
+   *   resistance: number|undefined,
+   *   currentUnit: CurrentUnit|undefined,
+   *   currentDirection: CurrentDirection|undefined,
+   *   power: boolean|undefined,
+   *   solution: boolean|undefined,
+   *   charges: boolean|undefined,
+   *   multimeter: boolean|undefined
+   * }|null} - null if the JSON isn't an object
+   */
+  parse( json ) {
+    let object;
+    try {
+      object = JSON.parse( json );
+    }
+    catch( error ) {
+      return null;
+    }
+    if ( !object || typeof object !== 'object' || Array.isArray( object ) ) {
+      return null;
+    }
+
+    const setup = {};
+    if ( typeof object.v === 'number' && isFinite( object.v ) ) {
+      setup.voltage = OhmsLawConstants.VOLTAGE_RANGE.constrainValue(
+        Utils.toFixedNumber( object.v, OhmsLawConstants.VOLTAGE_SIG_FIGS ) );
+    }
+    if ( typeof object.r === 'number' && isFinite( object.r ) ) {
+      setup.resistance = OhmsLawConstants.RESISTANCE_RANGE.constrainValue(
+        Utils.toFixedNumber( object.r, OhmsLawConstants.RESISTANCE_SIG_FIGS ) );
+    }
+    const currentUnit = getEnumerationValue( CurrentUnit, object.u );
+    if ( currentUnit ) {
+      setup.currentUnit = currentUnit;
+    }
+    const currentDirection = getEnumerationValue( CurrentDirection, object.direction );
+    if ( currentDirection ) {
+      setup.currentDirection = currentDirection;
+    }
+    BOOLEAN_KEYS.forEach( key => {
+      if ( typeof object[ key ] === 'boolean' ) {
+        setup[ key ] = object[ key ];
+      }
+    } );
+    return setup;
+  },
+
+  /**
+   * Writes a setup as compact JSON, see parse.
+   * @public
+   *
+   * @param {Object} setup - with every entry, see parse
+   * @returns {string}
+   */
+  stringify( setup ) {
+    const object = {
+      v: setup.voltage,
+      r: setup.resistance,
+      u: setup.currentUnit.name.toLowerCase(),
+      direction: setup.currentDirection.name.toLowerCase()
+    };
+    BOOLEAN_KEYS.forEach( key => {
+      object[ key ] = setup[ key ];
+    } );
+    return JSON.stringify( object );
+  },
+
+  /**
+   * Gets the setup in the hash of the link that the sim was opened with.
+   * @public
+   *
+   * @returns {Object|null} - null if there is no setup in the hash, see parse
+   */
+  getLinkedSetup() {
+    const hash = window.location.hash;
+    return hash.startsWith( HASH_PREFIX ) ? OhmsLawSetup.parse( decodeURIComponent( hash.slice( HASH_PREFIX.length ) ) ) :
+           null;
+  },
+
+  /**
+   * Creates a link to the sim with a setup in its hash, and with the query parameters that the sim was opened with.
+   * @public
+   *
+   * @param {Object} setup - with every entry, see parse
+   * @returns {string}
+   */
+  createLink( setup ) {
+    const location = window.location;
+    return `${location.origin}${location.pathname}${location.search}${HASH_PREFIX}` +
+           `${encodeURIComponent( OhmsLawSetup.stringify( setup ) )}`;
+  },
+
+  /**
+   * Creates the items of the PhET menu that copy a link to the setup of the screen, and save and load the setup.
+   * @public
+   *
+   * @param {OhmsLawScreen} screen - its view is only used when an item is selected, after the sim is constructed
+   * @returns {Array.<{text:string, callback:function}>}
+   */
+  createPhetMenuItems( screen ) {
+    return [ {
+      text: copySetupLinkString,
+      callback: () => {
+        const link = OhmsLawSetup.createLink( screen.view.getSetup() );
+
+        // where the clipboard can't be written, the link is shown so that it can be copied by hand
+        const showLink = () => window.prompt( copySetupLinkString, link );
+        if ( navigator.clipboard ) {
+          navigator.clipboard.writeText( link ).catch( showLink );
+        }
+        else {
+          showLink();
+        }
+      }
+    }, {
+      text: saveSetupString,
+      callback: () => {
+        const blob = new window.Blob( [ OhmsLawSetup.stringify( screen.view.getSetup() ) ], {
+          type: 'application/json;charset=utf-8'
+        } );
+        if ( !phet.chipper.isFuzzEnabled() ) {
+          window.saveAs( blob, FILE_NAME );
+        }
+      }
+    }, {
+      text: loadSetupString,
+      callback: () => {
+        if ( phet.chipper.isFuzzEnabled() ) {
+          return;
+        }
+
+        // the file dialog of the browser, a file that isn't a setup is ignored
+        const input = document.createElement( 'input' );
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener( 'change', () => {
+          const file = input.files[ 0 ];
+          if ( file ) {
+            const reader = new window.FileReader();
+            reader.addEventListener( 'load', () => {
+              const setup = OhmsLawSetup.parse( reader.result );
+              setup && screen.view.setSetup( setup );
+            } );
+            reader.readAsText( file );
+          }
+        } );
+        input.click();
+      }
+    } ];
+  }
+};
+
+ohmsLaw.register( 'OhmsLawSetup', OhmsLawSetup );
+export default OhmsLawSetup;
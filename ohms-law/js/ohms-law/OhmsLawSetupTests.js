@@ -0,0 +1,69 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for OhmsLawSetup
+ */
+
+import CurrentUnit from './model/CurrentUnit.js';
+import OhmsLawConstants from './OhmsLawConstants.js';
+import OhmsLawSetup from './OhmsLawSetup.js';
+import CurrentDirection from './view/CurrentDirection.js';
+
+QUnit.module( 'OhmsLawSetup' );
+
+QUnit.test( 'parse a setup', assert => {
+  const setup = OhmsLawSetup.parse( '{"v":4.5,"r":500,"u":"microamps","direction":"electron_flow","power":true,' +
+                                    '"solution":false,"charges":true,"multimeter":false}' );
+  assert.deepEqual( setup, {
+    voltage: 4.5,
+    resistance: 500,
+    currentUnit: CurrentUnit.MICROAMPS,
+    currentDirection: CurrentDirection.ELECTRON_FLOW,
+    power: true,
+    solution: false,
+    charges: true,
+    multimeter: false
+  }, 'every entry' );
+
+  assert.deepEqual( OhmsLawSetup.parse( OhmsLawSetup.stringify( setup ) ), setup, 'a setup that was written' );
+  assert.equal( OhmsLawSetup.parse( '{"u":"MilliAmps"}' ).currentUnit, CurrentUnit.MILLIAMPS,
+    'a unit in any case' );
+} );
+
+QUnit.test( 'parse malformed JSON', assert => {
+  [ '', '{', '{"v":4.5,}', 'v=4.5', '<setup/>' ].forEach( json => {
+    assert.equal( OhmsLawSetup.parse( json ), null, `${json} is not a setup` );
+  } );
+  [ 'null', '4.5', '"setup"', 'true', '[4.5,500]' ].forEach( json => {
+    assert.equal( OhmsLawSetup.parse( json ), null, `${json} is not an object` );
+  } );
+} );
+
+QUnit.test( 'parse missing and invalid entries', assert => {
+  assert.deepEqual( OhmsLawSetup.parse( '{}' ), {}, 'a setup without entries changes nothing' );
+  assert.deepEqual( OhmsLawSetup.parse( '{"v":4.5,"x":1}' ), { voltage: 4.5 }, 'missing and unknown entries' );
+  assert.deepEqual( OhmsLawSetup.parse( '{"v":"4.5","r":null,"power":"true","charges":1}' ), {},
+    'entries of the wrong type are left out' );
+  assert.deepEqual( OhmsLawSetup.parse( '{"u":"kiloamps","direction":"sideways"}' ), {},
+    'names that are not values of their enumeration are left out' );
+  assert.deepEqual( OhmsLawSetup.parse( '{"u":"toString","direction":"KEYS"}' ), {},
+    'names of properties that are not values are left out' );
+} );
+
+QUnit.test( 'parse out-of-range values', assert => {
+  const voltageRange = OhmsLawConstants.VOLTAGE_RANGE;
+  const resistanceRange = OhmsLawConstants.RESISTANCE_RANGE;
+  const setup = OhmsLawSetup.parse( JSON.stringify( { v: voltageRange.max + 10, r: resistanceRange.min - 1 } ) );
+  assert.equal( setup.voltage, voltageRange.max, 'the voltage is constrained to its slider' );
+  assert.equal( setup.resistance, resistanceRange.min, 'the resistance is constrained to its slider' );
+
+  const negativeSetup = OhmsLawSetup.parse( JSON.stringify( { v: -5, r: -100 } ) );
+  assert.ok( negativeSetup.voltage === voltageRange.min && negativeSetup.resistance === resistanceRange.min,
+    'negative values are constrained to the minimum' );
+
+  assert.deepEqual( OhmsLawSetup.parse( '{"v":1e999,"r":-1e999}' ), {}, 'infinite values are left out' );
+
+  const roundedSetup = OhmsLawSetup.parse( '{"v":4.56,"r":123.4}' );
+  assert.ok( roundedSetup.voltage === 4.6 && roundedSetup.resistance === 123,
+    'the values are rounded like the values of the sliders' );
+} );
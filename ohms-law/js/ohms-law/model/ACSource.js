@@ -0,0 +1,159 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model of the AC source, which supplies a sinusoidal voltage in place of the batteries while it is enabled. The
+ * circuit is solved with the RMS voltage, so that the readouts, the formula and the power are the RMS values and the
+ * average power. The instantaneous values follow from those by the wave factor, see OhmsLawModel. With a resistor, the
+ * voltage and the current are in phase.
+ *
+ * The phase of the wave is accumulated as time passes instead of computed from the time, so that the wave doesn't jump
+ * when the frequency changes.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Utils from '../../../../dot/js/Utils.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+// constants
+const DEFAULT_PEAK_VOLTAGE_RANGE = new RangeWithValue( 0.5, 12, 6 ); // in volts
+const FREQUENCY_RANGE = new RangeWithValue( 0.1, 2, 0.5 ); // in hertz, slow enough that the charges can be followed
+const STEP_FORWARD_DT = 0.05; // in seconds, how far the time advances each time that it is stepped while paused
+
+// The RMS voltage is the voltage of the circuit, so it has to be in the voltage range of the batteries, which can be
+// set with a query parameter. The peak voltages are rounded into that range to the tenth of a volt.
+const RMS_PEAK_VOLTAGE_RANGE = new Range(
+  Math.ceil( Utils.toFixedNumber( OhmsLawConstants.VOLTAGE_RANGE.min * Math.SQRT2 * 10, 6 ) ) / 10,
+  Math.floor( Utils.toFixedNumber( OhmsLawConstants.VOLTAGE_RANGE.max * Math.SQRT2 * 10, 6 ) ) / 10
+);
+const PEAK_VOLTAGE_LIMITS = DEFAULT_PEAK_VOLTAGE_RANGE.intersects( RMS_PEAK_VOLTAGE_RANGE ) ?
+                            new Range( Math.max( DEFAULT_PEAK_VOLTAGE_RANGE.min, RMS_PEAK_VOLTAGE_RANGE.min ),
+                              Math.min( DEFAULT_PEAK_VOLTAGE_RANGE.max, RMS_PEAK_VOLTAGE_RANGE.max ) ) :
+                            RMS_PEAK_VOLTAGE_RANGE;
+const PEAK_VOLTAGE_RANGE = new RangeWithValue( PEAK_VOLTAGE_LIMITS.min, PEAK_VOLTAGE_LIMITS.max,
+  PEAK_VOLTAGE_LIMITS.constrainValue( DEFAULT_PEAK_VOLTAGE_RANGE.defaultValue ) );
+
+class ACSource {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'enabledProperty' ),
+      phetioDocumentation: 'Whether the voltage is supplied by the AC source instead of the batteries'
+    } );
+
+    // @public - the amplitude of the voltage
+    this.peakVoltageProperty = new NumberProperty( PEAK_VOLTAGE_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'peakVoltageProperty' ),
+      units: 'V',
+      range: PEAK_VOLTAGE_RANGE,
+      phetioDocumentation: 'The peak voltage of the AC source'
+    } );
+
+    // @public
+    this.frequencyProperty = new NumberProperty( FREQUENCY_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'frequencyProperty' ),
+      units: 'Hz',
+      range: FREQUENCY_RANGE,
+      phetioDocumentation: 'The frequency of the AC source'
+    } );
+
+    // @public - whether the time passes, so that the wave can be frozen
+    this.isPlayingProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'isPlayingProperty' ),
+      phetioDocumentation: 'Whether the time of the AC source passes'
+    } );
+
+    // @public (read-only) {Property.<number>} - the phase of the wave, in radians from 0 to 2 * PI
+    this.phaseProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'phaseProperty' ),
+      units: 'radians',
+      phetioReadOnly: true,
+      phetioDocumentation: 'The phase of the voltage of the AC source'
+    } );
+
+    // @public (read-only) {Property.<number>} - how long the source has been running, in seconds. This changes after the
+    // phase, so that the instantaneous values are up to date when it notifies.
+    this.timeProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'timeProperty' ),
+      units: 's',
+      phetioReadOnly: true,
+      phetioDocumentation: 'The time that the AC source has been running'
+    } );
+
+    // @public {Property.<number>} - in volts
+    this.rmsVoltageProperty = new DerivedProperty( [ this.peakVoltageProperty ],
+      peakVoltage => peakVoltage / Math.SQRT2, {
+        tandem: tandem.createTandem( 'rmsVoltageProperty' ),
+        units: 'V',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The RMS voltage of the AC source, which is the voltage of the circuit'
+      } );
+
+    // @public {Property.<number>} - what the RMS values of the circuit are multiplied by for their instantaneous values,
+    // from -sqrt( 2 ) to sqrt( 2 ). This is 1 while the source is disabled, so that the values are steady.
+    this.waveFactorProperty = new DerivedProperty( [ this.enabledProperty, this.phaseProperty ],
+      ( enabled, phase ) => enabled ? Math.SQRT2 * Math.sin( phase ) : 1
+    );
+  }
+
+  /**
+   * Advance the wave while the source is enabled and playing.
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    if ( this.enabledProperty.value && this.isPlayingProperty.value ) {
+      this.advance( dt );
+    }
+  }
+
+  /**
+   * Advance the wave by a fixed time while it is paused, for the step button of the time controls.
+   * @public
+   */
+  stepForward() {
+    if ( this.enabledProperty.value ) {
+      this.advance( STEP_FORWARD_DT );
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} dt - in seconds
+   */
+  advance( dt ) {
+    this.phaseProperty.value = ( this.phaseProperty.value + 2 * Math.PI * this.frequencyProperty.value * dt ) %
+                               ( 2 * Math.PI );
+    this.timeProperty.value = this.timeProperty.value + dt;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+
+    // first, so that a sweep of the oscilloscope starts again from the beginning of the wave
+    this.phaseProperty.reset();
+    this.timeProperty.reset();
+    this.enabledProperty.reset();
+    this.peakVoltageProperty.reset();
+    this.frequencyProperty.reset();
+    this.isPlayingProperty.reset();
+  }
+}
+
+// @public
+ACSource.PEAK_VOLTAGE_RANGE = PEAK_VOLTAGE_RANGE;
+
+ohmsLaw.register( 'ACSource', ACSource );
+export default ACSource;
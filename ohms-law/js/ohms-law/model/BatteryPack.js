@@ -0,0 +1,209 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model of the battery pack, where the voltage is made by discrete cells instead of being set with the slider. Cells
+ * are added and removed one at a time, and any of them can be put in backwards, so that it works against the others.
+ *
+ * In series the voltages of the cells add. In parallel, the pack is treated with Millman's theorem: since all the
+ * cells have the same internal resistance, the pack has the average of their voltages and the internal resistance of
+ * one cell divided by the number of cells. That also holds for cells of different voltages, where current circulates
+ * inside the pack.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Utils from '../../../../dot/js/Utils.js';
+import ObjectLiteralIO from '../../../../tandem/js/types/ObjectLiteralIO.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import CellArrangement from './CellArrangement.js';
+import CellType from './CellType.js';
+
+// constants
+const CUSTOM_VOLTAGE_RANGE = new RangeWithValue( 0.1, 9, 1.2 ); // in volts, the default is a rechargeable cell
+
+// the most cells that fit on the wire in series, like the AA batteries of the slider
+const MAX_CELLS = OhmsLawConstants.MAX_NUMBER_OF_BATTERIES;
+
+// the cells that the pack starts with, which supply the default voltage of the slider
+const INITIAL_NUMBER_OF_CELLS = 3;
+
+class BatteryPack {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'enabledProperty' ),
+      phetioDocumentation: 'Whether the voltage is supplied by the cells of the battery pack instead of the slider'
+    } );
+
+    // @public {ObservableArrayDef.<Object>} - the cells from the negative end of the pack. Each cell is
+    // { cellType: string, reversed: boolean }, with the name of its CellType and whether it is put in backwards.
+    // Cells are replaced rather than changed, so that the array notifies about every change.
+    this.cells = createObservableArray( {
+      tandem: tandem.createTandem( 'cells' ),
+      phetioType: createObservableArray.ObservableArrayIO( ObjectLiteralIO ),
+      phetioDocumentation: 'The cells of the battery pack'
+    } );
+
+    // @public
+    this.arrangementProperty = new EnumerationProperty( CellArrangement, CellArrangement.SERIES, {
+      tandem: tandem.createTandem( 'arrangementProperty' ),
+      phetioDocumentation: 'Whether the cells are connected in series or in parallel'
+    } );
+
+    // @public - the voltage of every custom cell
+    this.customVoltageProperty = new NumberProperty( CUSTOM_VOLTAGE_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'customVoltageProperty' ),
+      units: 'V',
+      range: CUSTOM_VOLTAGE_RANGE,
+      phetioDocumentation: 'The voltage of the custom cells'
+    } );
+
+    // @public (read-only) {Property.<number>} - the voltage of the pack, in volts. This is negative when the reversed
+    // cells win, and it isn't limited to the voltages of the circuit, see OhmsLawModel.
+    this.voltageProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'voltageProperty' ),
+      units: 'V',
+      phetioReadOnly: true,
+      phetioDocumentation: 'The voltage of the battery pack, negative when the reversed cells supply more voltage'
+    } );
+
+    const updateVoltage = () => {
+      const voltages = this.cells.map( cell => this.getCellVoltage( cell ) );
+
+      // the pack is only empty while its cells are replaced, like when PhET-iO state is set
+      this.voltageProperty.value = voltages.length === 0 ? 0 :
+                                   this.arrangementProperty.value === CellArrangement.SERIES ? _.sum( voltages ) :
+                                   _.mean( voltages );
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    this.cells.elementAddedEmitter.addListener( updateVoltage );
+    this.cells.elementRemovedEmitter.addListener( updateVoltage );
+    Property.multilink( [ this.arrangementProperty, this.customVoltageProperty ], updateVoltage );
+
+    this.cells.push( ...createInitialCells() );
+  }
+
+  /**
+   * Get the voltage of a cell in the direction of the pack, in volts.
+   * @public
+   * @param {Object} cell - see this.cells
+   * @returns {number}
+   */
+  getCellVoltage( cell ) {
+    const cellType = CellType[ cell.cellType ];
+    const voltage = cellType === CellType.CUSTOM ? this.customVoltageProperty.value : cellType.voltage;
+    return cell.reversed ? -voltage : voltage;
+  }
+
+  /**
+   * Get the internal resistance of the pack, in ohms.
+   * @public
+   * @param {number} cellInternalResistance - of each cell, in ohms
+   * @returns {number}
+   */
+  getInternalResistance( cellInternalResistance ) {
+    const numberOfCells = this.cells.length;
+    return numberOfCells === 0 ? 0 :
+           this.arrangementProperty.value === CellArrangement.SERIES ? numberOfCells * cellInternalResistance :
+           cellInternalResistance / numberOfCells;
+  }
+
+  /**
+   * Whether the pack drives the current forward, the way the circuit is drawn. It doesn't when the reversed cells
+   * supply as much voltage as the others, or more.
+   * @public
+   * @returns {boolean}
+   */
+  hasForwardVoltage() {
+    return Utils.toFixedNumber( this.voltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS ) > 0;
+  }
+
+  /**
+   * Whether another cell fits in the pack.
+   * @public
+   * @returns {boolean}
+   */
+  canAddCell() {
+    return this.cells.length < MAX_CELLS;
+  }
+
+  /**
+   * Whether a cell can be removed. The pack always has a cell, so that the circuit has a source.
+   * @public
+   * @returns {boolean}
+   */
+  canRemoveCell() {
+    return this.cells.length > 1;
+  }
+
+  /**
+   * Add a cell at the positive end of the pack, the right way round.
+   * @public
+   * @param {CellType} cellType
+   */
+  addCell( cellType ) {
+    assert && assert( this.canAddCell(), 'the pack is full' );
+    this.cells.push( { cellType: cellType.name, reversed: false } );
+  }
+
+  /**
+   * @public
+   * @param {number} index - of the cell, see this.cells
+   */
+  removeCell( index ) {
+    assert && assert( this.canRemoveCell(), 'the pack needs a cell' );
+    assert && assert( index >= 0 && index < this.cells.length, `no cell at ${index}` );
+    this.cells.splice( index, 1 );
+  }
+
+  /**
+   * Put a cell in the right way round or backwards.
+   * @public
+   * @param {number} index - of the cell, see this.cells
+   * @param {boolean} reversed
+   */
+  setCellReversed( index, reversed ) {
+    assert && assert( index >= 0 && index < this.cells.length, `no cell at ${index}` );
+    const cell = this.cells[ index ];
+    if ( cell.reversed !== reversed ) {
+      this.cells.splice( index, 1, { cellType: cell.cellType, reversed: reversed } );
+    }
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.enabledProperty.reset();
+    this.arrangementProperty.reset();
+    this.customVoltageProperty.reset();
+
+    // replaced in one step, so that the pack is never empty
+    this.cells.splice( 0, this.cells.length, ...createInitialCells() );
+  }
+}
+
+/**
+ * Create the cells that the pack starts with, see BatteryPack.cells.
+ * @returns {Object[]}
+ */
+function createInitialCells() {
+  return _.times( INITIAL_NUMBER_OF_CELLS, () => ( { cellType: CellType.AA.name, reversed: false } ) );
+}
+
+// @public
+BatteryPack.MAX_CELLS = MAX_CELLS;
+
+ohmsLaw.register( 'BatteryPack', BatteryPack );
+export default BatteryPack;
@@ -0,0 +1,15 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for how the cells of the battery pack are connected.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// SERIES - one after another along the wire, so that their voltages add
+// PARALLEL - side by side between the same two wires, so that they share the current
+const CellArrangement = Enumeration.byKeys( [ 'SERIES', 'PARALLEL' ] );
+
+ohmsLaw.register( 'CellArrangement', CellArrangement );
+export default CellArrangement;
@@ -0,0 +1,22 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration of the kinds of cells that can be put in the battery pack. A C cell has the same voltage as an AA
+ * cell, it is only bigger, which is drawn as a taller cell.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+const CellType = Enumeration.byMap( {
+  AA: { voltage: OhmsLawConstants.AA_VOLTAGE, heightScale: 1 },
+  C: { voltage: OhmsLawConstants.AA_VOLTAGE, heightScale: 1.3 },
+  NINE_VOLT: { voltage: 9, heightScale: 1.15 },
+
+  // CUSTOM - the voltage is set by the student, see BatteryPack.customVoltageProperty
+  CUSTOM: { voltage: null, heightScale: 1 }
+} );
+
+ohmsLaw.register( 'CellType', CellType );
+export default CellType;
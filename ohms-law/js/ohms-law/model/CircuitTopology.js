@@ -0,0 +1,16 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for how the resistors in the circuit are connected.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// SINGLE - the original circuit, with one resistor
+// SERIES - multiple resistors, one after another on the same wire
+// PARALLEL - multiple resistors, each on its own branch
+const CircuitTopology = Enumeration.byKeys( [ 'SINGLE', 'SERIES', 'PARALLEL' ] );
+
+ohmsLaw.register( 'CircuitTopology', CircuitTopology );
+export default CircuitTopology;
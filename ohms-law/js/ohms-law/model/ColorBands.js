@@ -0,0 +1,60 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration of the color codes that a resistor can be drawn with. A code of 4 bands has 2 digits, and a code of
+ * 5 bands has 3 digits. Either way, the digits are followed by a band for the power of ten that multiplies them and a
+ * band for the tolerance, see IEC 60062.
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// the smallest power of ten that has a band, silver
+const MIN_EXPONENT = -2;
+
+const ColorBands = Enumeration.byMap( {
+
+  // NONE - the original resistor, without a color code
+  NONE: { numberOfBands: 0, tolerance: null },
+
+  // FOUR - 2 digits, with the tolerance of the common resistors, in percent
+  FOUR: { numberOfBands: 4, tolerance: 5 },
+
+  // FIVE - 3 digits, with the tolerance of the precision resistors, in percent
+  FIVE: { numberOfBands: 5, tolerance: 1 }
+}, {
+  beforeFreeze: ColorBands => {
+
+    /**
+     * Get the values of the bands for a resistance. The resistance is rounded to the number of digits of the code.
+     * @param {ColorBands} colorBands - not NONE
+     * @param {number} resistance - in ohms
+     * @returns {{digits: number[], exponent: number, tolerance: number}} - the digits from the first band, the power of
+     * ten that multiplies them, and the tolerance in percent
+     */
+    ColorBands.getBandValues = ( colorBands, resistance ) => {
+      assert && assert( colorBands !== ColorBands.NONE, 'no bands' );
+      assert && assert( resistance > 0, `resistance must be positive: ${resistance}` );
+
+      const numberOfDigits = colorBands.numberOfBands - 2;
+      let exponent = Math.max( Math.floor( Math.log10( resistance ) ) - numberOfDigits + 1, MIN_EXPONENT );
+      let significand = Utils.roundSymmetric( resistance / Math.pow( 10, exponent ) );
+
+      // rounding up can add a digit, like 995 to 100 with 2 digits
+      if ( significand >= Math.pow( 10, numberOfDigits ) ) {
+        exponent++;
+        significand = Utils.roundSymmetric( resistance / Math.pow( 10, exponent ) );
+      }
+
+      return {
+        digits: _.padStart( `${significand}`, numberOfDigits, '0' ).split( '' ).map( Number ),
+        exponent: exponent,
+        tolerance: colorBands.tolerance
+      };
+    };
+  }
+} );
+
+ohmsLaw.register( 'ColorBands', ColorBands );
+export default ColorBands;
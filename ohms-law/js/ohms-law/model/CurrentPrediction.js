@@ -0,0 +1,147 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model of the predict mode, where the current is hidden after a change until the student predicts how it changed,
+ * bigger or smaller and by how much. Revealing the current compares it with the prediction.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import EnumerationIO from '../../../../phet-core/js/EnumerationIO.js';
+import BooleanIO from '../../../../tandem/js/types/BooleanIO.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import PredictedChange from './PredictedChange.js';
+
+// constants
+const FACTOR_RANGE = new Range( 1.5, 10 );
+
+// relative change of the current that doesn't hide it, so that it isn't hidden by the slow drift of the current
+// through resistors that heat up until the drift adds up
+const HIDE_TOLERANCE = 0.01;
+
+// relative change of the current that still counts as the same current, so that a change is noticeable
+const SAME_TOLERANCE = 0.05;
+
+// relative difference between the predicted and the actual factor that still counts as a correct prediction
+const FACTOR_TOLERANCE = 0.25;
+
+class CurrentPrediction {
+
+  /**
+   * @param {Property.<number>} currentProperty - in milliamps
+   * @param {Tandem} tandem
+   */
+  constructor( currentProperty, tandem ) {
+
+    // @private
+    this.currentProperty = currentProperty;
+
+    // @public
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'enabledProperty' ),
+      phetioDocumentation: 'Whether the current is hidden after a change until a prediction of it is made'
+    } );
+
+    // @public (read-only) {Property.<number>} - the current that was last shown, in milliamps
+    this.revealedCurrentProperty = new NumberProperty( currentProperty.value, {
+      tandem: tandem.createTandem( 'revealedCurrentProperty' ),
+      units: 'mA',
+      phetioReadOnly: true,
+      phetioDocumentation: 'The current that was last shown, which the prediction is compared with'
+    } );
+
+    // @public {Property.<boolean>} - whether the representations of the current are hidden
+    this.currentHiddenProperty = new DerivedProperty(
+      [ this.enabledProperty, currentProperty, this.revealedCurrentProperty ],
+      ( enabled, current, revealedCurrent ) =>
+        enabled && Math.abs( current - revealedCurrent ) > HIDE_TOLERANCE * revealedCurrent, {
+        tandem: tandem.createTandem( 'currentHiddenProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( BooleanIO ),
+        phetioDocumentation: 'Whether the current is hidden until a prediction of it is made'
+      } );
+
+    // @public {Property.<PredictedChange|null>} - how the current is predicted to change, null until a choice is made
+    this.predictedChangeProperty = new Property( null, {
+      validValues: [ null, ...PredictedChange.VALUES ],
+      tandem: tandem.createTandem( 'predictedChangeProperty' ),
+      phetioType: Property.PropertyIO( NullableIO( EnumerationIO( PredictedChange ) ) ),
+      phetioDocumentation: 'How the current is predicted to change, null until a prediction is chosen'
+    } );
+
+    // @public - by how much the current is predicted to grow or shrink, as a factor
+    this.predictedFactorProperty = new NumberProperty( 2, {
+      range: FACTOR_RANGE,
+      tandem: tandem.createTandem( 'predictedFactorProperty' ),
+      phetioDocumentation: 'The factor that the current is predicted to grow or shrink by'
+    } );
+
+    // @public (read-only) {Property.<Object|null>} - the comparison of the last prediction with the current that was
+    // revealed, see reveal
+    this.resultProperty = new Property( null );
+
+    // A new prediction starts from the current that is shown. Present for the lifetime of the simulation; no need to
+    // unlink.
+    this.enabledProperty.link( () => {
+      this.revealedCurrentProperty.value = currentProperty.value;
+      this.predictedChangeProperty.reset();
+      this.resultProperty.reset();
+    } );
+  }
+
+  /**
+   * Show the current, and compare it with the prediction.
+   * @public
+   */
+  reveal() {
+    assert && assert( this.currentHiddenProperty.value, 'the current is not hidden' );
+    assert && assert( this.predictedChangeProperty.value, 'no prediction was made' );
+
+    const previousCurrent = this.revealedCurrentProperty.value;
+    const current = this.currentProperty.value;
+    const predictedChange = this.predictedChangeProperty.value;
+    const predictedFactor = this.predictedFactorProperty.value;
+
+    // the factor that the current changed by, infinite if it changed from or to no current at all
+    const factor = Math.max( current, previousCurrent ) / Math.min( current, previousCurrent );
+    const change = Math.abs( current - previousCurrent ) <= SAME_TOLERANCE * Math.max( current, previousCurrent ) ?
+                   PredictedChange.SAME :
+                   current > previousCurrent ? PredictedChange.BIGGER : PredictedChange.SMALLER;
+
+    this.resultProperty.value = {
+      previousCurrent: previousCurrent,
+      current: current,
+      predictedChange: predictedChange,
+      predictedFactor: predictedFactor,
+      change: change,
+      factor: factor,
+      changeCorrect: predictedChange === change,
+      factorCorrect: predictedChange === change &&
+                     ( change === PredictedChange.SAME ||
+                       Math.abs( factor - predictedFactor ) <= FACTOR_TOLERANCE * predictedFactor )
+    };
+
+    this.revealedCurrentProperty.value = current;
+    this.predictedChangeProperty.reset();
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.enabledProperty.reset();
+    this.predictedFactorProperty.reset();
+    this.revealedCurrentProperty.value = this.currentProperty.value;
+    this.predictedChangeProperty.reset();
+    this.resultProperty.reset();
+  }
+}
+
+// @public
+CurrentPrediction.FACTOR_RANGE = FACTOR_RANGE;
+
+ohmsLaw.register( 'CurrentPrediction', CurrentPrediction );
+export default CurrentPrediction;
@@ -0,0 +1,107 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for CurrentPrediction
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import CurrentPrediction from './CurrentPrediction.js';
+import PredictedChange from './PredictedChange.js';
+
+QUnit.module( 'CurrentPrediction' );
+
+QUnit.test( 'currentHiddenProperty', assert => {
+  const currentProperty = new NumberProperty( 100 );
+  const currentPrediction = new CurrentPrediction( currentProperty, Tandem.OPT_OUT );
+
+  currentProperty.value = 200;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'the current is shown while predict mode is off' );
+
+  currentPrediction.enabledProperty.value = true;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'turning predict mode on shows the current that it has' );
+  assert.equal( currentPrediction.revealedCurrentProperty.value, 200, 'a prediction starts from the current' );
+
+  currentProperty.value = 201;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'a change of less than 1% does not hide the current' );
+  currentProperty.value = 210;
+  assert.ok( currentPrediction.currentHiddenProperty.value, 'a bigger change hides the current' );
+  currentProperty.value = 190;
+  assert.ok( currentPrediction.currentHiddenProperty.value, 'a bigger change down hides the current' );
+  currentProperty.value = 200;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'changing back to the revealed current shows it' );
+
+  currentProperty.value = 400;
+  currentPrediction.enabledProperty.value = false;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'turning predict mode off shows the current' );
+} );
+
+QUnit.test( 'reveal', assert => {
+  const currentProperty = new NumberProperty( 100 );
+  const currentPrediction = new CurrentPrediction( currentProperty, Tandem.OPT_OUT );
+  currentPrediction.enabledProperty.value = true;
+
+  currentProperty.value = 300;
+  currentPrediction.predictedChangeProperty.value = PredictedChange.BIGGER;
+  currentPrediction.predictedFactorProperty.value = 3;
+  currentPrediction.reveal();
+  let result = currentPrediction.resultProperty.value;
+  assert.ok( result.change === PredictedChange.BIGGER && result.factor === 3, 'the current tripled' );
+  assert.ok( result.changeCorrect && result.factorCorrect, 'the prediction is correct' );
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'revealing shows the current' );
+  assert.equal( currentPrediction.revealedCurrentProperty.value, 300, 'the next prediction starts from the current' );
+  assert.equal( currentPrediction.predictedChangeProperty.value, null, 'the next prediction is not made yet' );
+
+  currentProperty.value = 150;
+  currentPrediction.predictedChangeProperty.value = PredictedChange.SMALLER;
+  currentPrediction.predictedFactorProperty.value = 4;
+  currentPrediction.reveal();
+  result = currentPrediction.resultProperty.value;
+  assert.ok( result.changeCorrect && !result.factorCorrect, 'smaller is correct, but not by a factor of 4' );
+
+  currentProperty.value = 160;
+  currentPrediction.predictedChangeProperty.value = PredictedChange.BIGGER;
+  currentPrediction.reveal();
+  result = currentPrediction.resultProperty.value;
+  assert.ok( result.change === PredictedChange.BIGGER && result.changeCorrect, 'a change of more than 5% is bigger' );
+
+  currentProperty.value = 165;
+  currentPrediction.predictedChangeProperty.value = PredictedChange.SAME;
+  currentPrediction.reveal();
+  result = currentPrediction.resultProperty.value;
+  assert.ok( result.change === PredictedChange.SAME && result.changeCorrect && result.factorCorrect,
+    'a change of less than 5% is the same' );
+
+  window.assert && assert.throws( () => currentPrediction.reveal(), 'the current is not hidden' );
+} );
+
+QUnit.test( 'reveal with no current', assert => {
+  const currentProperty = new NumberProperty( 0 );
+  const currentPrediction = new CurrentPrediction( currentProperty, Tandem.OPT_OUT );
+  currentPrediction.enabledProperty.value = true;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'no current is shown' );
+
+  currentProperty.value = 1E-6;
+  assert.ok( currentPrediction.currentHiddenProperty.value, 'any change from no current hides it' );
+  currentProperty.value = 0;
+  assert.ok( !currentPrediction.currentHiddenProperty.value, 'no current again is shown' );
+
+  currentProperty.value = 50;
+  currentPrediction.predictedChangeProperty.value = PredictedChange.BIGGER;
+  currentPrediction.reveal();
+  let result = currentPrediction.resultProperty.value;
+  assert.ok( result.change === PredictedChange.BIGGER && result.changeCorrect, 'the current grew from none' );
+  assert.equal( result.factor, Infinity, 'by an infinite factor' );
+  assert.ok( !result.factorCorrect, 'which no factor predicts' );
+
+  currentProperty.value = 0;
+  assert.ok( currentPrediction.currentHiddenProperty.value, 'a change to no current hides it' );
+  currentPrediction.predictedChangeProperty.value = PredictedChange.SMALLER;
+  currentPrediction.reveal();
+  result = currentPrediction.resultProperty.value;
+  assert.ok( result.change === PredictedChange.SMALLER && result.changeCorrect, 'the current shrank to none' );
+  assert.equal( currentPrediction.revealedCurrentProperty.value, 0, 'no current is revealed' );
+
+  currentProperty.value = 1E-6;
+  assert.ok( currentPrediction.currentHiddenProperty.value, 'any change from the revealed current of 0 hides it' );
+} );
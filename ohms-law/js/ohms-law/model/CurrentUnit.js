@@ -1,27 +1,54 @@
 // Copyright 2020, University of Colorado Boulder
 
 /**
- * Enumeration for how what unit to display the current in.
+ * Rich enumeration for what unit to display the current in, each with its SI prefix. AUTO picks the prefix from the
+ * magnitude of the current, see CurrentUnit.getDisplayUnit.
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
 import Enumeration from '../../../../phet-core/js/Enumeration.js';
 import ohmsLaw from '../../ohmsLaw.js';
-import OhmsLawConstants from '../OhmsLawConstants.js';
+import EngineeringNotation from '../EngineeringNotation.js';
+import MetricPrefix from './MetricPrefix.js';
 
-const CurrentUnit = Enumeration.byKeys( [ 'MILLIAMPS', 'AMPS' ], {
+const CurrentUnit = Enumeration.byMap( {
+  MICROAMPS: { prefix: MetricPrefix.MICRO },
+  MILLIAMPS: { prefix: MetricPrefix.MILLI },
+  AMPS: { prefix: MetricPrefix.NONE },
+  AUTO: { prefix: null }
+}, {
   beforeFreeze: currentUnit => {
 
     /**
-     * Get the sig figs for the appropriate unit
+     * Get the unit that a current is displayed in, which is the unit for the magnitude of the current for AUTO.
      * @param {CurrentUnit} enumValue
+     * @param {number} current - in milliamps
+     * @returns {CurrentUnit} - never AUTO
+     */
+    currentUnit.getDisplayUnit = ( enumValue, current ) => {
+      if ( enumValue !== currentUnit.AUTO ) {
+        return enumValue;
+      }
+      const fixedUnits = [ currentUnit.MICROAMPS, currentUnit.MILLIAMPS, currentUnit.AMPS ];
+      const prefix = EngineeringNotation.getPrefix( current / 1000, fixedUnits.map( unit => unit.prefix ) );
+      return _.find( fixedUnits, unit => unit.prefix === prefix );
+    };
+
+    /**
+     * Convert a current to a unit, like 500 for 0.5 milliamps in MICROAMPS.
+     * @param {CurrentUnit} enumValue - not AUTO
+     * @param {number} current - in milliamps
      * @returns {number}
      */
-    currentUnit.getSigFigs = enumValue => {
-      return enumValue === currentUnit.MILLIAMPS ? OhmsLawConstants.CURRENT_MILLIAMPS_SIG_FIGS : OhmsLawConstants.CURRENT_AMPS_SIG_FIGS;
+    currentUnit.convert = ( enumValue, current ) => {
+      assert && assert( enumValue !== currentUnit.AUTO, 'AUTO has no prefix to convert to' );
+
+      // by an exact power of ten, so that a round current stays round
+      const exponent = MetricPrefix.MILLI.exponent - enumValue.prefix.exponent;
+      return exponent >= 0 ? current * Math.pow( 10, exponent ) : current / Math.pow( 10, -exponent );
     };
   }
 } );
 
 ohmsLaw.register( 'CurrentUnit', CurrentUnit );
-export default CurrentUnit;
\ No newline at end of file
+export default CurrentUnit;
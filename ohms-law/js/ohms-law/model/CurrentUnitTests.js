@@ -0,0 +1,33 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for CurrentUnit
+ */
+
+import CurrentUnit from './CurrentUnit.js';
+
+QUnit.module( 'CurrentUnit' );
+
+QUnit.test( 'convert', assert => {
+  assert.equal( CurrentUnit.convert( CurrentUnit.MILLIAMPS, 3 ), 3, 'milliamps are not converted' );
+  assert.equal( CurrentUnit.convert( CurrentUnit.MICROAMPS, 0.5 ), 500, 'milliamps to microamps' );
+  assert.equal( CurrentUnit.convert( CurrentUnit.MICROAMPS, 0.1 ), 100, 'a round current stays round in microamps' );
+  assert.equal( CurrentUnit.convert( CurrentUnit.AMPS, 250 ), 0.25, 'milliamps to amps' );
+  assert.equal( CurrentUnit.convert( CurrentUnit.AMPS, 0.3 ), 0.0003, 'a round current stays round in amps' );
+  assert.equal( CurrentUnit.convert( CurrentUnit.AMPS, 0 ), 0, 'zero' );
+  assert.equal( CurrentUnit.convert( CurrentUnit.MICROAMPS, -0.5 ), -500, 'a negative current' );
+  window.assert && assert.throws( () => CurrentUnit.convert( CurrentUnit.AUTO, 1 ), 'AUTO has no prefix' );
+} );
+
+QUnit.test( 'getDisplayUnit', assert => {
+  assert.equal( CurrentUnit.getDisplayUnit( CurrentUnit.MICROAMPS, 900 ), CurrentUnit.MICROAMPS,
+    'a fixed unit is displayed whatever the current' );
+  assert.equal( CurrentUnit.getDisplayUnit( CurrentUnit.AUTO, 0.5 ), CurrentUnit.MICROAMPS, 'AUTO in microamps' );
+  assert.equal( CurrentUnit.getDisplayUnit( CurrentUnit.AUTO, 0.9996 ), CurrentUnit.MILLIAMPS,
+    'AUTO rounds up to milliamps' );
+  assert.equal( CurrentUnit.getDisplayUnit( CurrentUnit.AUTO, 2500 ), CurrentUnit.AMPS, 'AUTO in amps' );
+  assert.equal( CurrentUnit.getDisplayUnit( CurrentUnit.AUTO, 0 ), CurrentUnit.AMPS,
+    'AUTO for no current is the base unit' );
+  assert.equal( CurrentUnit.getDisplayUnit( CurrentUnit.AUTO, -0.5 ), CurrentUnit.MICROAMPS,
+    'AUTO for a negative current' );
+} );
@@ -0,0 +1,120 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The table of the voltage, resistance and current that the student has recorded, one row per recording, and the line
+ * that fits the current against the voltage of the rows best. With measurement noise, the recorded values scatter
+ * around the values of the circuit like real measurements, so that the resistance can be estimated from the fit.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import Stats from '../../../../dot/js/Stats.js';
+import ObjectLiteralIO from '../../../../tandem/js/types/ObjectLiteralIO.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// constants
+const MAX_ROWS = 8; // so that the table fits beside the formula, above the worked solution
+
+// standard deviation of the measurement noise, relative to the measured value
+const NOISE = 0.03;
+
+class DataTable {
+
+  /**
+   * @param {Property.<number>} voltageProperty - the voltage across the load, in volts
+   * @param {Property.<number>} resistanceProperty - the resistance of the load, V / I, in ohms
+   * @param {Property.<number>} currentProperty - in milliamps
+   * @param {EnumerationProperty.<CurrentUnit>} currentUnitsProperty
+   * @param {Tandem} tandem
+   */
+  constructor( voltageProperty, resistanceProperty, currentProperty, currentUnitsProperty, tandem ) {
+
+    // @private
+    this.voltageProperty = voltageProperty;
+    this.resistanceProperty = resistanceProperty;
+    this.currentProperty = currentProperty;
+    this.currentUnitsProperty = currentUnitsProperty;
+
+    // @public {ObservableArrayDef.<Object>} - the rows in the order they were recorded. Each row is
+    // { voltage: number, resistance: number, current: number, currentUnit: string }, with the voltage in volts, the
+    // resistance in ohms, the current in milliamps, and the name of the CurrentUnit that the current is shown in.
+    this.rows = createObservableArray( {
+      tandem: tandem.createTandem( 'rows' ),
+      phetioType: createObservableArray.ObservableArrayIO( ObjectLiteralIO ),
+      phetioDocumentation: 'The recorded values of the voltage, resistance and current'
+    } );
+
+    // @public {Property.<boolean>} - whether no more rows can be recorded
+    this.fullProperty = new DerivedProperty( [ this.rows.lengthProperty ], length => length >= MAX_ROWS );
+
+    // @public
+    this.noiseEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'noiseEnabledProperty' ),
+      phetioDocumentation: 'Whether the recorded voltage and current have random errors, like real measurements'
+    } );
+
+    // @public (read-only) {Property.<Object|null>} - the line that fits the current against the voltage of the rows
+    // best, see Stats.linearRegression, with the current in milliamps. The slope is in milliamps per volt and the
+    // residuals are in the order of the rows. null while the rows don't have two different voltages.
+    this.fitProperty = new Property( null );
+
+    const updateFit = () => {
+      this.fitProperty.value = Stats.linearRegression(
+        this.rows.map( row => row.voltage ),
+        this.rows.map( row => row.current )
+      );
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    this.rows.elementAddedEmitter.addListener( updateFit );
+    this.rows.elementRemovedEmitter.addListener( updateFit );
+  }
+
+  /**
+   * Add a row with the values of the circuit.
+   * @public
+   */
+  record() {
+    assert && assert( !this.fullProperty.value, 'the table is full' );
+
+    this.rows.push( {
+      voltage: this.measure( this.voltageProperty.value ),
+      resistance: this.resistanceProperty.value,
+      current: this.measure( this.currentProperty.value ),
+      currentUnit: this.currentUnitsProperty.value.name
+    } );
+  }
+
+  /**
+   * Get the value that is recorded for a quantity of the circuit.
+   * @private
+   * @param {number} value
+   * @returns {number}
+   */
+  measure( value ) {
+    return this.noiseEnabledProperty.value ? value * ( 1 + NOISE * dotRandom.nextGaussian() ) : value;
+  }
+
+  /**
+   * @public
+   * @param {Object} row - one of this.rows
+   */
+  deleteRow( row ) {
+    assert && assert( this.rows.includes( row ), 'row is not in the table' );
+    this.rows.remove( row );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.rows.clear();
+    this.noiseEnabledProperty.reset();
+  }
+}
+
+ohmsLaw.register( 'DataTable', DataTable );
+export default DataTable;
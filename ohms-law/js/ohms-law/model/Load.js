@@ -0,0 +1,47 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A load that the batteries drive current through, defined by its current-voltage characteristic. Loads that are not
+ * ohmic are how the sim shows when Ohm's law does and doesn't hold. See LoadType for the loads in the sim.
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+class Load {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {function(voltage:number, temperature:number):number|null} - the current through the device of the load in
+      // milliamps, for the voltage across it in volts and its temperature in degrees Celsius. It must increase with
+      // the voltage. Null for a load that is only the resistors.
+      getDeviceCurrent: null,
+
+      // {boolean} - whether the resistors are in the circuit, in series with the device
+      hasResistors: true
+    }, options );
+
+    assert && assert( options.getDeviceCurrent || options.hasResistors, 'a load needs a device or resistors' );
+
+    // @public (read-only)
+    this.getDeviceCurrent = options.getDeviceCurrent;
+    this.hasResistors = options.hasResistors;
+  }
+
+  /**
+   * Whether the current through this load is proportional to the voltage across it, I = V / R.
+   * @public
+   * @returns {boolean}
+   */
+  isOhmic() {
+    return !this.getDeviceCurrent;
+  }
+}
+
+ohmsLaw.register( 'Load', Load );
+export default Load;
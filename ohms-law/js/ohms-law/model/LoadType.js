@@ -0,0 +1,57 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration of the loads that can be put in the circuit, each with its own current-voltage characteristic.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import Load from './Load.js';
+
+// filament lamp, whose filament heats up and its resistance rises with the current. This is the usual power law fit to
+// the characteristic of a tungsten filament, I = I0 * ( V / V0 ) ^ n.
+const LAMP_EXPONENT = 0.6;
+
+// silicon diode, with the Shockley diode equation I = Is * ( e ^ ( V / ( n * VT ) ) - 1 )
+const DIODE_SATURATION_CURRENT = 1E-9; // in milliamps
+const DIODE_IDEALITY_FACTOR = 1.5;
+const DIODE_THERMAL_VOLTAGE = 0.02585; // in volts, at room temperature
+
+// NTC thermistor, whose resistance falls with temperature, R = R0 * e ^ ( B * ( 1 / T - 1 / T0 ) ) with T in kelvin
+const THERMISTOR_RESISTANCE = 220; // in ohms, at the ambient temperature
+const THERMISTOR_B = 3000; // in kelvin
+const CELSIUS_TO_KELVIN = 273.15;
+
+const LoadType = Enumeration.byMap( {
+
+  // RESISTOR - the original circuit, only the resistors
+  RESISTOR: new Load(),
+
+  // LAMP - a filament lamp in place of the resistors
+  LAMP: new Load( {
+    getDeviceCurrent: voltage => OhmsLawConstants.LAMP_RATED_CURRENT *
+                                 Math.pow( voltage / OhmsLawConstants.LAMP_RATED_VOLTAGE, LAMP_EXPONENT ),
+    hasResistors: false
+  } ),
+
+  // DIODE - a diode in series with the resistors, which limit the current once the diode conducts
+  DIODE: new Load( {
+    getDeviceCurrent: voltage => DIODE_SATURATION_CURRENT *
+                                 ( Math.exp( voltage / ( DIODE_IDEALITY_FACTOR * DIODE_THERMAL_VOLTAGE ) ) - 1 )
+  } ),
+
+  // THERMISTOR - an NTC thermistor in place of the resistors, which heats up like the resistors do
+  THERMISTOR: new Load( {
+    getDeviceCurrent: ( voltage, temperature ) => {
+      const resistance = THERMISTOR_RESISTANCE * Math.exp( THERMISTOR_B * (
+        1 / ( temperature + CELSIUS_TO_KELVIN ) - 1 / ( OhmsLawConstants.AMBIENT_TEMPERATURE + CELSIUS_TO_KELVIN )
+      ) );
+      return 1000 * voltage / resistance;
+    },
+    hasResistors: false
+  } )
+} );
+
+ohmsLaw.register( 'LoadType', LoadType );
+export default LoadType;
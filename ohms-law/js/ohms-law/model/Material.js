@@ -0,0 +1,31 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for the material of a resistance wire. These are alloys that are made into resistance wire, since their
+ * resistivity is high enough for a wire to have a resistance in the range of this sim.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// in ohm square millimeters per meter, so that a length in meters and an area in square millimeters give ohms
+const RESISTIVITIES = {
+  CONSTANTAN: 0.49,
+  NICHROME: 1.10,
+  KANTHAL: 1.45
+};
+
+const Material = Enumeration.byKeys( [ 'CONSTANTAN', 'NICHROME', 'KANTHAL' ], {
+  beforeFreeze: material => {
+
+    /**
+     * Get the resistivity of the material
+     * @param {Material} enumValue
+     * @returns {number} - in ohm square millimeters per meter
+     */
+    material.getResistivity = enumValue => RESISTIVITIES[ enumValue.name ];
+  }
+} );
+
+ohmsLaw.register( 'Material', Material );
+export default Material;
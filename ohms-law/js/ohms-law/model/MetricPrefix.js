@@ -0,0 +1,19 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration of the SI prefixes that the values of this sim are displayed with, each with the power of ten that
+ * it stands for. The symbols and names of the units with a prefix are strings of the view.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+const MetricPrefix = Enumeration.byMap( {
+  MICRO: { exponent: -6 },
+  MILLI: { exponent: -3 },
+  NONE: { exponent: 0 },
+  KILO: { exponent: 3 }
+} );
+
+ohmsLaw.register( 'MetricPrefix', MetricPrefix );
+export default MetricPrefix;
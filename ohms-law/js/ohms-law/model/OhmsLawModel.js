@@ -10,23 +10,46 @@ import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
+import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import Animation from '../../../../twixt/js/Animation.js';
+import Easing from '../../../../twixt/js/Easing.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawQueryParameters from '../../ohmsLawQueryParameters.js';
+import EngineeringNotation from '../EngineeringNotation.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
+import ACSource from './ACSource.js';
+import BatteryPack from './BatteryPack.js';
+import CircuitTopology from './CircuitTopology.js';
+import CurrentPrediction from './CurrentPrediction.js';
 import CurrentUnit from './CurrentUnit.js';
+import DataTable from './DataTable.js';
+import LoadType from './LoadType.js';
+import PowerUnit from './PowerUnit.js';
+import ResistanceMode from './ResistanceMode.js';
+import ResistanceUnit from './ResistanceUnit.js';
+import ResistanceWire from './ResistanceWire.js';
+import SolveFor from './SolveFor.js';
+import UndoHistory from './UndoHistory.js';
+
+// constants
+const LOAD_CURRENT_ITERATIONS = 50; // each bisection halves the error in the current of a load that isn't ohmic
+const RESET_ANIMATION_DURATION = 0.6; // in seconds
 
 class OhmsLawModel {
   /**
    */
   constructor( tandem ) {
 
-    // @public {Property.<number>} in volts
+    // @public {Property.<number>} in volts. This is only below the voltage range while the battery pack is backwards,
+    // see below.
     this.voltageProperty = new NumberProperty( OhmsLawConstants.VOLTAGE_RANGE.getDefaultValue(), {
       tandem: tandem.createTandem( 'voltageProperty' ),
       units: 'V',
-      range: OhmsLawConstants.VOLTAGE_RANGE,
+      range: new Range( 0, OhmsLawConstants.VOLTAGE_RANGE.max ),
       phetioDocumentation: 'The voltage in the circuit'
     } );
 
@@ -38,10 +61,125 @@ class OhmsLawModel {
       phetioDocumentation: 'The resistance in the circuit'
     } );
 
-    // @public {Property.<number>} create a derived property that tracks the current in milli amps
+    // @public {EnumerationProperty.<CircuitTopology>} - how the resistors in the circuit are connected
+    this.circuitTopologyProperty = new EnumerationProperty( CircuitTopology, CircuitTopology.SINGLE, {
+      tandem: tandem.createTandem( 'circuitTopologyProperty' ),
+      phetioDocumentation: 'Whether the circuit has a single resistor, or multiple resistors in series or in parallel'
+    } );
+
+    // @public {Property.<number>} - the number of resistors in the circuit when they are in series or in parallel
+    this.numberOfResistorsProperty = new NumberProperty( OhmsLawConstants.NUMBER_OF_RESISTORS_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'numberOfResistorsProperty' ),
+      numberType: 'Integer',
+      range: OhmsLawConstants.NUMBER_OF_RESISTORS_RANGE,
+      phetioDocumentation: 'The number of resistors in the circuit when they are in series or in parallel'
+    } );
+
+    // @public {Property.<number>[]} - resistance of each resistor in the circuit, in Ohms. The first is the
+    // resistanceProperty, which is the only one used when the circuit has a single resistor.
+    this.resistanceProperties = [ this.resistanceProperty ];
+    for ( let i = 1; i < OhmsLawConstants.NUMBER_OF_RESISTORS_RANGE.max; i++ ) {
+      this.resistanceProperties.push( new NumberProperty( OhmsLawConstants.RESISTANCE_RANGE.getDefaultValue(), {
+        tandem: tandem.createTandem( `resistance${i + 1}Property` ),
+        units: '\u2126', // ohms
+        range: OhmsLawConstants.RESISTANCE_RANGE,
+        phetioDocumentation: `The resistance of resistor ${i + 1}, used when the resistors are in series or in parallel`
+      } ) );
+    }
+
+    // @public {EnumerationProperty.<SolveFor>} - which quantity of Ohm's law is the unknown. When solving for voltage
+    // or resistance, the current is locked and the unknown follows the other quantity.
+    this.solveForProperty = new EnumerationProperty( SolveFor, SolveFor.CURRENT, {
+      tandem: tandem.createTandem( 'solveForProperty' ),
+      phetioDocumentation: 'The quantity that is the unknown in Ohm\'s law. When solving for voltage or resistance, ' +
+                           'the current is locked.'
+    } );
+
+    // @public {EnumerationProperty.<LoadType>} - what the batteries drive current through
+    this.loadTypeProperty = new EnumerationProperty( LoadType, LoadType.RESISTOR, {
+      tandem: tandem.createTandem( 'loadTypeProperty' ),
+      phetioDocumentation: 'The load in the circuit, either the resistors or a device that may not obey Ohm\'s law'
+    } );
+
+    // @public {Property.<number>} - the internal resistance of each battery, in Ohms. Zero for ideal batteries.
+    this.internalResistanceProperty = new NumberProperty( OhmsLawConstants.INTERNAL_RESISTANCE_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'internalResistanceProperty' ),
+      units: '\u2126', // ohms
+      range: OhmsLawConstants.INTERNAL_RESISTANCE_RANGE,
+      phetioDocumentation: 'The internal resistance of each battery. The batteries are treated as ideal while solving ' +
+                           'for voltage or resistance.'
+    } );
+
+    // @public - the cells that supply the voltage in place of the slider, while it is enabled
+    this.batteryPack = new BatteryPack( tandem.createTandem( 'batteryPack' ) );
+
+    // @public - the sinusoidal voltage that is supplied in place of the batteries, while it is enabled
+    this.acSource = new ACSource( tandem.createTandem( 'acSource' ) );
+
+    // @public {Property.<number>} - the internal resistance of all of the batteries together, in Ohms. The rearranged
+    // equations are for ideal batteries, so this is zero unless solving for current. The AC source is ideal.
+    this.totalInternalResistanceProperty = new DerivedProperty(
+      [ this.voltageProperty, this.internalResistanceProperty, this.solveForProperty, this.acSource.enabledProperty,
+        this.batteryPack.enabledProperty, this.batteryPack.cells.lengthProperty, this.batteryPack.arrangementProperty ],
+      ( voltage, internalResistance, solveFor, acSourceEnabled, batteryPackEnabled ) =>
+        solveFor !== SolveFor.CURRENT || acSourceEnabled ? 0 :
+        batteryPackEnabled ? this.batteryPack.getInternalResistance( internalResistance ) :
+        getNumberOfBatteries( voltage ) * internalResistance, {
+        tandem: tandem.createTandem( 'totalInternalResistanceProperty' ),
+        units: '\u2126', // ohms
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The internal resistance of all of the batteries together'
+      } );
+
+    // @public {BooleanProperty} - whether the resistors heat up from the power dissipated in them
+    this.heatingEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'heatingEnabledProperty' ),
+      phetioDocumentation: 'Whether the resistors heat up from the power dissipated in them, which raises their ' +
+                           'resistance'
+    } );
+
+    // @public (read-only) {Property.<number>} - the temperature of the resistors, in degrees Celsius. The resistors are
+    // treated as one body that dissipates all of the power, so they all have the same temperature.
+    this.temperatureProperty = new NumberProperty( OhmsLawConstants.AMBIENT_TEMPERATURE, {
+      tandem: tandem.createTandem( 'temperatureProperty' ),
+      units: '\u00B0C', // degrees Celsius
+      range: OhmsLawConstants.TEMPERATURE_RANGE,
+      phetioReadOnly: true,
+      phetioDocumentation: 'The temperature of the resistors'
+    } );
+
+    // @public {Property.<number>} - how much the temperature multiplies the resistance of every resistor, relative to
+    // the resistance at the ambient temperature. Like the internal resistance, this only applies when solving for
+    // current, since the rearranged equations are for the resistance set by the student.
+    this.temperatureFactorProperty = new DerivedProperty( [ this.temperatureProperty, this.solveForProperty ],
+      ( temperature, solveFor ) => solveFor === SolveFor.CURRENT ? computeTemperatureFactor( temperature ) : 1
+    );
+
+    // @public {Property.<number>} - the resistance of the single resistor that would draw the same current as all of
+    // the resistors in the circuit, in Ohms
+    this.equivalentResistanceProperty = new DerivedProperty(
+      [ this.circuitTopologyProperty, this.numberOfResistorsProperty, this.temperatureFactorProperty,
+        ...this.resistanceProperties ],
+      ( topology, numberOfResistors, temperatureFactor, ...resistances ) => temperatureFactor * computeEquivalentResistance(
+        topology, resistances.slice( 0, getNumberOfActiveResistors( topology, numberOfResistors ) )
+      ), {
+        tandem: tandem.createTandem( 'equivalentResistanceProperty' ),
+        units: '\u2126', // ohms
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The equivalent resistance of all resistors in the circuit'
+      } );
+
+    // @public {Property.<number>} create a derived property that tracks the current in milli amps. The internal
+    // resistance of the batteries is in series with the load.
     this.currentProperty = new DerivedProperty(
-      [ this.voltageProperty, this.resistanceProperty ],
-      computeCurrent, {
+      [ this.voltageProperty, this.equivalentResistanceProperty, this.totalInternalResistanceProperty,
+        this.loadTypeProperty, this.temperatureProperty ],
+      ( voltage, equivalentResistance, totalInternalResistance, loadType, temperature ) => computeLoadCurrent(
+        loadType,
+        voltage,
+        totalInternalResistance + ( loadType.hasResistors ? equivalentResistance : 0 ),
+        temperature
+      ), {
         tandem: tandem.createTandem( 'currentProperty' ),
         units: 'mA',
         phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
@@ -49,14 +187,371 @@ class OhmsLawModel {
       }
     );
 
-    // @public
-    this.currentUnitsProperty = new EnumerationProperty( CurrentUnit, CurrentUnit.MILLIAMPS, {
+    // @public (read-only) {Property.<number>} - in milliamps, the current that is held constant while solving for
+    // voltage or resistance
+    this.lockedCurrentProperty = new NumberProperty( this.currentProperty.value, {
+      tandem: tandem.createTandem( 'lockedCurrentProperty' ),
+      units: 'mA',
+      phetioReadOnly: true,
+      phetioDocumentation: 'The current that is held constant while solving for voltage or resistance'
+    } );
+
+    // Lock the current when it is no longer the unknown. The rearranged equations are only solved for the circuit with
+    // a single resistor. This is linked before the enabled ranges below are created, so that they are computed with
+    // the newly locked current. Present for the lifetime of the sim; no need to unlink.
+    this.solveForProperty.link( solveFor => {
+      if ( solveFor !== SolveFor.CURRENT ) {
+        this.circuitTopologyProperty.value = CircuitTopology.SINGLE;
+        this.lockedCurrentProperty.value = this.currentProperty.value;
+      }
+    } );
+    this.circuitTopologyProperty.link( topology => {
+      if ( topology !== CircuitTopology.SINGLE ) {
+        this.solveForProperty.value = SolveFor.CURRENT;
+      }
+    } );
+
+    // @public {EnumerationProperty.<ResistanceMode>} - whether the resistance is set directly, or follows from the
+    // material and dimensions of a wire
+    this.resistanceModeProperty = new EnumerationProperty( ResistanceMode, ResistanceMode.VALUE, {
+      tandem: tandem.createTandem( 'resistanceModeProperty' ),
+      phetioDocumentation: 'Whether the resistance is set directly, or by the material, length and area of a wire'
+    } );
+
+    // @public {ResistanceWire} - the resistor as a wire, which sets the resistance in the WIRE mode
+    this.resistanceWire = new ResistanceWire( tandem.createTandem( 'resistanceWire' ) );
+
+    // The wire is a single resistor that sets the resistance, so the current is the unknown. The resistance of the wire
+    // is only outside of the range of the resistance for a narrow range, see ResistanceWire.getLengthRange. Present for
+    // the lifetime of the sim; no need to unlink.
+    Property.multilink( [ this.resistanceModeProperty, this.resistanceWire.resistanceProperty ],
+      ( resistanceMode, wireResistance ) => {
+        if ( resistanceMode === ResistanceMode.WIRE ) {
+          this.circuitTopologyProperty.value = CircuitTopology.SINGLE;
+          this.solveForProperty.value = SolveFor.CURRENT;
+          this.resistanceProperty.value = OhmsLawConstants.RESISTANCE_RANGE.constrainValue( wireResistance );
+        }
+      } );
+    Property.multilink( [ this.circuitTopologyProperty, this.solveForProperty ], ( topology, solveFor ) => {
+      if ( topology !== CircuitTopology.SINGLE || solveFor !== SolveFor.CURRENT ) {
+        this.resistanceModeProperty.value = ResistanceMode.VALUE;
+      }
+    } );
+
+    // A device is only put in the circuit with a single resistor, and the current is the unknown since the rearranged
+    // equations don't hold for it. Only resistors that are in the circuit can be made from a wire. Present for the
+    // lifetime of the sim; no need to unlink.
+    this.loadTypeProperty.link( loadType => {
+      if ( loadType !== LoadType.RESISTOR ) {
+        this.circuitTopologyProperty.value = CircuitTopology.SINGLE;
+        this.solveForProperty.value = SolveFor.CURRENT;
+        if ( !loadType.hasResistors ) {
+          this.resistanceModeProperty.value = ResistanceMode.VALUE;
+        }
+      }
+
+      // the thermistor only departs from Ohm's law as it heats up
+      if ( loadType === LoadType.THERMISTOR ) {
+        this.heatingEnabledProperty.value = true;
+      }
+    } );
+    // The battery pack sets the voltage, so the current is the unknown while it is used. Present for the lifetime of
+    // the sim; no need to unlink.
+    this.batteryPack.enabledProperty.link( batteryPackEnabled => {
+      if ( batteryPackEnabled ) {
+        this.solveForProperty.value = SolveFor.CURRENT;
+      }
+    } );
+    this.solveForProperty.link( solveFor => {
+      if ( solveFor !== SolveFor.CURRENT ) {
+        this.batteryPack.enabledProperty.value = false;
+      }
+    } );
+
+    // The voltage of the pack is limited to the voltages that the circuit has, see BatteryPackAccordionBox for the
+    // warning when it is out of range. A pack that is backwards would drive the current the other way around the
+    // circuit, which isn't shown, so the circuit gets no voltage from it instead. Present for the lifetime of the sim;
+    // no need to unlink.
+    Property.multilink( [ this.batteryPack.enabledProperty, this.batteryPack.voltageProperty ],
+      ( batteryPackEnabled, batteryPackVoltage ) => {
+        if ( batteryPackEnabled ) {
+          this.voltageProperty.value = this.batteryPack.hasForwardVoltage() ?
+                                       OhmsLawConstants.VOLTAGE_RANGE.constrainValue( batteryPackVoltage ) : 0;
+        }
+      } );
+
+    // The AC source takes the place of the batteries and of the battery pack. Its current is only in phase with the
+    // voltage for a resistor, so the load is a resistor, and the current is the unknown. Present for the lifetime of
+    // the sim; no need to unlink. The AC source isn't turned off again while the circuit is changed for it, since
+    // the circuit is only ready for it once all of the changes are made.
+    let enablingACSource = false;
+    this.acSource.enabledProperty.link( acSourceEnabled => {
+      if ( acSourceEnabled ) {
+        enablingACSource = true;
+        this.batteryPack.enabledProperty.value = false;
+        this.solveForProperty.value = SolveFor.CURRENT;
+        this.loadTypeProperty.value = LoadType.RESISTOR;
+        enablingACSource = false;
+      }
+    } );
+    Property.multilink( [ this.solveForProperty, this.loadTypeProperty, this.batteryPack.enabledProperty ],
+      ( solveFor, loadType, batteryPackEnabled ) => {
+        if ( !enablingACSource &&
+             ( solveFor !== SolveFor.CURRENT || loadType !== LoadType.RESISTOR || batteryPackEnabled ) ) {
+          this.acSource.enabledProperty.value = false;
+        }
+      } );
+
+    // The circuit is solved with the RMS voltage of the AC source, which is always in the voltage range. Present for
+    // the lifetime of the sim; no need to unlink.
+    Property.multilink( [ this.acSource.enabledProperty, this.acSource.rmsVoltageProperty ],
+      ( acSourceEnabled, rmsVoltage ) => {
+        if ( acSourceEnabled ) {
+          this.voltageProperty.value = rmsVoltage;
+        }
+      } );
+
+    Property.multilink( [ this.circuitTopologyProperty, this.solveForProperty, this.resistanceModeProperty ],
+      ( topology, solveFor, resistanceMode ) => {
+        if ( topology !== CircuitTopology.SINGLE || solveFor !== SolveFor.CURRENT ||
+             ( resistanceMode === ResistanceMode.WIRE && !this.loadTypeProperty.value.hasResistors ) ) {
+          this.loadTypeProperty.value = LoadType.RESISTOR;
+        }
+      } );
+
+    // @public {Property.<Range>} - the values that the voltage can be set to, which are limited while solving for
+    // resistance so that the resistance stays in its range
+    this.voltageEnabledRangeProperty = new DerivedProperty( [ this.solveForProperty, this.lockedCurrentProperty ],
+      ( solveFor, lockedCurrent ) => solveFor === SolveFor.RESISTANCE ?
+                                     getLockedVoltageRange( lockedCurrent ) :
+                                     OhmsLawConstants.VOLTAGE_RANGE
+    );
+
+    // @public {Property.<Range>} - the values that the resistance can be set to, which are limited while solving for
+    // voltage so that the voltage stays in its range
+    this.resistanceEnabledRangeProperty = new DerivedProperty( [ this.solveForProperty, this.lockedCurrentProperty ],
+      ( solveFor, lockedCurrent ) => solveFor === SolveFor.VOLTAGE ?
+                                     getLockedResistanceRange( lockedCurrent ) :
+                                     OhmsLawConstants.RESISTANCE_RANGE
+    );
+
+    // While the current is locked, the unknown follows the quantity that is set, V = I * R or R = V / I. The values
+    // are constrained in case of rounding errors at the ends of the enabled ranges. Present for the lifetime of the
+    // sim; no need to unlink.
+    this.resistanceProperty.lazyLink( resistance => {
+      if ( this.solveForProperty.value === SolveFor.VOLTAGE ) {
+        this.voltageProperty.value = OhmsLawConstants.VOLTAGE_RANGE.constrainValue(
+          this.lockedCurrentProperty.value * resistance / 1000
+        );
+      }
+    } );
+    this.voltageProperty.lazyLink( voltage => {
+      if ( this.solveForProperty.value === SolveFor.RESISTANCE ) {
+        this.resistanceProperty.value = OhmsLawConstants.RESISTANCE_RANGE.constrainValue(
+          1000 * voltage / this.lockedCurrentProperty.value
+        );
+      }
+    } );
+
+    // @public {Property.<number>} - the voltage that is lost across the internal resistance of the batteries, in volts
+    this.lostVoltageProperty = new DerivedProperty(
+      [ this.currentProperty, this.totalInternalResistanceProperty ],
+      ( current, totalInternalResistance ) => current * totalInternalResistance / 1000, {
+        tandem: tandem.createTandem( 'lostVoltageProperty' ),
+        units: 'V',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The voltage lost across the internal resistance of the batteries'
+      } );
+
+    // @public {Property.<number>} - the voltage across the terminals of the batteries, which is the voltage across the
+    // resistors. The voltageProperty is the EMF of the batteries.
+    this.terminalVoltageProperty = new DerivedProperty(
+      [ this.voltageProperty, this.lostVoltageProperty ],
+      ( voltage, lostVoltage ) => voltage - lostVoltage, {
+        tandem: tandem.createTandem( 'terminalVoltageProperty' ),
+        units: 'V',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The voltage across the terminals of the batteries'
+      } );
+
+    // @public {Property.<number>} - the resistance of the load as seen from the terminals of the batteries, V / I, in
+    // Ohms. This is the equivalent resistance of the resistors, but changes with the voltage for a load that is not
+    // ohmic. It is infinite when no current flows.
+    this.loadResistanceProperty = new DerivedProperty(
+      [ this.loadTypeProperty, this.equivalentResistanceProperty, this.terminalVoltageProperty, this.currentProperty ],
+      ( loadType, equivalentResistance, terminalVoltage, current ) => loadType.isOhmic() ?
+                                                                      equivalentResistance :
+                                                                      1000 * terminalVoltage / current, {
+        tandem: tandem.createTandem( 'loadResistanceProperty' ),
+        units: '\u2126', // ohms
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The resistance of the load, which is the voltage across it divided by the current'
+      } );
+
+    // @public {Property.<number>} create a derived property that tracks the power dissipated in the resistor in milli watts
+    this.powerProperty = new DerivedProperty(
+      [ this.terminalVoltageProperty, this.currentProperty ],
+      computePower, {
+        tandem: tandem.createTandem( 'powerProperty' ),
+        units: 'mW',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The power dissipated by the resistor in the circuit'
+      }
+    );
+
+    // @public {Property.<number>} - the voltage of the source at this instant, in volts. This is the voltage of the
+    // batteries unless the AC source is enabled, when the voltageProperty is its RMS voltage.
+    this.instantaneousVoltageProperty = new DerivedProperty(
+      [ this.voltageProperty, this.acSource.waveFactorProperty ],
+      ( voltage, waveFactor ) => voltage * waveFactor, {
+        tandem: tandem.createTandem( 'instantaneousVoltageProperty' ),
+        units: 'V',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The voltage of the source at this instant, which changes with time for the AC source'
+      } );
+
+    // @public {Property.<number>} - the current at this instant, in milliamps, see instantaneousVoltageProperty
+    this.instantaneousCurrentProperty = new DerivedProperty(
+      [ this.currentProperty, this.acSource.waveFactorProperty ],
+      ( current, waveFactor ) => current * waveFactor, {
+        tandem: tandem.createTandem( 'instantaneousCurrentProperty' ),
+        units: 'mA',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The current at this instant, which changes with time for the AC source'
+      } );
+
+    // @public {Property.<number>[]} - the current through each resistor in milli amps, zero for resistors that are not
+    // in the circuit
+    this.resistorCurrentProperties = [];
+
+    // @public {Property.<number>[]} - the voltage drop across each resistor in volts, zero for resistors that are not
+    // in the circuit
+    this.resistorVoltageProperties = [];
+
+    this.resistanceProperties.forEach( ( resistanceProperty, index ) => {
+      const resistorTandem = tandem.createTandem( `resistor${index + 1}` );
+      const resistorDependencies = [ this.terminalVoltageProperty, this.currentProperty, this.circuitTopologyProperty,
+        this.numberOfResistorsProperty, resistanceProperty, this.temperatureFactorProperty, this.loadTypeProperty ];
+
+      this.resistorCurrentProperties.push( new DerivedProperty( resistorDependencies,
+        ( voltage, current, topology, numberOfResistors, resistance, temperatureFactor, loadType ) => {
+          if ( !loadType.hasResistors || index >= getNumberOfActiveResistors( topology, numberOfResistors ) ) {
+            return 0;
+          }
+
+          // every branch of a parallel circuit sees the full terminal voltage, otherwise all of the current flows through
+          // each resistor
+          return topology === CircuitTopology.PARALLEL ? computeCurrent( voltage, temperatureFactor * resistance ) : current;
+        }, {
+          tandem: resistorTandem.createTandem( 'currentProperty' ),
+          units: 'mA',
+          phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+          phetioDocumentation: `The current flowing through resistor ${index + 1}`
+        } ) );
+
+      this.resistorVoltageProperties.push( new DerivedProperty( resistorDependencies,
+        ( voltage, current, topology, numberOfResistors, resistance, temperatureFactor, loadType ) => {
+          if ( !loadType.hasResistors || index >= getNumberOfActiveResistors( topology, numberOfResistors ) ) {
+            return 0;
+          }
+
+          // the voltage is shared between resistors in series, and with a device in series, V = I * R
+          return topology === CircuitTopology.PARALLEL ? voltage : current * temperatureFactor * resistance / 1000;
+        }, {
+          tandem: resistorTandem.createTandem( 'voltageProperty' ),
+          units: 'V',
+          phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+          phetioDocumentation: `The voltage drop across resistor ${index + 1}`
+        } ) );
+    } );
+
+    // @public {Property.<number[]>} - the potentials of the wires that connect the elements of the circuit, in volts,
+    // relative to the negative terminal of the batteries. The first wire leaves the negative terminal, and the elements
+    // follow in order: the resistors by index, then a device in series with them. The last wire leads to the positive
+    // terminal. Resistors in parallel are all between the first and the last wire.
+    this.wirePotentialsProperty = new DerivedProperty( [
+      this.terminalVoltageProperty,
+      this.circuitTopologyProperty,
+      this.numberOfResistorsProperty,
+      this.loadTypeProperty,
+      ...this.resistorVoltageProperties
+    ], ( terminalVoltage, topology, numberOfResistors, loadType, ...resistorVoltages ) => {
+      const potentials = [ 0 ];
+
+      // each resistor in series raises the potential, and the last element in series is up to the terminal voltage
+      if ( loadType.hasResistors && topology !== CircuitTopology.PARALLEL ) {
+        const numberOfSeriesResistors = getNumberOfActiveResistors( topology, numberOfResistors );
+        const numberOfRaises = loadType === LoadType.DIODE ? numberOfSeriesResistors : numberOfSeriesResistors - 1;
+        for ( let i = 0; i < numberOfRaises; i++ ) {
+          potentials.push( potentials[ i ] + resistorVoltages[ i ] );
+        }
+      }
+      potentials.push( terminalVoltage );
+      return potentials;
+    }, {
+      tandem: tandem.createTandem( 'wirePotentialsProperty' ),
+      units: 'V',
+      phetioType: DerivedProperty.DerivedPropertyIO( ArrayIO( NumberIO ) ),
+      phetioDocumentation: 'The potentials of the wires between the elements of the circuit, from the negative ' +
+                           'terminal of the batteries to the positive terminal'
+    } );
+
+    // @public - the initial unit can be set with a query parameter
+    const initialCurrentUnit = CurrentUnit[ ohmsLawQueryParameters.currentUnits.toUpperCase() ];
+    this.currentUnitsProperty = new EnumerationProperty( CurrentUnit, initialCurrentUnit, {
       tandem: tandem.createTandem( 'currentUnitsProperty' ),
       phetioDocumentation: 'Determines the displayed unit for the current'
     } );
 
+    // @public - the predict mode, which hides the current until its change is predicted
+    this.currentPrediction = new CurrentPrediction( this.currentProperty, tandem.createTandem( 'currentPrediction' ) );
+
+    // @public - the values that are recorded for the data table, the voltage across the load and its resistance so that
+    // the recorded resistance is the recorded voltage over the recorded current, like the slope of the fit
+    this.dataTable = new DataTable( this.terminalVoltageProperty, this.loadResistanceProperty, this.currentProperty,
+      this.currentUnitsProperty, tandem.createTandem( 'dataTable' ) );
+
     // @public (read-only) {BooleanProperty} - true when a reset is in progress, false otherwise
     this.resetInProgressProperty = new BooleanProperty( false );
+
+    // @private {Animation|null} - the animation of the values of the sliders back to their initial values, while a reset
+    // is animated, see animateReset
+    this.resetAnimation = null;
+
+    // @public (read-only) - the changes of the sliders and Reset All, which can be undone and redone. It isn't reset, so
+    // that Reset All can be undone.
+    this.undoHistory = new UndoHistory();
+
+    // Resistors that are no longer heated are back at the ambient temperature. Present for the lifetime of the sim; no
+    // need to unlink.
+    this.heatingEnabledProperty.lazyLink( heatingEnabled => {
+      if ( !heatingEnabled ) {
+        this.temperatureProperty.reset();
+      }
+    } );
+  }
+
+  /**
+   * Steps the AC source and the thermal model of the resistors. The resistors are heated by the power dissipated in
+   * them and lose heat to their surroundings in proportion to how much hotter they are than the ambient temperature, so
+   * they approach the temperature where the two balance. The power is treated as constant over the time step, which
+   * makes the exponential approach exact and stable for any dt. With the AC source, they are heated by the average
+   * power, which is the power of the RMS values.
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    this.acSource.step( dt );
+
+    if ( this.heatingEnabledProperty.value ) {
+      const power = this.powerProperty.value / 1000; // in watts
+      const steadyTemperature = OhmsLawConstants.AMBIENT_TEMPERATURE + power / OhmsLawConstants.THERMAL_CONDUCTANCE;
+      const decay = Math.exp( -dt * OhmsLawConstants.THERMAL_CONDUCTANCE / OhmsLawConstants.HEAT_CAPACITY );
+
+      this.temperatureProperty.value = OhmsLawConstants.TEMPERATURE_RANGE.constrainValue(
+        steadyTemperature + ( this.temperatureProperty.value - steadyTemperature ) * decay
+      );
+    }
   }
 
 
@@ -66,11 +561,197 @@ class OhmsLawModel {
    */
   reset() {
     this.resetInProgressProperty.set( true );
+
+    // first, so that the unknown, the wire, the battery pack and the AC source don't set the other quantities as they
+    // are reset
+    this.solveForProperty.reset();
+    this.lockedCurrentProperty.reset();
+    this.loadTypeProperty.reset();
+    this.resistanceModeProperty.reset();
+    this.resistanceWire.reset();
+    this.batteryPack.reset();
+    this.acSource.reset();
     this.voltageProperty.reset();
-    this.resistanceProperty.reset();
+    this.internalResistanceProperty.reset();
+    this.heatingEnabledProperty.reset();
+    this.temperatureProperty.reset();
+    this.resistanceProperties.forEach( resistanceProperty => resistanceProperty.reset() );
+    this.circuitTopologyProperty.reset();
+    this.numberOfResistorsProperty.reset();
+    this.dataTable.reset();
+
+    // last, so that the current that is shown is the one after the reset
+    this.currentPrediction.reset();
     this.resetInProgressProperty.set( false );
   }
 
+  /**
+   * Resets the model like reset, but the voltage and the resistances move back to their initial values from the values
+   * they had, with easing, so that the sizes of the letters, the arrows and the batteries change continuously. The reset
+   * is in progress until the animation ends.
+   * @public
+   *
+   * @returns {Animation} - ends when the values are at their initial values
+   */
+  animateReset() {
+    this.finishResetAnimation();
+    const circuitState = this.getCircuitState();
+    this.reset();
+
+    // The current is the unknown after the reset, so the voltage and the resistances can be set back independently. The
+    // values are restored in the same event as the reset, so it isn't seen.
+    this.resetInProgressProperty.value = true;
+    const properties = [ this.voltageProperty, ...this.resistanceProperties ];
+    const values = [ circuitState.voltage, ...circuitState.resistances ];
+    properties.forEach( ( property, index ) => {
+      property.value = values[ index ];
+    } );
+
+    this.resetAnimation = new Animation( {
+      duration: RESET_ANIMATION_DURATION,
+      targets: properties.map( property => {
+        return {
+          property: property,
+          to: property.initialValue,
+          easing: Easing.CUBIC_IN_OUT
+        };
+      } )
+    } );
+
+    // whether it finishes or is stopped, the values end exactly at their initial values
+    this.resetAnimation.endedEmitter.addListener( () => {
+      properties.forEach( property => property.reset() );
+      this.resetAnimation = null;
+      this.resetInProgressProperty.value = false;
+    } );
+    this.resetAnimation.start();
+    return this.resetAnimation;
+  }
+
+  /**
+   * Finishes an animated reset right away, so that a change isn't overwritten by the animation.
+   * @public
+   */
+  finishResetAnimation() {
+    this.resetAnimation && this.resetAnimation.stop();
+  }
+
+  /**
+   * Get the state of the circuit that a change that can be undone goes back to, see UndoHistory. It has the values of
+   * the sliders, and the configuration of the circuit that Reset All also changes.
+   * @public
+   *
+   * @returns {{voltage: number, resistances: number[], solveFor: SolveFor, circuitTopology: CircuitTopology,
+   *           numberOfResistors: number}}
+   */
+  getCircuitState() {
+    return {
+      voltage: this.voltageProperty.value,
+      resistances: this.resistanceProperties.map( resistanceProperty => resistanceProperty.value ),
+      solveFor: this.solveForProperty.value,
+      circuitTopology: this.circuitTopologyProperty.value,
+      numberOfResistors: this.numberOfResistorsProperty.value
+    };
+  }
+
+  /**
+   * Set the circuit to a state from getCircuitState. The voltage isn't set while the battery pack or the AC source
+   * supplies it, nor the resistance while the wire sets it.
+   * @public
+   *
+   * @param {Object} circuitState
+   */
+  setCircuitState( circuitState ) {
+
+    // first, so that the unknown doesn't follow the values as they are set
+    this.solveForProperty.value = SolveFor.CURRENT;
+    this.circuitTopologyProperty.value = circuitState.circuitTopology;
+    this.numberOfResistorsProperty.value = circuitState.numberOfResistors;
+    if ( !this.batteryPack.enabledProperty.value && !this.acSource.enabledProperty.value ) {
+      this.voltageProperty.value = circuitState.voltage;
+    }
+    this.resistanceProperties.forEach( ( resistanceProperty, index ) => {
+      if ( index > 0 || this.resistanceModeProperty.value === ResistanceMode.VALUE ) {
+        resistanceProperty.value = circuitState.resistances[ index ];
+      }
+    } );
+
+    // last, so that the current of the values that were set is locked
+    this.solveForProperty.value = circuitState.solveFor;
+  }
+
+  /**
+   * Record a change of the circuit in the history, if it changed anything, so that it can be undone.
+   * @public
+   *
+   * @param {UndoableChange} change
+   * @param {Object} circuitState - the state of the circuit before the change, from getCircuitState
+   */
+  recordChange( change, circuitState ) {
+    const newCircuitState = this.getCircuitState();
+    if ( !_.isEqual( circuitState, newCircuitState ) ) {
+      this.undoHistory.record( change, circuitState, newCircuitState );
+    }
+  }
+
+  /**
+   * Undo the last change of the circuit.
+   * @public
+   *
+   * @returns {UndoableChange|null} - the change that was undone, null if there was none
+   */
+  undo() {
+    this.finishResetAnimation();
+    const entry = this.undoHistory.undo();
+    entry && this.setCircuitState( entry.before );
+    return entry && entry.change;
+  }
+
+  /**
+   * Redo the last change of the circuit that was undone.
+   * @public
+   *
+   * @returns {UndoableChange|null} - the change that was redone, null if there was none
+   */
+  redo() {
+    this.finishResetAnimation();
+    const entry = this.undoHistory.redo();
+    entry && this.setCircuitState( entry.after );
+    return entry && entry.change;
+  }
+
+  /**
+   * Get the number of resistors that are currently connected in the circuit.
+   * @public
+   * @returns {number}
+   */
+  getNumberOfActiveResistors() {
+    return getNumberOfActiveResistors( this.circuitTopologyProperty.value, this.numberOfResistorsProperty.value );
+  }
+
+  /**
+   * Get the current through the load for a voltage across it, at the present resistance and temperature. This is the
+   * current-voltage characteristic of the load, a straight line through the origin when it obeys Ohm's law.
+   * @public
+   * @param {number} voltage - in volts
+   * @returns {number} - in milliamps
+   */
+  getLoadCurrent( voltage ) {
+    const loadType = this.loadTypeProperty.value;
+    return computeLoadCurrent( loadType, voltage, loadType.hasResistors ? this.equivalentResistanceProperty.value : 0,
+      this.temperatureProperty.value );
+  }
+
+  /**
+   * Get the current that the batteries drive through a load with the given resistance, V / I, at the present voltage.
+   * @public
+   * @param {number} loadResistance - in ohms
+   * @returns {number} - in milliamps
+   */
+  getCurrentForLoadResistance( loadResistance ) {
+    return computeCurrent( this.voltageProperty.value, loadResistance + this.totalInternalResistanceProperty.value );
+  }
+
   /**
    * Get the normalized voltage over the range of allowed voltages in this sim.
    * @public
@@ -82,61 +763,103 @@ class OhmsLawModel {
   }
 
   /**
-   * Get the normalized current, based on the allowable values for current in this sim.
+   * Get the normalized current, based on the allowable values for current in this sim. The maximum depends on how
+   * many resistors are connected and how, since resistors in parallel draw more current than a single resistor. The
+   * value is clamped, because a load that isn't a resistor can draw more.
    * @public
    * @returns {number}
    */
   getNormalizedCurrent() {
-    const range = OhmsLawModel.getCurrentRange();
-    return ( this.currentProperty.get() - range.min ) / range.getLength();
+    const minCurrent = OhmsLawModel.getMinCurrent();
+    const maxCurrent = OhmsLawModel.getMaxCurrent( this.circuitTopologyProperty.value,
+      this.numberOfResistorsProperty.value );
+    return Utils.clamp( ( this.currentProperty.get() - minCurrent ) / ( maxCurrent - minCurrent ), 0, 1 );
+  }
+
+  /**
+   * Get the normalized power, based on the allowable values for power in this sim. Like the current, the maximum
+   * depends on how many resistors are connected and how, and the value is clamped.
+   * @public
+   * @returns {number}
+   */
+  getNormalizedPower() {
+    const minPower = OhmsLawModel.getMinPower();
+    const maxPower = OhmsLawModel.getMaxPower( this.circuitTopologyProperty.value,
+      this.numberOfResistorsProperty.value );
+    return Utils.clamp( ( this.powerProperty.get() - minPower ) / ( maxPower - minPower ), 0, 1 );
   }
 
   /**
    * Get the normalized resistance, based on the allowable values for resistance in this
-   * sim.
+   * sim. This uses the equivalent resistance, which can go beyond the range of a single resistor when there are
+   * resistors in series or in parallel, so the value is clamped.
    * @public
    * @returns {number}
    */
   getNormalizedResistance() {
     const range = OhmsLawConstants.RESISTANCE_RANGE;
-    return ( this.resistanceProperty.get() - range.min ) / range.getLength();
+    return Utils.clamp( ( this.equivalentResistanceProperty.get() - range.min ) / range.getLength(), 0, 1 );
   }
 
   /**
-   * Get the current as a number formatted based on the appropriate decimal places for the display unit.
+   * Get the current as a number formatted in engineering notation for the display unit, see CurrentUnit.getDisplayUnit
+   * for the unit of AUTO.
    * @public
+   * @param {number} [current] - in milliamps, defaults to the current flowing in the circuit
+   * @param {CurrentUnit} [units] - defaults to the unit that the current is displayed in
    * @returns {string}
    */
-  getFixedCurrent() {
-    let current = this.currentProperty.value;
-    const units = this.currentUnitsProperty.value;
-    if ( units === CurrentUnit.AMPS ) {
-      current = current / 100;
-    }
-    return Utils.toFixed( current, CurrentUnit.getSigFigs( units ) );
+  getFixedCurrent( current = this.currentProperty.value, units = this.currentUnitsProperty.value ) {
+    return EngineeringNotation.format( current / 1000, CurrentUnit.getDisplayUnit( units, current ).prefix );
+  }
+
+  /**
+   * Get a resistance as a number formatted in engineering notation for the unit of its magnitude, see
+   * ResistanceUnit.getUnitForResistance.
+   * @public
+   * @param {number} [resistance] - in ohms, defaults to the equivalent resistance of the circuit
+   * @returns {string}
+   */
+  getFixedResistance( resistance = this.equivalentResistanceProperty.value ) {
+    return EngineeringNotation.format( resistance, ResistanceUnit.getUnitForResistance( resistance ).prefix );
   }
 
   /**
-   * Get the maximum current that can be computed by the model
-   * @returns {number} - the max current.
+   * Get a power as a number formatted in engineering notation for the unit of its magnitude, see
+   * PowerUnit.getUnitForPower.
+   * @public
+   * @param {number} [power] - in milliwatts, defaults to the power of the circuit
+   * @returns {string}
+   */
+  getFixedPower( power = this.powerProperty.value ) {
+    return EngineeringNotation.format( power / 1000, PowerUnit.getUnitForPower( power ).prefix );
+  }
+
+  /**
+   * Get the maximum current that can be computed by the model, with every connected resistor at the minimum resistance.
+   * @param {CircuitTopology} [topology]
+   * @param {number} [numberOfResistors] - the number of resistors in series or in parallel
+   * @returns {number} - the max current, in milliamps
    * @public
    */
-  static getMaxCurrent() {
-    return computeCurrent( OhmsLawConstants.VOLTAGE_RANGE.max, OhmsLawConstants.RESISTANCE_RANGE.min );
+  static getMaxCurrent( topology = CircuitTopology.SINGLE, numberOfResistors = 1 ) {
+    const resistances = _.times( getNumberOfActiveResistors( topology, numberOfResistors ),
+      () => OhmsLawConstants.RESISTANCE_RANGE.min );
+    return computeCurrent( OhmsLawConstants.VOLTAGE_RANGE.max, computeEquivalentResistance( topology, resistances ) );
   }
 
   /**
    * Get the minimum current that can be computed by the model.
-   * @returns {number} [description]
-   * @private
+   * @returns {number} - in milliamps
+   * @public
    */
   static getMinCurrent() {
     return computeCurrent( OhmsLawConstants.VOLTAGE_RANGE.min, OhmsLawConstants.RESISTANCE_RANGE.max );
   }
 
   /**
-   * Get the Range of the current, will construct a new range if not yet set
-   * @returns {Range}
+   * Get the Range of the current with a single resistor, will construct a new range if not yet set
+   * @returns {Range} - in milliamps, like OhmsLawConstants.CURRENT_RANGE
    * @public
    */
   static getCurrentRange() {
@@ -148,6 +871,42 @@ class OhmsLawModel {
     }
     return this.currentRange;
   }
+
+  /**
+   * Get the maximum power that can be computed by the model, with every connected resistor at the minimum resistance.
+   * @param {CircuitTopology} [topology]
+   * @param {number} [numberOfResistors] - the number of resistors in series or in parallel
+   * @returns {number} - the max power, in milliwatts
+   * @public
+   */
+  static getMaxPower( topology = CircuitTopology.SINGLE, numberOfResistors = 1 ) {
+    return computePower( OhmsLawConstants.VOLTAGE_RANGE.max, OhmsLawModel.getMaxCurrent( topology, numberOfResistors ) );
+  }
+
+  /**
+   * Get the minimum power that can be computed by the model.
+   * @returns {number} - in milliwatts
+   * @private
+   */
+  static getMinPower() {
+    const minVoltage = OhmsLawConstants.VOLTAGE_RANGE.min;
+    return computePower( minVoltage, computeCurrent( minVoltage, OhmsLawConstants.RESISTANCE_RANGE.max ) );
+  }
+
+  /**
+   * Get the Range of the power with a single resistor, will construct a new range if not yet set
+   * @returns {Range} - in milliwatts
+   * @public
+   */
+  static getPowerRange() {
+
+    if ( !this.powerRange ) {
+
+      // @private, use the getter
+      this.powerRange = new Range( OhmsLawModel.getMinPower(), OhmsLawModel.getMaxPower() );
+    }
+    return this.powerRange;
+  }
 }
 
 /**
@@ -160,6 +919,144 @@ function computeCurrent( voltage, resistance ) {
   return 1000 * voltage / resistance;
 }
 
+/**
+ * Get the number of batteries that supply the provided voltage, including a partial battery for the remainder.
+ * @param {number} voltage - in volts
+ * @returns {number}
+ */
+function getNumberOfBatteries( voltage ) {
+
+  // rounded like the voltages of the batteries in the view, toFixedNumber removes floating point error
+  const roundedVoltage = Utils.roundToInterval( voltage, Math.pow( 10, -OhmsLawConstants.VOLTAGE_SIG_FIGS ) );
+  return Math.ceil( Utils.toFixedNumber( roundedVoltage / OhmsLawConstants.AA_VOLTAGE, 6 ) );
+}
+
+/**
+ * Get the number of resistors that are connected in a circuit with the provided topology.
+ * @param {CircuitTopology} topology
+ * @param {number} numberOfResistors - number of resistors chosen for series and parallel circuits
+ * @returns {number}
+ */
+function getNumberOfActiveResistors( topology, numberOfResistors ) {
+  return topology === CircuitTopology.SINGLE ? 1 : numberOfResistors;
+}
+
+/**
+ * Get the voltages that keep the resistance in its range when the current is locked, R = V / I.
+ * @param {number} lockedCurrent - in milliamps
+ * @returns {Range} - in volts
+ */
+function getLockedVoltageRange( lockedCurrent ) {
+  const voltageRange = OhmsLawConstants.VOLTAGE_RANGE;
+  const resistanceRange = OhmsLawConstants.RESISTANCE_RANGE;
+  return roundRangeInward(
+    Math.max( voltageRange.min, lockedCurrent * resistanceRange.min / 1000 ),
+    Math.min( voltageRange.max, lockedCurrent * resistanceRange.max / 1000 ),
+    OhmsLawConstants.VOLTAGE_SIG_FIGS
+  );
+}
+
+/**
+ * Get the resistances that keep the voltage in its range when the current is locked, V = I * R.
+ * @param {number} lockedCurrent - in milliamps
+ * @returns {Range} - in ohms
+ */
+function getLockedResistanceRange( lockedCurrent ) {
+  const voltageRange = OhmsLawConstants.VOLTAGE_RANGE;
+  const resistanceRange = OhmsLawConstants.RESISTANCE_RANGE;
+  return roundRangeInward(
+    Math.max( resistanceRange.min, 1000 * voltageRange.min / lockedCurrent ),
+    Math.min( resistanceRange.max, 1000 * voltageRange.max / lockedCurrent ),
+    OhmsLawConstants.RESISTANCE_SIG_FIGS
+  );
+}
+
+/**
+ * Create a range with ends rounded toward each other to the provided decimal places, so that a slider that rounds
+ * to those decimal places can't leave the range.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} decimalPlaces
+ * @returns {Range}
+ */
+function roundRangeInward( min, max, decimalPlaces ) {
+  const scale = Math.pow( 10, decimalPlaces );
+
+  // toFixedNumber removes floating point error, so that values that are already rounded stay the same
+  return new Range(
+    Math.ceil( Utils.toFixedNumber( min * scale, 6 ) ) / scale,
+    Math.floor( Utils.toFixedNumber( max * scale, 6 ) ) / scale
+  );
+}
+
+/**
+ * Compute the current through a load that is in series with a resistance, in milliamps. The current is the one where
+ * the voltage left across the device after the drop across the series resistance drives that same current through it,
+ * which is found by bisection since the device is generally not ohmic.
+ * @param {LoadType} loadType
+ * @param {number} voltage - in volts
+ * @param {number} seriesResistance - in ohms, including the resistors if they are part of the load
+ * @param {number} temperature - of the device, in degrees Celsius
+ * @returns {number} - in milliamps
+ */
+function computeLoadCurrent( loadType, voltage, seriesResistance, temperature ) {
+  if ( loadType.isOhmic() ) {
+    return computeCurrent( voltage, seriesResistance );
+  }
+  if ( seriesResistance === 0 ) {
+    return loadType.getDeviceCurrent( voltage, temperature );
+  }
+
+  // The excess of the device current over the current through the series resistance decreases from the device current
+  // at no current to minus the current with the whole voltage across the series resistance.
+  let minCurrent = 0;
+  let maxCurrent = computeCurrent( voltage, seriesResistance );
+  for ( let i = 0; i < LOAD_CURRENT_ITERATIONS; i++ ) {
+    const current = ( minCurrent + maxCurrent ) / 2;
+    const deviceVoltage = voltage - current * seriesResistance / 1000;
+    if ( loadType.getDeviceCurrent( deviceVoltage, temperature ) > current ) {
+      minCurrent = current;
+    }
+    else {
+      maxCurrent = current;
+    }
+  }
+  return ( minCurrent + maxCurrent ) / 2;
+}
+
+/**
+ * Compute the equivalent resistance of the connected resistors.
+ * @param {CircuitTopology} topology
+ * @param {number[]} resistances - in ohms
+ * @returns {number} - in ohms
+ */
+function computeEquivalentResistance( topology, resistances ) {
+  if ( topology === CircuitTopology.PARALLEL ) {
+    return 1 / _.sumBy( resistances, resistance => 1 / resistance );
+  }
+  return _.sum( resistances );
+}
+
+/**
+ * Compute how much the resistance of a resistor at the provided temperature is multiplied, relative to its resistance
+ * at the ambient temperature, R = R0 * ( 1 + alpha * ( T - T0 ) ).
+ * @param {number} temperature - in degrees Celsius
+ * @returns {number}
+ */
+function computeTemperatureFactor( temperature ) {
+  return 1 + OhmsLawConstants.TEMPERATURE_COEFFICIENT * ( temperature - OhmsLawConstants.AMBIENT_TEMPERATURE );
+}
+
+/**
+ * Compute the power dissipated by the resistors, P = I * V
+ * @param {number} voltage - in volts
+ * @param {number} current - in milliamps
+ * @returns {number} - power in milliwatts
+ */
+function computePower( voltage, current ) {
+  return voltage * current;
+}
+
 ohmsLaw.register( 'OhmsLawModel', OhmsLawModel );
 
 export default OhmsLawModel;
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for OhmsLawModel
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import CircuitTopology from './CircuitTopology.js';
+import LoadType from './LoadType.js';
+import OhmsLawModel from './OhmsLawModel.js';
+
+const EPSILON = 1E-9;
+
+QUnit.module( 'OhmsLawModel' );
+
+QUnit.test( 'maximum current of resistors in parallel', assert => {
+  const model = new OhmsLawModel( Tandem.OPT_OUT );
+  const numberOfResistors = OhmsLawConstants.NUMBER_OF_RESISTORS_RANGE.max;
+
+  const maxCurrent = OhmsLawModel.getMaxCurrent( CircuitTopology.PARALLEL, numberOfResistors );
+  assert.ok( Utils.equalsEpsilon( maxCurrent, numberOfResistors * OhmsLawModel.getMaxCurrent(), EPSILON ),
+    'each resistor in parallel draws the maximum current of a single resistor' );
+
+  model.circuitTopologyProperty.value = CircuitTopology.PARALLEL;
+  model.numberOfResistorsProperty.value = numberOfResistors;
+  model.voltageProperty.value = OhmsLawConstants.VOLTAGE_RANGE.max;
+  model.resistanceProperties.forEach( resistanceProperty => {
+    resistanceProperty.value = OhmsLawConstants.RESISTANCE_RANGE.min;
+  } );
+  assert.ok( Utils.equalsEpsilon( model.currentProperty.value, maxCurrent, EPSILON ), 'the circuit draws the maximum current' );
+  assert.ok( Utils.equalsEpsilon( model.getNormalizedCurrent(), 1, EPSILON ), 'the maximum current is normalized to 1' );
+
+  model.circuitTopologyProperty.value = CircuitTopology.SINGLE;
+  assert.ok( Utils.equalsEpsilon( model.getNormalizedCurrent(), 1, EPSILON ), 'the maximum current of a single resistor is normalized to 1' );
+} );
+
+QUnit.test( 'normalized power of resistors in series and in parallel', assert => {
+  const model = new OhmsLawModel( Tandem.OPT_OUT );
+  const numberOfResistors = OhmsLawConstants.NUMBER_OF_RESISTORS_RANGE.max;
+  model.numberOfResistorsProperty.value = numberOfResistors;
+  model.voltageProperty.value = OhmsLawConstants.VOLTAGE_RANGE.max;
+  model.resistanceProperties.forEach( resistanceProperty => {
+    resistanceProperty.value = OhmsLawConstants.RESISTANCE_RANGE.min;
+  } );
+
+  [ CircuitTopology.SINGLE, CircuitTopology.SERIES, CircuitTopology.PARALLEL ].forEach( topology => {
+    model.circuitTopologyProperty.value = topology;
+    assert.ok( Utils.equalsEpsilon( model.powerProperty.value,
+      OhmsLawModel.getMaxPower( topology, numberOfResistors ), EPSILON ), `${topology.name} draws the maximum power` );
+    assert.ok( Utils.equalsEpsilon( model.getNormalizedPower(), 1, EPSILON ),
+      `the maximum power of ${topology.name} is normalized to 1` );
+  } );
+
+  model.circuitTopologyProperty.value = CircuitTopology.SINGLE;
+  model.voltageProperty.value = OhmsLawConstants.VOLTAGE_RANGE.min;
+  model.resistanceProperties[ 0 ].value = OhmsLawConstants.RESISTANCE_RANGE.max;
+  assert.ok( Utils.equalsEpsilon( model.getNormalizedPower(), 0, EPSILON ), 'the minimum power is normalized to 0' );
+} );
+
+QUnit.test( 'data table of resistors in parallel', assert => {
+  const model = new OhmsLawModel( Tandem.OPT_OUT );
+  model.circuitTopologyProperty.value = CircuitTopology.PARALLEL;
+  model.numberOfResistorsProperty.value = 3;
+  model.internalResistanceProperty.value = OhmsLawConstants.INTERNAL_RESISTANCE_RANGE.max;
+  [ 3, 6 ].forEach( voltage => {
+    model.voltageProperty.value = voltage;
+    model.dataTable.record();
+  } );
+
+  model.dataTable.rows.forEach( row => {
+    assert.ok( Utils.equalsEpsilon( row.resistance, 1000 * row.voltage / row.current, EPSILON ),
+      'the recorded resistance is the recorded voltage over the recorded current' );
+    assert.ok( Utils.equalsEpsilon( row.resistance, model.equivalentResistanceProperty.value, EPSILON ),
+      'the recorded resistance is the equivalent resistance of the resistors' );
+  } );
+  assert.ok( Utils.equalsEpsilon( 1000 / model.dataTable.fitProperty.value.slope, model.equivalentResistanceProperty.value,
+    EPSILON ), 'the slope of the fit gives the equivalent resistance' );
+} );
+
+QUnit.test( 'battery pack that is backwards', assert => {
+  const model = new OhmsLawModel( Tandem.OPT_OUT );
+  const batteryPack = model.batteryPack;
+  batteryPack.enabledProperty.value = true;
+
+  // all the cells of the pack reversed
+  batteryPack.cells.forEach( ( cell, index ) => batteryPack.setCellReversed( index, true ) );
+  assert.ok( batteryPack.voltageProperty.value < 0, 'the pack has a negative voltage' );
+  assert.ok( !batteryPack.hasForwardVoltage(), 'the pack is backwards' );
+  assert.equal( model.voltageProperty.value, 0, 'the circuit gets no voltage from the pack' );
+  assert.equal( model.currentProperty.value, 0, 'no current flows' );
+
+  batteryPack.cells.forEach( ( cell, index ) => batteryPack.setCellReversed( index, false ) );
+  assert.ok( batteryPack.hasForwardVoltage(), 'the pack is the right way round' );
+  assert.ok( Utils.equalsEpsilon( model.voltageProperty.value, batteryPack.voltageProperty.value, EPSILON ),
+    'the circuit gets the voltage of the pack again' );
+} );
+
+QUnit.test( 'current range', assert => {
+  assert.ok( OhmsLawConstants.CURRENT_RANGE.equals( OhmsLawModel.getCurrentRange() ),
+    'the constant and the model have the same current range, in milliamps' );
+} );
+
+QUnit.test( 'AC source in place of the battery pack with a device', assert => {
+  [ LoadType.LAMP, LoadType.DIODE, LoadType.THERMISTOR ].forEach( loadType => {
+    const model = new OhmsLawModel( Tandem.OPT_OUT );
+    model.batteryPack.enabledProperty.value = true;
+    model.loadTypeProperty.value = loadType;
+
+    model.acSource.enabledProperty.value = true;
+    assert.ok( model.acSource.enabledProperty.value, `the AC source is on, from the ${loadType.name}` );
+    assert.ok( !model.batteryPack.enabledProperty.value, 'the battery pack is off' );
+    assert.equal( model.loadTypeProperty.value, LoadType.RESISTOR, 'the load is a resistor' );
+  } );
+} );
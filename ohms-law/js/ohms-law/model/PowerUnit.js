@@ -0,0 +1,36 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration for what unit to display a power in, each with its SI prefix.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import EngineeringNotation from '../EngineeringNotation.js';
+import MetricPrefix from './MetricPrefix.js';
+
+// MICROWATTS - the power in microwatts, a millionth of a watt
+// MILLIWATTS - the power in milliwatts, a thousandth of a watt
+// WATTS - the power in watts
+const PowerUnit = Enumeration.byMap( {
+  MICROWATTS: { prefix: MetricPrefix.MICRO },
+  MILLIWATTS: { prefix: MetricPrefix.MILLI },
+  WATTS: { prefix: MetricPrefix.NONE }
+}, {
+  beforeFreeze: powerUnit => {
+
+    /**
+     * Get the unit for the magnitude of a power.
+     * @param {number} power - in milliwatts
+     * @returns {PowerUnit}
+     */
+    powerUnit.getUnitForPower = power => {
+      const units = [ powerUnit.MICROWATTS, powerUnit.MILLIWATTS, powerUnit.WATTS ];
+      const prefix = EngineeringNotation.getPrefix( power / 1000, units.map( unit => unit.prefix ) );
+      return _.find( units, unit => unit.prefix === prefix );
+    };
+  }
+} );
+
+ohmsLaw.register( 'PowerUnit', PowerUnit );
+export default PowerUnit;
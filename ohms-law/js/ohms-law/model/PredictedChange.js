@@ -0,0 +1,13 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for how a student predicts that the current changes.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+const PredictedChange = Enumeration.byKeys( [ 'BIGGER', 'SMALLER', 'SAME' ] );
+
+ohmsLaw.register( 'PredictedChange', PredictedChange );
+export default PredictedChange;
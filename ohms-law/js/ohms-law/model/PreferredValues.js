@@ -0,0 +1,69 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration of the series of values that the resistance can be set to. Resistors are made in the preferred
+ * values of the E series, see IEC 60063, which are spaced evenly on a log scale in each power of ten.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+// the preferred values from 10 to 100, with 12 and 24 values per power of ten
+const E12_NUMBERS = [ 10, 12, 15, 18, 22, 27, 33, 39, 47, 56, 68, 82 ];
+const E24_NUMBERS = [ 10, 11, 12, 13, 15, 16, 18, 20, 22, 24, 27, 30, 33, 36, 39, 43, 47, 51, 56, 62, 68, 75, 82, 91 ];
+
+/**
+ * Get the values of a series that are in the resistance range, in ohms, from smallest to largest.
+ * @param {number[]} numbers - the values of the series from 10 to 100
+ * @returns {number[]}
+ */
+const getValuesInRange = numbers => _.flatMap( [ 1, 10, 100 ], multiplier => numbers.map( number => number * multiplier ) )
+  .filter( value => OhmsLawConstants.RESISTANCE_RANGE.contains( value ) );
+
+const PreferredValues = Enumeration.byMap( {
+
+  // ANY - the original behavior, any whole number of ohms
+  ANY: { values: null },
+
+  E12: { values: getValuesInRange( E12_NUMBERS ) },
+  E24: { values: getValuesInRange( E24_NUMBERS ) }
+}, {
+  beforeFreeze: PreferredValues => {
+
+    /**
+     * Get the value of a series that is the closest to a resistance, on a log scale like the series.
+     * @param {PreferredValues} preferredValues - not ANY
+     * @param {number} resistance - in ohms
+     * @returns {number}
+     */
+    PreferredValues.getNearestValue = ( preferredValues, resistance ) => {
+      assert && assert( preferredValues !== PreferredValues.ANY, 'any value is preferred' );
+      return _.minBy( preferredValues.values, value => Math.abs( Math.log( value / resistance ) ) );
+    };
+
+    /**
+     * Get the value of a series for a change of the resistance by a step, like a key press on the slider. The value
+     * is the one closest to the new resistance, but at least the next value in the direction of the change, so that a
+     * step that is smaller than the spacing of the series still changes the value.
+     * @param {PreferredValues} preferredValues - not ANY
+     * @param {number} newResistance - in ohms
+     * @param {number} previousResistance - in ohms
+     * @returns {number}
+     */
+    PreferredValues.getSteppedValue = ( preferredValues, newResistance, previousResistance ) => {
+      const values = preferredValues.values;
+      const nearestValue = PreferredValues.getNearestValue( preferredValues, newResistance );
+      if ( newResistance > previousResistance && nearestValue <= previousResistance ) {
+        return _.find( values, value => value > previousResistance ) || _.last( values );
+      }
+      else if ( newResistance < previousResistance && nearestValue >= previousResistance ) {
+        return _.findLast( values, value => value < previousResistance ) || values[ 0 ];
+      }
+      return nearestValue;
+    };
+  }
+} );
+
+ohmsLaw.register( 'PreferredValues', PreferredValues );
+export default PreferredValues;
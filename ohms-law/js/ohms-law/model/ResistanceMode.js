@@ -0,0 +1,15 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for how the resistance of the resistor is chosen.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// VALUE - the original behavior, the resistance is set directly with the slider
+// WIRE - the resistor is a wire, and the resistance follows from its material, length and area, R = rho * L / A
+const ResistanceMode = Enumeration.byKeys( [ 'VALUE', 'WIRE' ] );
+
+ohmsLaw.register( 'ResistanceMode', ResistanceMode );
+export default ResistanceMode;
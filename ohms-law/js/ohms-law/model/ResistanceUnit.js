@@ -0,0 +1,33 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rich enumeration for what unit to display a resistance in, each with its SI prefix.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import EngineeringNotation from '../EngineeringNotation.js';
+import MetricPrefix from './MetricPrefix.js';
+
+// OHMS - the resistance in ohms
+// KILOOHMS - the resistance in kiloohms, 1000 ohms
+const ResistanceUnit = Enumeration.byMap( {
+  OHMS: { prefix: MetricPrefix.NONE },
+  KILOOHMS: { prefix: MetricPrefix.KILO }
+}, {
+  beforeFreeze: resistanceUnit => {
+
+    /**
+     * Get the unit for the magnitude of a resistance, kiloohms from 1000 ohms.
+     * @param {number} resistance - in ohms
+     * @returns {ResistanceUnit}
+     */
+    resistanceUnit.getUnitForResistance = resistance => {
+      const prefix = EngineeringNotation.getPrefix( resistance, [ MetricPrefix.NONE, MetricPrefix.KILO ] );
+      return prefix === MetricPrefix.KILO ? resistanceUnit.KILOOHMS : resistanceUnit.OHMS;
+    };
+  }
+} );
+
+ohmsLaw.register( 'ResistanceUnit', ResistanceUnit );
+export default ResistanceUnit;
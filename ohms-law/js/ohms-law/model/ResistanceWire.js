@@ -0,0 +1,121 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model of a resistor that is a length of wire, whose resistance follows from its material and dimensions,
+ * R = rho * L / A.
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Utils from '../../../../dot/js/Utils.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import Material from './Material.js';
+
+// the length of the wire in meters for the default resistance range, which is scaled for other resistance ranges
+const DEFAULT_LENGTH_RANGE = new RangeWithValue( 2, 10, 5 );
+
+class ResistanceWire {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public {EnumerationProperty.<Material>}
+    this.materialProperty = new EnumerationProperty( Material, Material.NICHROME, {
+      tandem: tandem.createTandem( 'materialProperty' ),
+      phetioDocumentation: 'The material of the wire, which determines its resistivity'
+    } );
+
+    // @public {Property.<number>} - in meters
+    this.lengthProperty = new NumberProperty( ResistanceWire.LENGTH_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'lengthProperty' ),
+      units: 'm',
+      range: ResistanceWire.LENGTH_RANGE,
+      phetioDocumentation: 'The length of the wire'
+    } );
+
+    // @public {Property.<number>} - in square millimeters
+    this.areaProperty = new NumberProperty( OhmsLawConstants.WIRE_AREA_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'areaProperty' ),
+      units: 'mm^2',
+      range: OhmsLawConstants.WIRE_AREA_RANGE,
+      phetioDocumentation: 'The cross-sectional area of the wire'
+    } );
+
+    // @public {Property.<number>} - in ohm square millimeters per meter
+    this.resistivityProperty = new DerivedProperty( [ this.materialProperty ], Material.getResistivity, {
+      tandem: tandem.createTandem( 'resistivityProperty' ),
+      units: '\u2126\u00b7mm^2/m', // ohm square millimeters per meter
+      phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+      phetioDocumentation: 'The resistivity of the material of the wire'
+    } );
+
+    // @public {Property.<number>} - in ohms
+    this.resistanceProperty = new DerivedProperty(
+      [ this.resistivityProperty, this.lengthProperty, this.areaProperty ],
+      ( resistivity, length, area ) => resistivity * length / area, {
+        tandem: tandem.createTandem( 'resistanceProperty' ),
+        units: '\u2126', // ohms
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'The resistance of the wire'
+      } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.materialProperty.reset();
+    this.lengthProperty.reset();
+    this.areaProperty.reset();
+  }
+
+  /**
+   * Get the range of the resistivities of all of the materials.
+   * @public
+   * @returns {Range} - in ohm square millimeters per meter
+   */
+  static getResistivityRange() {
+    const resistivities = Material.VALUES.map( Material.getResistivity );
+    return new Range( _.min( resistivities ), _.max( resistivities ) );
+  }
+
+  /**
+   * Get the range of the length of the wire, so that the resistance of a wire of every material and area is in a
+   * range of resistances. The default range of the length is kept if it fits, otherwise it is scaled to fit. If no
+   * scale fits, it is scaled to overlap the resistance range evenly, and the resistance is limited, see OhmsLawModel.
+   * @public
+   * @param {Range} resistanceRange - in ohms
+   * @returns {RangeWithValue} - in meters
+   */
+  static getLengthRange( resistanceRange ) {
+    const resistivityRange = ResistanceWire.getResistivityRange();
+    const areaRange = OhmsLawConstants.WIRE_AREA_RANGE;
+
+    // the scales of the length for the least resistance to be the min and for the most resistance to be the max
+    const minScale = resistanceRange.min * areaRange.max / ( resistivityRange.min * DEFAULT_LENGTH_RANGE.min );
+    const maxScale = resistanceRange.max * areaRange.min / ( resistivityRange.max * DEFAULT_LENGTH_RANGE.max );
+    const scale = minScale <= maxScale ? Utils.clamp( 1, minScale, maxScale ) : Math.sqrt( minScale * maxScale );
+
+    // rounded inward to the decimal places of the length
+    const decimalPlaces = OhmsLawConstants.WIRE_LENGTH_SIG_FIGS;
+    const factor = Math.pow( 10, decimalPlaces );
+    return new RangeWithValue(
+      Math.ceil( Utils.toFixedNumber( scale * DEFAULT_LENGTH_RANGE.min * factor, 6 ) ) / factor,
+      Math.floor( Utils.toFixedNumber( scale * DEFAULT_LENGTH_RANGE.max * factor, 6 ) ) / factor,
+      Utils.toFixedNumber( scale * DEFAULT_LENGTH_RANGE.defaultValue, decimalPlaces )
+    );
+  }
+}
+
+// @public {RangeWithValue} - in meters, for the resistance range of the sliders
+ResistanceWire.LENGTH_RANGE = ResistanceWire.getLengthRange( OhmsLawConstants.RESISTANCE_RANGE );
+
+ohmsLaw.register( 'ResistanceWire', ResistanceWire );
+export default ResistanceWire;
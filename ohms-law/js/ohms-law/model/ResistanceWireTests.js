@@ -0,0 +1,63 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for ResistanceWire
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import Material from './Material.js';
+import OhmsLawModel from './OhmsLawModel.js';
+import ResistanceMode from './ResistanceMode.js';
+import ResistanceWire from './ResistanceWire.js';
+
+QUnit.module( 'ResistanceWire' );
+
+/**
+ * Get the resistances of the wires of every material with the dimensions at the limits of their ranges.
+ * @param {Range} lengthRange - in meters
+ * @returns {number[]} - in ohms
+ */
+function getLimitResistances( lengthRange ) {
+  const areaRange = OhmsLawConstants.WIRE_AREA_RANGE;
+  return _.flatMap( Material.VALUES, material => _.flatMap( [ lengthRange.min, lengthRange.max ], length =>
+    [ areaRange.min, areaRange.max ].map( area => Material.getResistivity( material ) * length / area ) ) );
+}
+
+QUnit.test( 'length range follows the resistance range', assert => {
+  const defaultLengthRange = ResistanceWire.getLengthRange( new Range( 10, 1000 ) );
+  assert.ok( defaultLengthRange.min === 2 && defaultLengthRange.max === 10 && defaultLengthRange.defaultValue === 5,
+    'the default resistance range keeps the default length range' );
+
+  const resistanceRange = new Range( 100, 10000 );
+  const lengthRange = ResistanceWire.getLengthRange( resistanceRange );
+  assert.ok( lengthRange.contains( lengthRange.defaultValue ), 'the default length is in the range' );
+  assert.ok( _.every( getLimitResistances( lengthRange ), resistance => resistance >= resistanceRange.min &&
+                                                                         resistance <= resistanceRange.max ),
+    'every wire is in a wider resistance range' );
+
+  // too narrow for all of the wires, so they overlap it evenly, and the resistance is limited by the model
+  const narrowResistanceRange = new Range( 100, 5000 );
+  const resistances = getLimitResistances( ResistanceWire.getLengthRange( narrowResistanceRange ) );
+  assert.ok( narrowResistanceRange.contains( _.min( resistances ) * 1.2 ) &&
+             narrowResistanceRange.contains( _.max( resistances ) / 1.2 ), 'the wires overlap a narrow range' );
+} );
+
+QUnit.test( 'wire sliders at their limits', assert => {
+  const model = new OhmsLawModel( Tandem.OPT_OUT );
+  const resistanceWire = model.resistanceWire;
+  model.resistanceModeProperty.value = ResistanceMode.WIRE;
+
+  Material.VALUES.forEach( material => {
+    resistanceWire.materialProperty.value = material;
+    [ resistanceWire.lengthProperty.range.min, resistanceWire.lengthProperty.range.max ].forEach( length => {
+      resistanceWire.lengthProperty.value = length;
+      [ resistanceWire.areaProperty.range.min, resistanceWire.areaProperty.range.max ].forEach( area => {
+        resistanceWire.areaProperty.value = area;
+        assert.ok( OhmsLawConstants.RESISTANCE_RANGE.contains( model.resistanceProperty.value ),
+          `${material.name} ${length} m ${area} mm^2 is in the resistance range` );
+      } );
+    } );
+  } );
+} );
@@ -0,0 +1,16 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for which quantity of Ohm's law is the unknown that is solved for.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// CURRENT - the original behavior, voltage and resistance are set and I = V / R
+// VOLTAGE - current is locked and resistance is set, V = I * R
+// RESISTANCE - current is locked and voltage is set, R = V / I
+const SolveFor = Enumeration.byKeys( [ 'CURRENT', 'VOLTAGE', 'RESISTANCE' ] );
+
+ohmsLaw.register( 'SolveFor', SolveFor );
+export default SolveFor;
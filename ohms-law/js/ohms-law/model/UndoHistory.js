@@ -0,0 +1,85 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The changes of the circuit that can be undone and redone. Each change is recorded with the state of the circuit
+ * before and after it, see OhmsLawModel.getCircuitState, so that the circuit goes back to exactly where it was, even
+ * when the unknown followed the value that was changed. A new change can't be redone after the changes that were undone.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// constants
+const MAX_CHANGES = 50; // the oldest change is forgotten after this many
+
+class UndoHistory {
+
+  constructor() {
+
+    // @private {Array.<{change: UndoableChange, before: Object, after: Object}>} - the changes that can be undone, and
+    // the changes that were undone and can be redone, the last is the next in each
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // @public (read-only) {BooleanProperty}
+    this.canUndoProperty = new BooleanProperty( false );
+    this.canRedoProperty = new BooleanProperty( false );
+  }
+
+  /**
+   * Record a change, which can't be redone after the changes that were undone.
+   * @public
+   *
+   * @param {UndoableChange} change
+   * @param {Object} before - the state of the circuit before the change
+   * @param {Object} after - the state of the circuit after the change
+   */
+  record( change, before, after ) {
+    this.undoStack.push( { change: change, before: before, after: after } );
+    if ( this.undoStack.length > MAX_CHANGES ) {
+      this.undoStack.shift();
+    }
+    this.redoStack.length = 0;
+    this.updateProperties();
+  }
+
+  /**
+   * Take the last change to undo it, so that it can be redone.
+   * @public
+   *
+   * @returns {{change: UndoableChange, before: Object, after: Object}|null} - null if there is no change to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop() || null;
+    entry && this.redoStack.push( entry );
+    this.updateProperties();
+    return entry;
+  }
+
+  /**
+   * Take the last change that was undone to redo it, so that it can be undone again.
+   * @public
+   *
+   * @returns {{change: UndoableChange, before: Object, after: Object}|null} - null if there is no change to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop() || null;
+    entry && this.undoStack.push( entry );
+    this.updateProperties();
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  updateProperties() {
+    this.canUndoProperty.value = this.undoStack.length > 0;
+    this.canRedoProperty.value = this.redoStack.length > 0;
+  }
+}
+
+// @public
+UndoHistory.MAX_CHANGES = MAX_CHANGES;
+
+ohmsLaw.register( 'UndoHistory', UndoHistory );
+export default UndoHistory;
@@ -0,0 +1,80 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * QUnit tests for UndoHistory
+ */
+
+import UndoableChange from './UndoableChange.js';
+import UndoHistory from './UndoHistory.js';
+
+/**
+ * Record a change of the voltage between two states of the circuit.
+ * @param {UndoHistory} undoHistory
+ * @param {number} before - the voltage before the change
+ * @param {number} after - the voltage after the change
+ */
+function recordVoltageChange( undoHistory, before, after ) {
+  undoHistory.record( UndoableChange.VOLTAGE, { voltage: before }, { voltage: after } );
+}
+
+QUnit.module( 'UndoHistory' );
+
+QUnit.test( 'record, undo and redo', assert => {
+  const undoHistory = new UndoHistory();
+  assert.ok( !undoHistory.canUndoProperty.value && !undoHistory.canRedoProperty.value, 'nothing to undo or redo' );
+  assert.equal( undoHistory.undo(), null, 'undo without a change' );
+  assert.equal( undoHistory.redo(), null, 'redo without a change' );
+
+  recordVoltageChange( undoHistory, 1, 2 );
+  undoHistory.record( UndoableChange.RESISTANCE, { resistance: 10 }, { resistance: 20 } );
+  assert.ok( undoHistory.canUndoProperty.value && !undoHistory.canRedoProperty.value, 'a change to undo' );
+
+  let entry = undoHistory.undo();
+  assert.ok( entry.change === UndoableChange.RESISTANCE && entry.before.resistance === 10 &&
+             entry.after.resistance === 20, 'the last change is undone first' );
+  assert.ok( undoHistory.canUndoProperty.value && undoHistory.canRedoProperty.value, 'a change to undo and to redo' );
+
+  entry = undoHistory.undo();
+  assert.ok( entry.change === UndoableChange.VOLTAGE && entry.before.voltage === 1, 'then the change before it' );
+  assert.ok( !undoHistory.canUndoProperty.value && undoHistory.canRedoProperty.value, 'only changes to redo' );
+
+  entry = undoHistory.redo();
+  assert.ok( entry.change === UndoableChange.VOLTAGE && entry.after.voltage === 2, 'the last undone change is redone first' );
+  entry = undoHistory.redo();
+  assert.equal( entry.change, UndoableChange.RESISTANCE, 'then the change after it' );
+  assert.ok( undoHistory.canUndoProperty.value && !undoHistory.canRedoProperty.value, 'everything is redone' );
+  assert.equal( undoHistory.undo().change, UndoableChange.RESISTANCE, 'a redone change can be undone again' );
+} );
+
+QUnit.test( 'a new change clears the changes to redo', assert => {
+  const undoHistory = new UndoHistory();
+  recordVoltageChange( undoHistory, 1, 2 );
+  recordVoltageChange( undoHistory, 2, 3 );
+  undoHistory.undo();
+  assert.ok( undoHistory.canRedoProperty.value, 'a change to redo' );
+
+  recordVoltageChange( undoHistory, 2, 4 );
+  assert.ok( !undoHistory.canRedoProperty.value, 'the undone change can no longer be redone' );
+  assert.equal( undoHistory.redo(), null, 'nothing is redone' );
+  assert.equal( undoHistory.undo().after.voltage, 4, 'the new change is undone' );
+  assert.equal( undoHistory.undo().after.voltage, 2, 'then the change before the undone change' );
+  assert.ok( !undoHistory.canUndoProperty.value, 'and nothing else' );
+} );
+
+QUnit.test( 'at most MAX_CHANGES are recorded', assert => {
+  const undoHistory = new UndoHistory();
+  const numberOfChanges = UndoHistory.MAX_CHANGES + 5;
+  _.times( numberOfChanges, index => recordVoltageChange( undoHistory, index, index + 1 ) );
+
+  const undoneEntries = [];
+  while ( undoHistory.canUndoProperty.value ) {
+    undoneEntries.push( undoHistory.undo() );
+  }
+  assert.equal( undoneEntries.length, UndoHistory.MAX_CHANGES, 'only the last changes can be undone' );
+  assert.equal( _.last( undoneEntries ).before.voltage, numberOfChanges - UndoHistory.MAX_CHANGES,
+    'the oldest changes are forgotten' );
+
+  _.times( UndoHistory.MAX_CHANGES, () => undoHistory.redo() );
+  assert.ok( !undoHistory.canRedoProperty.value, 'all the changes that were undone are redone' );
+  assert.equal( undoHistory.undo().after.voltage, numberOfChanges, 'up to the last change' );
+} );
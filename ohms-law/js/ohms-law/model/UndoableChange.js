@@ -0,0 +1,17 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for the changes of the circuit that are recorded in the UndoHistory, so that they can be undone.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// VOLTAGE - a drag of the voltage slider, or a value entered on its keypad
+// RESISTANCE - a drag of the resistance slider, or a value entered on its keypad
+// RESET - Reset All
+// SETUP - a setup that was loaded from a file, see OhmsLawSetup
+const UndoableChange = Enumeration.byKeys( [ 'VOLTAGE', 'RESISTANCE', 'RESET', 'SETUP' ] );
+
+ohmsLaw.register( 'UndoableChange', UndoableChange );
+export default UndoableChange;
@@ -0,0 +1,228 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Collapsible box with the controls of the AC source and an oscilloscope-style chart of the voltage and the current
+ * against time. The time can be paused and stepped, so that the waves can be frozen, and the RMS values that the
+ * readouts of the circuit show are listed below the chart.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import TimeControlNode from '../../../../scenery-phet/js/TimeControlNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import OscilloscopeNode from './OscilloscopeNode.js';
+import UnitStrings from './UnitStrings.js';
+
+const acSourceString = ohmsLawStrings.acSource;
+const useACSourceString = ohmsLawStrings.useACSource;
+const peakVoltageString = ohmsLawStrings.peakVoltage;
+const frequencyString = ohmsLawStrings.frequency;
+const frequencyUnitsString = ohmsLawStrings.frequencyUnits;
+const rmsValuesPatternString = ohmsLawStrings.rmsValuesPattern;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+
+const acSourceDescriptionString = OhmsLawA11yStrings.acSourceDescription.value;
+const useACSourceDescriptionString = OhmsLawA11yStrings.useACSourceDescription.value;
+const peakVoltageLabelString = OhmsLawA11yStrings.peakVoltageLabel.value;
+const frequencyLabelString = OhmsLawA11yStrings.frequencyLabel.value;
+const oscilloscopeSummaryPatternString = OhmsLawA11yStrings.oscilloscopeSummaryPattern.value;
+const oscilloscopeDisabledString = OhmsLawA11yStrings.oscilloscopeDisabled.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const CONTROL_FONT = new PhetFont( 14 );
+const PEAK_VOLTAGE_STEP = 0.5; // in volts
+const FREQUENCY_STEP = 0.1; // in hertz
+const LABEL_MAX_WIDTH = 70;
+const TIME_CONTROL_SCALE = 0.8;
+
+class ACSourceAccordionBox extends AccordionBox {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {OhmsLawDescriber} ohmsLawDescriber
+   * @param {Object} [options]
+   */
+  constructor( model, ohmsLawDescriber, options ) {
+
+    options = merge( {
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      cornerRadius: 6,
+      contentXMargin: 10,
+      contentYSpacing: 4,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const acSource = model.acSource;
+
+    const expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' )
+    } );
+
+    const enabledCheckbox = new Checkbox( new Text( useACSourceString, { font: CONTROL_FONT, maxWidth: 140 } ),
+      acSource.enabledProperty, {
+        boxWidth: 14,
+
+        // pdom
+        labelContent: useACSourceString,
+        descriptionContent: useACSourceDescriptionString,
+        tandem: options.tandem.createTandem( 'enabledCheckbox' )
+      } );
+
+    const peakVoltageSpinner = createSpinner( acSource.peakVoltageProperty, PEAK_VOLTAGE_STEP,
+      voltageUnitsString, OhmsLawConstants.VOLTAGE_SIG_FIGS, peakVoltageLabelString,
+      options.tandem.createTandem( 'peakVoltageSpinner' ) );
+    const frequencySpinner = createSpinner( acSource.frequencyProperty, FREQUENCY_STEP,
+      frequencyUnitsString, OhmsLawConstants.FREQUENCY_SIG_FIGS, frequencyLabelString,
+      options.tandem.createTandem( 'frequencySpinner' ) );
+
+    const oscilloscopeNode = new OscilloscopeNode( model );
+
+    const timeControlNode = new TimeControlNode( acSource.isPlayingProperty, {
+      playPauseStepButtonOptions: {
+        stepForwardButtonOptions: {
+          listener: () => acSource.stepForward()
+        }
+      },
+      scale: TIME_CONTROL_SCALE,
+      tandem: options.tandem.createTandem( 'timeControlNode' )
+    } );
+
+    // The RMS values of the circuit, which are those of the AC source while it is used. For the batteries, the RMS
+    // values are the steady values.
+    const rmsValuesText = new Text( '', { font: CONTROL_FONT, maxWidth: 250, tagName: 'p' } );
+
+    // pdom - a summary of what the chart shows
+    const oscilloscopeDescriptionNode = new Node( { tagName: 'p' } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [ acSource.enabledProperty, acSource.frequencyProperty, model.voltageProperty,
+      model.currentProperty, model.currentUnitsProperty ], ( enabled, frequency, voltage, current, currentUnits ) => {
+      [ peakVoltageSpinner, frequencySpinner, timeControlNode ].forEach( control => {
+        control.enabled = enabled;
+        control.inputEnabled = enabled;
+      } );
+
+      rmsValuesText.text = StringUtils.fillIn( rmsValuesPatternString, {
+        voltage: Utils.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+        voltageUnits: voltageUnitsString,
+        current: model.getFixedCurrent( current ),
+        currentUnits: UnitStrings.getCurrentUnitString( currentUnits, current )
+      } );
+      rmsValuesText.innerContent = rmsValuesText.text;
+
+      oscilloscopeDescriptionNode.innerContent = enabled ? StringUtils.fillIn( oscilloscopeSummaryPatternString, {
+        frequency: Utils.toFixed( frequency, OhmsLawConstants.FREQUENCY_SIG_FIGS ),
+        peakVoltage: Utils.toFixed( acSource.peakVoltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+        peakCurrent: model.getFixedCurrent( Math.SQRT2 * current ),
+        unit: ohmsLawDescriber.getUnitForCurrent( currentUnits, Math.SQRT2 * current )
+      } ) : oscilloscopeDisabledString;
+    } );
+
+    // the time controls are beside the spinners, so that the box is no taller than the graph beside it
+    const spinnersBox = new VBox( {
+      spacing: 4,
+      align: 'right',
+      children: [
+        new HBox( {
+          spacing: 6,
+          children: [
+            new Text( peakVoltageString, { font: CONTROL_FONT, maxWidth: LABEL_MAX_WIDTH } ),
+            peakVoltageSpinner
+          ]
+        } ),
+        new HBox( {
+          spacing: 6,
+          children: [
+            new Text( frequencyString, { font: CONTROL_FONT, maxWidth: LABEL_MAX_WIDTH } ),
+            frequencySpinner
+          ]
+        } )
+      ]
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        enabledCheckbox,
+        new HBox( { spacing: 8, children: [ spinnersBox, timeControlNode ] } ),
+        oscilloscopeNode,
+        rmsValuesText,
+        oscilloscopeDescriptionNode
+      ],
+
+      // pdom
+      tagName: 'div',
+      descriptionContent: acSourceDescriptionString
+    } );
+
+    // pdom - the summary of the chart is read before the time controls
+    contentNode.pdomOrder = [ enabledCheckbox, peakVoltageSpinner, frequencySpinner, oscilloscopeDescriptionNode,
+      timeControlNode, rmsValuesText ];
+
+    options = merge( {
+      titleNode: new Text( acSourceString, { font: TITLE_FONT, maxWidth: 150 } ),
+      expandedProperty: expandedProperty,
+
+      // pdom
+      accessibleName: acSourceString
+    }, options );
+
+    super( contentNode, options );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+  }
+}
+
+/**
+ * Create a spinner for a value of the AC source, with its units in the display.
+ * @param {NumberProperty} property - with a range
+ * @param {number} deltaValue
+ * @param {string} unitsString
+ * @param {number} decimalPlaces
+ * @param {string} labelString - pdom
+ * @param {Tandem} tandem
+ * @returns {NumberSpinner}
+ */
+function createSpinner( property, deltaValue, unitsString, decimalPlaces, labelString, tandem ) {
+  return new NumberSpinner( property, new Property( property.range ), {
+    deltaValue: deltaValue,
+    arrowsPosition: 'leftRight',
+    numberDisplayOptions: {
+      valuePattern: `{{value}} ${unitsString}`,
+      decimalPlaces: decimalPlaces,
+      textOptions: { font: CONTROL_FONT },
+      cornerRadius: 5,
+      backgroundStroke: 'black'
+    },
+
+    // pdom
+    labelContent: labelString,
+    tandem: tandem
+  } );
+}
+
+ohmsLaw.register( 'ACSourceAccordionBox', ACSourceAccordionBox );
+export default ACSourceAccordionBox;
@@ -6,17 +6,50 @@
  * @author Anton Ulyanov (Mlearner)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import CellArrangement from '../model/CellArrangement.js';
+import CellType from '../model/CellType.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
 import BatteryView from './BatteryView.js';
 
 const batteriesSupplyPatternString = OhmsLawA11yStrings.batteriesSupplyPattern.value;
+const batteryPackSupplyPatternString = OhmsLawA11yStrings.batteryPackSupplyPattern.value;
+const cellDescriptionPatternString = OhmsLawA11yStrings.cellDescriptionPattern.value;
+const reversedCellDescriptionPatternString = OhmsLawA11yStrings.reversedCellDescriptionPattern.value;
+const seriesArrangementString = OhmsLawA11yStrings.seriesArrangement.value;
+const parallelArrangementString = OhmsLawA11yStrings.parallelArrangement.value;
+const acSourceSupplyPatternString = OhmsLawA11yStrings.acSourceSupplyPattern.value;
+
+// pdom - the names of the cells of the battery pack
+const CELL_NAMES = {
+  AA: OhmsLawA11yStrings.aaCell.value,
+  C: OhmsLawA11yStrings.cCell.value,
+  NINE_VOLT: OhmsLawA11yStrings.nineVoltCell.value,
+  CUSTOM: OhmsLawA11yStrings.customCell.value
+};
+
+// constants
+const BATTERY_WIDTH = OhmsLawConstants.BATTERY_WIDTH;
+
+// cells in parallel are stacked across the wire, shrunk to fit in this height when there are many of them
+const PARALLEL_CELL_SPACING = OhmsLawConstants.BATTERY_HEIGHT * 1.5;
+const PARALLEL_MAX_HEIGHT = OhmsLawConstants.BATTERY_HEIGHT * 3;
+const BUS_BAR_LINE_WIDTH = 4;
+
+// the symbol of the AC source, a circle with a sine wave across it, on the wire where the first battery would be
+const AC_SOURCE_RADIUS = OhmsLawConstants.BATTERY_HEIGHT * 0.6;
+const AC_SOURCE_LINE_WIDTH = 2;
+const AC_SOURCE_WAVE_SAMPLES = 30;
 
 class BatteriesView extends Node {
   /**
@@ -26,6 +59,13 @@ class BatteriesView extends Node {
   constructor( voltageProperty, options ) {
 
     options = merge( {
+
+      // {BatteryPack|null} - the cells that are shown in place of the batteries while the pack is enabled
+      batteryPack: null,
+
+      // {ACSource|null} - the source that is shown in place of the batteries while it is enabled
+      acSource: null,
+
       tandem: Tandem.REQUIRED,
 
       // pdom
@@ -34,8 +74,9 @@ class BatteriesView extends Node {
 
     super();
 
-    // Store battery nodes in an array
-    const batteries = [];
+    // @private - battery nodes, from left to right
+    this.batteries = [];
+    const batteries = this.batteries;
 
     const batteriesGroupTandem = options.tandem.createGroupTandem( 'battery' );
 
@@ -49,9 +90,15 @@ class BatteriesView extends Node {
       batteries.push( battery );
     }
 
-    // Present for the lifetime of the simulation; no need to unlink.
-    voltageProperty.link( voltage => {
+    // @private
+    this.batteryPack = options.batteryPack;
+    this.acSource = options.acSource;
 
+    // the cells of the battery pack, which are created again when they change
+    const cellsParent = new Node();
+    this.addChild( cellsParent );
+
+    const updateBatteries = voltage => {
       batteries.forEach( ( battery, index ) => {
 
         // Determine associated with a particular battery
@@ -70,9 +117,182 @@ class BatteriesView extends Node {
       this.innerContent = StringUtils.fillIn( batteriesSupplyPatternString, {
         voltage: Utils.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS )
       } );
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    voltageProperty.link( voltage => {
+      if ( !this.isBatteryPackShown() && !this.isACSourceShown() ) {
+        updateBatteries( voltage );
+      }
     } );
+
+    const batteryPack = options.batteryPack;
+    if ( batteryPack ) {
+      const updateCells = () => {
+        const batteryPackShown = batteryPack.enabledProperty.value;
+        cellsParent.children.forEach( cellNode => cellNode.dispose() );
+        cellsParent.children = batteryPackShown ? createCellNodes( batteryPack ) : [];
+
+        if ( batteryPackShown ) {
+          batteries.forEach( battery => { battery.visible = false; } );
+
+          // pdom
+          this.innerContent = StringUtils.fillIn( batteryPackSupplyPatternString, {
+            cells: batteryPack.cells.map( cell => StringUtils.fillIn(
+              cell.reversed ? reversedCellDescriptionPatternString : cellDescriptionPatternString, {
+                cell: CELL_NAMES[ cell.cellType ],
+                voltage: Utils.toFixed( Math.abs( batteryPack.getCellVoltage( cell ) ), OhmsLawConstants.VOLTAGE_SIG_FIGS )
+              } ) ).join( '; ' ),
+            arrangement: batteryPack.arrangementProperty.value === CellArrangement.SERIES ?
+                         seriesArrangementString : parallelArrangementString,
+            voltage: Utils.toFixed( batteryPack.voltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS )
+          } );
+        }
+        else if ( !this.isACSourceShown() ) {
+          updateBatteries( voltageProperty.value );
+        }
+      };
+
+      // Present for the lifetime of the simulation; no need to unlink.
+      batteryPack.cells.elementAddedEmitter.addListener( updateCells );
+      batteryPack.cells.elementRemovedEmitter.addListener( updateCells );
+      Property.multilink( [ batteryPack.enabledProperty, batteryPack.arrangementProperty,
+        batteryPack.customVoltageProperty ], updateCells );
+    }
+
+    const acSource = options.acSource;
+    if ( acSource ) {
+      const acSourceNode = createACSourceNode();
+      this.addChild( acSourceNode );
+
+      // Present for the lifetime of the simulation; no need to unlink.
+      Property.multilink( [ acSource.enabledProperty, acSource.peakVoltageProperty, acSource.frequencyProperty ],
+        ( acSourceEnabled, peakVoltage, frequency ) => {
+          acSourceNode.visible = acSourceEnabled;
+
+          if ( acSourceEnabled ) {
+            batteries.forEach( battery => { battery.visible = false; } );
+
+            // pdom
+            this.innerContent = StringUtils.fillIn( acSourceSupplyPatternString, {
+              peakVoltage: Utils.toFixed( peakVoltage, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+              rmsVoltage: Utils.toFixed( acSource.rmsVoltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+              frequency: Utils.toFixed( frequency, OhmsLawConstants.FREQUENCY_SIG_FIGS )
+            } );
+          }
+          else if ( !this.isBatteryPackShown() ) {
+            updateBatteries( voltageProperty.value );
+          }
+        } );
+    }
+
     this.mutate( options );
   }
+
+  /**
+   * Whether the cells of the battery pack are shown in place of the batteries.
+   * @private
+   * @returns {boolean}
+   */
+  isBatteryPackShown() {
+    return !!this.batteryPack && this.batteryPack.enabledProperty.value;
+  }
+
+  /**
+   * Whether the AC source is shown in place of the batteries.
+   * @private
+   * @returns {boolean}
+   */
+  isACSourceShown() {
+    return !!this.acSource && this.acSource.enabledProperty.value;
+  }
+
+  /**
+   * Get the width of the batteries that are shown along the wire, from their negative end.
+   * @public
+   * @returns {number}
+   */
+  getBatteriesWidth() {
+    if ( this.isACSourceShown() ) {
+      return BATTERY_WIDTH / 2 + AC_SOURCE_RADIUS;
+    }
+    if ( this.isBatteryPackShown() ) {
+      return this.batteryPack.arrangementProperty.value === CellArrangement.SERIES ?
+             this.batteryPack.cells.length * BATTERY_WIDTH :
+             BATTERY_WIDTH;
+    }
+    return this.batteries.filter( battery => battery.visible ).length * BATTERY_WIDTH;
+  }
+}
+
+/**
+ * Create the Nodes for the cells of the battery pack. In series they are in a row along the wire like the batteries,
+ * in parallel they are stacked across the wire between two bus bars.
+ * @param {BatteryPack} batteryPack
+ * @returns {Node[]}
+ */
+function createCellNodes( batteryPack ) {
+  const cellNodes = batteryPack.cells.map( cell => {
+    const cellView = new BatteryView( {
+      heightScale: CellType[ cell.cellType ].heightScale,
+      reversed: cell.reversed,
+
+      // the cells come and go, so they aren't instrumented
+      tandem: Tandem.OPT_OUT
+    } );
+    cellView.setVoltage( Math.abs( batteryPack.getCellVoltage( cell ) ) );
+    return cellView;
+  } );
+
+  if ( batteryPack.arrangementProperty.value === CellArrangement.SERIES ) {
+    cellNodes.forEach( ( cellNode, index ) => { cellNode.x = index * BATTERY_WIDTH; } );
+    return cellNodes;
+  }
+
+  const scale = Math.min( 1, PARALLEL_MAX_HEIGHT / ( cellNodes.length * PARALLEL_CELL_SPACING ) );
+  const cellYs = cellNodes.map( ( cellNode, index ) =>
+    ( index - ( cellNodes.length - 1 ) / 2 ) * PARALLEL_CELL_SPACING * scale );
+  cellNodes.forEach( ( cellNode, index ) => {
+    cellNode.setScaleMagnitude( scale );
+    cellNode.x = BATTERY_WIDTH * ( 1 - scale ) / 2;
+    cellNode.y = cellYs[ index ];
+  } );
+
+  // the bus bars at the ends of the cells, and the leads from them to the cells
+  const busBarsShape = new Shape()
+    .moveTo( 0, _.first( cellYs ) ).lineTo( 0, _.last( cellYs ) )
+    .moveTo( BATTERY_WIDTH, _.first( cellYs ) ).lineTo( BATTERY_WIDTH, _.last( cellYs ) );
+  cellYs.forEach( cellY => busBarsShape.moveTo( 0, cellY ).lineTo( BATTERY_WIDTH, cellY ) );
+  const busBarsNode = new Path( busBarsShape, {
+    stroke: '#000',
+    lineWidth: BUS_BAR_LINE_WIDTH,
+    lineCap: 'square'
+  } );
+  return [ busBarsNode, ...cellNodes ];
+}
+
+/**
+ * Create the symbol of the AC source, in the place of the first battery.
+ * @returns {Node}
+ */
+function createACSourceNode() {
+  const centerX = BATTERY_WIDTH / 2;
+
+  // one period of the wave, across the middle of the circle
+  const waveHalfWidth = AC_SOURCE_RADIUS * 0.6;
+  const waveShape = new Shape();
+  _.range( AC_SOURCE_WAVE_SAMPLES + 1 ).forEach( index => {
+    const fraction = index / AC_SOURCE_WAVE_SAMPLES;
+    waveShape.lineTo( centerX - waveHalfWidth + 2 * waveHalfWidth * fraction,
+      -AC_SOURCE_RADIUS * 0.35 * Math.sin( 2 * Math.PI * fraction ) );
+  } );
+
+  return new Node( {
+    children: [
+      new Circle( AC_SOURCE_RADIUS, { x: centerX, fill: 'white', stroke: '#000', lineWidth: AC_SOURCE_LINE_WIDTH } ),
+      new Path( waveShape, { stroke: '#000', lineWidth: AC_SOURCE_LINE_WIDTH } )
+    ]
+  } );
 }
 
 ohmsLaw.register( 'BatteriesView', BatteriesView );
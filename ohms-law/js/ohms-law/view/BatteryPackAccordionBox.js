@@ -0,0 +1,349 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Collapsible box with the controls of the battery pack. Cells are added with the buttons of their types, and each cell
+ * has a row where it can be reversed or removed. The cells are connected in series or in parallel, and the voltage of
+ * the pack is shown below them, with a warning when the circuit can't take it.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import trashAltSolidShape from '../../../../sherpa/js/fontawesome-5/trashAltSolidShape.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import BatteryPack from '../model/BatteryPack.js';
+import CellArrangement from '../model/CellArrangement.js';
+import CellType from '../model/CellType.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+const batteryPackString = ohmsLawStrings.batteryPack;
+const useBatteryPackString = ohmsLawStrings.useBatteryPack;
+const addCellString = ohmsLawStrings.addCell;
+const seriesString = ohmsLawStrings.series;
+const parallelString = ohmsLawStrings.parallel;
+const customCellsString = ohmsLawStrings.customCells;
+const reversedString = ohmsLawStrings.reversed;
+const cellRowPatternString = ohmsLawStrings.cellRowPattern;
+const packVoltagePatternString = ohmsLawStrings.packVoltagePattern;
+const packVoltageLimitedPatternString = ohmsLawStrings.packVoltageLimitedPattern;
+const packVoltageBackwardsPatternString = ohmsLawStrings.packVoltageBackwardsPattern;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+
+const batteryPackDescriptionString = OhmsLawA11yStrings.batteryPackDescription.value;
+const useBatteryPackDescriptionString = OhmsLawA11yStrings.useBatteryPackDescription.value;
+const cellArrangementString = OhmsLawA11yStrings.cellArrangement.value;
+const customVoltageLabelString = OhmsLawA11yStrings.customVoltageLabel.value;
+const addCellPatternString = OhmsLawA11yStrings.addCellPattern.value;
+const reverseCellPatternString = OhmsLawA11yStrings.reverseCellPattern.value;
+const removeCellPatternString = OhmsLawA11yStrings.removeCellPattern.value;
+const batteryPackAlertPatternString = OhmsLawA11yStrings.batteryPackAlertPattern.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const CONTROL_FONT = new PhetFont( 14 );
+const ROW_HEIGHT = 22;
+const CHECKBOX_X = 130;
+const REMOVE_BUTTON_X = 240;
+const CUSTOM_VOLTAGE_STEP = 0.1; // in volts
+
+// the labels of the cells and of their add buttons, and their names in the PDOM
+const CELL_LABELS = {
+  AA: ohmsLawStrings.aaCell,
+  C: ohmsLawStrings.cCell,
+  NINE_VOLT: ohmsLawStrings.nineVoltCell,
+  CUSTOM: ohmsLawStrings.customCell
+};
+const CELL_NAMES = {
+  AA: OhmsLawA11yStrings.aaCell.value,
+  C: OhmsLawA11yStrings.cCell.value,
+  NINE_VOLT: OhmsLawA11yStrings.nineVoltCell.value,
+  CUSTOM: OhmsLawA11yStrings.customCell.value
+};
+
+class BatteryPackAccordionBox extends AccordionBox {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      cornerRadius: 6,
+      contentXMargin: 10,
+      contentYSpacing: 4,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const batteryPack = model.batteryPack;
+    const cells = batteryPack.cells;
+
+    const expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' )
+    } );
+
+    const alertVoltage = () => {
+      this.alertDescriptionUtterance( StringUtils.fillIn( batteryPackAlertPatternString, {
+        voltage: Utils.toFixed( batteryPack.voltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS )
+      } ) );
+    };
+
+    const enabledCheckbox = new Checkbox( new Text( useBatteryPackString, { font: CONTROL_FONT, maxWidth: 140 } ),
+      batteryPack.enabledProperty, {
+        boxWidth: 14,
+
+        // pdom
+        labelContent: useBatteryPackString,
+        descriptionContent: useBatteryPackDescriptionString,
+        tandem: options.tandem.createTandem( 'enabledCheckbox' )
+      } );
+
+    const arrangementRadioButtonGroup = new HorizontalAquaRadioButtonGroup( batteryPack.arrangementProperty, [ {
+      node: new Text( seriesString, { font: CONTROL_FONT, maxWidth: 70 } ),
+      value: CellArrangement.SERIES,
+      tandemName: 'seriesRadioButton',
+      labelContent: seriesString
+    }, {
+      node: new Text( parallelString, { font: CONTROL_FONT, maxWidth: 70 } ),
+      value: CellArrangement.PARALLEL,
+      tandemName: 'parallelRadioButton',
+      labelContent: parallelString
+    } ], {
+      spacing: 10,
+      radioButtonOptions: { radius: 7 },
+
+      // pdom
+      labelContent: cellArrangementString,
+      tandem: options.tandem.createTandem( 'arrangementRadioButtonGroup' )
+    } );
+
+    const addButtons = CellType.VALUES.map( cellType => new TextPushButton( CELL_LABELS[ cellType.name ], {
+      font: CONTROL_FONT,
+      maxTextWidth: 60,
+      xMargin: 6,
+      yMargin: 3,
+      listener: () => {
+        batteryPack.addCell( cellType );
+        alertVoltage();
+      },
+
+      // pdom
+      innerContent: StringUtils.fillIn( addCellPatternString, { cell: CELL_NAMES[ cellType.name ] } ),
+      tandem: options.tandem.createTandem( `add${_.upperFirst( _.camelCase( cellType.name ) )}Button` )
+    } ) );
+
+    const customVoltageSpinner = new NumberSpinner( batteryPack.customVoltageProperty,
+      new Property( batteryPack.customVoltageProperty.range ), {
+        deltaValue: CUSTOM_VOLTAGE_STEP,
+        arrowsPosition: 'leftRight',
+        numberDisplayOptions: {
+          valuePattern: `{{value}} ${voltageUnitsString}`,
+          decimalPlaces: OhmsLawConstants.VOLTAGE_SIG_FIGS,
+          textOptions: { font: CONTROL_FONT },
+          cornerRadius: 5,
+          backgroundStroke: 'black'
+        },
+
+        // pdom
+        labelContent: customVoltageLabelString,
+        tandem: options.tandem.createTandem( 'customVoltageSpinner' )
+      } );
+
+    // One row for each cell that fits in the pack, only the ones for the cells of the pack are shown. The rows only
+    // mirror BatteryPack.cells, so they aren't instrumented.
+    let updatingRows = false;
+    const rows = _.times( BatteryPack.MAX_CELLS, index => {
+      const labelText = new Text( '', { font: CONTROL_FONT, maxWidth: CHECKBOX_X - 10 } );
+
+      const reversedProperty = new BooleanProperty( false );
+      const reversedCheckbox = new Checkbox( new Text( reversedString, { font: CONTROL_FONT, maxWidth: 80 } ),
+        reversedProperty, {
+          boxWidth: 14,
+          x: CHECKBOX_X,
+          centerY: ROW_HEIGHT / 2,
+
+          // pdom
+          labelContent: StringUtils.fillIn( reverseCellPatternString, { number: index + 1 } ),
+          tandem: Tandem.OPT_OUT
+        } );
+
+      // Present for the lifetime of the simulation; no need to unlink.
+      reversedProperty.lazyLink( reversed => {
+        if ( !updatingRows ) {
+          batteryPack.setCellReversed( index, reversed );
+          alertVoltage();
+        }
+      } );
+
+      const removeButton = new RectangularPushButton( {
+        content: new Path( trashAltSolidShape, { fill: 'black', maxHeight: 12 } ),
+        xMargin: 5,
+        yMargin: 3,
+        baseColor: 'rgb( 255, 230, 230 )',
+        x: REMOVE_BUTTON_X,
+        centerY: ROW_HEIGHT / 2,
+        listener: () => {
+          batteryPack.removeCell( index );
+          alertVoltage();
+        },
+
+        // pdom
+        innerContent: StringUtils.fillIn( removeCellPatternString, { number: index + 1 } ),
+        tandem: Tandem.OPT_OUT
+      } );
+
+      const row = new Node( {
+        children: [ labelText, reversedCheckbox, removeButton ],
+
+        // pdom
+        tagName: 'li'
+      } );
+
+      /**
+       * Show the cell of the pack with the index of the row.
+       * @param {Object|null} cell - see BatteryPack.cells, null when the pack has fewer cells
+       * @param {boolean} enabled - whether the pack is used
+       */
+      const update = ( cell, enabled ) => {
+        row.visible = !!cell;
+        if ( cell ) {
+          labelText.text = StringUtils.fillIn( cellRowPatternString, {
+            number: index + 1,
+            cell: CELL_LABELS[ cell.cellType ],
+            voltage: Utils.toFixed( Math.abs( batteryPack.getCellVoltage( cell ) ), OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+            units: voltageUnitsString
+          } );
+          labelText.centerY = ROW_HEIGHT / 2;
+          row.innerContent = labelText.text;
+          reversedProperty.value = cell.reversed;
+          reversedCheckbox.enabled = enabled;
+          removeButton.enabled = enabled && batteryPack.canRemoveCell();
+        }
+      };
+      return { node: row, update: update };
+    } );
+    const rowsParent = new VBox( {
+      align: 'left',
+      spacing: 0,
+      children: rows.map( row => row.node ),
+
+      // pdom
+      tagName: 'ol'
+    } );
+
+    const packVoltageText = new Text( '', { font: CONTROL_FONT, maxWidth: 250, tagName: 'p' } );
+    const packVoltageLimitedText = new Text( '', {
+      font: CONTROL_FONT,
+      fill: 'rgb( 200, 0, 0 )',
+      maxWidth: 250,
+
+      // pdom
+      tagName: 'p'
+    } );
+
+    const update = () => {
+      const enabled = batteryPack.enabledProperty.value;
+      updatingRows = true;
+      rows.forEach( ( row, index ) => row.update( index < cells.length ? cells[ index ] : null, enabled ) );
+      updatingRows = false;
+
+      addButtons.forEach( addButton => { addButton.enabled = enabled && batteryPack.canAddCell(); } );
+      customVoltageSpinner.enabled = enabled;
+      customVoltageSpinner.inputEnabled = enabled;
+      arrangementRadioButtonGroup.enabled = enabled;
+      arrangementRadioButtonGroup.inputEnabled = enabled;
+
+      const packVoltage = batteryPack.voltageProperty.value;
+      const fixedPackVoltage = Utils.toFixed( packVoltage, OhmsLawConstants.VOLTAGE_SIG_FIGS );
+      packVoltageText.text = StringUtils.fillIn( packVoltagePatternString, {
+        voltage: fixedPackVoltage,
+        units: voltageUnitsString
+      } );
+      packVoltageText.innerContent = packVoltageText.text;
+
+      // the circuit only takes the voltages of the slider, and none from a pack that is backwards, see OhmsLawModel
+      const range = OhmsLawConstants.VOLTAGE_RANGE;
+      packVoltageLimitedText.visible = !range.contains( Utils.toFixedNumber( packVoltage, OhmsLawConstants.VOLTAGE_SIG_FIGS ) );
+      packVoltageLimitedText.text = batteryPack.hasForwardVoltage() ?
+                                    StringUtils.fillIn( packVoltageLimitedPatternString, {
+                                      min: Utils.toFixed( range.min, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+                                      max: Utils.toFixed( range.max, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+                                      voltage: Utils.toFixed( range.constrainValue( packVoltage ), OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+                                      units: voltageUnitsString
+                                    } ) :
+                                    StringUtils.fillIn( packVoltageBackwardsPatternString, {
+                                      voltage: Utils.toFixed( 0, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+                                      units: voltageUnitsString
+                                    } );
+      packVoltageLimitedText.innerContent = packVoltageLimitedText.text;
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    cells.elementAddedEmitter.addListener( update );
+    cells.elementRemovedEmitter.addListener( update );
+    Property.multilink( [ batteryPack.enabledProperty, batteryPack.voltageProperty ], update );
+
+    const contentNode = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        enabledCheckbox,
+        arrangementRadioButtonGroup,
+        new HBox( {
+          spacing: 6,
+          children: [ new Text( addCellString, { font: CONTROL_FONT, maxWidth: 50 } ), ...addButtons ]
+        } ),
+        new HBox( {
+          spacing: 6,
+          children: [ new Text( customCellsString, { font: CONTROL_FONT, maxWidth: 100 } ), customVoltageSpinner ]
+        } ),
+        rowsParent,
+        packVoltageText,
+        packVoltageLimitedText
+      ],
+
+      // pdom
+      tagName: 'div',
+      descriptionContent: batteryPackDescriptionString
+    } );
+
+    options = merge( {
+      titleNode: new Text( batteryPackString, { font: TITLE_FONT, maxWidth: 150 } ),
+      expandedProperty: expandedProperty,
+
+      // pdom
+      accessibleName: batteryPackString
+    }, options );
+
+    super( contentNode, options );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+  }
+}
+
+ohmsLaw.register( 'BatteryPackAccordionBox', BatteryPackAccordionBox );
+export default BatteryPackAccordionBox;
@@ -49,6 +49,13 @@ class BatteryView extends Node {
   constructor( options ) {
 
     options = merge( {
+
+      // how much taller the battery is drawn than an AA battery, for the bigger cells of the battery pack
+      heightScale: 1,
+
+      // whether the battery is drawn backwards, with the positive pole pointing to the left
+      reversed: false,
+
       tandem: Tandem.REQUIRED
     }, options );
 
@@ -88,10 +95,20 @@ class BatteryView extends Node {
     } );
     batteryNode.addChild( this.nub );
 
+    batteryNode.setScaleMagnitude( options.reversed ? -1 : 1, options.heightScale );
+    batteryNode.x = options.reversed ? OhmsLawConstants.BATTERY_WIDTH : 0;
     this.addChild( batteryNode );
 
+    // The voltage label is laid out for a battery that is at least this wide, and scaled down to fit a narrower one,
+    // since the number of batteries depends on the voltage range, which can be set with a query parameter.
+    const labelWidth = Math.max( this.mainBodyWidth, VOLTAGE_STRING_MAX_WIDTH * 2 );
+
     // @private - Voltage label associated with the battery
-    this.batteryText = new Node( { x: 3, tandem: options.tandem.createTandem( 'batteryText' ) } );
+    this.batteryText = new Node( {
+      x: 3,
+      maxWidth: this.mainBodyWidth,
+      tandem: options.tandem.createTandem( 'batteryText' )
+    } );
 
     // @private
     this.voltageValueText = new Text( OhmsLawConstants.AA_VOLTAGE, {
@@ -105,7 +122,7 @@ class BatteryView extends Node {
       font: FONT,
       fill: 'blue',
       x: VOLTAGE_STRING_MAX_WIDTH * 1.1,
-      maxWidth: ( this.mainBodyWidth - VOLTAGE_STRING_MAX_WIDTH ) * 0.9, // limit to 90% of remaining space
+      maxWidth: ( labelWidth - VOLTAGE_STRING_MAX_WIDTH ) * 0.9, // limit to 90% of remaining space
       tandem: options.tandem.createTandem( 'voltageUnitsText' )
     } );
     this.batteryText.addChild( voltageUnitsText );
@@ -0,0 +1,209 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Charges that move along the wires of the circuit, at a speed that is proportional to the current. Either positive
+ * charges are shown, moving with the conventional current, or electrons, moving against it. The charges stand still
+ * while motion is reduced with the global option. For an alternating current, they move back and forth.
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import MinusNode from '../../../../scenery-phet/js/MinusNode.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PlusNode from '../../../../scenery-phet/js/PlusNode.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawGlobalOptions from '../OhmsLawGlobalOptions.js';
+import CurrentDirection from './CurrentDirection.js';
+
+// constants
+const CHARGE_RADIUS = 4;
+const SIGN_SIZE = new Dimension2( 6, 1.5 );
+const CHARGE_SPACING = 25; // approximate distance between the charges along a path
+const SPEED_PER_MILLIAMP = 3; // in view coordinates per second
+const MAX_SPEED = 300; // so that the charges can still be followed at large currents, in view coordinates per second
+
+class ChargesNode extends Node {
+
+  /**
+   * @param {EnumerationProperty.<CurrentDirection>} currentDirectionProperty
+   * @param {Object} [options]
+   */
+  constructor( currentDirectionProperty, options ) {
+
+    options = merge( {
+
+      // {Property.<number>|null} - if provided, multiplies the currents of the paths, like the wave of an alternating
+      // current
+      currentFactorProperty: null,
+
+      // {Property.<boolean>|null} - if provided, the charges stand still while this Property is true
+      pausedProperty: null
+    }, options );
+
+    super( options );
+
+    // @private
+    this.currentDirectionProperty = currentDirectionProperty;
+    this.currentFactorProperty = options.currentFactorProperty;
+    this.pausedProperty = options.pausedProperty;
+
+    // @private {ChargePath[]}
+    this.chargePaths = [];
+
+    // One icon for each kind of charge, shared by all of the charges that are shown.
+    const positiveChargeNode = createChargeNode( PhetColorScheme.RED_COLORBLIND,
+      new PlusNode( { size: SIGN_SIZE, fill: 'white', center: Vector2.ZERO } ) );
+    const electronNode = createChargeNode( 'rgb( 0, 100, 255 )',
+      new MinusNode( { size: SIGN_SIZE, fill: 'white', center: Vector2.ZERO } ) );
+
+    // @private {Node} - the icon for the charges that are shown
+    this.chargeIconNode = positiveChargeNode;
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    currentDirectionProperty.link( currentDirection => {
+      this.chargeIconNode = currentDirection === CurrentDirection.CONVENTIONAL ? positiveChargeNode : electronNode;
+      this.chargePaths.forEach( chargePath => chargePath.setIcon( this.chargeIconNode ) );
+    } );
+  }
+
+  /**
+   * Set the paths that the charges move along, replacing the previous ones.
+   * @public
+   *
+   * @param {Object[]} paths - each {points: Vector2[], currentProperty: Property.<number>}, where the points are in the
+   *                           direction of the conventional current, and the current is in milliamps
+   */
+  setPaths( paths ) {
+    this.chargePaths.forEach( chargePath => chargePath.dispose() );
+    this.chargePaths = paths.map( path => new ChargePath( path.points, path.currentProperty, this.chargeIconNode ) );
+    this.children = _.flatten( this.chargePaths.map( chargePath => chargePath.chargeNodes ) );
+  }
+
+  /**
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    const paused = !!this.pausedProperty && this.pausedProperty.value;
+    if ( this.visible && !paused && !OhmsLawGlobalOptions.reducedMotionProperty.value ) {
+      const sign = this.currentDirectionProperty.value === CurrentDirection.CONVENTIONAL ? 1 : -1;
+      const currentFactor = this.currentFactorProperty ? this.currentFactorProperty.value : 1;
+      this.chargePaths.forEach( chargePath => {
+
+        // the current is negative for half of each period of an alternating current
+        const speed = Utils.clamp( SPEED_PER_MILLIAMP * currentFactor * chargePath.currentProperty.value,
+          -MAX_SPEED, MAX_SPEED );
+        chargePath.move( sign * speed * dt );
+      } );
+    }
+  }
+}
+
+/**
+ * Evenly spaced charges that move together along a polyline.
+ */
+class ChargePath {
+
+  /**
+   * @param {Vector2[]} points
+   * @param {Property.<number>} currentProperty - in milliamps
+   * @param {Node} iconNode
+   */
+  constructor( points, currentProperty, iconNode ) {
+
+    // @public (read-only)
+    this.currentProperty = currentProperty;
+
+    // @private
+    this.points = points;
+    this.segmentLengths = _.range( points.length - 1 ).map( i => points[ i ].distance( points[ i + 1 ] ) );
+    this.length = _.sum( this.segmentLengths );
+
+    const numberOfCharges = Math.max( 1, Utils.roundSymmetric( this.length / CHARGE_SPACING ) );
+
+    // @private - distance between the charges along the path
+    this.spacing = this.length / numberOfCharges;
+
+    // @private - distance of the first charge from the start of the path, the others follow at the spacing
+    this.offset = this.spacing / 2;
+
+    // @public (read-only) {Node[]}
+    this.chargeNodes = _.range( numberOfCharges ).map( () => new Node( { children: [ iconNode ] } ) );
+
+    this.updateChargePositions();
+  }
+
+  /**
+   * @public
+   * @param {Node} iconNode
+   */
+  setIcon( iconNode ) {
+    this.chargeNodes.forEach( chargeNode => { chargeNode.children = [ iconNode ]; } );
+  }
+
+  /**
+   * Move the charges along the path, backward for a negative distance.
+   * @public
+   *
+   * @param {number} distance
+   */
+  move( distance ) {
+
+    // the charges are evenly spaced, so moving by a multiple of the spacing changes nothing
+    this.offset = Utils.moduloBetweenDown( this.offset + distance, 0, this.spacing );
+    this.updateChargePositions();
+  }
+
+  /**
+   * @private
+   */
+  updateChargePositions() {
+    this.chargeNodes.forEach( ( chargeNode, index ) => {
+      chargeNode.translation = this.getPoint( this.offset + index * this.spacing );
+    } );
+  }
+
+  /**
+   * Get the point at a distance along the path.
+   * @private
+   *
+   * @param {number} distance
+   * @returns {Vector2}
+   */
+  getPoint( distance ) {
+    let remaining = distance;
+    for ( let i = 0; i < this.segmentLengths.length; i++ ) {
+      if ( remaining <= this.segmentLengths[ i ] ) {
+        return this.points[ i ].blend( this.points[ i + 1 ], remaining / this.segmentLengths[ i ] );
+      }
+      remaining -= this.segmentLengths[ i ];
+    }
+    return this.points[ this.points.length - 1 ];
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.chargeNodes.forEach( chargeNode => chargeNode.dispose() );
+  }
+}
+
+/**
+ * Create the icon for a kind of charge, centered on the origin.
+ * @param {ColorDef} fill
+ * @param {Node} signNode
+ * @returns {Node}
+ */
+function createChargeNode( fill, signNode ) {
+  return new Node( {
+    children: [ new Circle( CHARGE_RADIUS, { fill: fill, stroke: 'black', lineWidth: 0.5 } ), signNode ]
+  } );
+}
+
+ohmsLaw.register( 'ChargesNode', ChargesNode );
+export default ChargesNode;
@@ -7,25 +7,63 @@
  */
 
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import DynamicProperty from '../../../../axon/js/DynamicProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
 import Panel from '../../../../sun/js/Panel.js';
+import ValueMapping from '../../../../sun/js/ValueMapping.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ValueChangeUtterance from '../../../../utterance-queue/js/ValueChangeUtterance.js';
 import ohmsLaw from '../../ohmsLaw.js';
 import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CircuitTopology from '../model/CircuitTopology.js';
+import LoadType from '../model/LoadType.js';
 import OhmsLawModel from '../model/OhmsLawModel.js';
+import PreferredValues from '../model/PreferredValues.js';
+import ResistanceMode from '../model/ResistanceMode.js';
+import SolveFor from '../model/SolveFor.js';
+import UndoableChange from '../model/UndoableChange.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
+import OhmsLawGlobalOptions from '../OhmsLawGlobalOptions.js';
+import ResistanceWireControls from './ResistanceWireControls.js';
 import SliderUnit from './SliderUnit.js';
 
+const currentString = ohmsLawStrings.current;
+const currentSymbolString = ohmsLawStrings.currentSymbol;
 const resistanceString = ohmsLawStrings.resistance;
 const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
 const voltageString = ohmsLawStrings.voltage;
 const voltageSymbolString = ohmsLawStrings.voltageSymbol;
 const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const singleString = ohmsLawStrings.single;
+const seriesString = ohmsLawStrings.series;
+const parallelString = ohmsLawStrings.parallel;
+const resistorSymbolPatternString = ohmsLawStrings.resistorSymbolPattern;
+const solveForString = ohmsLawStrings.solveFor;
+const internalResistanceString = ohmsLawStrings.internalResistance;
+const resistorString = ohmsLawStrings.resistor;
+const valueString = ohmsLawStrings.value;
+const wireString = ohmsLawStrings.wire;
+const loadString = ohmsLawStrings.load;
+const lampString = ohmsLawStrings.lamp;
+const diodeString = ohmsLawStrings.diode;
+const thermistorString = ohmsLawStrings.thermistor;
 
 // can provide translators with context
 const resistanceUnitsPatternString = OhmsLawA11yStrings.resistanceUnitsPattern.value;
@@ -39,18 +77,32 @@ const letterVString = OhmsLawA11yStrings.letterV.value;
 const shrinksString = OhmsLawA11yStrings.shrinks.value;
 const growsString = OhmsLawA11yStrings.grows.value;
 const aLotString = OhmsLawA11yStrings.aLot.value;
+const circuitControlsString = OhmsLawA11yStrings.circuitControls.value;
+const circuitControlsDescriptionString = OhmsLawA11yStrings.circuitControlsDescription.value;
+const numberOfResistorsString = OhmsLawA11yStrings.numberOfResistors.value;
+const resistorPatternString = OhmsLawA11yStrings.resistorPattern.value;
+const solveForDescriptionString = OhmsLawA11yStrings.solveForDescription.value;
+const solveForPatternString = OhmsLawA11yStrings.solveForPattern.value;
+const internalResistanceLabelString = OhmsLawA11yStrings.internalResistance.value;
+const internalResistancePatternString = OhmsLawA11yStrings.internalResistancePattern.value;
+const resistorModeDescriptionString = OhmsLawA11yStrings.resistorModeDescription.value;
+const loadDescriptionString = OhmsLawA11yStrings.loadDescription.value;
 
 // constants
 const NUMBER_OF_LETTER_SIZES = OhmsLawA11yStrings.numberOfSizes.value; // pdom - the number of sizes that letters can be described as.
+const CIRCUIT_CONTROL_FONT = new PhetFont( 16 );
+const INTERNAL_RESISTANCE_STEP = 0.5; // ohms
 
 class ControlPanel extends Panel {
 
   /**
    * @param {OhmsLawModel} model
    * @param {OhmsLawDescriber} ohmsLawDescriber
+   * @param {Node} popupParent - parent for the list of the combo box and the keypads of the sliders, so that they are in
+   * front of everything else
    * @param {Object} [options]
    */
-  constructor( model, ohmsLawDescriber, options ) {
+  constructor( model, ohmsLawDescriber, popupParent, options ) {
 
     options = merge( {
       xMargin: 30,
@@ -62,13 +114,38 @@ class ControlPanel extends Panel {
     }, options );
 
     const voltageProperty = model.voltageProperty;
-    const resistanceProperty = model.resistanceProperty;
     const currentProperty = model.currentProperty;
 
+    // {NumberProperty} - index of the resistor that the resistance slider controls when there are multiple resistors
+    const selectedResistorIndexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, model.resistanceProperties.length - 1 ),
+      tandem: options.tandem.createTandem( 'selectedResistorIndexProperty' ),
+      phetioDocumentation: 'The resistor that the resistance slider controls when there are multiple resistors'
+    } );
+
+    // the resistance of the selected resistor, which is what the resistance slider changes. The index is mapped to the
+    // Property before it is passed to DynamicProperty, which treats a falsy value like 0 as having no Property.
+    const resistanceProperty = new DynamicProperty( new DerivedProperty( [ selectedResistorIndexProperty ],
+      index => model.resistanceProperties[ index ]
+    ), {
+      bidirectional: true
+    } );
+
+    // Only resistors that are in the circuit can be selected. Present for the lifetime of the sim, no need to unlink.
+    Property.multilink( [ model.circuitTopologyProperty, model.numberOfResistorsProperty ], () => {
+      if ( selectedResistorIndexProperty.value >= model.getNumberOfActiveResistors() ) {
+        selectedResistorIndexProperty.reset();
+      }
+    } );
+
     // pdom - to alert changes to assistive devices
     const resistanceUtterance = new ValueChangeUtterance();
     const voltageUtterance = new ValueChangeUtterance();
 
+    // {Object} - the state of the circuit when a drag starts, so that the drag can be undone, see UndoHistory
+    let circuitStateBeforeDrag;
+
     // Create the voltage slider with readout and labels
     let oldVoltage; // stored on startDrag;
     let newVoltage; // stored on endDrag;
@@ -81,26 +158,32 @@ class ControlPanel extends Panel {
       voltageSliderLabelString,
       {
         sliderOptions: {
+          enabledRangeProperty: model.voltageEnabledRangeProperty,
 
           // pdom
           keyboardStep: 0.5, // volts
           a11yCreateAriaValueText: value => StringUtils.fillIn( voltageUnitsPatternString, { value: value } ),
           startDrag: () => {
             oldVoltage = voltageProperty.get();
+            circuitStateBeforeDrag = model.getCircuitState();
           },
           endDrag: () => {
             newVoltage = voltageProperty.get();
+            model.recordChange( UndoableChange.VOLTAGE, circuitStateBeforeDrag );
 
             if ( oldVoltage !== newVoltage ) {
               // pdom - when V changes, announce an alert that describes the change
               const sizeChange = newVoltage - oldVoltage > 0 ? growsString : shrinksString;
-              voltageUtterance.alert = ohmsLawDescriber.getValueChangeAlertString( letterVString, sizeChange, sizeChange );
+              voltageUtterance.alert = model.solveForProperty.value === SolveFor.RESISTANCE ?
+                                       ohmsLawDescriber.getLockedCurrentChangeAlertString( letterVString, sizeChange, letterRString ) :
+                                       ohmsLawDescriber.getValueChangeAlertString( letterVString, sizeChange, sizeChange );
               voltageSlider.alertDescriptionUtterance( voltageUtterance );
             }
           }
         },
 
         decimalPlaces: OhmsLawConstants.VOLTAGE_SIG_FIGS,
+        keypadParent: popupParent,
         tandem: options.tandem.createTandem( 'voltageSlider' )
       }
     );
@@ -118,16 +201,23 @@ class ControlPanel extends Panel {
     const endResistanceDrag = () => {
       newResistance = resistanceProperty.get();
       newCurrent = currentProperty.get();
+      model.recordChange( UndoableChange.RESISTANCE, circuitStateBeforeDrag );
 
       if ( newResistance !== oldResistance ) {
         const resistanceChange = newResistance - oldResistance;
         const currentChange = newCurrent - oldCurrent;
 
         const rSizeChange = resistanceChange > 0 ? growsString : shrinksString;
-        let iSizeChange = resistanceChange < 0 ? growsString : shrinksString;
-        iSizeChange += Math.abs( currentChange ) > twoSizeCurrentThreshhold ? ` ${aLotString}` : '';
 
-        resistanceUtterance.alert = ohmsLawDescriber.getValueChangeAlertString( letterRString, rSizeChange, iSizeChange );
+        if ( model.solveForProperty.value === SolveFor.VOLTAGE ) {
+          resistanceUtterance.alert = ohmsLawDescriber.getLockedCurrentChangeAlertString( letterRString, rSizeChange, letterVString );
+        }
+        else {
+          let iSizeChange = resistanceChange < 0 ? growsString : shrinksString;
+          iSizeChange += Math.abs( currentChange ) > twoSizeCurrentThreshhold ? ` ${aLotString}` : '';
+
+          resistanceUtterance.alert = ohmsLawDescriber.getValueChangeAlertString( letterRString, rSizeChange, iSizeChange );
+        }
         resistanceSlider.alertDescriptionUtterance( resistanceUtterance );
       }
     };
@@ -142,25 +232,64 @@ class ControlPanel extends Panel {
       resistanceSliderLabelString,
       {
         sliderOptions: {
+          enabledRangeProperty: model.resistanceEnabledRangeProperty,
 
-          // pdom
-          keyboardStep: 20, // ohms
-          shiftKeyboardStep: 1, // ohms
+          // The resistance spans two decades, so each decade gets half of the track rather than the lowest decade, where
+          // the current changes the most, getting a tenth of it.
+          valueMapping: ValueMapping.LOGARITHMIC,
+
+          // snaps to the preferred values of the series that is chosen in the Options dialog
+          constrainValue: value => {
+            const preferredValues = OhmsLawGlobalOptions.preferredValuesProperty.value;
+            return preferredValues === PreferredValues.ANY ?
+                   Utils.toFixedNumber( value, OhmsLawConstants.RESISTANCE_SIG_FIGS ) :
+                   PreferredValues.getNearestValue( preferredValues, value );
+          },
+
+          // pdom - each key press goes to another preferred value, or another whole number of ohms, even when the step
+          // is smaller than their spacing
+          a11yMapValue: ( newValue, previousValue ) => {
+            const preferredValues = OhmsLawGlobalOptions.preferredValuesProperty.value;
+            return preferredValues === PreferredValues.ANY ? getSteppedResistance( newValue, previousValue ) :
+                   PreferredValues.getSteppedValue( preferredValues, newValue, previousValue );
+          },
+
+          // The steps are in the exponent of the log mapping, so they multiply the resistance by a factor. The
+          // resistance isn't rounded to the steps, since the whole numbers of ohms aren't at multiples of them.
+          keyboardStep: 0.1, // a factor of about 1.26
+          phetioLinkedProperty: model.resistanceProperty,
+          shiftKeyboardStep: 0.01, // a factor of about 1.02
+          roundToStepSize: false,
           a11yCreateAriaValueText: value => StringUtils.fillIn( resistanceUnitsPatternString, { value: value } ),
           startDrag: () => {
             oldResistance = resistanceProperty.get();
             oldCurrent = currentProperty.get();
+            circuitStateBeforeDrag = model.getCircuitState();
           },
           endDrag: endResistanceDrag
         },
         decimalPlaces: OhmsLawConstants.RESISTANCE_SIG_FIGS,
+        keypadParent: popupParent,
         tandem: options.tandem.createTandem( 'resistanceSlider' )
       } );
 
-    // Use a content node so that the Panel can surround it fully
-    const content = new HBox( {
+    // Controls for the resistance wire, shown in place of the resistance slider when the resistor is a wire
+    const resistanceWireControls = new ResistanceWireControls( model.resistanceWire, model.resistanceProperty, {
+      centerX: resistanceSlider.centerX,
+      centerY: resistanceSlider.centerY,
+      tandem: options.tandem.createTandem( 'resistanceWireControls' )
+    } );
+
+    // Present for the lifetime of the sim, no need to unlink.
+    model.resistanceModeProperty.link( resistanceMode => {
+      resistanceSlider.visible = resistanceMode === ResistanceMode.VALUE;
+      resistanceWireControls.visible = resistanceMode === ResistanceMode.WIRE;
+    } );
+
+    const slidersBox = new HBox( {
       spacing: 30, // empirically determined
-      children: [ voltageSlider, resistanceSlider ],
+      align: 'top',
+      children: [ voltageSlider, new Node( { children: [ resistanceSlider, resistanceWireControls ] } ) ],
 
       // pdom - contain the sliders in a list
       labelTagName: 'h3',
@@ -169,8 +298,194 @@ class ControlPanel extends Panel {
       descriptionContent: slidersDescriptionString
     } );
 
+    // The slider for the unknown is disabled, its value follows the other slider while the current is locked. Present
+    // for the lifetime of the sim, no need to unlink.
+    // The resistance slider is also disabled while there are no resistors in the circuit, and the voltage slider while
+    // the battery pack or the AC source supplies the voltage.
+    Property.multilink( [ model.solveForProperty, model.loadTypeProperty, model.batteryPack.enabledProperty,
+        model.acSource.enabledProperty ],
+      ( solveFor, loadType, batteryPackEnabled, acSourceEnabled ) => {
+        voltageSlider.enabled = solveFor !== SolveFor.VOLTAGE && !batteryPackEnabled && !acSourceEnabled;
+        resistanceSlider.enabled = solveFor !== SolveFor.RESISTANCE && loadType.hasResistors;
+      } );
+
+    // Controls for which quantity is the unknown
+    const solveForRadioButtonGroup = new HorizontalAquaRadioButtonGroup( model.solveForProperty, [
+      createSolveForRadioButtonItem( currentSymbolString, currentString, SolveFor.CURRENT, 'currentRadioButton' ),
+      createSolveForRadioButtonItem( voltageSymbolString, voltageString, SolveFor.VOLTAGE, 'voltageRadioButton' ),
+      createSolveForRadioButtonItem( resistanceSymbolString, resistanceString, SolveFor.RESISTANCE, 'resistanceRadioButton' )
+    ], {
+      spacing: 12,
+
+      // pdom
+      labelContent: solveForString,
+      descriptionContent: solveForDescriptionString,
+      tandem: options.tandem.createTandem( 'solveForRadioButtonGroup' )
+    } );
+    const solveForControls = new HBox( {
+      spacing: 12,
+      children: [ new Text( solveForString, { font: CIRCUIT_CONTROL_FONT, maxWidth: 80 } ), solveForRadioButtonGroup ]
+    } );
+
+    // Controls for how the resistors are connected
+    const circuitTopologyRadioButtonGroup = new HorizontalAquaRadioButtonGroup( model.circuitTopologyProperty, [
+      createRadioButtonItem( singleString, CircuitTopology.SINGLE, 'singleRadioButton' ),
+      createRadioButtonItem( seriesString, CircuitTopology.SERIES, 'seriesRadioButton' ),
+      createRadioButtonItem( parallelString, CircuitTopology.PARALLEL, 'parallelRadioButton' )
+    ], {
+      spacing: 12,
+      tandem: options.tandem.createTandem( 'circuitTopologyRadioButtonGroup' )
+    } );
+
+    const numberOfResistorsSpinner = new NumberSpinner(
+      model.numberOfResistorsProperty,
+      new Property( model.numberOfResistorsProperty.range ), {
+        numberDisplayOptions: {
+          textOptions: { font: CIRCUIT_CONTROL_FONT }
+        },
+
+        // pdom
+        labelContent: numberOfResistorsString,
+        tandem: options.tandem.createTandem( 'numberOfResistorsSpinner' )
+      } );
+
+    const selectedResistorRadioButtonGroup = new HorizontalAquaRadioButtonGroup( selectedResistorIndexProperty,
+      _.range( model.resistanceProperties.length ).map( index => {
+        return {
+          node: new RichText( StringUtils.fillIn( resistorSymbolPatternString, { index: index + 1 } ), {
+            font: CIRCUIT_CONTROL_FONT
+          } ),
+          value: index,
+          tandemName: `resistor${index + 1}RadioButton`,
+          labelContent: StringUtils.fillIn( resistorPatternString, { index: index + 1 } )
+        };
+      } ), {
+        spacing: 10,
+        tandem: options.tandem.createTandem( 'selectedResistorRadioButtonGroup' )
+      } );
+
+    // Only shown when there are multiple resistors. Wrapped in a Node so that the panel always has room for them.
+    const multipleResistorControls = new HBox( {
+      spacing: 15,
+      children: [ numberOfResistorsSpinner, selectedResistorRadioButtonGroup ]
+    } );
+
+    // Controls for whether the resistance is set directly or made from a wire, shown in place of the controls for
+    // multiple resistors when there is a single resistor
+    const resistanceModeRadioButtonGroup = new HorizontalAquaRadioButtonGroup( model.resistanceModeProperty, [
+      createRadioButtonItem( valueString, ResistanceMode.VALUE, 'valueRadioButton' ),
+      createRadioButtonItem( wireString, ResistanceMode.WIRE, 'wireRadioButton' )
+    ], {
+      spacing: 12,
+
+      // pdom
+      labelContent: resistorString,
+      descriptionContent: resistorModeDescriptionString,
+      tandem: options.tandem.createTandem( 'resistanceModeRadioButtonGroup' )
+    } );
+    const resistanceModeControls = new HBox( {
+      spacing: 12,
+      children: [ new Text( resistorString, { font: CIRCUIT_CONTROL_FONT, maxWidth: 80 } ), resistanceModeRadioButtonGroup ]
+    } );
+
+    // Only a resistor that is in the circuit can be made from a wire. Present for the lifetime of the sim, no need to
+    // unlink.
+    model.loadTypeProperty.link( loadType => {
+      resistanceModeRadioButtonGroup.enabled = loadType.hasResistors;
+      resistanceModeRadioButtonGroup.inputEnabled = loadType.hasResistors;
+    } );
+
+    Property.multilink( [ model.circuitTopologyProperty, model.numberOfResistorsProperty ], topology => {
+      multipleResistorControls.visible = topology !== CircuitTopology.SINGLE;
+      resistanceModeControls.visible = topology === CircuitTopology.SINGLE;
+
+      // only the resistors that are in the circuit can be selected
+      selectedResistorRadioButtonGroup.children.forEach( ( radioButton, index ) => {
+        radioButton.visible = index < model.getNumberOfActiveResistors();
+      } );
+    } );
+
+    const internalResistanceSpinner = new NumberSpinner(
+      model.internalResistanceProperty,
+      new Property( model.internalResistanceProperty.range ), {
+        deltaValue: INTERNAL_RESISTANCE_STEP,
+        numberDisplayOptions: {
+          decimalPlaces: OhmsLawConstants.INTERNAL_RESISTANCE_SIG_FIGS,
+          valuePattern: `{{value}} ${MathSymbols.OHMS}`,
+          textOptions: { font: CIRCUIT_CONTROL_FONT }
+        },
+
+        // pdom
+        labelContent: internalResistanceLabelString,
+        a11yCreateAriaValueText: value => StringUtils.fillIn( internalResistancePatternString, { value: value } ),
+        tandem: options.tandem.createTandem( 'internalResistanceSpinner' )
+      } );
+
+    // The rearranged equations are for ideal batteries, so the internal resistance can only be changed while solving
+    // for current. The AC source is also ideal. Present for the lifetime of the sim, no need to unlink.
+    Property.multilink( [ model.solveForProperty, model.acSource.enabledProperty ], ( solveFor, acSourceEnabled ) => {
+      const enabled = solveFor === SolveFor.CURRENT && !acSourceEnabled;
+      internalResistanceSpinner.enabled = enabled;
+      internalResistanceSpinner.inputEnabled = enabled;
+    } );
+
+    const internalResistanceControl = new HBox( {
+      spacing: 10,
+      children: [
+        new Text( internalResistanceString, { font: CIRCUIT_CONTROL_FONT, maxWidth: 150 } ),
+        internalResistanceSpinner
+      ]
+    } );
+
+    // Controls for what the batteries drive current through
+    const loadComboBox = new ComboBox( [
+      createLoadComboBoxItem( resistorString, LoadType.RESISTOR, 'resistorItem' ),
+      createLoadComboBoxItem( lampString, LoadType.LAMP, 'lampItem' ),
+      createLoadComboBoxItem( diodeString, LoadType.DIODE, 'diodeItem' ),
+      createLoadComboBoxItem( thermistorString, LoadType.THERMISTOR, 'thermistorItem' )
+    ], model.loadTypeProperty, popupParent, {
+      labelNode: new Text( loadString, { font: CIRCUIT_CONTROL_FONT, maxWidth: 80 } ),
+      xMargin: 8,
+      yMargin: 4,
+
+      // pdom
+      accessibleName: loadString,
+      helpText: loadDescriptionString,
+      tandem: options.tandem.createTandem( 'loadComboBox' )
+    } );
+
+    const circuitControls = new VBox( {
+      spacing: 8,
+      children: [
+        circuitTopologyRadioButtonGroup,
+        new Node( { children: [ multipleResistorControls, resistanceModeControls ] } ),
+        loadComboBox,
+        internalResistanceControl
+      ],
+
+      // pdom
+      labelTagName: 'h3',
+      tagName: 'div',
+      labelContent: circuitControlsString,
+      descriptionContent: circuitControlsDescriptionString
+    } );
+
+    // Use a content node so that the Panel can surround it fully
+    const content = new VBox( {
+      spacing: 12,
+      children: [ slidersBox, solveForControls, circuitControls ]
+    } );
+
     super( content, options );
 
+    // @public (read-only) {Property.<number>} - the resistance of the resistor that the resistance slider controls
+    this.selectedResistanceProperty = resistanceProperty;
+
+    // @private
+    this.selectedResistorIndexProperty = selectedResistorIndexProperty;
+    this.voltageSlider = voltageSlider;
+    this.resistanceSlider = resistanceSlider;
+
     // @public (read-only) {DerivedProperty.<boolean>} - a property that indicates whether either slider is being
     // dragged via keyboard interaction
     this.sliderBeingDraggedByKeyboardProperty = new DerivedProperty(
@@ -178,6 +493,83 @@ class ControlPanel extends Panel {
       ( voltageSliderDraggedByKeyboard, resistanceSliderDraggedByKeyboard ) => voltageSliderDraggedByKeyboard || resistanceSliderDraggedByKeyboard
     );
   }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.selectedResistorIndexProperty.reset();
+    this.voltageSlider.reset();
+    this.resistanceSlider.reset();
+  }
+}
+
+/**
+ * Get the resistance for a change of the resistance by a keyboard step, rounded to a whole number of ohms like the
+ * values of the slider, but at least a whole ohm from the previous resistance so that a small step still changes it.
+ * @param {number} newResistance - in ohms
+ * @param {number} previousResistance - in ohms
+ * @returns {number}
+ */
+function getSteppedResistance( newResistance, previousResistance ) {
+  const direction = Math.sign( newResistance - previousResistance );
+  const roundedResistance = Utils.toFixedNumber( newResistance, OhmsLawConstants.RESISTANCE_SIG_FIGS );
+
+  // the rounding undid the step, so go to the next whole ohm instead
+  if ( Math.sign( roundedResistance - previousResistance ) !== direction ) {
+    return direction > 0 ? Math.floor( previousResistance ) + 1 : Math.ceil( previousResistance ) - 1;
+  }
+  return roundedResistance;
+}
+
+/**
+ * Create an item for one of the circuit radio button groups.
+ * @param {string} labelString
+ * @param {*} value
+ * @param {string} tandemName
+ * @returns {Object}
+ */
+function createRadioButtonItem( labelString, value, tandemName ) {
+  return {
+    node: new Text( labelString, { font: CIRCUIT_CONTROL_FONT, maxWidth: 60 } ),
+    value: value,
+    tandemName: tandemName,
+    labelContent: labelString
+  };
+}
+
+/**
+ * Create an item for the combo box that chooses the load.
+ * @param {string} labelString
+ * @param {LoadType} loadType
+ * @param {string} tandemName
+ * @returns {ComboBoxItem}
+ */
+function createLoadComboBoxItem( labelString, loadType, tandemName ) {
+  return new ComboBoxItem( new Text( labelString, { font: CIRCUIT_CONTROL_FONT, maxWidth: 100 } ), loadType, {
+    tandemName: tandemName,
+    a11yLabel: labelString
+  } );
+}
+
+/**
+ * Create an item for the radio button group that chooses the unknown.
+ * @param {string} symbolString
+ * @param {string} nameString - name of the quantity, for the PDOM
+ * @param {SolveFor} value
+ * @param {string} tandemName
+ * @returns {Object}
+ */
+function createSolveForRadioButtonItem( symbolString, nameString, value, tandemName ) {
+  return {
+    node: new Text( symbolString, {
+      font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 20 } ),
+      maxWidth: 30
+    } ),
+    value: value,
+    tandemName: tandemName,
+    labelContent: StringUtils.fillIn( solveForPatternString, { quantity: nameString } )
+  };
 }
 
 ohmsLaw.register( 'ControlPanel', ControlPanel );
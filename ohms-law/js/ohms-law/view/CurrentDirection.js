@@ -0,0 +1,15 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for which charges are shown moving around the circuit.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// CONVENTIONAL - positive charges, moving in the direction of the current
+// ELECTRON_FLOW - electrons, moving against the direction of the current
+const CurrentDirection = Enumeration.byKeys( [ 'CONVENTIONAL', 'ELECTRON_FLOW' ] );
+
+ohmsLaw.register( 'CurrentDirection', CurrentDirection );
+export default CurrentDirection;
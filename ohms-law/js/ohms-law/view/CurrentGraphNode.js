@@ -0,0 +1,394 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Graph of the current in the circuit against the voltage across the load or against its resistance. It plots the
+ * operating point of the circuit, a trail of recent operating points that fades away, and optionally the curve that the
+ * operating point follows as the other quantity changes. Against the voltage, it also plots the rows of the data table,
+ * with the line that fits them best and their residuals. The current axis scales to fit the plotted points.
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import GraphType from './GraphType.js';
+import UnitStrings from './UnitStrings.js';
+
+const currentSymbolString = ohmsLawStrings.currentSymbol;
+const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const axisLabelPatternString = ohmsLawStrings.axisLabelPattern;
+
+// constants
+const PLOT_WIDTH = 200;
+const PLOT_HEIGHT = 130;
+const TICK_LENGTH = 5;
+const TICK_FONT = new PhetFont( 12 );
+const AXIS_LABEL_FONT = new PhetFont( 14 );
+const GRID_LINE_STROKE = '#ddd';
+const CURVE_SAMPLES = 60;
+const TRAIL_LIFETIME = 3; // in seconds, how long a point of the trail takes to fade away
+const MAX_TRAIL_POINTS = 100;
+const TRAIL_POINT_RADIUS = 3;
+const OPERATING_POINT_RADIUS = 5;
+const RECORDED_POINT_SIZE = 6;
+const FIT_COLOR = 'rgb( 0, 150, 0 )';
+
+// the current axis goes up to the smallest of these that fits the plotted points, in milliamps
+const CURRENT_AXIS_MAXES = [ 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000 ];
+
+// the other axis, in volts or ohms
+const VOLTAGE_AXIS_MAX = OhmsLawConstants.VOLTAGE_RANGE.max;
+const VOLTAGE_TICK_INTERVALS = 3; // the ranges can be set with query parameters, so the ticks divide the axes evenly
+const RESISTANCE_AXIS_MAX = OhmsLawConstants.RESISTANCE_RANGE.max;
+const RESISTANCE_TICK_INTERVALS = 4;
+
+class CurrentGraphNode extends Node {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Property.<GraphType>} graphTypeProperty
+   * @param {Property.<boolean>} curveVisibleProperty
+   * @param {Object} [options]
+   */
+  constructor( model, graphTypeProperty, curveVisibleProperty, options ) {
+
+    super();
+
+    // @private
+    this.model = model;
+    this.graphTypeProperty = graphTypeProperty;
+    this.curveVisibleProperty = curveVisibleProperty;
+
+    // @private {Array.<{voltage: number, resistance: number, current: number, age: number}>} - recent operating
+    // points, oldest first, with their age in seconds
+    this.trail = [];
+
+    // @private {{voltage: number, resistance: number, current: number}|null} - the operating point that was last added
+    // to the trail, it is only added again once it moves
+    this.lastOperatingPoint = null;
+
+    // @public (read-only) {NumberProperty} - the top of the current axis, in milliamps
+    this.currentAxisMaxProperty = new NumberProperty( _.last( CURRENT_AXIS_MAXES ) );
+
+    // @private {string|null} - identifies the axes that the ticks were last created for, so that they are only
+    // recreated when the axes change
+    this.axesKey = null;
+
+    const background = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black'
+    } );
+
+    // @private - ticks, tick labels and grid lines, recreated when the axes change
+    this.ticksNode = new Node();
+
+    // @private
+    this.horizontalAxisLabel = new Text( '', {
+      font: AXIS_LABEL_FONT,
+      maxWidth: PLOT_WIDTH / 2
+    } );
+    this.verticalAxisLabel = new Text( '', {
+      font: AXIS_LABEL_FONT,
+      maxWidth: PLOT_WIDTH / 2
+    } );
+
+    // @private
+    this.curvePath = new Path( null, {
+      stroke: OhmsLawConstants.BLUE_COLOR,
+      lineWidth: 2
+    } );
+
+    // @private - the rows of the data table, their residuals and the line that fits them best
+    this.recordedPointsPath = new Path( null, {
+      fill: 'black'
+    } );
+    this.residualsPath = new Path( null, {
+      stroke: FIT_COLOR
+    } );
+    this.fitLinePath = new Path( null, {
+      stroke: FIT_COLOR,
+      lineWidth: 2,
+      lineDash: [ 6, 3 ]
+    } );
+
+    // @private {Circle[]} - one for each point that the trail can have, the extra ones are invisible
+    this.trailCircles = _.range( MAX_TRAIL_POINTS ).map( () => new Circle( TRAIL_POINT_RADIUS, {
+      fill: PhetColorScheme.RED_COLORBLIND,
+      visible: false
+    } ) );
+
+    // @private
+    this.operatingPointCircle = new Circle( OPERATING_POINT_RADIUS, {
+      fill: PhetColorScheme.RED_COLORBLIND,
+      stroke: 'black'
+    } );
+
+    // everything that is plotted is clipped to the axes
+    const plotNode = new Node( {
+      children: [
+        this.curvePath,
+        this.fitLinePath,
+        this.residualsPath,
+        this.recordedPointsPath,
+        new Node( { children: this.trailCircles } ),
+        this.operatingPointCircle
+      ],
+      clipArea: Shape.rect( 0, 0, PLOT_WIDTH, PLOT_HEIGHT )
+    } );
+
+    this.children = [ background, this.ticksNode, plotNode, this.horizontalAxisLabel, this.verticalAxisLabel ];
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [
+      graphTypeProperty,
+      curveVisibleProperty,
+      model.currentUnitsProperty,
+      model.currentProperty,
+      model.voltageProperty,
+      model.terminalVoltageProperty,
+      model.loadResistanceProperty,
+      model.totalInternalResistanceProperty,
+      model.temperatureProperty,
+      model.loadTypeProperty,
+      model.dataTable.rows.lengthProperty,
+      model.dataTable.fitProperty
+    ], () => this.update() );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Age the trail and add the operating point to it when the operating point has moved.
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    const hadTrail = this.trail.length > 0;
+
+    this.trail.forEach( point => {
+      point.age += dt;
+    } );
+    _.remove( this.trail, point => point.age >= TRAIL_LIFETIME );
+
+    const operatingPoint = this.getOperatingPoint();
+    const lastPoint = this.lastOperatingPoint;
+    const hasMoved = !lastPoint || lastPoint.voltage !== operatingPoint.voltage ||
+                     lastPoint.resistance !== operatingPoint.resistance || lastPoint.current !== operatingPoint.current;
+    if ( hasMoved ) {
+      this.lastOperatingPoint = operatingPoint;
+      this.trail.push( merge( {}, operatingPoint, { age: 0 } ) );
+      if ( this.trail.length > MAX_TRAIL_POINTS ) {
+        this.trail.shift();
+      }
+    }
+
+    // only redraw while there is something to fade
+    if ( hadTrail || this.trail.length > 0 ) {
+      this.update();
+    }
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.trail.length = 0;
+    this.lastOperatingPoint = null;
+    this.update();
+  }
+
+  /**
+   * Get the values that the operating point of the circuit is plotted from.
+   * @private
+   * @returns {{voltage: number, resistance: number, current: number}} - the voltage across the load in volts, its
+   *   resistance V / I in ohms and the current in milliamps
+   */
+  getOperatingPoint() {
+    return {
+      voltage: this.model.terminalVoltageProperty.value,
+      resistance: this.model.loadResistanceProperty.value,
+      current: this.model.currentProperty.value
+    };
+  }
+
+  /**
+   * Redraw the graph for the axes, the operating point and the trail.
+   * @private
+   */
+  update() {
+    const isVoltageAxis = this.graphTypeProperty.value === GraphType.CURRENT_VS_VOLTAGE;
+    const horizontalAxisMax = isVoltageAxis ? VOLTAGE_AXIS_MAX : RESISTANCE_AXIS_MAX;
+    const operatingPoint = this.getOperatingPoint();
+
+    // the rows of the data table are only plotted against the voltage, which they were recorded with
+    const recordedRows = isVoltageAxis ? this.model.dataTable.rows.slice() : [];
+    const fit = isVoltageAxis ? this.model.dataTable.fitProperty.value : null;
+
+    // the smallest current axis that fits the operating point, the trail and the recorded rows
+    const maxCurrent = _.max( [
+      operatingPoint.current,
+      ...this.trail.map( point => point.current ),
+      ...recordedRows.map( row => row.current )
+    ] );
+    this.currentAxisMaxProperty.value = _.find( CURRENT_AXIS_MAXES, axisMax => axisMax >= maxCurrent ) ||
+                                        _.last( CURRENT_AXIS_MAXES );
+    const currentAxisMax = this.currentAxisMaxProperty.value;
+
+    this.updateAxes( isVoltageAxis, currentAxisMax );
+
+    // Points far off the horizontal axis, like the resistance of a diode that barely conducts, are limited so that
+    // they stay just outside of the clipped plot.
+    const toViewX = value => PLOT_WIDTH * Math.min( value / horizontalAxisMax, 2 );
+    const toViewY = current => PLOT_HEIGHT * ( 1 - current / currentAxisMax );
+    const getViewX = point => toViewX( isVoltageAxis ? point.voltage : point.resistance );
+
+    this.operatingPointCircle.setTranslation( getViewX( operatingPoint ), toViewY( operatingPoint.current ) );
+
+    this.trailCircles.forEach( ( trailCircle, index ) => {
+      const point = this.trail[ index ];
+      trailCircle.visible = !!point;
+      if ( point ) {
+        trailCircle.setTranslation( getViewX( point ), toViewY( point.current ) );
+        trailCircle.opacity = 1 - point.age / TRAIL_LIFETIME;
+      }
+    } );
+
+    this.recordedPointsPath.shape = recordedRows.reduce( ( shape, row ) => shape.rect(
+      toViewX( row.voltage ) - RECORDED_POINT_SIZE / 2, toViewY( row.current ) - RECORDED_POINT_SIZE / 2,
+      RECORDED_POINT_SIZE, RECORDED_POINT_SIZE
+    ), new Shape() );
+
+    this.fitLinePath.visible = !!fit;
+    this.residualsPath.visible = !!fit;
+    if ( fit ) {
+      const getFitCurrent = voltage => fit.slope * voltage + fit.intercept;
+      this.fitLinePath.shape = Shape.lineSegment(
+        toViewX( 0 ), toViewY( getFitCurrent( 0 ) ),
+        toViewX( VOLTAGE_AXIS_MAX ), toViewY( getFitCurrent( VOLTAGE_AXIS_MAX ) )
+      );
+      this.residualsPath.shape = recordedRows.reduce( ( shape, row ) => {
+        const x = toViewX( row.voltage );
+        return shape.moveTo( x, toViewY( row.current ) ).lineTo( x, toViewY( getFitCurrent( row.voltage ) ) );
+      }, new Shape() );
+    }
+
+    this.curvePath.visible = this.curveVisibleProperty.value;
+    if ( this.curvePath.visible ) {
+      const curveShape = new Shape();
+
+      if ( isVoltageAxis ) {
+
+        // the current-voltage characteristic of the load
+        _.range( CURVE_SAMPLES + 1 ).forEach( index => {
+          const voltage = horizontalAxisMax * index / CURVE_SAMPLES;
+          curveShape.lineTo( toViewX( voltage ), toViewY( this.model.getLoadCurrent( voltage ) ) );
+        } );
+      }
+      else {
+
+        // the current for each resistance at the present voltage, from where the curve enters the top of the plot
+        const minResistance = Utils.clamp(
+          this.model.voltageProperty.value * 1000 / currentAxisMax - this.model.totalInternalResistanceProperty.value,
+          0, horizontalAxisMax
+        );
+        _.range( CURVE_SAMPLES + 1 ).forEach( index => {
+          const resistance = minResistance + ( horizontalAxisMax - minResistance ) * index / CURVE_SAMPLES;
+          curveShape.lineTo( toViewX( resistance ), toViewY( this.model.getCurrentForLoadResistance( resistance ) ) );
+        } );
+      }
+      this.curvePath.shape = curveShape;
+    }
+  }
+
+  /**
+   * Recreate the ticks, tick labels and grid lines, and update the axis labels, when the axes have changed.
+   * @private
+   * @param {boolean} isVoltageAxis - whether the horizontal axis is the voltage, otherwise it is the resistance
+   * @param {number} currentAxisMax - in milliamps
+   */
+  updateAxes( isVoltageAxis, currentAxisMax ) {
+    const currentUnit = CurrentUnit.getDisplayUnit( this.model.currentUnitsProperty.value, currentAxisMax );
+    const axesKey = `${isVoltageAxis} ${currentAxisMax} ${currentUnit.name}`;
+    if ( axesKey === this.axesKey ) {
+      return;
+    }
+    this.axesKey = axesKey;
+
+    const horizontalAxisMax = isVoltageAxis ? VOLTAGE_AXIS_MAX : RESISTANCE_AXIS_MAX;
+    const horizontalTickIntervals = isVoltageAxis ? VOLTAGE_TICK_INTERVALS : RESISTANCE_TICK_INTERVALS;
+    const tickNodes = [];
+
+    _.range( 0, horizontalTickIntervals + 1 ).forEach( i => {
+      const value = Utils.toFixedNumber( horizontalAxisMax * i / horizontalTickIntervals, 1 );
+      const x = PLOT_WIDTH * i / horizontalTickIntervals;
+      tickNodes.push( createGridLine( x, 0, x, PLOT_HEIGHT ) );
+      tickNodes.push( createGridLine( x, PLOT_HEIGHT, x, PLOT_HEIGHT + TICK_LENGTH, 'black' ) );
+      tickNodes.push( new Text( `${value}`, {
+        font: TICK_FONT,
+        centerX: x,
+        top: PLOT_HEIGHT + TICK_LENGTH
+      } ) );
+    } );
+
+    // the current axis is labeled at its ends and halfway, in the units of the current readout, or for AUTO in the
+    // units for the top of the axis
+    [ 0, currentAxisMax / 2, currentAxisMax ].forEach( current => {
+      const y = PLOT_HEIGHT * ( 1 - current / currentAxisMax );
+      const value = CurrentUnit.convert( currentUnit, current );
+      tickNodes.push( createGridLine( 0, y, PLOT_WIDTH, y ) );
+      tickNodes.push( createGridLine( -TICK_LENGTH, y, 0, y, 'black' ) );
+      tickNodes.push( new Text( Utils.toFixed( value, Utils.numberOfDecimalPlaces( value ) ), {
+        font: TICK_FONT,
+        right: -TICK_LENGTH - 2,
+        centerY: y
+      } ) );
+    } );
+    this.ticksNode.children = tickNodes;
+
+    this.horizontalAxisLabel.text = StringUtils.fillIn( axisLabelPatternString, {
+      symbol: isVoltageAxis ? voltageSymbolString : resistanceSymbolString,
+      units: isVoltageAxis ? voltageUnitsString : MathSymbols.OHMS
+    } );
+    this.horizontalAxisLabel.right = PLOT_WIDTH;
+    this.horizontalAxisLabel.top = this.ticksNode.bottom + 2;
+
+    this.verticalAxisLabel.text = StringUtils.fillIn( axisLabelPatternString, {
+      symbol: currentSymbolString,
+      units: UnitStrings.getCurrentUnitString( currentUnit, currentAxisMax )
+    } );
+    this.verticalAxisLabel.left = 0;
+    this.verticalAxisLabel.bottom = -4;
+  }
+}
+
+/**
+ * Create a grid line or tick mark.
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @param {string} [stroke]
+ * @returns {Path}
+ */
+function createGridLine( x1, y1, x2, y2, stroke = GRID_LINE_STROKE ) {
+  return new Path( Shape.lineSegment( x1, y1, x2, y2 ), { stroke: stroke } );
+}
+
+ohmsLaw.register( 'CurrentGraphNode', CurrentGraphNode );
+export default CurrentGraphNode;
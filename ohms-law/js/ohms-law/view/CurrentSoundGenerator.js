@@ -8,6 +8,7 @@
  * @author John Blanco
  */
 
+import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import SoundClip from '../../../../tambo/js/sound-generators/SoundClip.js';
 import currentLoopSound from '../../../sounds/current-v3-loop_mp3.js';
@@ -28,7 +29,15 @@ class CurrentSoundGenerator extends SoundClip {
   constructor( currentProperty, options ) {
 
     options = merge( {
-      initialOutputLevel: 1
+      initialOutputLevel: 1,
+
+      // {Property.<boolean>|null} - if provided, changes to the current are silent while this Property is true, and
+      // the sound plays for the current when it is shown again
+      currentHiddenProperty: null,
+
+      // {Property.<boolean>|null} - if provided, changes to the current are silent while this Property is true, like
+      // the changes of an animated reset
+      resetInProgressProperty: null
     }, options );
     options.loop = true; // must be a loop to work properly
 
@@ -49,9 +58,13 @@ class CurrentSoundGenerator extends SoundClip {
       }
       this.fadeCountdownTimer = PRE_FADE_TIME;
 
-      // calculate the normalized current value using a logarithmic formula to better handle the large range
-      const normalizedCurrent = Math.log( ( current / 1000 ) / OhmsLawConstants.CURRENT_RANGE.min ) /
-                                Math.log( OhmsLawConstants.CURRENT_RANGE.max / OhmsLawConstants.CURRENT_RANGE.min );
+      // calculate the normalized current value using a logarithmic formula to better handle the large range, clamped
+      // because resistors in parallel draw more than the current range of a single resistor
+      const normalizedCurrent = Utils.clamp(
+        Math.log( current / OhmsLawConstants.CURRENT_RANGE.min ) /
+        Math.log( OhmsLawConstants.CURRENT_RANGE.max / OhmsLawConstants.CURRENT_RANGE.min ),
+        0, 1
+      );
 
       // Calculate the playback rate based on the normalized current.  The formula came from the design document, and
       // ranges from 0.5 to 2.0 times the default playback rate.
@@ -61,10 +74,27 @@ class CurrentSoundGenerator extends SoundClip {
       this.setPlaybackRate( playbackRate );
     };
 
-    // start the loop playing when the current changes
-    currentProperty.lazyLink( updateSoundGeneration );
+    // start the loop playing when the current changes, unless it is hidden
+    const currentListener = current => {
+      if ( ( !options.currentHiddenProperty || !options.currentHiddenProperty.value ) &&
+           ( !options.resetInProgressProperty || !options.resetInProgressProperty.value ) ) {
+        updateSoundGeneration( current );
+      }
+    };
+    currentProperty.lazyLink( currentListener );
+
+    // the change of a hidden current is heard when it is shown
+    const currentHiddenListener = currentHidden => {
+      if ( !currentHidden ) {
+        updateSoundGeneration( currentProperty.value );
+      }
+    };
+    options.currentHiddenProperty && options.currentHiddenProperty.lazyLink( currentHiddenListener );
 
-    this.disposeCurrentSoundGenerator = () => { currentProperty.unlink( updateSoundGeneration ); };
+    this.disposeCurrentSoundGenerator = () => {
+      currentProperty.unlink( currentListener );
+      options.currentHiddenProperty && options.currentHiddenProperty.unlink( currentHiddenListener );
+    };
   }
 
   /**
@@ -0,0 +1,13 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for the columns of the data table that it can be sorted by.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+const DataColumn = Enumeration.byKeys( [ 'VOLTAGE', 'RESISTANCE', 'CURRENT' ] );
+
+ohmsLaw.register( 'DataColumn', DataColumn );
+export default DataColumn;
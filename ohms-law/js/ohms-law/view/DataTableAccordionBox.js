@@ -0,0 +1,268 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Collapsible box with the data table, the button that records the values of the circuit in it, and the button that
+ * saves it as a CSV file. Below the table is the line that fits the current against the voltage of the rows best.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import DataTableNode from './DataTableNode.js';
+import UnitStrings from './UnitStrings.js';
+
+const dataTableString = ohmsLawStrings.dataTable;
+const recordString = ohmsLawStrings.record;
+const saveCSVString = ohmsLawStrings.saveCSV;
+const noDataYetString = ohmsLawStrings.noDataYet;
+const tableFullString = ohmsLawStrings.tableFull;
+const noiseString = ohmsLawStrings.noise;
+const bestFitString = ohmsLawStrings.bestFit;
+const fitSlopeInterceptPatternString = ohmsLawStrings.fitSlopeInterceptPattern;
+const fitResistancePatternString = ohmsLawStrings.fitResistancePattern;
+const fitRSquaredPatternString = ohmsLawStrings.fitRSquaredPattern;
+const recordTwoVoltagesString = ohmsLawStrings.recordTwoVoltages;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+
+const dataTableDescriptionString = OhmsLawA11yStrings.dataTableDescription.value;
+const recordDescriptionString = OhmsLawA11yStrings.recordDescription.value;
+const saveCSVDescriptionString = OhmsLawA11yStrings.saveCSVDescription.value;
+const recordedAlertPatternString = OhmsLawA11yStrings.recordedAlertPattern.value;
+const noiseDescriptionString = OhmsLawA11yStrings.noiseDescription.value;
+const fitDescriptionPatternString = OhmsLawA11yStrings.fitDescriptionPattern.value;
+const fitResistanceDescriptionPatternString = OhmsLawA11yStrings.fitResistanceDescriptionPattern.value;
+const residualsDescriptionPatternString = OhmsLawA11yStrings.residualsDescriptionPattern.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const CONTROL_FONT = new PhetFont( 14 );
+const CSV_FILE_NAME = 'ohms-law-data.csv';
+const FIT_SIGNIFICANT_FIGURES = 3;
+const R_SQUARED_DECIMAL_PLACES = 3;
+
+/**
+ * Format a value of the best fit with a few significant figures, since they span orders of magnitude.
+ * @param {number} value
+ * @returns {string}
+ */
+const toFixedSignificant = value => {
+  const decimalPlaces = value === 0 ? 0 : FIT_SIGNIFICANT_FIGURES - 1 - Math.floor( Math.log10( Math.abs( value ) ) );
+  return Utils.toFixed( value, Utils.clamp( decimalPlaces, 0, 6 ) );
+};
+
+class DataTableAccordionBox extends AccordionBox {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {OhmsLawDescriber} ohmsLawDescriber
+   * @param {Object} [options]
+   */
+  constructor( model, ohmsLawDescriber, options ) {
+
+    options = merge( {
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      cornerRadius: 6,
+      contentXMargin: 10,
+      contentYSpacing: 4,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const dataTable = model.dataTable;
+
+    const expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' )
+    } );
+
+    const dataTableNode = new DataTableNode( model, ohmsLawDescriber, {
+      tandem: options.tandem.createTandem( 'dataTableNode' )
+    } );
+
+    const recordButton = new TextPushButton( recordString, {
+      font: CONTROL_FONT,
+      maxTextWidth: 100,
+      baseColor: 'rgb( 255, 200, 0 )',
+      listener: () => {
+        dataTable.record();
+        this.alertDescriptionUtterance( StringUtils.fillIn( recordedAlertPatternString, {
+          number: dataTable.rows.length,
+          voltage: Utils.toFixed( model.terminalVoltageProperty.value, OhmsLawConstants.TERMINAL_VOLTAGE_SIG_FIGS ),
+          resistance: Utils.toFixed( model.loadResistanceProperty.value, OhmsLawConstants.RESISTANCE_SIG_FIGS ),
+          current: model.getFixedCurrent(),
+          unit: ohmsLawDescriber.getUnitForCurrent()
+        } ) );
+      },
+
+      // pdom
+      descriptionContent: recordDescriptionString,
+      tandem: options.tandem.createTandem( 'recordButton' )
+    } );
+
+    const saveCSVButton = new TextPushButton( saveCSVString, {
+      font: CONTROL_FONT,
+      maxTextWidth: 100,
+      listener: () => {
+
+        // with a byte order mark, so that spreadsheets read the units as UTF-8
+        const blob = new window.Blob( [ `\ufeff${dataTableNode.getCSV()}` ], { type: 'text/csv;charset=utf-8' } );
+        if ( !phet.chipper.isFuzzEnabled() ) {
+          window.saveAs( blob, CSV_FILE_NAME );
+        }
+      },
+
+      // pdom
+      descriptionContent: saveCSVDescriptionString,
+      tandem: options.tandem.createTandem( 'saveCSVButton' )
+    } );
+
+    const noiseCheckbox = new Checkbox( new Text( noiseString, { font: CONTROL_FONT, maxWidth: 80 } ),
+      dataTable.noiseEnabledProperty, {
+        boxWidth: 14,
+
+        // pdom
+        labelContent: noiseString,
+        descriptionContent: noiseDescriptionString,
+        tandem: options.tandem.createTandem( 'noiseCheckbox' )
+      } );
+
+    const statusText = new Text( '', { font: CONTROL_FONT, maxWidth: 250, tagName: 'p' } );
+
+    // the best fit, in the units that the current is displayed in
+    const fitTitleText = new Text( bestFitString, { font: TITLE_FONT, maxWidth: 250 } );
+    const fitSlopeInterceptText = new Text( '', { font: CONTROL_FONT, maxWidth: 250 } );
+    const fitResistanceText = new Text( '', { font: CONTROL_FONT, maxWidth: 250 } );
+    const fitNode = new VBox( {
+      spacing: 4,
+      align: 'left',
+      children: [ fitTitleText, fitSlopeInterceptText, fitResistanceText ],
+
+      // pdom
+      tagName: 'p'
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [ dataTable.fitProperty, dataTable.rows.lengthProperty, model.currentUnitsProperty ],
+      ( fit, length, currentUnits ) => {
+        fitNode.visible = length > 0;
+        if ( !fit ) {
+          fitSlopeInterceptText.text = recordTwoVoltagesString;
+          fitResistanceText.text = '';
+          fitNode.innerContent = recordTwoVoltagesString;
+          return;
+        }
+
+        // for AUTO, in the unit for the largest current of the rows
+        const currentUnit = CurrentUnit.getDisplayUnit( currentUnits,
+          _.max( dataTable.rows.map( row => Math.abs( row.current ) ) ) );
+        const toCurrentUnits = current => CurrentUnit.convert( currentUnit, current );
+        const slope = toFixedSignificant( toCurrentUnits( fit.slope ) );
+        const intercept = toFixedSignificant( toCurrentUnits( fit.intercept ) );
+        const rSquared = Utils.toFixed( fit.rSquared, R_SQUARED_DECIMAL_PLACES );
+
+        // the slope is in milliamps per volt
+        const resistance = fit.slope > 0 ?
+                           Utils.toFixed( 1000 / fit.slope, OhmsLawConstants.RESISTANCE_SIG_FIGS ) :
+                           null;
+
+        fitSlopeInterceptText.text = StringUtils.fillIn( fitSlopeInterceptPatternString, {
+          slope: slope,
+          intercept: intercept,
+          currentUnits: UnitStrings.getCurrentUnitString( currentUnit, fit.slope ),
+          voltageUnits: voltageUnitsString
+        } );
+        fitResistanceText.text = resistance === null ?
+                                 StringUtils.fillIn( fitRSquaredPatternString, { rSquared: rSquared } ) :
+                                 StringUtils.fillIn( fitResistancePatternString, {
+                                   rSquared: rSquared,
+                                   resistance: resistance,
+                                   resistanceUnits: MathSymbols.OHMS
+                                 } );
+
+        // pdom
+        const unit = ohmsLawDescriber.getUnitForCurrent( currentUnit );
+        const descriptions = [ StringUtils.fillIn( fitDescriptionPatternString, {
+          slope: slope,
+          intercept: intercept,
+          rSquared: rSquared,
+          unit: unit
+        } ) ];
+        if ( resistance !== null ) {
+          descriptions.push( StringUtils.fillIn( fitResistanceDescriptionPatternString, { resistance: resistance } ) );
+        }
+        descriptions.push( StringUtils.fillIn( residualsDescriptionPatternString, {
+          residuals: fit.residuals.map( residual => toFixedSignificant( toCurrentUnits( residual ) ) ).join( ', ' ),
+          unit: unit
+        } ) );
+        fitNode.innerContent = descriptions.join( ' ' );
+      } );
+
+    // The current can't be recorded while it is hidden for a prediction. Present for the lifetime of the simulation;
+    // no need to unlink.
+    Property.multilink( [
+      dataTable.rows.lengthProperty,
+      dataTable.fullProperty,
+      model.currentPrediction.currentHiddenProperty
+    ], ( length, full, currentHidden ) => {
+      recordButton.enabled = !full && !currentHidden;
+      saveCSVButton.enabled = length > 0;
+      statusText.text = length === 0 ? noDataYetString : full ? tableFullString : '';
+      statusText.innerContent = statusText.text;
+      statusText.visible = length === 0 || full;
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        new HBox( { spacing: 10, children: [ recordButton, saveCSVButton, noiseCheckbox ] } ),
+        dataTableNode,
+        statusText,
+        fitNode
+      ],
+
+      // pdom
+      tagName: 'div',
+      descriptionContent: dataTableDescriptionString
+    } );
+
+    options = merge( {
+      titleNode: new Text( dataTableString, { font: TITLE_FONT, maxWidth: 150 } ),
+      expandedProperty: expandedProperty,
+
+      // pdom
+      accessibleName: dataTableString
+    }, options );
+
+    super( contentNode, options );
+
+    // @private
+    this.dataTableNode = dataTableNode;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+    this.dataTableNode.reset();
+  }
+}
+
+ohmsLaw.register( 'DataTableAccordionBox', DataTableAccordionBox );
+export default DataTableAccordionBox;
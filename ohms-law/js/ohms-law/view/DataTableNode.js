@@ -0,0 +1,288 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The recorded rows of the data table. The columns can be sorted with the buttons in their headers, and each row has a
+ * button that deletes it. The Nodes are tagged as an HTML table, so that the PDOM can be navigated as a table.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import trashAltSolidShape from '../../../../sherpa/js/fontawesome-5/trashAltSolidShape.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import DataColumn from './DataColumn.js';
+import UnitStrings from './UnitStrings.js';
+
+const axisLabelPatternString = ohmsLawStrings.axisLabelPattern;
+const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
+const currentSymbolString = ohmsLawStrings.currentSymbol;
+const unitsString = ohmsLawStrings.units;
+
+const dataTableCaptionString = OhmsLawA11yStrings.dataTableCaption.value;
+const voltageColumnString = OhmsLawA11yStrings.voltageColumn.value;
+const resistanceColumnString = OhmsLawA11yStrings.resistanceColumn.value;
+const currentColumnString = OhmsLawA11yStrings.currentColumn.value;
+const deleteColumnString = OhmsLawA11yStrings.deleteColumn.value;
+const sortDescriptionString = OhmsLawA11yStrings.sortDescription.value;
+const currentValuePatternString = OhmsLawA11yStrings.currentValuePattern.value;
+const deleteRowPatternString = OhmsLawA11yStrings.deleteRowPattern.value;
+const rowDeletedAlertPatternString = OhmsLawA11yStrings.rowDeletedAlertPattern.value;
+
+// constants
+const FONT = new PhetFont( 14 );
+const HEADER_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const COLUMN_WIDTH = 85;
+const HEADER_HEIGHT = 30;
+const ROW_HEIGHT = 20;
+const SORT_ARROWS = { ascending: ' ▲', descending: ' ▼' };
+
+// the headers of the columns that can be sorted, and the value that each sorts by
+const COLUMNS = [ {
+  column: DataColumn.VOLTAGE,
+  label: StringUtils.fillIn( axisLabelPatternString, { symbol: voltageSymbolString, units: voltageUnitsString } ),
+  accessibleName: voltageColumnString,
+  getValue: row => row.voltage
+}, {
+  column: DataColumn.RESISTANCE,
+  label: StringUtils.fillIn( axisLabelPatternString, { symbol: resistanceSymbolString, units: MathSymbols.OHMS } ),
+  accessibleName: resistanceColumnString,
+  getValue: row => row.resistance
+}, {
+  column: DataColumn.CURRENT,
+  label: currentSymbolString,
+  accessibleName: currentColumnString,
+  getValue: row => row.current
+} ];
+
+/**
+ * Get the values of a row as they are displayed, with the current in the unit that it was recorded in.
+ * @param {OhmsLawModel} model
+ * @param {Object} row - see DataTable.rows
+ * @returns {{voltage: string, resistance: string, current: string, currentUnits: string}}
+ */
+const getFixedValues = ( model, row ) => {
+  const currentUnit = CurrentUnit[ row.currentUnit ];
+  return {
+    voltage: Utils.toFixed( row.voltage, OhmsLawConstants.TERMINAL_VOLTAGE_SIG_FIGS ),
+    resistance: Utils.toFixed( row.resistance, OhmsLawConstants.RESISTANCE_SIG_FIGS ),
+    current: model.getFixedCurrent( row.current, currentUnit ),
+    currentUnits: UnitStrings.getCurrentUnitString( currentUnit, row.current )
+  };
+};
+
+/**
+ * Quote a field of a CSV file if it has a character that would end the field, see RFC 4180.
+ * @param {string} field
+ * @returns {string}
+ */
+const toCSVField = field => /[",\r\n]/.test( field ) ? `"${field.replace( /"/g, '""' )}"` : field;
+
+class DataTableNode extends Node {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {OhmsLawDescriber} ohmsLawDescriber
+   * @param {Object} [options]
+   */
+  constructor( model, ohmsLawDescriber, options ) {
+
+    options = merge( {
+
+      // pdom
+      tagName: 'table',
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super( options );
+
+    // @private
+    this.model = model;
+
+    // @private {Property.<DataColumn|null>} - the column that the rows are sorted by, null for the order they were
+    // recorded in
+    this.sortColumnProperty = new Property( null, {
+      validValues: [ null, ...DataColumn.VALUES ]
+    } );
+
+    // @private
+    this.sortAscendingProperty = new BooleanProperty( true );
+
+    // pdom
+    this.addChild( new Node( { tagName: 'caption', innerContent: dataTableCaptionString } ) );
+
+    const headerRow = new Node( { tagName: 'tr' } );
+    COLUMNS.forEach( ( columnDescription, index ) => {
+      const labelText = new Text( '', { font: HEADER_FONT, maxWidth: COLUMN_WIDTH - 20 } );
+      const sortButton = new RectangularPushButton( {
+        content: labelText,
+        minWidth: COLUMN_WIDTH - 6,
+        xMargin: 4,
+        yMargin: 3,
+        baseColor: 'rgb( 220, 230, 255 )',
+        listener: () => {
+          if ( this.sortColumnProperty.value === columnDescription.column ) {
+            this.sortAscendingProperty.toggle();
+          }
+          else {
+            this.sortColumnProperty.value = columnDescription.column;
+            this.sortAscendingProperty.value = true;
+          }
+        },
+
+        // pdom
+        innerContent: columnDescription.accessibleName,
+        descriptionContent: sortDescriptionString,
+        tandem: options.tandem.createTandem( `${columnDescription.column.name.toLowerCase()}SortButton` )
+      } );
+      const headerCell = new Node( {
+        children: [ sortButton ],
+        centerX: ( index + 0.5 ) * COLUMN_WIDTH,
+        centerY: HEADER_HEIGHT / 2,
+
+        // pdom
+        tagName: 'th'
+      } );
+      headerRow.addChild( headerCell );
+
+      // Present for the lifetime of the simulation; no need to unlink.
+      Property.multilink( [ this.sortColumnProperty, this.sortAscendingProperty ], ( sortColumn, sortAscending ) => {
+        const sortDirection = sortAscending ? 'ascending' : 'descending';
+        const isSorted = sortColumn === columnDescription.column;
+        labelText.text = isSorted ? columnDescription.label + SORT_ARROWS[ sortDirection ] : columnDescription.label;
+
+        // pdom
+        if ( isSorted ) {
+          headerCell.setPDOMAttribute( 'aria-sort', sortDirection );
+        }
+        else if ( headerCell.hasPDOMAttribute( 'aria-sort' ) ) {
+          headerCell.removePDOMAttribute( 'aria-sort' );
+        }
+      } );
+    } );
+
+    // pdom - the column of the delete buttons
+    headerRow.addChild( new Node( { tagName: 'th', innerContent: deleteColumnString } ) );
+    this.addChild( new Node( { children: [ headerRow ], tagName: 'thead' } ) );
+
+    const rowsParent = new Node( { tagName: 'tbody' } );
+    this.addChild( rowsParent );
+
+    const updateRows = () => {
+      rowsParent.children.forEach( rowNode => rowNode.dispose() );
+      rowsParent.children = this.getDisplayedRows().map( ( row, index ) => {
+        const values = getFixedValues( model, row );
+        const cells = [ {
+          text: values.voltage
+        }, {
+          text: values.resistance
+        }, {
+          text: `${values.current} ${values.currentUnits}`,
+          innerContent: StringUtils.fillIn( currentValuePatternString, {
+            value: values.current,
+            unit: ohmsLawDescriber.getUnitForCurrent( CurrentUnit[ row.currentUnit ], row.current )
+          } )
+        } ].map( ( cell, columnIndex ) => new Node( {
+          children: [ new Text( cell.text, {
+            font: FONT,
+            maxWidth: COLUMN_WIDTH - 10,
+            centerX: ( columnIndex + 0.5 ) * COLUMN_WIDTH,
+            centerY: ROW_HEIGHT / 2
+          } ) ],
+
+          // pdom
+          tagName: 'td',
+          innerContent: cell.innerContent || cell.text
+        } ) );
+
+        const deleteButton = new RectangularPushButton( {
+          content: new Path( trashAltSolidShape, { fill: 'black', maxHeight: 12 } ),
+          xMargin: 5,
+          yMargin: 3,
+          baseColor: 'rgb( 255, 230, 230 )',
+          left: COLUMNS.length * COLUMN_WIDTH,
+          centerY: ROW_HEIGHT / 2,
+          listener: () => {
+            model.dataTable.deleteRow( row );
+            this.alertDescriptionUtterance( StringUtils.fillIn( rowDeletedAlertPatternString, { number: index + 1 } ) );
+          },
+
+          // pdom
+          innerContent: StringUtils.fillIn( deleteRowPatternString, { number: index + 1 } ),
+
+          // the rows come and go, so they aren't instrumented
+          tandem: Tandem.OPT_OUT
+        } );
+
+        return new Node( {
+          children: [ ...cells, new Node( { children: [ deleteButton ], tagName: 'td' } ) ],
+          y: HEADER_HEIGHT + index * ROW_HEIGHT,
+
+          // pdom
+          tagName: 'tr'
+        } );
+      } );
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.dataTable.rows.elementAddedEmitter.addListener( updateRows );
+    model.dataTable.rows.elementRemovedEmitter.addListener( updateRows );
+    Property.multilink( [ this.sortColumnProperty, this.sortAscendingProperty ], updateRows );
+  }
+
+  /**
+   * Get the rows in the order that they are displayed.
+   * @public
+   * @returns {Object[]} - see DataTable.rows
+   */
+  getDisplayedRows() {
+    const rows = this.model.dataTable.rows.slice();
+    const sortColumn = this.sortColumnProperty.value;
+    if ( sortColumn === null ) {
+      return rows;
+    }
+    const sortedRows = _.sortBy( rows, _.find( COLUMNS, { column: sortColumn } ).getValue );
+    return this.sortAscendingProperty.value ? sortedRows : sortedRows.reverse();
+  }
+
+  /**
+   * Get the displayed rows as comma-separated values, with the units of the current in a column of their own.
+   * @public
+   * @returns {string}
+   */
+  getCSV() {
+    const lines = [
+      [ ...COLUMNS.map( columnDescription => columnDescription.label ), unitsString ],
+      ...this.getDisplayedRows().map( row => {
+        const values = getFixedValues( this.model, row );
+        return [ values.voltage, values.resistance, values.current, values.currentUnits ];
+      } )
+    ];
+    return lines.map( fields => fields.map( toCSVField ).join( ',' ) ).join( '\r\n' );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.sortColumnProperty.reset();
+    this.sortAscendingProperty.reset();
+  }
+}
+
+ohmsLaw.register( 'DataTableNode', DataTableNode );
+export default DataTableNode;
@@ -0,0 +1,72 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * View of a diode in the circuit, a glass-style body with a band at its cathode and the symbol for a diode on it. The
+ * current flows clockwise, so it enters the diode from the right and the cathode is on the left.
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// constants
+const BODY_WIDTH = 90;
+const BODY_HEIGHT = 36;
+const BAND_WIDTH = 12;
+const SYMBOL_SIZE = 18; // height of the triangle in the symbol
+
+const BODY_FILL_GRADIENT = new LinearGradient( 0, -BODY_HEIGHT / 2, 0, BODY_HEIGHT / 2 ) // for a 3D effect
+  .addColorStop( 0, '#333' )
+  .addColorStop( 0.3, '#888' )
+  .addColorStop( 1, '#111' );
+const BAND_FILL_GRADIENT = new LinearGradient( 0, -BODY_HEIGHT / 2, 0, BODY_HEIGHT / 2 )
+  .addColorStop( 0, '#aaa' )
+  .addColorStop( 0.3, '#fff' )
+  .addColorStop( 1, '#999' );
+
+class DiodeNode extends Node {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    const body = new Rectangle( -BODY_WIDTH / 2, -BODY_HEIGHT / 2, BODY_WIDTH, BODY_HEIGHT, 6, 6, {
+      fill: BODY_FILL_GRADIENT,
+      stroke: '#000'
+    } );
+
+    const band = new Rectangle( -BODY_WIDTH / 2 + BAND_WIDTH, -BODY_HEIGHT / 2, BAND_WIDTH, BODY_HEIGHT, {
+      fill: BAND_FILL_GRADIENT,
+      stroke: '#000',
+      lineWidth: 0.5
+    } );
+
+    // triangle pointing to a bar, in the direction of the conventional current when the diode conducts
+    const symbol = new Path( new Shape()
+      .moveTo( SYMBOL_SIZE / 2, -SYMBOL_SIZE / 2 )
+      .lineTo( SYMBOL_SIZE / 2, SYMBOL_SIZE / 2 )
+      .lineTo( -SYMBOL_SIZE / 2, 0 )
+      .close()
+      .moveTo( -SYMBOL_SIZE / 2, -SYMBOL_SIZE / 2 )
+      .lineTo( -SYMBOL_SIZE / 2, SYMBOL_SIZE / 2 ), {
+      fill: '#fff',
+      stroke: '#fff',
+      lineWidth: 2,
+      x: BAND_WIDTH / 2
+    } );
+
+    options = merge( {
+      children: [ body, band, symbol ]
+    }, options );
+
+    super( options );
+  }
+}
+
+ohmsLaw.register( 'DiodeNode', DiodeNode );
+export default DiodeNode;
@@ -7,6 +7,7 @@
  * @author Anton Ulyanov (Mlearner)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
@@ -19,16 +20,23 @@ import Text from '../../../../scenery/js/nodes/Text.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
 import ohmsLawStrings from '../../ohmsLawStrings.js';
+import SolveFor from '../model/SolveFor.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
 
 const currentSymbolString = ohmsLawStrings.currentSymbol;
 const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
 const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const powerSymbolString = ohmsLawStrings.powerSymbol;
 
 const relativeSizePatternString = OhmsLawA11yStrings.relativeSizePattern.value;
 const ohmsLawEquationString = OhmsLawA11yStrings.ohmsLawEquation.value;
 const ohmsLawDefinitionString = OhmsLawA11yStrings.ohmsLawDefinition.value;
+const ohmsLawResistanceDefinitionString = OhmsLawA11yStrings.ohmsLawResistanceDefinition.value;
+const relativePowerSizePatternString = OhmsLawA11yStrings.relativePowerSizePattern.value;
+const hiddenCurrentRelativeSizePatternString = OhmsLawA11yStrings.hiddenCurrentRelativeSizePattern.value;
+const hiddenCurrentPowerSizeString = OhmsLawA11yStrings.hiddenCurrentPowerSize.value;
+const powerDefinitionString = OhmsLawA11yStrings.powerDefinition.value;
 
 // constants
 const TEXT_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 20, weight: 'bold' } );
@@ -36,6 +44,8 @@ const CURRENT_SCALE_M = 150; // empirically determined
 const CURRENT_SCALE_B = 1; // empirically determined
 const OTHERS_SCALE_M = 16; // empirically determined
 const OTHERS_SCALE_B = 4; // empirically determined
+const POWER_ROW_Y = 150; // vertical offset of the power equation from Ohm's law, empirically determined
+const QUESTION_MARK_SCALE = 4; // scale of the question marks that replace hidden letters, like the smallest V and R
 
 class FormulaNode extends Node {
   /**
@@ -45,11 +55,22 @@ class FormulaNode extends Node {
   constructor( model, options ) {
 
     options = merge( {
+
+      // {Property.<boolean>|null} - if provided, a second row with the power equation P = I V is added below
+      // Ohm's law, visible while this Property is true
+      powerVisibleProperty: null,
+
+      // {Property.<boolean>|null} - if provided, the letters that show the size of the current are replaced by question
+      // marks while this Property is true
+      currentHiddenProperty: null,
+
       tandem: Tandem.REQUIRED,
 
+      // so that the hidden power row and question marks don't move the formula, which is positioned by its bounds
+      excludeInvisibleChildrenFromBounds: true,
+
       // pdom
       labelContent: ohmsLawEquationString,
-      descriptionContent: ohmsLawDefinitionString,
       tagName: 'div',
       labelTagName: 'h3' // labels should come before other child content
     }, options );
@@ -57,71 +78,63 @@ class FormulaNode extends Node {
     super();
 
     // Create the equals sign, which does not change size
-    const equalsSign = new Text( MathSymbols.EQUAL_TO, { // We never internationalize the '=' sign
-      font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 140, weight: 'bold' } ),
-      fill: '#000',
-      centerX: 300,
-      centerY: 0,
-      tandem: options.tandem.createTandem( 'equalsSign' )
-    } );
+    const equalsSign = createEqualsSign( 0, options.tandem.createTandem( 'equalsSign' ) );
 
     // Create the Current Letter
-    const currentText = new Text( currentSymbolString, {
-      font: TEXT_FONT,
-      fill: PhetColorScheme.RED_COLORBLIND,
-      centerX: 0,
-      centerY: 0,
-      tandem: options.tandem.createTandem( 'currentLetter' )
-    } );
-
-    // Create the node that contains the text
-    this.currentLetterNode = new Node( { children: [ getAntiArtifactRectangle( currentText ), currentText ] } );
-    const currentXPosition = equalsSign.centerX + 80;
+    this.currentLetterNode = createLetterNode( currentSymbolString, PhetColorScheme.RED_COLORBLIND,
+      options.tandem.createTandem( 'currentLetter' ) );
+    const middleXPosition = equalsSign.centerX + 80;
 
     // Scale the text as the associated value changes. Present for the lifetime of the sim; no need to dispose.
     model.currentProperty.link( () => {
-      this.currentLetterNode.setTranslation( currentXPosition, 0 );
       this.currentLetterNode.setScaleMagnitude( CURRENT_SCALE_M * model.getNormalizedCurrent() + CURRENT_SCALE_B );
     } );
 
     // Create the Voltage Letter
-    const voltageText = new Text( voltageSymbolString, {
-      font: TEXT_FONT,
-      fill: OhmsLawConstants.BLUE_COLOR,
-      centerX: 0,
-      centerY: 0,
-      tandem: options.tandem.createTandem( 'voltageLetter' )
-    } );
-
-    // Create the node that contains the text
-    this.voltageLetterNode = new Node( { children: [ getAntiArtifactRectangle( voltageText ), voltageText ] } );
-    const voltageXPosition = equalsSign.centerX - 150;
+    this.voltageLetterNode = createLetterNode( voltageSymbolString, OhmsLawConstants.BLUE_COLOR,
+      options.tandem.createTandem( 'voltageLetter' ) );
+    const leftXPosition = equalsSign.centerX - 150;
 
     // Scale the text as the associated value changes. Present for the lifetime of the sim; no need to dispose.
     model.voltageProperty.link( () => {
-      this.voltageLetterNode.setTranslation( voltageXPosition, 0 );
       this.voltageLetterNode.setScaleMagnitude( OTHERS_SCALE_M * model.getNormalizedVoltage() + OTHERS_SCALE_B );
     } );
 
     // Create the Resistance Letter
-    const resistanceText = new Text( resistanceSymbolString, {
-      font: TEXT_FONT,
-      fill: OhmsLawConstants.BLUE_COLOR,
-      centerX: 0,
-      centerY: 0,
-      tandem: options.tandem.createTandem( 'resistanceLetter' )
-    } );
-
-    // Create the node that contains the text
-    this.resistanceLetterNode = new Node( { children: [ getAntiArtifactRectangle( resistanceText ), resistanceText ] } );
-    const resistanceXPosition = equalsSign.centerX + 240;
+    this.resistanceLetterNode = createLetterNode( resistanceSymbolString, OhmsLawConstants.BLUE_COLOR,
+      options.tandem.createTandem( 'resistanceLetter' ) );
+    const rightXPosition = equalsSign.centerX + 240;
 
     // Scale the text as the associated value changes. Present for the lifetime of the sim; no need to dispose.
-    model.resistanceProperty.link( () => {
-      this.resistanceLetterNode.setTranslation( resistanceXPosition, 0 );
+    model.equivalentResistanceProperty.link( () => {
       this.resistanceLetterNode.setScaleMagnitude( OTHERS_SCALE_M * model.getNormalizedResistance() + OTHERS_SCALE_B );
     } );
 
+    // Division sign for the equation that is rearranged to R = V / I, does not change size
+    const divisionSign = new Text( '/', { // We never internationalize the '/' sign
+      font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 140, weight: 'bold' } ),
+      fill: '#000',
+      centerX: equalsSign.centerX + 160,
+      centerY: equalsSign.centerY,
+      tandem: options.tandem.createTandem( 'divisionSign' )
+    } );
+
+    // Rearrange the equation for the unknown, V = I R or R = V / I. The letters keep their scale, only their positions
+    // change. Present for the lifetime of the sim; no need to dispose.
+    model.solveForProperty.link( solveFor => {
+      const solvingForResistance = solveFor === SolveFor.RESISTANCE;
+      const leftLetterNode = solvingForResistance ? this.resistanceLetterNode : this.voltageLetterNode;
+      const middleLetterNode = solvingForResistance ? this.voltageLetterNode : this.currentLetterNode;
+      const rightLetterNode = solvingForResistance ? this.currentLetterNode : this.resistanceLetterNode;
+
+      leftLetterNode.setTranslation( leftXPosition, 0 );
+      middleLetterNode.setTranslation( middleXPosition, 0 );
+      rightLetterNode.setTranslation( rightXPosition, 0 );
+      divisionSign.visible = solvingForResistance;
+
+      this.descriptionContent = solvingForResistance ? ohmsLawResistanceDefinitionString : ohmsLawDefinitionString;
+    } );
+
     // Current letter is added first so that when it gets huge, it doesn't cover anything up.
     this.addChild( this.currentLetterNode );
     this.addChild( this.resistanceLetterNode );
@@ -129,16 +142,101 @@ class FormulaNode extends Node {
 
     // must come after letters to be on top
     this.addChild( equalsSign );
+    this.addChild( divisionSign );
 
     // add a node for accessibility that describes the relative sizes of the letters
     const descriptionNode = new Node( { tagName: 'p' } );
     this.addChild( descriptionNode );
 
+    // @private
+    this.currentHiddenProperty = options.currentHiddenProperty || new BooleanProperty( false );
+
     // when any of the model Properties change, update the accessible description
-    Property.multilink( [ model.currentProperty, model.resistanceProperty, model.voltageProperty ], ( current, resistance, voltage ) => {
+    Property.multilink( [ model.currentProperty, model.equivalentResistanceProperty, model.voltageProperty,
+      this.currentHiddenProperty ], () => {
       descriptionNode.innerContent = this.getComparativeSizeDescription();
     } );
 
+    // @private {Node|null} - letters of the power equation, only created if the power row is requested
+    this.powerLetterNode = null;
+    this.powerCurrentLetterNode = null;
+    this.powerVoltageLetterNode = null;
+
+    if ( options.powerVisibleProperty ) {
+      const powerEquationNode = new Node( {
+
+        // pdom
+        tagName: 'div',
+        descriptionContent: powerDefinitionString
+      } );
+      const powerEquationTandem = options.tandem.createTandem( 'powerEquation' );
+      const powerEqualsSign = createEqualsSign( POWER_ROW_Y, powerEquationTandem.createTandem( 'equalsSign' ) );
+
+      this.powerLetterNode = createLetterNode( powerSymbolString, PhetColorScheme.RED_COLORBLIND,
+        powerEquationTandem.createTandem( 'powerLetter' ) );
+      this.powerCurrentLetterNode = createLetterNode( currentSymbolString, PhetColorScheme.RED_COLORBLIND,
+        powerEquationTandem.createTandem( 'currentLetter' ) );
+      this.powerVoltageLetterNode = createLetterNode( voltageSymbolString, OhmsLawConstants.BLUE_COLOR,
+        powerEquationTandem.createTandem( 'voltageLetter' ) );
+
+      // The letters of the power equation share positions and scaling with the letters of Ohm's law so that the
+      // same quantity looks the same in both rows. Present for the lifetime of the sim; no need to dispose.
+      model.powerProperty.link( () => {
+        this.powerLetterNode.setTranslation( leftXPosition, POWER_ROW_Y );
+        this.powerLetterNode.setScaleMagnitude( CURRENT_SCALE_M * model.getNormalizedPower() + CURRENT_SCALE_B );
+      } );
+      model.currentProperty.link( () => {
+        this.powerCurrentLetterNode.setTranslation( middleXPosition, POWER_ROW_Y );
+        this.powerCurrentLetterNode.setScaleMagnitude( this.currentLetterNode.getScaleVector().x );
+      } );
+      model.voltageProperty.link( () => {
+        this.powerVoltageLetterNode.setTranslation( rightXPosition, POWER_ROW_Y );
+        this.powerVoltageLetterNode.setScaleMagnitude( this.voltageLetterNode.getScaleVector().x );
+      } );
+
+      // Like the first row, letters that can get huge are added first so that they don't cover anything up.
+      powerEquationNode.children = [
+        this.powerLetterNode,
+        this.powerCurrentLetterNode,
+        this.powerVoltageLetterNode,
+        powerEqualsSign
+      ];
+
+      const powerDescriptionNode = new Node( { tagName: 'p' } );
+      powerEquationNode.addChild( powerDescriptionNode );
+      Property.multilink( [ model.powerProperty, model.currentProperty, model.voltageProperty,
+        this.currentHiddenProperty ], () => {
+        powerDescriptionNode.innerContent = this.getPowerComparativeSizeDescription();
+      } );
+
+      // Behind Ohm's law so that a huge letter I in the first row is not covered by the power row
+      this.insertChild( 0, powerEquationNode );
+
+      options.powerVisibleProperty.linkAttribute( powerEquationNode, 'visible' );
+    }
+
+    if ( options.currentHiddenProperty ) {
+
+      // Question marks take the place of the letters whose size follows the current while it is hidden
+      const hiddenLetterNodes = [ this.currentLetterNode, this.powerLetterNode, this.powerCurrentLetterNode ]
+        .filter( letterNode => letterNode !== null );
+      const questionMarkNodes = hiddenLetterNodes.map( letterNode => {
+        const questionMarkNode = createLetterNode( '?', PhetColorScheme.RED_COLORBLIND, Tandem.OPT_OUT );
+        questionMarkNode.setScaleMagnitude( QUESTION_MARK_SCALE );
+        letterNode.parent.addChild( questionMarkNode );
+        return questionMarkNode;
+      } );
+
+      // After the letters are arranged for the unknown. Present for the lifetime of the sim; no need to dispose.
+      Property.multilink( [ options.currentHiddenProperty, model.solveForProperty ], currentHidden => {
+        hiddenLetterNodes.forEach( ( letterNode, index ) => {
+          letterNode.visible = !currentHidden;
+          questionMarkNodes[ index ].visible = currentHidden;
+          questionMarkNodes[ index ].translation = letterNode.translation;
+        } );
+      } );
+    }
+
     this.mutate( options );
   }
 
@@ -157,45 +255,98 @@ class FormulaNode extends Node {
     const iHeight = this.currentLetterNode.height;
     const vHeight = this.voltageLetterNode.height;
 
-    const vToI = vHeight / iHeight;
-    const vToR = vHeight / rHeight;
-
-    // for iteration
-    let i;
-    let describedRange;
-
-    // map the relations to the comparative descriptions
-    // loop through array of keys to avoid closures every time this is called
-    const ranges = OhmsLawConstants.COMPARATIVE_DESCRIPTION_RANGES;
-    const keys = Object.keys( ranges );
-
-    // get the relative size description comparing V to I
-    let vToIDescription;
-    for ( i = 0; i < keys.length; i++ ) {
-      describedRange = ranges[ keys[ i ] ];
-      if ( describedRange.range.contains( vToI ) ) {
-        vToIDescription = describedRange.description;
-        break;
-      }
+    if ( this.currentHiddenProperty.value ) {
+      return StringUtils.fillIn( hiddenCurrentRelativeSizePatternString, {
+        rComparison: getComparativeDescription( vHeight / rHeight )
+      } );
     }
+    return StringUtils.fillIn( relativeSizePatternString, {
+      iComparison: getComparativeDescription( vHeight / iHeight ),
+      rComparison: getComparativeDescription( vHeight / rHeight )
+    } );
+  }
+
+  /**
+   * Get the comparative size description for the letters of the power equation, something like
+   * "In power equation, letter P is much larger than letter I and comparable to letter V."
+   * Used for a11y.
+   *
+   * @public
+   * @returns {string}
+   */
+  getPowerComparativeSizeDescription() {
+    assert && assert( this.powerLetterNode, 'power equation was not created' );
 
-    // get the relative size description comparing V to R
-    let vToRDescription;
-    for ( i = 0; i < keys.length; i++ ) {
-      describedRange = ranges[ keys[ i ] ];
-      if ( describedRange.range.contains( vToR ) ) {
-        vToRDescription = describedRange.description;
-        break;
-      }
+    if ( this.currentHiddenProperty.value ) {
+      return hiddenCurrentPowerSizeString;
     }
 
-    return StringUtils.fillIn( relativeSizePatternString, {
-      iComparison: vToIDescription,
-      rComparison: vToRDescription
+    const pHeight = this.powerLetterNode.height;
+    const iHeight = this.powerCurrentLetterNode.height;
+    const vHeight = this.powerVoltageLetterNode.height;
+
+    return StringUtils.fillIn( relativePowerSizePatternString, {
+      iComparison: getComparativeDescription( pHeight / iHeight ),
+      vComparison: getComparativeDescription( pHeight / vHeight )
     } );
   }
 }
 
+/**
+ * Map a ratio of letter heights to one of the comparative descriptions, like "much larger than".
+ * @param {number} ratio
+ * @returns {string}
+ */
+function getComparativeDescription( ratio ) {
+
+  // loop through array of keys to avoid closures every time this is called
+  const ranges = OhmsLawConstants.COMPARATIVE_DESCRIPTION_RANGES;
+  const keys = Object.keys( ranges );
+
+  for ( let i = 0; i < keys.length; i++ ) {
+    const describedRange = ranges[ keys[ i ] ];
+    if ( describedRange.range.contains( ratio ) ) {
+      return describedRange.description;
+    }
+  }
+  throw new Error( `no comparative description for ratio: ${ratio}` );
+}
+
+/**
+ * Create an equals sign, which does not change size. All letters in a row are laid out relative to it.
+ * @param {number} centerY
+ * @param {Tandem} tandem
+ * @returns {Text}
+ */
+function createEqualsSign( centerY, tandem ) {
+  return new Text( MathSymbols.EQUAL_TO, { // We never internationalize the '=' sign
+    font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 140, weight: 'bold' } ),
+    fill: '#000',
+    centerX: 300,
+    centerY: centerY,
+    tandem: tandem
+  } );
+}
+
+/**
+ * Create a node that contains the text for one of the letters in the formula. The node is scaled as the
+ * associated value changes.
+ * @param {string} symbolString
+ * @param {ColorDef} fill
+ * @param {Tandem} tandem
+ * @returns {Node}
+ */
+function createLetterNode( symbolString, fill, tandem ) {
+  const text = new Text( symbolString, {
+    font: TEXT_FONT,
+    fill: fill,
+    centerX: 0,
+    centerY: 0,
+    tandem: tandem
+  } );
+  return new Node( { children: [ getAntiArtifactRectangle( text ), text ] } );
+}
+
 /**
  * Add an invisible rectangle with bounds slightly larger than the text so that artifacts aren't left on the
  * screen, see https://github.com/phetsims/ohms-law/issues/26.
@@ -0,0 +1,218 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Collapsible box with the graph of the current, the controls for its axes and for the curve, and a description of the
+ * graph for the PDOM.
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import CurrentGraphNode from './CurrentGraphNode.js';
+import GraphType from './GraphType.js';
+
+const graphString = ohmsLawStrings.graph;
+const currentVsVoltageString = ohmsLawStrings.currentVsVoltage;
+const currentVsResistanceString = ohmsLawStrings.currentVsResistance;
+const curveString = ohmsLawStrings.curve;
+
+const graphDescriptionString = OhmsLawA11yStrings.graphDescription.value;
+const graphAxesString = OhmsLawA11yStrings.graphAxes.value;
+const currentVsVoltageLabelString = OhmsLawA11yStrings.currentVsVoltageLabel.value;
+const currentVsResistanceLabelString = OhmsLawA11yStrings.currentVsResistanceLabel.value;
+const curveDescriptionString = OhmsLawA11yStrings.curveDescription.value;
+const currentVsVoltageSummaryPatternString = OhmsLawA11yStrings.currentVsVoltageSummaryPattern.value;
+const currentVsResistanceSummaryPatternString = OhmsLawA11yStrings.currentVsResistanceSummaryPattern.value;
+const straightLineCurvePatternString = OhmsLawA11yStrings.straightLineCurvePattern.value;
+const nonOhmicCurveString = OhmsLawA11yStrings.nonOhmicCurve.value;
+const hyperbolaCurvePatternString = OhmsLawA11yStrings.hyperbolaCurvePattern.value;
+const loadResistanceAboveDescriptionPatternString = OhmsLawA11yStrings.loadResistanceAboveDescriptionPattern.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const CONTROL_FONT = new PhetFont( 14 );
+const CONTROL_MAX_WIDTH = 80;
+
+class GraphAccordionBox extends AccordionBox {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {OhmsLawDescriber} ohmsLawDescriber
+   * @param {Object} [options]
+   */
+  constructor( model, ohmsLawDescriber, options ) {
+
+    options = merge( {
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      cornerRadius: 6,
+      contentXMargin: 10,
+      contentYSpacing: 4,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' )
+    } );
+
+    const graphTypeProperty = new EnumerationProperty( GraphType, GraphType.CURRENT_VS_VOLTAGE, {
+      tandem: options.tandem.createTandem( 'graphTypeProperty' ),
+      phetioDocumentation: 'Whether the current is plotted against the voltage across the load or its resistance'
+    } );
+
+    const curveVisibleProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'curveVisibleProperty' ),
+      phetioDocumentation: 'Whether the curve that the operating point follows is shown on the graph'
+    } );
+
+    const graphNode = new CurrentGraphNode( model, graphTypeProperty, curveVisibleProperty );
+
+    const graphTypeRadioButtonGroup = new HorizontalAquaRadioButtonGroup( graphTypeProperty, [ {
+      node: new Text( currentVsVoltageString, { font: CONTROL_FONT, maxWidth: CONTROL_MAX_WIDTH } ),
+      value: GraphType.CURRENT_VS_VOLTAGE,
+      tandemName: 'currentVsVoltageRadioButton',
+      labelContent: currentVsVoltageLabelString
+    }, {
+      node: new Text( currentVsResistanceString, { font: CONTROL_FONT, maxWidth: CONTROL_MAX_WIDTH } ),
+      value: GraphType.CURRENT_VS_RESISTANCE,
+      tandemName: 'currentVsResistanceRadioButton',
+      labelContent: currentVsResistanceLabelString
+    } ], {
+      spacing: 10,
+
+      // pdom
+      labelContent: graphAxesString,
+      tandem: options.tandem.createTandem( 'graphTypeRadioButtonGroup' )
+    } );
+
+    const curveCheckbox = new Checkbox( new Text( curveString, { font: CONTROL_FONT, maxWidth: CONTROL_MAX_WIDTH } ),
+      curveVisibleProperty, {
+        boxWidth: 14,
+
+        // pdom
+        labelContent: curveString,
+        descriptionContent: curveDescriptionString,
+        tandem: options.tandem.createTandem( 'curveCheckbox' )
+      } );
+
+    // pdom - a summary of what the graph shows
+    const graphDescriptionNode = new Node( { tagName: 'p' } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [
+      graphTypeProperty,
+      curveVisibleProperty,
+      graphNode.currentAxisMaxProperty,
+      model.currentUnitsProperty,
+      model.currentProperty,
+      model.voltageProperty,
+      model.terminalVoltageProperty,
+      model.loadResistanceProperty,
+      model.loadTypeProperty
+    ], ( graphType, curveVisible, currentAxisMax ) => {
+      const fixedResistance = Utils.toFixed( model.loadResistanceProperty.value, OhmsLawConstants.RESISTANCE_SIG_FIGS );
+
+      // the top of the current axis in the unit of its tick labels, and the current like its readout
+      const maxCurrentUnit = CurrentUnit.getDisplayUnit( model.currentUnitsProperty.value, currentAxisMax );
+      const values = {
+        maxCurrent: model.getFixedCurrent( currentAxisMax, maxCurrentUnit ),
+        maxCurrentUnit: ohmsLawDescriber.getUnitForCurrent( maxCurrentUnit ),
+        current: model.getFixedCurrent(),
+        currentUnit: ohmsLawDescriber.getUnitForCurrent()
+      };
+      let summary;
+      let curveDescription;
+
+      if ( graphType === GraphType.CURRENT_VS_VOLTAGE ) {
+        summary = StringUtils.fillIn( currentVsVoltageSummaryPatternString, merge( {
+          voltage: Utils.toFixed( model.terminalVoltageProperty.value, OhmsLawConstants.TERMINAL_VOLTAGE_SIG_FIGS )
+        }, values ) );
+        curveDescription = model.loadTypeProperty.value.isOhmic() ?
+                           StringUtils.fillIn( straightLineCurvePatternString, { resistance: fixedResistance } ) :
+                           nonOhmicCurveString;
+      }
+      else {
+        const isOnAxis = model.loadResistanceProperty.value <= OhmsLawConstants.RESISTANCE_RANGE.max;
+        summary = StringUtils.fillIn( currentVsResistanceSummaryPatternString, merge( {
+          resistance: isOnAxis ? fixedResistance : StringUtils.fillIn( loadResistanceAboveDescriptionPatternString, {
+            value: OhmsLawConstants.RESISTANCE_RANGE.max
+          } )
+        }, values ) );
+        curveDescription = StringUtils.fillIn( hyperbolaCurvePatternString, {
+          voltage: Utils.toFixed( model.voltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS )
+        } );
+      }
+
+      graphDescriptionNode.innerContent = curveVisible ? `${summary} ${curveDescription}` : summary;
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 8,
+      children: [
+        graphNode,
+        new HBox( { spacing: 15, children: [ graphTypeRadioButtonGroup, curveCheckbox ] } ),
+        graphDescriptionNode
+      ],
+
+      // pdom
+      tagName: 'div',
+      descriptionContent: graphDescriptionString
+    } );
+
+    // pdom - the summary is read before the controls
+    contentNode.pdomOrder = [ graphDescriptionNode, graphTypeRadioButtonGroup, curveCheckbox ];
+
+    options = merge( {
+      titleNode: new Text( graphString, { font: TITLE_FONT, maxWidth: 150 } ),
+      expandedProperty: expandedProperty,
+
+      // pdom
+      accessibleName: graphString
+    }, options );
+
+    super( contentNode, options );
+
+    // @private
+    this.graphNode = graphNode;
+    this.graphTypeProperty = graphTypeProperty;
+    this.curveVisibleProperty = curveVisibleProperty;
+  }
+
+  /**
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    this.graphNode.step( dt );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+    this.graphTypeProperty.reset();
+    this.curveVisibleProperty.reset();
+    this.graphNode.reset();
+  }
+}
+
+ohmsLaw.register( 'GraphAccordionBox', GraphAccordionBox );
+export default GraphAccordionBox;
@@ -0,0 +1,15 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for the axes of the graph of the current.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// CURRENT_VS_VOLTAGE - current against the voltage across the load, a straight line with a slope of 1 / R
+// CURRENT_VS_RESISTANCE - current against the resistance of the load, a hyperbola at a fixed voltage
+const GraphType = Enumeration.byKeys( [ 'CURRENT_VS_VOLTAGE', 'CURRENT_VS_RESISTANCE' ] );
+
+ohmsLaw.register( 'GraphType', GraphType );
+export default GraphType;
@@ -0,0 +1,15 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration for what the multimeter measures.
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import ohmsLaw from '../../ohmsLaw.js';
+
+// VOLTAGE - the potential difference between the wires that the probes touch
+// CURRENT - the current in the wire that both probes touch, with the meter in line
+const MeterMode = Enumeration.byKeys( [ 'VOLTAGE', 'CURRENT' ] );
+
+ohmsLaw.register( 'MeterMode', MeterMode );
+export default MeterMode;
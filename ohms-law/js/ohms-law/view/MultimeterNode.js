@@ -0,0 +1,423 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A multimeter with a red and a black probe that are dragged onto the wires of the circuit. In voltage mode it reads
+ * the potential difference from the black probe to the red one, and in current mode it reads the current in the wire
+ * that both probes touch, as if the meter were in line with it. Each mode has ranges like a real meter, and a reading
+ * beyond the range shows an overload.
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ProbeNode from '../../../../scenery-phet/js/ProbeNode.js';
+import WireNode from '../../../../scenery-phet/js/WireNode.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import KeyboardDragListener from '../../../../scenery/js/listeners/KeyboardDragListener.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import MeterMode from './MeterMode.js';
+
+const multimeterString = ohmsLawStrings.multimeter;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const currentUnitsString = ohmsLawStrings.currentUnits;
+const currentAmpUnitsString = ohmsLawStrings.currentAmpUnits;
+const rangePatternString = ohmsLawStrings.rangePattern;
+const overloadString = ohmsLawStrings.overload;
+
+const multimeterDescriptionString = OhmsLawA11yStrings.multimeterDescription.value;
+const redProbeString = OhmsLawA11yStrings.redProbe.value;
+const blackProbeString = OhmsLawA11yStrings.blackProbe.value;
+const meterModeString = OhmsLawA11yStrings.meterMode.value;
+const voltageModeString = OhmsLawA11yStrings.voltageMode.value;
+const currentModeString = OhmsLawA11yStrings.currentMode.value;
+const meterRangeString = OhmsLawA11yStrings.meterRange.value;
+const meterVoltageReadingPatternString = OhmsLawA11yStrings.meterVoltageReadingPattern.value;
+const meterCurrentReadingPatternString = OhmsLawA11yStrings.meterCurrentReadingPattern.value;
+const meterVoltageOverloadPatternString = OhmsLawA11yStrings.meterVoltageOverloadPattern.value;
+const meterCurrentOverloadPatternString = OhmsLawA11yStrings.meterCurrentOverloadPattern.value;
+const meterVoltageNoReadingString = OhmsLawA11yStrings.meterVoltageNoReading.value;
+const meterCurrentNoReadingString = OhmsLawA11yStrings.meterCurrentNoReading.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const DISPLAY_FONT = new PhetFont( 20 );
+const CONTROL_FONT = new PhetFont( 13 );
+const TEXT_FILL = 'white';
+const DISPLAY_WIDTH = 110;
+const NO_READING = '\u2013 \u2013 \u2013';
+
+// ranges of the meter, each is the largest value that it displays
+const VOLTAGE_RANGES = [ 2, 20 ]; // in volts
+const CURRENT_RANGES = [ 20, 200, 2000 ]; // in milliamps
+
+// probes, which are positioned by the center of their sensor
+const PROBE_OPTIONS = {
+  radius: 9,
+  innerRadius: 5,
+  handleWidth: 14,
+  handleHeight: 34,
+  handleCornerRadius: 4,
+  sensorTypeFunction: ProbeNode.crosshairs( { lineWidth: 1, intersectionRadius: 2 } )
+};
+const PROBE_HANDLE_BOTTOM = new Vector2( 0, PROBE_OPTIONS.radius + PROBE_OPTIONS.handleHeight );
+const WIRE_NORMAL = new Vector2( 0, 50 ); // for the curve of the wires at the body and at the probes
+
+class MultimeterNode extends Node {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {WireBox} wireBox - for the wires that the probes touch
+   * @param {Bounds2} dragBounds - in the parent coordinate frame
+   * @param {Object} [options]
+   */
+  constructor( model, wireBox, dragBounds, options ) {
+
+    options = merge( {
+
+      // {Vector2} - initial positions, in the parent coordinate frame
+      bodyPosition: Vector2.ZERO,
+      redProbePosition: Vector2.ZERO,
+      blackProbePosition: Vector2.ZERO,
+      tandem: Tandem.REQUIRED,
+
+      // pdom
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: multimeterString,
+      descriptionContent: multimeterDescriptionString
+    }, options );
+
+    super( options );
+
+    // @private {Vector2Property} - top left of the body, and the centers of the sensors of the probes
+    this.bodyPositionProperty = new Vector2Property( options.bodyPosition, {
+      tandem: options.tandem.createTandem( 'bodyPositionProperty' )
+    } );
+    this.redProbePositionProperty = new Vector2Property( options.redProbePosition, {
+      tandem: options.tandem.createTandem( 'redProbePositionProperty' )
+    } );
+    this.blackProbePositionProperty = new Vector2Property( options.blackProbePosition, {
+      tandem: options.tandem.createTandem( 'blackProbePositionProperty' )
+    } );
+
+    // @private
+    this.modeProperty = new EnumerationProperty( MeterMode, MeterMode.VOLTAGE, {
+      tandem: options.tandem.createTandem( 'modeProperty' ),
+      phetioDocumentation: 'Whether the multimeter measures voltage or current'
+    } );
+    this.voltageRangeProperty = new NumberProperty( VOLTAGE_RANGES[ VOLTAGE_RANGES.length - 1 ], {
+      validValues: VOLTAGE_RANGES,
+      units: 'V',
+      tandem: options.tandem.createTandem( 'voltageRangeProperty' ),
+      phetioDocumentation: 'The largest voltage that the multimeter displays'
+    } );
+    this.currentRangeProperty = new NumberProperty( CURRENT_RANGES[ CURRENT_RANGES.length - 1 ], {
+      validValues: CURRENT_RANGES,
+      units: 'mA',
+      tandem: options.tandem.createTandem( 'currentRangeProperty' ),
+      phetioDocumentation: 'The largest current that the multimeter displays'
+    } );
+
+    const valueText = new Text( NO_READING, { font: DISPLAY_FONT, maxWidth: DISPLAY_WIDTH - 40 } );
+    const unitsText = new Text( '', { font: DISPLAY_FONT, maxWidth: 30 } );
+    const display = new Rectangle( 0, 0, DISPLAY_WIDTH, 32, 3, 3, {
+      fill: '#c9d6b8',
+      stroke: 'black',
+      children: [ valueText, unitsText ]
+    } );
+
+    const modeRadioButtonGroup = new HorizontalAquaRadioButtonGroup( this.modeProperty, [ {
+      node: new Text( voltageUnitsString, { font: CONTROL_FONT, fill: TEXT_FILL } ),
+      value: MeterMode.VOLTAGE,
+      tandemName: 'voltageRadioButton',
+      labelContent: voltageModeString
+    }, {
+      node: new Text( currentAmpUnitsString, { font: CONTROL_FONT, fill: TEXT_FILL } ),
+      value: MeterMode.CURRENT,
+      tandemName: 'currentRadioButton',
+      labelContent: currentModeString
+    } ], {
+      spacing: 20,
+
+      // pdom
+      labelContent: meterModeString,
+      tandem: options.tandem.createTandem( 'modeRadioButtonGroup' )
+    } );
+
+    const voltageRangeRadioButtonGroup = createRangeRadioButtonGroup( this.voltageRangeProperty, VOLTAGE_RANGES,
+      voltageUnitsString, options.tandem.createTandem( 'voltageRangeRadioButtonGroup' ) );
+    const currentRangeRadioButtonGroup = createRangeRadioButtonGroup( this.currentRangeProperty, CURRENT_RANGES,
+      currentUnitsString, options.tandem.createTandem( 'currentRangeRadioButtonGroup' ) );
+
+    // Only the ranges of the mode are shown. They share a Node, so that the body keeps its size.
+    const rangesNode = new Node( { children: [ voltageRangeRadioButtonGroup, currentRangeRadioButtonGroup ] } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    this.modeProperty.link( mode => {
+      voltageRangeRadioButtonGroup.visible = mode === MeterMode.VOLTAGE;
+      currentRangeRadioButtonGroup.visible = mode === MeterMode.CURRENT;
+    } );
+
+    // pdom - the reading of the meter
+    const readingDescriptionNode = new Node( { tagName: 'p' } );
+
+    const bodyNode = new Panel( new VBox( {
+      spacing: 6,
+      children: [
+        new Text( multimeterString, { font: TITLE_FONT, fill: TEXT_FILL, maxWidth: DISPLAY_WIDTH } ),
+        display,
+        modeRadioButtonGroup,
+        rangesNode
+      ]
+    } ), {
+      fill: '#3c3c3c',
+      stroke: 'black',
+      xMargin: 8,
+      yMargin: 8,
+      cursor: 'pointer',
+
+      // pdom
+      tagName: 'div',
+      focusable: true,
+      accessibleName: multimeterString,
+      tandem: options.tandem.createTandem( 'bodyNode' )
+    } );
+
+    // the jacks of the leads, on the bottom of the body
+    const bodySize = bodyNode.bounds.rightBottom;
+    const redJackProperty = new DerivedProperty( [ this.bodyPositionProperty ],
+      bodyPosition => bodyPosition.plusXY( bodySize.x * 0.7, bodySize.y ) );
+    const blackJackProperty = new DerivedProperty( [ this.bodyPositionProperty ],
+      bodyPosition => bodyPosition.plusXY( bodySize.x * 0.3, bodySize.y ) );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    this.bodyPositionProperty.link( bodyPosition => { bodyNode.translation = bodyPosition; } );
+
+    const redProbeNode = createProbeNode( this.redProbePositionProperty, 'red', redProbeString, dragBounds,
+      options.tandem.createTandem( 'redProbeNode' ) );
+    const blackProbeNode = createProbeNode( this.blackProbePositionProperty, '#333', blackProbeString, dragBounds,
+      options.tandem.createTandem( 'blackProbeNode' ) );
+
+    const redWireNode = createLeadNode( redJackProperty, this.redProbePositionProperty, 'red' );
+    const blackWireNode = createLeadNode( blackJackProperty, this.blackProbePositionProperty, 'black' );
+
+    // The body is dragged within the bounds, so that it can't be lost.
+    const bodyDragBoundsProperty = new Property( dragBounds.withOffsets( 0, 0, -bodySize.x, -bodySize.y ) );
+    bodyNode.addInputListener( new DragListener( {
+      positionProperty: this.bodyPositionProperty,
+      dragBoundsProperty: bodyDragBoundsProperty,
+      tandem: options.tandem.createTandem( 'dragListener' )
+    } ) );
+    bodyNode.addInputListener( new KeyboardDragListener( {
+      positionProperty: this.bodyPositionProperty,
+      dragBounds: bodyDragBoundsProperty.value
+    } ) );
+
+    this.children = [ bodyNode, readingDescriptionNode, blackWireNode, redWireNode, blackProbeNode, redProbeNode ];
+
+    // Update the reading when the probes move, the meter changes or the circuit changes.
+    const updateReading = () => {
+      const mode = this.modeProperty.value;
+      const range = mode === MeterMode.VOLTAGE ? this.voltageRangeProperty.value : this.currentRangeProperty.value;
+      const reading = getReading( model, wireBox, mode, this.redProbePositionProperty.value,
+        this.blackProbePositionProperty.value );
+
+      let readingDescription;
+      if ( reading === null ) {
+        valueText.text = NO_READING;
+        readingDescription = mode === MeterMode.VOLTAGE ? meterVoltageNoReadingString : meterCurrentNoReadingString;
+      }
+      else if ( Math.abs( reading ) > range ) {
+        valueText.text = overloadString;
+        readingDescription = StringUtils.fillIn(
+          mode === MeterMode.VOLTAGE ? meterVoltageOverloadPatternString : meterCurrentOverloadPatternString,
+          { range: range }
+        );
+      }
+      else {
+        const fixedReading = Utils.toFixed( reading, getDecimalPlaces( range ) );
+        valueText.text = fixedReading;
+        readingDescription = StringUtils.fillIn(
+          mode === MeterMode.VOLTAGE ? meterVoltageReadingPatternString : meterCurrentReadingPatternString,
+          { value: fixedReading }
+        );
+      }
+      unitsText.text = mode === MeterMode.VOLTAGE ? voltageUnitsString : currentUnitsString;
+
+      // right aligned in the display, like a real meter
+      unitsText.right = DISPLAY_WIDTH - 6;
+      unitsText.centerY = display.height / 2;
+      valueText.right = unitsText.left - 6;
+      valueText.centerY = display.height / 2;
+      readingDescriptionNode.innerContent = readingDescription;
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [
+      this.redProbePositionProperty,
+      this.blackProbePositionProperty,
+      this.modeProperty,
+      this.voltageRangeProperty,
+      this.currentRangeProperty,
+      model.wirePotentialsProperty,
+      model.currentProperty,
+      ...model.resistorCurrentProperties
+    ], updateReading );
+    wireBox.wiresChangedEmitter.addListener( updateReading );
+
+    // pdom - the reading is read after the body, then the probes are moved
+    this.pdomOrder = [ bodyNode, readingDescriptionNode, modeRadioButtonGroup, rangesNode, redProbeNode,
+      blackProbeNode ];
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.bodyPositionProperty.reset();
+    this.redProbePositionProperty.reset();
+    this.blackProbePositionProperty.reset();
+    this.modeProperty.reset();
+    this.voltageRangeProperty.reset();
+    this.currentRangeProperty.reset();
+  }
+}
+
+/**
+ * Get the reading of the meter, in volts or milliamps, or null when the probes aren't where the mode can measure.
+ * @param {OhmsLawModel} model
+ * @param {WireBox} wireBox
+ * @param {MeterMode} mode
+ * @param {Vector2} redProbePosition
+ * @param {Vector2} blackProbePosition
+ * @returns {number|null}
+ */
+function getReading( model, wireBox, mode, redProbePosition, blackProbePosition ) {
+  const redContact = wireBox.getContact( redProbePosition );
+  const blackContact = wireBox.getContact( blackProbePosition );
+
+  if ( !redContact || !blackContact ) {
+    return null;
+  }
+  else if ( mode === MeterMode.VOLTAGE ) {
+    const wirePotentials = model.wirePotentialsProperty.value;
+    return wirePotentials[ redContact.wire.potentialIndex ] - wirePotentials[ blackContact.wire.potentialIndex ];
+  }
+
+  // The meter is in line when both probes are on the same wire, and the current flows through it from the red probe
+  // to the black one.
+  else if ( redContact.wire === blackContact.wire && redContact.distance !== blackContact.distance ) {
+    const current = redContact.wire.getCurrent();
+    return redContact.distance < blackContact.distance ? current : -current;
+  }
+  return null;
+}
+
+/**
+ * Get the number of decimal places that the display shows for a range, which has four digits up to 1999.
+ * @param {number} range
+ * @returns {number}
+ */
+function getDecimalPlaces( range ) {
+  return 3 - Utils.roundSymmetric( Math.log10( range / 2 ) );
+}
+
+/**
+ * Create a radio button group that chooses the range of the meter for a mode.
+ * @param {NumberProperty} rangeProperty
+ * @param {number[]} ranges
+ * @param {string} unitsString
+ * @param {Tandem} tandem
+ * @returns {VerticalAquaRadioButtonGroup}
+ */
+function createRangeRadioButtonGroup( rangeProperty, ranges, unitsString, tandem ) {
+  return new VerticalAquaRadioButtonGroup( rangeProperty, ranges.map( range => {
+    const labelString = StringUtils.fillIn( rangePatternString, { value: range, units: unitsString } );
+    return {
+      node: new Text( labelString, { font: CONTROL_FONT, fill: TEXT_FILL, maxWidth: DISPLAY_WIDTH - 25 } ),
+      value: range,
+      tandemName: `range${range}RadioButton`,
+      labelContent: labelString
+    };
+  } ), {
+    spacing: 4,
+
+    // pdom
+    labelContent: meterRangeString,
+    tandem: tandem
+  } );
+}
+
+/**
+ * Create a probe that is dragged by the center of its sensor, with the mouse or the keyboard.
+ * @param {Vector2Property} positionProperty
+ * @param {ColorDef} color
+ * @param {string} accessibleName
+ * @param {Bounds2} dragBounds
+ * @param {Tandem} tandem
+ * @returns {ProbeNode}
+ */
+function createProbeNode( positionProperty, color, accessibleName, dragBounds, tandem ) {
+  const probeNode = new ProbeNode( merge( {
+    color: color,
+    cursor: 'pointer',
+
+    // pdom
+    tagName: 'div',
+    focusable: true,
+    accessibleName: accessibleName,
+    tandem: tandem
+  }, PROBE_OPTIONS ) );
+
+  // Present for the lifetime of the simulation; no need to unlink.
+  positionProperty.link( position => { probeNode.translation = position; } );
+
+  probeNode.addInputListener( new DragListener( {
+    positionProperty: positionProperty,
+    dragBoundsProperty: new Property( dragBounds ),
+    tandem: tandem.createTandem( 'dragListener' )
+  } ) );
+  probeNode.addInputListener( new KeyboardDragListener( {
+    positionProperty: positionProperty,
+    dragBounds: dragBounds
+  } ) );
+
+  return probeNode;
+}
+
+/**
+ * Create the lead from a jack on the body to the bottom of the handle of a probe.
+ * @param {Property.<Vector2>} jackProperty
+ * @param {Property.<Vector2>} probePositionProperty
+ * @param {ColorDef} color
+ * @returns {WireNode}
+ */
+function createLeadNode( jackProperty, probePositionProperty, color ) {
+  const handleBottomProperty = new DerivedProperty( [ probePositionProperty ],
+    probePosition => probePosition.plus( PROBE_HANDLE_BOTTOM ) );
+
+  return new WireNode( jackProperty, new Property( WIRE_NORMAL ), handleBottomProperty, new Property( WIRE_NORMAL ), {
+    stroke: color,
+    lineWidth: 3
+  } );
+}
+
+ohmsLaw.register( 'MultimeterNode', MultimeterNode );
+export default MultimeterNode;
@@ -0,0 +1,215 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with a keypad for entering an exact value of a slider, opened from the readout of a SliderUnit. The value is
+ * only entered if it is in the valid range, otherwise the range is highlighted and announced. The entry can't have
+ * more decimal places than the readout.
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Keypad from '../../../../scenery-phet/js/keypad/Keypad.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import KeyboardUtils from '../../../../scenery/js/accessibility/KeyboardUtils.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+const enterValueString = ohmsLawStrings.enterValue;
+const enterString = ohmsLawStrings.enter;
+const cancelString = ohmsLawStrings.cancel;
+const valueRangePatternString = ohmsLawStrings.valueRangePattern;
+
+const keypadString = OhmsLawA11yStrings.keypad.value;
+const keypadDescriptionString = OhmsLawA11yStrings.keypadDescription.value;
+const valueOutOfRangePatternString = OhmsLawA11yStrings.valueOutOfRangePattern.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const VALUE_FONT = new PhetFont( 20 );
+const CONTROL_FONT = new PhetFont( 14 );
+const VALUE_BOX_WIDTH = 100;
+const RANGE_FILL = 'black';
+const OUT_OF_RANGE_FILL = PhetColorScheme.RED_COLORBLIND;
+
+class NumberEntryPanel extends Panel {
+
+  /**
+   * @param {Property.<Range>} validRangeProperty - the values that can be entered
+   * @param {string} unitString
+   * @param {Object} [options]
+   */
+  constructor( validRangeProperty, unitString, options ) {
+
+    options = merge( {
+
+      // {number} - the entry can't have more decimal places than this
+      decimalPlaces: 0,
+
+      // {number} - the entry can't have more digits than this, in all
+      maxDigits: 4,
+
+      // {function(number)} - called with a valid value when it is entered
+      enterListener: _.noop,
+
+      // {function} - called after the panel is closed with its buttons or Escape, whether a value was entered or not
+      closeListener: _.noop,
+
+      // {function(number):string} - pdom, describes a value for the alert of a value out of range
+      createValueDescription: value => `${value}`,
+
+      fill: 'rgb( 240, 240, 240 )',
+      cornerRadius: 6,
+      xMargin: 12,
+      yMargin: 10,
+      visible: false,
+
+      // pdom
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: enterValueString,
+      descriptionContent: keypadDescriptionString,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleText = new Text( enterValueString, { font: TITLE_FONT, maxWidth: 160 } );
+
+    const keypad = new Keypad( options.decimalPlaces > 0 ? Keypad.PositiveDecimalLayout : Keypad.PositiveIntegerLayout, {
+      accumulatorOptions: {
+        maxDigits: options.maxDigits,
+        maxDigitsRightOfMantissa: options.decimalPlaces
+      },
+
+      // pdom - focused when the panel is opened, the keys are next in the focus order
+      tagName: 'div',
+      focusable: true,
+      accessibleName: keypadString,
+      tandem: options.tandem.createTandem( 'keypad' )
+    } );
+
+    // the entered value with its units
+    const valueText = new Text( '', { font: VALUE_FONT, maxWidth: VALUE_BOX_WIDTH - 10 } );
+    const valueBox = new Rectangle( 0, 0, VALUE_BOX_WIDTH, valueText.height + 8, 4, 4, {
+      fill: 'white',
+      stroke: 'black',
+      children: [ valueText ]
+    } );
+    const valueNode = new HBox( {
+      spacing: 6,
+      children: [ valueBox, new Text( unitString, { font: VALUE_FONT, fill: OhmsLawConstants.BLUE_COLOR, maxWidth: 40 } ) ]
+    } );
+
+    // the range of the values that can be entered, highlighted when the value is out of range
+    const rangeText = new Text( '', { font: CONTROL_FONT, maxWidth: 160 } );
+
+    const enterButton = new TextPushButton( enterString, {
+      font: CONTROL_FONT,
+      maxTextWidth: 60,
+      baseColor: 'rgb( 255, 200, 0 )',
+      listener: () => {
+        const value = keypad.valueProperty.value;
+        const validRange = validRangeProperty.value;
+        if ( validRange.contains( value ) ) {
+          this.close();
+          options.enterListener( value );
+          options.closeListener();
+        }
+        else {
+          rangeText.fill = OUT_OF_RANGE_FILL;
+
+          // pdom
+          this.alertDescriptionUtterance( StringUtils.fillIn( valueOutOfRangePatternString, {
+            value: options.createValueDescription( value ),
+            min: options.createValueDescription( Utils.toFixedNumber( validRange.min, options.decimalPlaces ) ),
+            max: options.createValueDescription( Utils.toFixedNumber( validRange.max, options.decimalPlaces ) )
+          } ) );
+        }
+      },
+      tandem: options.tandem.createTandem( 'enterButton' )
+    } );
+    const cancelButton = new TextPushButton( cancelString, {
+      font: CONTROL_FONT,
+      maxTextWidth: 60,
+      listener: () => {
+        this.close();
+        options.closeListener();
+      },
+      tandem: options.tandem.createTandem( 'cancelButton' )
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    keypad.stringProperty.link( string => {
+      valueText.text = string;
+      valueText.center = valueBox.localBounds.center;
+      rangeText.fill = RANGE_FILL;
+    } );
+    keypad.valueProperty.link( value => {
+      enterButton.enabled = value !== null;
+    } );
+    validRangeProperty.link( validRange => {
+      rangeText.text = StringUtils.fillIn( valueRangePatternString, {
+        min: Utils.toFixed( validRange.min, options.decimalPlaces ),
+        max: Utils.toFixed( validRange.max, options.decimalPlaces ),
+        units: unitString
+      } );
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 10,
+      children: [
+        titleText,
+        valueNode,
+        rangeText,
+        keypad,
+        new HBox( { spacing: 10, children: [ enterButton, cancelButton ] } )
+      ]
+    } );
+
+    super( contentNode, options );
+
+    // pdom - Escape closes the panel without entering the value, like the list of a combo box
+    this.addInputListener( {
+      keydown: event => {
+        if ( KeyboardUtils.isKeyEvent( event.domEvent, KeyboardUtils.KEY_ESCAPE ) ) {
+          this.close();
+          options.closeListener();
+        }
+      }
+    } );
+
+    // @private
+    this.keypad = keypad;
+  }
+
+  /**
+   * Show the panel with an empty entry, and move the focus to the keypad.
+   * @public
+   */
+  open() {
+    this.keypad.clear();
+    this.visible = true;
+
+    // pdom
+    this.keypad.focus();
+  }
+
+  /**
+   * @public
+   */
+  close() {
+    this.visible = false;
+  }
+}
+
+ohmsLaw.register( 'NumberEntryPanel', NumberEntryPanel );
+export default NumberEntryPanel;
@@ -6,14 +6,37 @@
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import Utils from '../../../../dot/js/Utils.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import CircuitTopology from '../model/CircuitTopology.js';
 import CurrentUnit from '../model/CurrentUnit.js';
+import PowerUnit from '../model/PowerUnit.js';
+import ResistanceUnit from '../model/ResistanceUnit.js';
+import UndoableChange from '../model/UndoableChange.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
 
+const currentMicroampsString = OhmsLawA11yStrings.currentMicroamps.value;
 const currentMilliampsString = OhmsLawA11yStrings.currentMilliamps.value;
 const currentAmpsString = OhmsLawA11yStrings.currentAmps.value;
+const resistanceOhmsString = OhmsLawA11yStrings.resistanceOhms.value;
+const resistanceKiloohmsString = OhmsLawA11yStrings.resistanceKiloohms.value;
+const powerWattsString = OhmsLawA11yStrings.powerWatts.value;
+const powerMilliwattsString = OhmsLawA11yStrings.powerMilliwatts.value;
+const powerMicrowattsString = OhmsLawA11yStrings.powerMicrowatts.value;
 const sliderChangeAlertPatternString = OhmsLawA11yStrings.sliderChangeAlertPattern.value;
+const lockedCurrentChangeAlertPatternString = OhmsLawA11yStrings.lockedCurrentChangeAlertPattern.value;
+const hiddenCurrentChangeAlertPatternString = OhmsLawA11yStrings.hiddenCurrentChangeAlertPattern.value;
+const seriesDescriptionPatternString = OhmsLawA11yStrings.seriesDescriptionPattern.value;
+const parallelDescriptionPatternString = OhmsLawA11yStrings.parallelDescriptionPattern.value;
+const resistorDescriptionPatternString = OhmsLawA11yStrings.resistorDescriptionPattern.value;
+const voltageChangeString = OhmsLawA11yStrings.voltageChange.value;
+const resistanceChangeString = OhmsLawA11yStrings.resistanceChange.value;
+const resetAllChangeString = OhmsLawA11yStrings.resetAllChange.value;
+const loadSetupChangeString = OhmsLawA11yStrings.loadSetupChange.value;
+const undoneAlertPatternString = OhmsLawA11yStrings.undoneAlertPattern.value;
+const redoneAlertPatternString = OhmsLawA11yStrings.redoneAlertPattern.value;
 
 class OhmsLawDescriber {
 
@@ -39,6 +62,15 @@ class OhmsLawDescriber {
    * @public
    */
   getValueChangeAlertString( initLetter, initSizeChange, iSizeChange ) {
+
+    // the change of the current isn't described while it is hidden for a prediction
+    if ( this.model.currentPrediction.currentHiddenProperty.value ) {
+      return StringUtils.fillIn( hiddenCurrentChangeAlertPatternString, {
+        initLetter: initLetter,
+        initSizeChange: initSizeChange
+      } );
+    }
+
     const currentVal = this.model.getFixedCurrent();
     return StringUtils.fillIn( sliderChangeAlertPatternString, {
       initLetter: initLetter,
@@ -49,23 +81,140 @@ class OhmsLawDescriber {
     } );
   }
 
+  /**
+   * Generate an alert that describes a change in the model while the current is locked, so the unknown changes
+   * instead of the current. Something like "As letter R grows, letter V grows. Current stays locked at 10.0 milliamps."
+   * Used for a11y.
+   *
+   * @param {string} initLetter - letter representing the model Property that was changed
+   * @param {string} sizeChange - string describing the change in size of both letters
+   * @param {string} unknownLetter - letter representing the quantity that is solved for
+   * @returns {string}
+   * @public
+   */
+  getLockedCurrentChangeAlertString( initLetter, sizeChange, unknownLetter ) {
+    return StringUtils.fillIn( lockedCurrentChangeAlertPatternString, {
+      initLetter: initLetter,
+      sizeChange: sizeChange,
+      unknownLetter: unknownLetter,
+      currentVal: this.model.getFixedCurrent(),
+      unit: this.getUnitForCurrent()
+    } );
+  }
+
+  /**
+   * Generate an alert for a change that was undone or redone, with the values that the circuit is back at, something
+   * like "Undid voltage change. Voltage is 4.5 volts and resistance is 500 ohms." The current isn't described, so that
+   * it isn't given away while it is hidden for a prediction.
+   *
+   * @param {UndoableChange} change
+   * @param {boolean} redone - whether the change was redone, rather than undone
+   * @returns {string}
+   * @public
+   */
+  getUndoAlertString( change, redone ) {
+    const changeString = change === UndoableChange.VOLTAGE ? voltageChangeString :
+                         change === UndoableChange.RESISTANCE ? resistanceChangeString :
+                         change === UndoableChange.RESET ? resetAllChangeString :
+                         loadSetupChangeString;
+    return StringUtils.fillIn( redone ? redoneAlertPatternString : undoneAlertPatternString, {
+      change: changeString,
+      voltage: Utils.toFixed( this.model.voltageProperty.value, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+      resistance: this.model.getFixedResistance(),
+      unit: this.getUnitForResistance()
+    } );
+  }
 
   /**
-   * Get the current current unit
+   * Get the unit that a current is displayed in, with the prefix for the magnitude of the current for AUTO.
+   * @param {CurrentUnit} [currentUnit] - defaults to the unit that the current is displayed in
+   * @param {number} [current] - in milliamps, defaults to the current flowing in the circuit
    * @returns {string}
    * @public
    */
-  getUnitForCurrent() {
-    switch( this.model.currentUnitsProperty.value ) {
+  getUnitForCurrent( currentUnit = this.model.currentUnitsProperty.value, current = this.model.currentProperty.value ) {
+    switch( CurrentUnit.getDisplayUnit( currentUnit, current ) ) {
       case CurrentUnit.AMPS:
         return currentAmpsString;
       case CurrentUnit.MILLIAMPS:
         return currentMilliampsString;
+      case CurrentUnit.MICROAMPS:
+        return currentMicroampsString;
       default:
         break;
     }
     throw new Error( 'unexpected value for currentUnitsProperty' );
   }
+
+  /**
+   * Get the unit for the magnitude of a resistance, see OhmsLawModel.getFixedResistance.
+   * @param {number} [resistance] - in ohms, defaults to the equivalent resistance of the circuit
+   * @returns {string}
+   * @public
+   */
+  getUnitForResistance( resistance = this.model.equivalentResistanceProperty.value ) {
+    return ResistanceUnit.getUnitForResistance( resistance ) === ResistanceUnit.KILOOHMS ? resistanceKiloohmsString :
+           resistanceOhmsString;
+  }
+
+  /**
+   * Get the unit for the magnitude of a power, see OhmsLawModel.getFixedPower.
+   * @param {number} [power] - in milliwatts, defaults to the power of the circuit
+   * @returns {string}
+   * @public
+   */
+  getUnitForPower( power = this.model.powerProperty.value ) {
+    switch( PowerUnit.getUnitForPower( power ) ) {
+      case PowerUnit.WATTS:
+        return powerWattsString;
+      case PowerUnit.MILLIWATTS:
+        return powerMilliwattsString;
+      case PowerUnit.MICROWATTS:
+        return powerMicrowattsString;
+      default:
+        break;
+    }
+    throw new Error( 'unexpected value for power' );
+  }
+
+  /**
+   * Get a description of how the resistors are connected, something like
+   * "3 resistors are connected in parallel, with an equivalent resistance of 167 ohms".
+   * @returns {string}
+   * @public
+   */
+  getCircuitTopologyDescription() {
+    const topology = this.model.circuitTopologyProperty.value;
+    assert && assert( topology !== CircuitTopology.SINGLE, 'only multiple resistors are described' );
+
+    const patternString = topology === CircuitTopology.SERIES ? seriesDescriptionPatternString :
+                          parallelDescriptionPatternString;
+    return StringUtils.fillIn( patternString, {
+      numberOfResistors: this.model.getNumberOfActiveResistors(),
+      resistance: this.model.getFixedResistance(),
+      unit: this.getUnitForResistance()
+    } );
+  }
+
+  /**
+   * Get a description of one of the resistors in the circuit, something like
+   * "resistor 2 is 500 ohms, with 9.00 milliamps flowing through it and a voltage drop of 4.5 volts".
+   * @param {number} index - index of the resistor in the model
+   * @returns {string}
+   * @public
+   */
+  getResistorDescription( index ) {
+    const resistance = this.model.resistanceProperties[ index ].value;
+    const current = this.model.resistorCurrentProperties[ index ].value;
+    return StringUtils.fillIn( resistorDescriptionPatternString, {
+      index: index + 1,
+      resistance: this.model.getFixedResistance( resistance ),
+      resistanceUnit: this.getUnitForResistance( resistance ),
+      current: this.model.getFixedCurrent( current ),
+      unit: this.getUnitForCurrent( this.model.currentUnitsProperty.value, current ),
+      voltage: Utils.toFixed( this.model.resistorVoltageProperties[ index ].value, OhmsLawConstants.VOLTAGE_SIG_FIGS )
+    } );
+  }
 }
 
 ohmsLaw.register( 'OhmsLawDescriber', OhmsLawDescriber );
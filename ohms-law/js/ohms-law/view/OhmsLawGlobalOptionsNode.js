@@ -0,0 +1,117 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Content of the Options dialog of the PhET menu, for the options that apply to the whole simulation.
+ */
+
+import OptionsDialog from '../../../../joist/js/OptionsDialog.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import ColorBands from '../model/ColorBands.js';
+import PreferredValues from '../model/PreferredValues.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawGlobalOptions from '../OhmsLawGlobalOptions.js';
+
+const reducedMotionString = ohmsLawStrings.reducedMotion;
+const animateResetAllString = ohmsLawStrings.animateResetAll;
+const colorBandsString = ohmsLawStrings.colorBands;
+const noBandsString = ohmsLawStrings.noBands;
+const fourBandsString = ohmsLawStrings.fourBands;
+const fiveBandsString = ohmsLawStrings.fiveBands;
+const resistanceValuesString = ohmsLawStrings.resistanceValues;
+const anyValueString = ohmsLawStrings.anyValue;
+const e12String = ohmsLawStrings.e12;
+const e24String = ohmsLawStrings.e24;
+
+const reducedMotionDescriptionString = OhmsLawA11yStrings.reducedMotionDescription.value;
+const animateResetAllDescriptionString = OhmsLawA11yStrings.animateResetAllDescription.value;
+const colorBandsDescriptionString = OhmsLawA11yStrings.colorBandsDescription.value;
+const preferredValuesDescriptionString = OhmsLawA11yStrings.preferredValuesDescription.value;
+
+class OhmsLawGlobalOptionsNode extends VBox {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const reducedMotionCheckbox = new Checkbox(
+      new Text( reducedMotionString, { font: OptionsDialog.DEFAULT_FONT, maxWidth: 400 } ),
+      OhmsLawGlobalOptions.reducedMotionProperty, {
+
+        // pdom
+        labelContent: reducedMotionString,
+        descriptionContent: reducedMotionDescriptionString,
+        tandem: tandem.createTandem( 'reducedMotionCheckbox' )
+      } );
+
+    const animateResetAllCheckbox = new Checkbox(
+      new Text( animateResetAllString, { font: OptionsDialog.DEFAULT_FONT, maxWidth: 400 } ),
+      OhmsLawGlobalOptions.animateResetAllProperty, {
+
+        // pdom
+        labelContent: animateResetAllString,
+        descriptionContent: animateResetAllDescriptionString,
+        tandem: tandem.createTandem( 'animateResetAllCheckbox' )
+      } );
+
+    const colorBandsControl = createRadioButtonControl( colorBandsString, colorBandsDescriptionString,
+      OhmsLawGlobalOptions.colorBandsProperty, [
+        { labelString: noBandsString, value: ColorBands.NONE, tandemName: 'noBandsRadioButton' },
+        { labelString: fourBandsString, value: ColorBands.FOUR, tandemName: 'fourBandsRadioButton' },
+        { labelString: fiveBandsString, value: ColorBands.FIVE, tandemName: 'fiveBandsRadioButton' }
+      ], tandem.createTandem( 'colorBandsRadioButtonGroup' ) );
+
+    const preferredValuesControl = createRadioButtonControl( resistanceValuesString, preferredValuesDescriptionString,
+      OhmsLawGlobalOptions.preferredValuesProperty, [
+        { labelString: anyValueString, value: PreferredValues.ANY, tandemName: 'anyValueRadioButton' },
+        { labelString: e12String, value: PreferredValues.E12, tandemName: 'e12RadioButton' },
+        { labelString: e24String, value: PreferredValues.E24, tandemName: 'e24RadioButton' }
+      ], tandem.createTandem( 'preferredValuesRadioButtonGroup' ) );
+
+    super( {
+      align: 'left',
+      spacing: OptionsDialog.DEFAULT_SPACING,
+      children: [ reducedMotionCheckbox, animateResetAllCheckbox, colorBandsControl, preferredValuesControl ]
+    } );
+  }
+}
+
+/**
+ * Create a labeled group of radio buttons for one of the options.
+ * @param {string} labelString
+ * @param {string} descriptionString - pdom
+ * @param {EnumerationProperty} property
+ * @param {Object[]} items - each {labelString: string, value: *, tandemName: string}
+ * @param {Tandem} tandem
+ * @returns {Node}
+ */
+function createRadioButtonControl( labelString, descriptionString, property, items, tandem ) {
+  const radioButtonGroup = new HorizontalAquaRadioButtonGroup( property, items.map( item => {
+    return {
+      node: new Text( item.labelString, { font: OptionsDialog.DEFAULT_FONT, maxWidth: 100 } ),
+      value: item.value,
+      tandemName: item.tandemName,
+      labelContent: item.labelString
+    };
+  } ), {
+    spacing: 15,
+
+    // pdom
+    labelContent: labelString,
+    descriptionContent: descriptionString,
+    tandem: tandem
+  } );
+  return new HBox( {
+    spacing: 15,
+    children: [ new Text( labelString, { font: OptionsDialog.DEFAULT_FONT, maxWidth: 250 } ), radioButtonGroup ]
+  } );
+}
+
+ohmsLaw.register( 'OhmsLawGlobalOptionsNode', OhmsLawGlobalOptionsNode );
+export default OhmsLawGlobalOptionsNode;
@@ -22,6 +22,7 @@ const rightNowString = OhmsLawA11yStrings.rightNow.value;
 const voltageSummaryPatternString = OhmsLawA11yStrings.voltageSummaryPattern.value;
 const resistanceSummaryPatternString = OhmsLawA11yStrings.resistanceSummaryPattern.value;
 const currentSummaryPatternString = OhmsLawA11yStrings.currentSummaryPattern.value;
+const hiddenCurrentSummaryString = OhmsLawA11yStrings.hiddenCurrentSummary.value;
 
 class OhmsLawScreenSummaryNode extends Node {
 
@@ -66,13 +67,18 @@ class OhmsLawScreenSummaryNode extends Node {
         property: model.voltageProperty,
         patternString: voltageSummaryPatternString,
         node: valueVoltageItemNode,
-        precision: OhmsLawConstants.VOLTAGE_SIG_FIGS
+        getValues: voltage => ( { value: Utils.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS ) } )
       },
       {
-        property: model.resistanceProperty,
+        property: model.equivalentResistanceProperty,
         patternString: resistanceSummaryPatternString,
         node: valueResistanceItemNode,
-        precision: OhmsLawConstants.RESISTANCE_SIG_FIGS
+
+        // in kiloohms when resistors in series add up to 1000 ohms or more
+        getValues: resistance => ( {
+          value: model.getFixedResistance( resistance ),
+          unit: ohmsLawDescriber.getUnitForResistance( resistance )
+        } )
       }
     ];
 
@@ -80,18 +86,20 @@ class OhmsLawScreenSummaryNode extends Node {
     // no need to dispose
     valueItemList.forEach( item => {
       item.property.link( value => {
-        item.node.innerContent = StringUtils.fillIn( item.patternString, {
-          value: Utils.toFixed( value, item.precision ),
-          unit: ohmsLawDescriber.getUnitForCurrent()
-        } );
+        item.node.innerContent = StringUtils.fillIn( item.patternString, item.getValues( value ) );
       } );
     } );
 
-    Property.multilink( [ model.currentProperty, model.currentUnitsProperty ], ( current, units ) => {
-      valueCurrentItemNode.innerContent = StringUtils.fillIn( currentSummaryPatternString, {
-        value: model.getFixedCurrent(),
-        unit: ohmsLawDescriber.getUnitForCurrent()
-      } );
+    Property.multilink( [
+      model.currentProperty,
+      model.currentUnitsProperty,
+      model.currentPrediction.currentHiddenProperty
+    ], ( current, units, currentHidden ) => {
+      valueCurrentItemNode.innerContent = currentHidden ? hiddenCurrentSummaryString :
+                                          StringUtils.fillIn( currentSummaryPatternString, {
+                                            value: model.getFixedCurrent(),
+                                            unit: ohmsLawDescriber.getUnitForCurrent()
+                                          } );
     } );
   }
 }
@@ -7,24 +7,92 @@
  * @author Anton Ulyanov (Mlearner)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import globalKeyStateTracker from '../../../../scenery/js/accessibility/globalKeyStateTracker.js';
+import KeyboardUtils from '../../../../scenery/js/accessibility/KeyboardUtils.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import batteryFullSolidShape from '../../../../sherpa/js/fontawesome-5/batteryFullSolidShape.js';
+import chartLineSolidShape from '../../../../sherpa/js/fontawesome-5/chartLineSolidShape.js';
+import redoAltSolidShape from '../../../../sherpa/js/fontawesome-5/redoAltSolidShape.js';
+import tableSolidShape from '../../../../sherpa/js/fontawesome-5/tableSolidShape.js';
+import undoAltSolidShape from '../../../../sherpa/js/fontawesome-5/undoAltSolidShape.js';
+import waveSquareSolidShape from '../../../../sherpa/js/fontawesome-5/waveSquareSolidShape.js';
+import BooleanRectangularStickyToggleButton from '../../../../sun/js/buttons/BooleanRectangularStickyToggleButton.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import VerticalCheckboxGroup from '../../../../sun/js/VerticalCheckboxGroup.js';
 import DiscreteSoundGenerator from '../../../../tambo/js/sound-generators/DiscreteSoundGenerator.js';
 import soundManager from '../../../../tambo/js/soundManager.js';
 import sliderClickSound from '../../../../tambo/sounds/click-001_mp3.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawQueryParameters from '../../ohmsLawQueryParameters.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import UndoableChange from '../model/UndoableChange.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
+import OhmsLawGlobalOptions from '../OhmsLawGlobalOptions.js';
+import OhmsLawSetup from '../OhmsLawSetup.js';
+import ACSourceAccordionBox from './ACSourceAccordionBox.js';
+import BatteryPackAccordionBox from './BatteryPackAccordionBox.js';
 import ControlPanel from './ControlPanel.js';
+import CurrentDirection from './CurrentDirection.js';
 import CurrentSoundGenerator from './CurrentSoundGenerator.js';
+import DataTableAccordionBox from './DataTableAccordionBox.js';
 import FormulaNode from './FormulaNode.js';
+import GraphAccordionBox from './GraphAccordionBox.js';
+import MultimeterNode from './MultimeterNode.js';
 import OhmsLawDescriber from './OhmsLawDescriber.js';
 import OhmsLawScreenSummaryNode from './OhmsLawScreenSummaryNode.js';
+import PredictionPanel from './PredictionPanel.js';
+import ResistorThermometerNode from './ResistorThermometerNode.js';
 import UnitsRadioButtonContainer from './UnitsRadioButtonContainer.js';
 import WireBox from './WireBox.js';
+import WorkedSolutionPanel from './WorkedSolutionPanel.js';
+
+const showPowerString = ohmsLawStrings.showPower;
+const showPowerDescriptionString = OhmsLawA11yStrings.showPowerDescription.value;
+const heatResistorsString = ohmsLawStrings.heatResistors;
+const heatResistorsDescriptionString = OhmsLawA11yStrings.heatResistorsDescription.value;
+const solutionString = ohmsLawStrings.solution;
+const solutionDescriptionString = OhmsLawA11yStrings.solutionDescription.value;
+const chargesString = ohmsLawStrings.charges;
+const chargesDescriptionString = OhmsLawA11yStrings.chargesDescription.value;
+const conventionalCurrentString = ohmsLawStrings.conventionalCurrent;
+const conventionalCurrentDescriptionString = OhmsLawA11yStrings.conventionalCurrentDescription.value;
+const electronFlowString = ohmsLawStrings.electronFlow;
+const electronFlowDescriptionString = OhmsLawA11yStrings.electronFlowDescription.value;
+const chargeTypeString = OhmsLawA11yStrings.chargeType.value;
+const multimeterString = ohmsLawStrings.multimeter;
+const multimeterCheckboxDescriptionString = OhmsLawA11yStrings.multimeterCheckboxDescription.value;
+const predictString = ohmsLawStrings.predict;
+const predictDescriptionString = OhmsLawA11yStrings.predictDescription.value;
+const undoString = OhmsLawA11yStrings.undo.value;
+const undoDescriptionString = OhmsLawA11yStrings.undoDescription.value;
+const redoString = OhmsLawA11yStrings.redo.value;
+const redoDescriptionString = OhmsLawA11yStrings.redoDescription.value;
+const graphString = ohmsLawStrings.graph;
+const acSourceString = ohmsLawStrings.acSource;
+const dataTableString = ohmsLawStrings.dataTable;
+const batteryPackString = ohmsLawStrings.batteryPack;
+const toolButtonDescriptionPatternString = OhmsLawA11yStrings.toolButtonDescriptionPattern.value;
 
 // constants
 const SLIDER_CLICK_LEVEL = 0.25;
+const CHECKBOX_TEXT_OPTIONS = { font: new PhetFont( 16 ), maxWidth: 120 };
+const GRAPH_MARGIN = 10;
 
 class OhmsLawScreenView extends ScreenView {
 
@@ -41,20 +109,188 @@ class OhmsLawScreenView extends ScreenView {
       screenSummaryContent: new OhmsLawScreenSummaryNode( model, ohmsLawDescriber )
     } );
 
-    // Node of ohm's law equation. Layout is hardwired, see FormulaNode.
+    // @private
+    this.model = model;
+
+    // @private {BooleanProperty} - whether the power readout and power equation are shown
+    this.powerVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'powerVisibleProperty' ),
+      phetioDocumentation: 'Whether the power readout and the power equation are shown'
+    } );
+
+    // @private {BooleanProperty} - whether the worked solution of Ohm's law is shown
+    this.solutionVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'solutionVisibleProperty' ),
+      phetioDocumentation: 'Whether the worked solution of Ohm\'s law is shown'
+    } );
+
+    // @private {BooleanProperty} - whether charges are shown moving around the circuit
+    this.chargesVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'chargesVisibleProperty' ),
+      phetioDocumentation: 'Whether charges are shown moving around the circuit'
+    } );
+
+    // @private {EnumerationProperty.<CurrentDirection>} - which charges are shown moving around the circuit
+    this.currentDirectionProperty = new EnumerationProperty( CurrentDirection, CurrentDirection.CONVENTIONAL, {
+      tandem: tandem.createTandem( 'currentDirectionProperty' ),
+      phetioDocumentation: 'Whether positive charges are shown moving with the current, or electrons against it'
+    } );
+
+    // @private {BooleanProperty} - whether the multimeter is shown
+    this.multimeterVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'multimeterVisibleProperty' ),
+      phetioDocumentation: 'Whether the multimeter is shown'
+    } );
+
+    // Node of ohm's law equation. Layout is hardwired, see FormulaNode. The formula, the circuit and the units can be
+    // hidden with query parameters.
     const formulaNode = new FormulaNode( model, {
+      visible: ohmsLawQueryParameters.showFormula,
+      powerVisibleProperty: this.powerVisibleProperty,
+      currentHiddenProperty: model.currentPrediction.currentHiddenProperty,
       pickable: false,
       tandem: tandem.createTandem( 'formulaNode' )
     } );
 
-    // Circuit node with readout node
-    const wireBox = new WireBox( model, ohmsLawDescriber, {
+    // @private - circuit node with readout node
+    this.wireBox = new WireBox( model, ohmsLawDescriber, {
+      powerVisibleProperty: this.powerVisibleProperty,
+      chargesVisibleProperty: this.chargesVisibleProperty,
+      currentDirectionProperty: this.currentDirectionProperty,
+      currentHiddenProperty: model.currentPrediction.currentHiddenProperty,
+      visible: ohmsLawQueryParameters.showCircuit,
       pickable: false,
       tandem: tandem.createTandem( 'wireBox' )
     } );
 
+    // worked solution above the circuit. It would give the current away, so it is hidden with the current.
+    const workedSolutionPanel = new WorkedSolutionPanel( model, ohmsLawDescriber, {
+      visibleProperty: DerivedProperty.and( [
+        this.solutionVisibleProperty,
+        DerivedProperty.not( model.currentPrediction.currentHiddenProperty )
+      ] ),
+      tandem: tandem.createTandem( 'workedSolutionPanel' )
+    } );
+
+    // thermometer for the resistors, only shown while they are heated in the circuit
+    const thermometerNode = new ResistorThermometerNode( model.temperatureProperty, {
+      visibleProperty: ohmsLawQueryParameters.showCircuit ? model.heatingEnabledProperty : new BooleanProperty( false ),
+      pickable: false,
+      tandem: tandem.createTandem( 'thermometerNode' )
+    } );
+
+    // @private - graph of the current, one of the tools beside the formula
+    this.graphAccordionBox = new GraphAccordionBox( model, ohmsLawDescriber, {
+      visibleProperty: DerivedProperty.not( model.currentPrediction.enabledProperty ),
+      tandem: tandem.createTandem( 'graphAccordionBox' )
+    } );
+
+    // @private - controls of the AC source with the chart of its waves, one of the tools. Like the graph, it is hidden in
+    // the predict mode since it shows the current.
+    this.acSourceAccordionBox = new ACSourceAccordionBox( model, ohmsLawDescriber, {
+      visibleProperty: DerivedProperty.not( model.currentPrediction.enabledProperty ),
+      tandem: tandem.createTandem( 'acSourceAccordionBox' )
+    } );
+
+    // the prediction takes the place of the graph in the predict mode, since the graph would show the current
+    const predictionPanel = new PredictionPanel( model, {
+      visibleProperty: model.currentPrediction.enabledProperty,
+      tandem: tandem.createTandem( 'predictionPanel' )
+    } );
+
+    // @private - controls of the battery pack, one of the tools
+    this.batteryPackAccordionBox = new BatteryPackAccordionBox( model, {
+      tandem: tandem.createTandem( 'batteryPackAccordionBox' )
+    } );
+
+    // @private - table of the recorded values, one of the tools
+    this.dataTableAccordionBox = new DataTableAccordionBox( model, ohmsLawDescriber, {
+      tandem: tandem.createTandem( 'dataTableAccordionBox' )
+    } );
+
+    // The boxes of the tools are opened with a column of buttons at the left edge, and one is shown at a time beside
+    // the formula, which is scaled down while one is shown, see updateFormulaLayout. A box is only shown while it is
+    // expanded, since an AccordionBox has the bounds of its expanded box even while it is collapsed.
+    const tools = [ {
+      box: this.graphAccordionBox,
+      iconShape: chartLineSolidShape,
+      name: graphString,
+      tandemName: 'graphButton',
+      showsCurrent: true
+    }, {
+      box: this.acSourceAccordionBox,
+      iconShape: waveSquareSolidShape,
+      name: acSourceString,
+      tandemName: 'acSourceButton',
+      showsCurrent: true
+    }, {
+      box: this.dataTableAccordionBox,
+      iconShape: tableSolidShape,
+      name: dataTableString,
+      tandemName: 'dataTableButton',
+      showsCurrent: false
+    }, {
+      box: this.batteryPackAccordionBox,
+      iconShape: batteryFullSolidShape,
+      name: batteryPackString,
+      tandemName: 'batteryPackButton',
+      showsCurrent: false
+    } ];
+    const toolButtons = tools.map( tool => createToolButton( tool.box.expandedProperty,
+      tool.iconShape, tool.name, tandem.createTandem( tool.tandemName ) ) );
+    const toolButtonsBox = new VBox( {
+      spacing: 8,
+      children: toolButtons
+    } );
+    const shownToolsNode = new VBox( {
+      spacing: GRAPH_MARGIN,
+      align: 'left',
+      children: [ predictionPanel, ...tools.map( tool => new Node( {
+        children: [ tool.box ],
+        visibleProperty: tool.box.expandedProperty
+      } ) ) ]
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    tools.forEach( tool => {
+      tool.box.expandedProperty.link( expanded => {
+        expanded && tools.forEach( otherTool => {
+          otherTool !== tool && otherTool.box.expandedProperty.set( false );
+        } );
+      } );
+    } );
+
+    // The graph and the AC source would show the current, so they can't be opened in the predict mode. Present for the
+    // lifetime of the simulation; no need to unlink.
+    model.currentPrediction.enabledProperty.link( predictEnabled => {
+      tools.forEach( ( tool, index ) => {
+        if ( tool.showsCurrent ) {
+          predictEnabled && tool.box.expandedProperty.set( false );
+          toolButtons[ index ].enabled = !predictEnabled;
+        }
+      } );
+    } );
+
+    // @private - the multimeter starts below the buttons of the tools, with its probes off the circuit. It would measure the current,
+    // so it is hidden with the current.
+    this.multimeterNode = new MultimeterNode( model, this.wireBox, this.layoutBounds, {
+      visibleProperty: DerivedProperty.and( [
+        this.multimeterVisibleProperty,
+        DerivedProperty.not( model.currentPrediction.currentHiddenProperty )
+      ] ),
+      bodyPosition: new Vector2( GRAPH_MARGIN, 175 ),
+      redProbePosition: new Vector2( 180, 130 ),
+      blackProbePosition: new Vector2( 210, 130 ),
+      tandem: tandem.createTandem( 'multimeterNode' )
+    } );
+
+    // parent for the list of the combo box and the keypads in the control panel, in front of everything else
+    const popupParent = new Node();
+
     // create the control panel with sliders
-    const controlPanel = new ControlPanel( model, ohmsLawDescriber, { tandem: tandem.createTandem( 'controlPanel' ) } );
+    const controlPanel = new ControlPanel( model, ohmsLawDescriber, popupParent, {
+      tandem: tandem.createTandem( 'controlPanel' )
+    } );
 
     // sound generators for voltage and resistance
     const resetNotInProgress = DerivedProperty.not( model.resetInProgressProperty );
@@ -66,11 +302,14 @@ class OhmsLawScreenView extends ScreenView {
         numBins: 6,
         enableControlProperties: [ resetNotInProgress ],
         initialOutputLevel: SLIDER_CLICK_LEVEL,
-        alwaysPlayOnChangesProperty: controlPanel.sliderBeingDraggedByKeyboardProperty
+        alwaysPlayOnChangesProperty: controlPanel.sliderBeingDraggedByKeyboardProperty,
+
+        // the voltage is below the range of the slider while the battery pack is backwards
+        outOfRangeValuesOK: true
       }
     ) );
     soundManager.addSoundGenerator( new DiscreteSoundGenerator(
-      model.resistanceProperty,
+      controlPanel.selectedResistanceProperty,
       OhmsLawConstants.RESISTANCE_RANGE,
       {
         sound: sliderClickSound,
@@ -83,52 +322,387 @@ class OhmsLawScreenView extends ScreenView {
 
     // sound generator for current
     this.currentSoundGenerator = new CurrentSoundGenerator( model.currentProperty, {
+      currentHiddenProperty: model.currentPrediction.currentHiddenProperty,
+      resetInProgressProperty: model.resetInProgressProperty,
       initialOutputLevel: 0.4
     } );
     soundManager.addSoundGenerator( this.currentSoundGenerator );
     const unitsRadioButtonContainer = new UnitsRadioButtonContainer( model.currentUnitsProperty, {
       tandem: tandem
     } );
+    unitsRadioButtonContainer.visible = ohmsLawQueryParameters.showUnits;
+
+    // checkboxes that control optional representations and the heating of the resistors
+    const checkboxGroup = new VerticalCheckboxGroup( [ {
+      node: new Text( showPowerString, CHECKBOX_TEXT_OPTIONS ),
+      property: this.powerVisibleProperty,
+      options: {
+
+        // pdom
+        labelContent: showPowerString,
+        descriptionContent: showPowerDescriptionString
+      },
+      tandem: tandem.createTandem( 'powerCheckbox' )
+    }, {
+      node: new Text( heatResistorsString, CHECKBOX_TEXT_OPTIONS ),
+      property: model.heatingEnabledProperty,
+      options: {
+
+        // pdom
+        labelContent: heatResistorsString,
+        descriptionContent: heatResistorsDescriptionString
+      },
+      tandem: tandem.createTandem( 'heatResistorsCheckbox' )
+    }, {
+      node: new Text( solutionString, CHECKBOX_TEXT_OPTIONS ),
+      property: this.solutionVisibleProperty,
+      options: {
+
+        // pdom
+        labelContent: solutionString,
+        descriptionContent: solutionDescriptionString
+      },
+      tandem: tandem.createTandem( 'solutionCheckbox' )
+    } ], {
+      spacing: 6,
+      tandem: tandem.createTandem( 'checkboxGroup' )
+    } );
+
+    // controls for the charges in the circuit, the kind of charge can only be chosen while they are shown
+    const chargesCheckbox = new Checkbox( new Text( chargesString, CHECKBOX_TEXT_OPTIONS ), this.chargesVisibleProperty, {
+
+      // pdom
+      labelContent: chargesString,
+      descriptionContent: chargesDescriptionString,
+      tandem: tandem.createTandem( 'chargesCheckbox' )
+    } );
+    const currentDirectionRadioButtonGroup = new HorizontalAquaRadioButtonGroup( this.currentDirectionProperty, [ {
+      node: new Text( conventionalCurrentString, CHECKBOX_TEXT_OPTIONS ),
+      value: CurrentDirection.CONVENTIONAL,
+      tandemName: 'conventionalCurrentRadioButton',
+      labelContent: conventionalCurrentString,
+      descriptionContent: conventionalCurrentDescriptionString
+    }, {
+      node: new Text( electronFlowString, CHECKBOX_TEXT_OPTIONS ),
+      value: CurrentDirection.ELECTRON_FLOW,
+      tandemName: 'electronFlowRadioButton',
+      labelContent: electronFlowString,
+      descriptionContent: electronFlowDescriptionString
+    } ], {
+      spacing: 15,
+
+      // pdom
+      labelContent: chargeTypeString,
+      tandem: tandem.createTandem( 'currentDirectionRadioButtonGroup' )
+    } );
+    // Present for the lifetime of the simulation; no need to unlink.
+    this.chargesVisibleProperty.link( chargesVisible => {
+      currentDirectionRadioButtonGroup.enabled = chargesVisible;
+      currentDirectionRadioButtonGroup.inputEnabled = chargesVisible;
+    } );
+
+    const multimeterCheckbox = new Checkbox( new Text( multimeterString, CHECKBOX_TEXT_OPTIONS ),
+      this.multimeterVisibleProperty, {
+
+        // pdom
+        labelContent: multimeterString,
+        descriptionContent: multimeterCheckboxDescriptionString,
+        tandem: tandem.createTandem( 'multimeterCheckbox' )
+      } );
+
+    const predictCheckbox = new Checkbox( new Text( predictString, CHECKBOX_TEXT_OPTIONS ),
+      model.currentPrediction.enabledProperty, {
+
+        // pdom
+        labelContent: predictString,
+        descriptionContent: predictDescriptionString,
+        tandem: tandem.createTandem( 'predictCheckbox' )
+      } );
+
+    // controls for the tools in the circuit, below it
+    const circuitToolControls = new HBox( {
+      visible: ohmsLawQueryParameters.showCircuit,
+      spacing: 15,
+      children: [ chargesCheckbox, currentDirectionRadioButtonGroup, multimeterCheckbox, predictCheckbox ]
+    } );
 
     // add the reset button
     const resetAllButton = new ResetAllButton( {
       radius: 28,
       listener: () => {
-        model.reset();
+        model.finishResetAnimation();
+        const circuitState = model.getCircuitState();
+
+        // the values of the sliders move back to their initial values, unless motion is reduced
+        const resetAnimation = OhmsLawGlobalOptions.animateResetAllProperty.value &&
+                               !OhmsLawGlobalOptions.reducedMotionProperty.value ? model.animateReset() : null;
+        resetAnimation || model.reset();
+        controlPanel.reset();
+        this.powerVisibleProperty.reset();
+        this.solutionVisibleProperty.reset();
+        this.chargesVisibleProperty.reset();
+        this.currentDirectionProperty.reset();
+        this.multimeterVisibleProperty.reset();
+        this.multimeterNode.reset();
+        this.graphAccordionBox.reset();
+        this.acSourceAccordionBox.reset();
+        this.batteryPackAccordionBox.reset();
+        this.dataTableAccordionBox.reset();
         this.currentSoundGenerator.reset();
+
+        // after the reset, so that the circuit it is undone to is the one before the reset
+        const recordReset = () => model.recordChange( UndoableChange.RESET, circuitState );
+        resetAnimation ? resetAnimation.endedEmitter.addListener( recordReset ) : recordReset();
       },
       tandem: tandem.createTandem( 'resetAllButton' )
     } );
 
+    // The values of an animated reset are set by the animation, so the input of the screen is disabled until it ends,
+    // which also keeps the alerts of the sliders quiet. Present for the lifetime of the simulation; no need to unlink.
+    model.resetInProgressProperty.link( resetInProgress => {
+      this.inputEnabled = !resetInProgress;
+    } );
+
+    // Buttons that undo and redo the changes of the sliders and Reset All, with alerts of the values that the circuit
+    // is back at
+    const undo = () => {
+      const change = model.undo();
+      change && this.alertDescriptionUtterance( ohmsLawDescriber.getUndoAlertString( change, false ) );
+    };
+    const redo = () => {
+      const change = model.redo();
+      change && this.alertDescriptionUtterance( ohmsLawDescriber.getUndoAlertString( change, true ) );
+    };
+    const undoButton = createUndoButton( undoAltSolidShape, undo, undoString, undoDescriptionString,
+      tandem.createTandem( 'undoButton' ) );
+    const redoButton = createUndoButton( redoAltSolidShape, redo, redoString, redoDescriptionString,
+      tandem.createTandem( 'redoButton' ) );
+    const undoButtons = new HBox( {
+      spacing: 8,
+      children: [ undoButton, redoButton ]
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    model.undoHistory.canUndoProperty.link( canUndo => {
+      undoButton.enabled = canUndo;
+    } );
+    model.undoHistory.canRedoProperty.link( canRedo => {
+      redoButton.enabled = canRedo;
+    } );
+
+    // Hotkeys Ctrl+Z to undo, and Ctrl+Y or Ctrl+Shift+Z to redo, with Cmd in place of Ctrl on a Mac, wherever the
+    // focus is while this screen is shown. Present for the lifetime of the simulation; no need to remove.
+    globalKeyStateTracker.keydownEmitter.addListener( event => {
+      if ( this.isVisible() && ( event.ctrlKey || event.metaKey ) ) {
+        if ( KeyboardUtils.isKeyEvent( event, KeyboardUtils.KEY_Z ) ) {
+          event.shiftKey ? redo() : undo();
+        }
+        else if ( KeyboardUtils.isKeyEvent( event, KeyboardUtils.KEY_Y ) ) {
+          redo();
+        }
+      }
+    } );
+
     // children
     this.pdomPlayAreaNode.addChild( formulaNode );
-    this.pdomPlayAreaNode.addChild( wireBox );
+    this.pdomPlayAreaNode.addChild( workedSolutionPanel );
+    this.pdomPlayAreaNode.addChild( this.wireBox );
+    this.pdomPlayAreaNode.addChild( thermometerNode );
+    this.pdomPlayAreaNode.addChild( toolButtonsBox );
+    this.pdomPlayAreaNode.addChild( shownToolsNode );
     this.pdomPlayAreaNode.addChild( controlPanel );
     this.pdomControlAreaNode.addChild( unitsRadioButtonContainer );
+    this.pdomControlAreaNode.addChild( checkboxGroup );
+    this.pdomControlAreaNode.addChild( circuitToolControls );
+    this.pdomControlAreaNode.addChild( undoButtons );
     this.pdomControlAreaNode.addChild( resetAllButton );
+    this.addChild( this.multimeterNode );
+    this.addChild( popupParent );
+
+    // pdom - the multimeter is in front of the controls, but it is in the play area
+    this.pdomPlayAreaNode.pdomOrder = [ ...this.pdomPlayAreaNode.children, this.multimeterNode ];
 
     // layout for the screen
     formulaNode.centerY = this.layoutBounds.bottom / 4.75;
 
-    wireBox.centerX = formulaNode.centerX;
-    wireBox.bottom = this.layoutBounds.bottom - 30; // empirically determined
+    this.wireBox.centerX = formulaNode.centerX;
+    this.wireBox.bottom = this.layoutBounds.bottom - 50; // empirically determined
+
+    // just above the circuit, below the power equation
+    workedSolutionPanel.centerX = this.wireBox.centerX;
+    workedSolutionPanel.bottom = this.wireBox.top - 6;
+
+    // below the circuit
+    circuitToolControls.centerX = this.wireBox.centerX;
+    circuitToolControls.bottom = this.layoutBounds.bottom - 8;
 
     controlPanel.right = this.layoutBounds.width - 50; // empirically determined
     controlPanel.top = this.layoutBounds.top + 20;
     // controlPanel.centerY = this.layoutBounds.centerY - resetAllButton.height / 2;
-    resetAllButton.right = controlPanel.right;
+
+    // at the right of the screen, so that the checkboxes fit beside it
+    resetAllButton.right = this.layoutBounds.right - GRAPH_MARGIN;
     resetAllButton.bottom = this.layoutBounds.bottom - 20;
 
-    // 4 is empirically spacing to better align the top of the readout with the top of the radio button heading.
-    unitsRadioButtonContainer.centerY = wireBox.centerY + 4;
+    // beside the reset button, below the checkboxes
+    undoButtons.right = resetAllButton.left - 12;
+    undoButtons.bottom = resetAllButton.bottom;
+
+    unitsRadioButtonContainer.top = controlPanel.bottom + 10;
     unitsRadioButtonContainer.left = controlPanel.left;
+
+    // beside the units and the reset button, above the undo buttons, scaled down if the labels are too long for that
+    checkboxGroup.maxWidth = resetAllButton.left - GRAPH_MARGIN - unitsRadioButtonContainer.right - 20;
+    checkboxGroup.left = unitsRadioButtonContainer.right + 20;
+    checkboxGroup.top = unitsRadioButtonContainer.top;
+
+    // to the left of the circuit, at the height of the resistors
+    thermometerNode.centerX = ( this.layoutBounds.left + this.wireBox.left ) / 2;
+    thermometerNode.bottom = this.wireBox.bottom;
+
+    toolButtonsBox.left = this.layoutBounds.left + GRAPH_MARGIN;
+    toolButtonsBox.top = this.layoutBounds.top + GRAPH_MARGIN;
+
+    // The boxes are between the buttons and the formula, and above the worked solution, which is scaled down if the
+    // box is too tall for that. The formula is scaled down into the space beside the widest box, so that it doesn't
+    // move as other boxes are shown, with the bounds of its letters at the initial values.
+    const toolsBounds = new Bounds2(
+      toolButtonsBox.right + GRAPH_MARGIN,
+      this.layoutBounds.top + GRAPH_MARGIN,
+      toolButtonsBox.right + GRAPH_MARGIN + _.max( [ predictionPanel, ...tools.map( tool => tool.box ) ]
+        .map( node => node.width ) ),
+      workedSolutionPanel.top - GRAPH_MARGIN
+    );
+    const formulaBounds = new Bounds2( toolsBounds.right + GRAPH_MARGIN, toolsBounds.top,
+      controlPanel.left - GRAPH_MARGIN, toolsBounds.bottom );
+    const formulaLocalBounds = formulaNode.localBounds.copy();
+    const formulaScale = Math.min( formulaBounds.width / formulaLocalBounds.width,
+      formulaBounds.height / formulaLocalBounds.height );
+    const initialFormulaTranslation = formulaNode.translation;
+    const updateFormulaLayout = () => {
+      const shownToolsLocalBounds = shownToolsNode.localBounds;
+      if ( shownToolsLocalBounds.isEmpty() ) {
+        formulaNode.setScaleMagnitude( 1 );
+        formulaNode.translation = initialFormulaTranslation;
+      }
+      else {
+        shownToolsNode.setScaleMagnitude( Math.min( 1, toolsBounds.height / shownToolsLocalBounds.height ) );
+        shownToolsNode.leftTop = toolsBounds.leftTop;
+        formulaNode.setScaleMagnitude( formulaScale );
+        formulaNode.translation = formulaBounds.center.minus( formulaLocalBounds.center.timesScalar( formulaScale ) );
+      }
+    };
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    shownToolsNode.localBoundsProperty.link( updateFormulaLayout );
+
+    // the sim starts in the setup of the link that it was opened with, if there is one, which isn't a change to undo
+    const linkedSetup = OhmsLawSetup.getLinkedSetup();
+    linkedSetup && this.applySetup( linkedSetup );
+  }
+
+  /**
+   * Gets the setup of the circuit and of the optional representations, so that it can be shared, see OhmsLawSetup.
+   * @public
+   *
+   * @returns {Object}
+   */
+  getSetup() {
+    return {
+      voltage: this.model.voltageProperty.value,
+      resistance: this.model.resistanceProperty.value,
+      currentUnit: this.model.currentUnitsProperty.value,
+      currentDirection: this.currentDirectionProperty.value,
+      power: this.powerVisibleProperty.value,
+      solution: this.solutionVisibleProperty.value,
+      charges: this.chargesVisibleProperty.value,
+      multimeter: this.multimeterVisibleProperty.value
+    };
+  }
+
+  /**
+   * Restores a setup that was shared, as one change that can be undone, like Reset All.
+   * @public
+   *
+   * @param {Object} setup - see OhmsLawSetup.parse
+   */
+  setSetup( setup ) {
+    this.model.finishResetAnimation();
+    const circuitState = this.model.getCircuitState();
+    this.applySetup( setup );
+    this.model.recordChange( UndoableChange.SETUP, circuitState );
+  }
+
+  /**
+   * Sets the Properties of a setup. The entries that it doesn't have are left as they are.
+   * @private
+   *
+   * @param {Object} setup - see OhmsLawSetup.parse
+   */
+  applySetup( setup ) {
+    setup.voltage !== undefined && this.model.voltageProperty.set( setup.voltage );
+    setup.resistance !== undefined && this.model.resistanceProperty.set( setup.resistance );
+    setup.currentUnit && this.model.currentUnitsProperty.set( setup.currentUnit );
+    setup.currentDirection && this.currentDirectionProperty.set( setup.currentDirection );
+    setup.power !== undefined && this.powerVisibleProperty.set( setup.power );
+    setup.solution !== undefined && this.solutionVisibleProperty.set( setup.solution );
+    setup.charges !== undefined && this.chargesVisibleProperty.set( setup.charges );
+    setup.multimeter !== undefined && this.multimeterVisibleProperty.set( setup.multimeter );
   }
 
   // @public
   step( dt ) {
     this.currentSoundGenerator.step( dt );
+    this.graphAccordionBox.step( dt );
+    this.wireBox.step( dt );
   }
 }
 
+/**
+ * Create a button that shows or hides the box of a tool.
+ * @param {Property.<boolean>} expandedProperty - of the box
+ * @param {Shape} iconShape
+ * @param {string} toolName - the title of the box
+ * @param {Tandem} tandem
+ * @returns {BooleanRectangularStickyToggleButton}
+ */
+function createToolButton( expandedProperty, iconShape, toolName, tandem ) {
+  return new BooleanRectangularStickyToggleButton( expandedProperty, {
+    content: new Path( iconShape, { fill: 'black', maxWidth: 22, maxHeight: 22 } ),
+    xMargin: 8,
+    yMargin: 8,
+    baseColor: 'white',
+
+    // pdom
+    innerContent: toolName,
+    descriptionContent: StringUtils.fillIn( toolButtonDescriptionPatternString, { tool: toolName } ),
+    tandem: tandem
+  } );
+}
+
+/**
+ * Create a button that undoes or redoes a change.
+ * @param {Shape} iconShape
+ * @param {function} listener
+ * @param {string} accessibleName
+ * @param {string} descriptionContent
+ * @param {Tandem} tandem
+ * @returns {RectangularPushButton}
+ */
+function createUndoButton( iconShape, listener, accessibleName, descriptionContent, tandem ) {
+  return new RectangularPushButton( {
+    content: new Path( iconShape, { fill: 'black', maxHeight: 18 } ),
+    xMargin: 8,
+    yMargin: 6,
+    baseColor: 'rgb( 255, 200, 0 )',
+    listener: listener,
+
+    // pdom
+    innerContent: accessibleName,
+    descriptionContent: descriptionContent,
+    tandem: tandem
+  } );
+}
+
 ohmsLaw.register( 'OhmsLawScreenView', OhmsLawScreenView );
 export default OhmsLawScreenView;
\ No newline at end of file
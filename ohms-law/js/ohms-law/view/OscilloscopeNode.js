@@ -0,0 +1,260 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Oscilloscope-style chart of the instantaneous voltage of the AC source and the current, against time. Like the sweep
+ * of an oscilloscope, the traces are drawn from the left as the time passes, and start again from the left when they
+ * reach the right. The voltage is on the left axis and the current on the right one, which scales to fit the current.
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import ACSource from '../model/ACSource.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import UnitStrings from './UnitStrings.js';
+
+const currentSymbolString = ohmsLawStrings.currentSymbol;
+const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const timeSymbolString = ohmsLawStrings.timeSymbol;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const timeUnitsString = ohmsLawStrings.timeUnits;
+const axisLabelPatternString = ohmsLawStrings.axisLabelPattern;
+
+// constants
+const PLOT_WIDTH = 200;
+const PLOT_HEIGHT = 64;
+const TICK_LENGTH = 5;
+const TICK_FONT = new PhetFont( 12 );
+const AXIS_LABEL_FONT = new PhetFont( 14 );
+const GRID_LINE_STROKE = '#ddd';
+const TRACE_LINE_WIDTH = 2;
+const VOLTAGE_COLOR = OhmsLawConstants.BLUE_COLOR;
+const CURRENT_COLOR = PhetColorScheme.RED_COLORBLIND;
+
+// the time of one sweep across the chart, in seconds
+const SWEEP_TIME = 4;
+
+// the voltage axis goes from minus to plus the largest peak voltage of the AC source, in volts
+const VOLTAGE_AXIS_MAX = ACSource.PEAK_VOLTAGE_RANGE.max;
+
+// the current axis goes from minus to plus the smallest of these that fits the current, in milliamps
+const CURRENT_AXIS_MAXES = [ 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000 ];
+
+class OscilloscopeNode extends Node {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    super();
+
+    // @private
+    this.model = model;
+
+    // @private {Array.<{time: number, voltage: number, current: number}>} - the instantaneous values of this sweep, in
+    // seconds, volts and milliamps, oldest first
+    this.samples = [];
+
+    // @private {number} - the top of the current axis, in milliamps
+    this.currentAxisMax = _.last( CURRENT_AXIS_MAXES );
+
+    // @private {string|null} - identifies the axes that the ticks were last created for, so that they are only
+    // recreated when the axes change
+    this.axesKey = null;
+
+    const background = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black'
+    } );
+
+    // @private - ticks, tick labels and grid lines, recreated when the axes change
+    this.ticksNode = new Node();
+
+    // @private
+    this.currentAxisLabel = new Text( '', {
+      font: AXIS_LABEL_FONT,
+      fill: CURRENT_COLOR,
+      maxWidth: PLOT_WIDTH / 2
+    } );
+
+    const voltageAxisLabel = new Text( StringUtils.fillIn( axisLabelPatternString, {
+      symbol: voltageSymbolString,
+      units: voltageUnitsString
+    } ), {
+      font: AXIS_LABEL_FONT,
+      fill: VOLTAGE_COLOR,
+      maxWidth: PLOT_WIDTH / 2,
+      left: 0,
+      bottom: -4
+    } );
+
+    // @private
+    this.voltagePath = new Path( null, {
+      stroke: VOLTAGE_COLOR,
+      lineWidth: TRACE_LINE_WIDTH
+    } );
+    this.currentPath = new Path( null, {
+      stroke: CURRENT_COLOR,
+      lineWidth: TRACE_LINE_WIDTH
+    } );
+
+    // everything that is plotted is clipped to the axes
+    const plotNode = new Node( {
+      children: [ this.voltagePath, this.currentPath ],
+      clipArea: Shape.rect( 0, 0, PLOT_WIDTH, PLOT_HEIGHT )
+    } );
+
+    this.children = [ background, this.ticksNode, plotNode, voltageAxisLabel, this.currentAxisLabel ];
+
+    // The time changes after the phase of the wave, so the instantaneous values are those at the time. Present for the
+    // lifetime of the simulation; no need to unlink.
+    model.acSource.timeProperty.link( time => {
+      const lastSample = _.last( this.samples );
+
+      // a new sweep starts at the left, and one that starts again after a reset replaces the old sweep
+      if ( lastSample && ( time < lastSample.time ||
+                           Math.floor( time / SWEEP_TIME ) !== Math.floor( lastSample.time / SWEEP_TIME ) ) ) {
+        this.samples.length = 0;
+      }
+
+      // the time only passes while the source is enabled, otherwise it was reset
+      if ( model.acSource.enabledProperty.value ) {
+        this.samples.push( {
+          time: time,
+          voltage: model.instantaneousVoltageProperty.value,
+          current: model.instantaneousCurrentProperty.value
+        } );
+      }
+      this.update();
+    } );
+    Property.lazyMultilink( [ model.currentUnitsProperty, model.currentProperty ], () => this.update() );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Redraw the traces and the axes.
+   * @private
+   */
+  update() {
+
+    // the smallest current axis that fits the peak current and the current of this sweep
+    const maxCurrent = _.max( [
+      Math.SQRT2 * this.model.currentProperty.value,
+      ...this.samples.map( sample => Math.abs( sample.current ) )
+    ] );
+    this.currentAxisMax = _.find( CURRENT_AXIS_MAXES, axisMax => axisMax >= maxCurrent ) || _.last( CURRENT_AXIS_MAXES );
+
+    this.updateAxes();
+
+    const sweepStart = this.samples.length > 0 ? Math.floor( this.samples[ 0 ].time / SWEEP_TIME ) * SWEEP_TIME : 0;
+    const toViewX = time => PLOT_WIDTH * ( time - sweepStart ) / SWEEP_TIME;
+    const toViewY = ( value, axisMax ) => PLOT_HEIGHT * ( 1 - value / axisMax ) / 2;
+
+    const voltageShape = new Shape();
+    const currentShape = new Shape();
+    this.samples.forEach( sample => {
+      voltageShape.lineTo( toViewX( sample.time ), toViewY( sample.voltage, VOLTAGE_AXIS_MAX ) );
+      currentShape.lineTo( toViewX( sample.time ), toViewY( sample.current, this.currentAxisMax ) );
+    } );
+    this.voltagePath.shape = voltageShape;
+    this.currentPath.shape = currentShape;
+  }
+
+  /**
+   * Recreate the ticks, tick labels and grid lines, and update the label of the current axis, when the axes have
+   * changed.
+   * @private
+   */
+  updateAxes() {
+    const currentUnit = CurrentUnit.getDisplayUnit( this.model.currentUnitsProperty.value, this.currentAxisMax );
+    const axesKey = `${this.currentAxisMax} ${currentUnit.name}`;
+    if ( axesKey === this.axesKey ) {
+      return;
+    }
+    this.axesKey = axesKey;
+
+    const tickNodes = [];
+
+    // a grid line for each second, with the time of the sweep below them
+    _.range( 0, SWEEP_TIME + 1 ).forEach( time => {
+      const x = PLOT_WIDTH * time / SWEEP_TIME;
+      tickNodes.push( createGridLine( x, 0, x, PLOT_HEIGHT ) );
+      tickNodes.push( createGridLine( x, PLOT_HEIGHT, x, PLOT_HEIGHT + TICK_LENGTH, 'black' ) );
+      tickNodes.push( new Text( `${time}`, {
+        font: TICK_FONT,
+        centerX: x,
+        top: PLOT_HEIGHT + TICK_LENGTH
+      } ) );
+    } );
+
+    // the voltage is labeled on the left and the current on the right, at their ends and at zero
+    [ -1, 0, 1 ].forEach( fraction => {
+      const y = PLOT_HEIGHT * ( 1 - fraction ) / 2;
+      const current = fraction * this.currentAxisMax;
+      const currentValue = CurrentUnit.convert( currentUnit, current );
+      tickNodes.push( createGridLine( 0, y, PLOT_WIDTH, y ) );
+      tickNodes.push( createGridLine( -TICK_LENGTH, y, 0, y, 'black' ) );
+      tickNodes.push( createGridLine( PLOT_WIDTH, y, PLOT_WIDTH + TICK_LENGTH, y, 'black' ) );
+      tickNodes.push( new Text( `${fraction * VOLTAGE_AXIS_MAX}`, {
+        font: TICK_FONT,
+        fill: VOLTAGE_COLOR,
+        right: -TICK_LENGTH - 2,
+        centerY: y
+      } ) );
+      tickNodes.push( new Text( Utils.toFixed( currentValue, Utils.numberOfDecimalPlaces( currentValue ) ), {
+        font: TICK_FONT,
+        fill: CURRENT_COLOR,
+        left: PLOT_WIDTH + TICK_LENGTH + 2,
+        centerY: y
+      } ) );
+    } );
+
+    const timeAxisLabel = new Text( StringUtils.fillIn( axisLabelPatternString, {
+      symbol: timeSymbolString,
+      units: timeUnitsString
+    } ), {
+      font: AXIS_LABEL_FONT,
+      maxWidth: PLOT_WIDTH / 2
+    } );
+    timeAxisLabel.right = PLOT_WIDTH;
+    timeAxisLabel.top = _.max( tickNodes.map( tickNode => tickNode.bottom ) ) + 2;
+    tickNodes.push( timeAxisLabel );
+    this.ticksNode.children = tickNodes;
+
+    this.currentAxisLabel.text = StringUtils.fillIn( axisLabelPatternString, {
+      symbol: currentSymbolString,
+      units: UnitStrings.getCurrentUnitString( currentUnit, this.currentAxisMax )
+    } );
+    this.currentAxisLabel.right = PLOT_WIDTH;
+    this.currentAxisLabel.bottom = -4;
+  }
+}
+
+/**
+ * Create a grid line or tick mark.
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @param {string} [stroke]
+ * @returns {Path}
+ */
+function createGridLine( x1, y1, x2, y2, stroke = GRID_LINE_STROKE ) {
+  return new Path( Shape.lineSegment( x1, y1, x2, y2 ), { stroke: stroke } );
+}
+
+ohmsLaw.register( 'OscilloscopeNode', OscilloscopeNode );
+export default OscilloscopeNode;
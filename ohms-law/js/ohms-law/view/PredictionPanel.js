@@ -0,0 +1,222 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel of the predict mode. While the current is hidden, it asks how the current changed and reveals it. Otherwise it
+ * shows how the last prediction compared with the current that was revealed.
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentPrediction from '../model/CurrentPrediction.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import PredictedChange from '../model/PredictedChange.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import UnitStrings from './UnitStrings.js';
+
+const predictTheCurrentString = ohmsLawStrings.predictTheCurrent;
+const theCurrentWillBeString = ohmsLawStrings.theCurrentWillBe;
+const biggerString = ohmsLawStrings.bigger;
+const smallerString = ohmsLawStrings.smaller;
+const theSameString = ohmsLawStrings.theSame;
+const howMuchString = ohmsLawStrings.howMuch;
+const factorPatternString = ohmsLawStrings.factorPattern;
+const revealString = ohmsLawStrings.reveal;
+const changeTheCircuitString = ohmsLawStrings.changeTheCircuit;
+const youPredictedPatternString = ohmsLawStrings.youPredictedPattern;
+const predictionWithFactorPatternString = ohmsLawStrings.predictionWithFactorPattern;
+const currentChangePatternString = ohmsLawStrings.currentChangePattern;
+const correctPredictionString = ohmsLawStrings.correctPrediction;
+const rightDirectionPredictionString = ohmsLawStrings.rightDirectionPrediction;
+const incorrectPredictionString = ohmsLawStrings.incorrectPrediction;
+
+const predictionPanelDescriptionString = OhmsLawA11yStrings.predictionPanelDescription.value;
+const predictedChangeString = OhmsLawA11yStrings.predictedChange.value;
+const predictedFactorString = OhmsLawA11yStrings.predictedFactor.value;
+const revealDescriptionString = OhmsLawA11yStrings.revealDescription.value;
+const predictionResultAlertPatternString = OhmsLawA11yStrings.predictionResultAlertPattern.value;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const CONTROL_FONT = new PhetFont( 14 );
+const MAX_WIDTH = 250;
+const CHANGE_STRINGS = {
+  BIGGER: biggerString,
+  SMALLER: smallerString,
+  SAME: theSameString
+};
+
+class PredictionPanel extends Panel {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      cornerRadius: 6,
+      xMargin: 10,
+      yMargin: 8,
+
+      // pdom
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: predictTheCurrentString,
+      descriptionContent: predictionPanelDescriptionString,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const currentPrediction = model.currentPrediction;
+    const textOptions = { font: CONTROL_FONT, maxWidth: MAX_WIDTH };
+
+    const titleText = new Text( predictTheCurrentString, { font: TITLE_FONT, maxWidth: MAX_WIDTH } );
+
+    // the prediction, only while the current is hidden
+    const changeRadioButtonGroup = new VerticalAquaRadioButtonGroup( currentPrediction.predictedChangeProperty,
+      PredictedChange.VALUES.map( predictedChange => {
+        return {
+          node: new Text( CHANGE_STRINGS[ predictedChange.name ], textOptions ),
+          value: predictedChange,
+          tandemName: `${predictedChange.name.toLowerCase()}RadioButton`,
+          labelContent: CHANGE_STRINGS[ predictedChange.name ]
+        };
+      } ), {
+        spacing: 6,
+        radioButtonOptions: { radius: 7 },
+
+        // pdom
+        labelContent: predictedChangeString,
+        tandem: options.tandem.createTandem( 'changeRadioButtonGroup' )
+      } );
+
+    const factorSpinner = new NumberSpinner( currentPrediction.predictedFactorProperty,
+      new Property( CurrentPrediction.FACTOR_RANGE ), {
+        deltaValue: 0.5,
+        arrowsPosition: 'leftRight',
+        numberDisplayOptions: {
+          valuePattern: factorPatternString,
+          decimalPlaces: 1,
+          textOptions: { font: CONTROL_FONT },
+          cornerRadius: 5,
+          backgroundStroke: 'black'
+        },
+
+        // pdom
+        labelContent: predictedFactorString,
+        tandem: options.tandem.createTandem( 'factorSpinner' )
+      } );
+
+    // the result of the last prediction, while the current is shown
+    const predictionText = new Text( '', merge( { tagName: 'p' }, textOptions ) );
+    const currentChangeText = new Text( '', merge( { tagName: 'p' }, textOptions ) );
+    const verdictText = new Text( '', merge( { tagName: 'p' }, textOptions, { font: TITLE_FONT } ) );
+
+    const revealButton = new TextPushButton( revealString, {
+      font: CONTROL_FONT,
+      maxTextWidth: MAX_WIDTH,
+      baseColor: 'rgb( 255, 200, 0 )',
+      listener: () => {
+        currentPrediction.reveal();
+        this.alertDescriptionUtterance( StringUtils.fillIn( predictionResultAlertPatternString, {
+          prediction: predictionText.text,
+          change: currentChangeText.text,
+          verdict: verdictText.text
+        } ) );
+      },
+
+      // pdom
+      descriptionContent: revealDescriptionString,
+      tandem: options.tandem.createTandem( 'revealButton' )
+    } );
+
+    const predictionBox = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        new Text( theCurrentWillBeString, textOptions ),
+        changeRadioButtonGroup,
+        new HBox( { spacing: 8, children: [ new Text( howMuchString, textOptions ), factorSpinner ] } ),
+        revealButton
+      ]
+    } );
+
+    const resultBox = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [ predictionText, currentChangeText, verdictText ]
+    } );
+    const changeTheCircuitText = new Text( changeTheCircuitString, merge( { tagName: 'p' }, textOptions ) );
+
+    const contentBox = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ titleText ]
+    } );
+
+    super( contentBox, options );
+
+    // The factor only makes sense for a current that changes, and revealing needs a prediction.
+    // Present for the lifetime of the simulation; no need to unlink.
+    currentPrediction.predictedChangeProperty.link( predictedChange => {
+      factorSpinner.enabled = predictedChange === PredictedChange.BIGGER || predictedChange === PredictedChange.SMALLER;
+      revealButton.enabled = predictedChange !== null;
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [ currentPrediction.currentHiddenProperty, currentPrediction.resultProperty ],
+      ( currentHidden, result ) => {
+        contentBox.children = currentHidden ? [ titleText, predictionBox ] :
+                              result ? [ titleText, resultBox, changeTheCircuitText ] :
+                              [ titleText, changeTheCircuitText ];
+      } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [ currentPrediction.resultProperty, model.currentUnitsProperty ], result => {
+      if ( result ) {
+        const changeString = CHANGE_STRINGS[ result.predictedChange.name ];
+        predictionText.text = StringUtils.fillIn( youPredictedPatternString, {
+          prediction: result.predictedChange === PredictedChange.SAME ? changeString :
+                      StringUtils.fillIn( predictionWithFactorPatternString, {
+                        change: changeString,
+                        factor: Utils.toFixed( result.predictedFactor, 1 )
+                      } )
+        } );
+
+        // both currents in the same unit, for AUTO the unit for the larger of them
+        const currentUnit = CurrentUnit.getDisplayUnit( model.currentUnitsProperty.value,
+          Math.max( Math.abs( result.previousCurrent ), Math.abs( result.current ) ) );
+        currentChangeText.text = StringUtils.fillIn( currentChangePatternString, {
+          previous: model.getFixedCurrent( result.previousCurrent, currentUnit ),
+          current: model.getFixedCurrent( result.current, currentUnit ),
+          units: UnitStrings.getCurrentUnitString( currentUnit, result.current )
+        } );
+        verdictText.text = result.factorCorrect ? correctPredictionString :
+                           result.changeCorrect ? rightDirectionPredictionString :
+                           incorrectPredictionString;
+        verdictText.fill = result.factorCorrect ? 'green' : result.changeCorrect ? 'rgb( 200, 120, 0 )' : 'red';
+
+        // pdom
+        predictionText.innerContent = predictionText.text;
+        currentChangeText.innerContent = currentChangeText.text;
+        verdictText.innerContent = verdictText.text;
+      }
+    } );
+    changeTheCircuitText.innerContent = changeTheCircuitString;
+  }
+}
+
+ohmsLaw.register( 'PredictionPanel', PredictionPanel );
+export default PredictionPanel;
@@ -1,13 +1,13 @@
 // Copyright 2013-2020, University of Colorado Boulder
 
 /**
- * Panel that displays the current inside the WireBox
+ * Panel that displays the value of a quantity (like current or power) inside the WireBox
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import Property from '../../../../axon/js/Property.js';
-import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
@@ -17,28 +17,33 @@ import Text from '../../../../scenery/js/nodes/Text.js';
 import Panel from '../../../../sun/js/Panel.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
-import ohmsLawStrings from '../../ohmsLawStrings.js';
-import CurrentUnit from '../model/CurrentUnit.js';
-import OhmsLawModel from '../model/OhmsLawModel.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
 
-const currentAmpUnitsString = ohmsLawStrings.currentAmpUnits;
-const currentString = ohmsLawStrings.current;
-const currentUnitsString = ohmsLawStrings.currentUnits;
-
 // constants
 const FONT = new PhetFont( 32 );
 const MAX_READOUT_WIDTH = 0.63 * OhmsLawConstants.WIRE_WIDTH;
+const HIDDEN_VALUE_STRING = '?'; // shown in place of a value that is hidden
 
 class ReadoutPanel extends Panel {
 
   /**
-   * @param {OhmsLawModel} model
+   * @param {string} labelString - name of the displayed quantity, like "current"
+   * @param {Property[]} dependencies - the readout updates whenever one of these Properties changes
+   * @param {function():string} getFixedValue - returns the value, formatted for display
+   * @param {function():string} getUnitString - returns the unit that the value is displayed in
    * @param {Object} [options]
    */
-  constructor( model, options ) {
+  constructor( labelString, dependencies, getFixedValue, getUnitString, options ) {
 
     options = merge( {
+
+      // {string} - widest value expected in the readout, used to size the panel so it doesn't resize. A wider value,
+      // like a tiny current in amps, is scaled down to fit in its width.
+      maxValueString: '0',
+
+      // {Property.<boolean>|null} - if provided, the value is replaced by a question mark while this Property is true
+      valueHiddenProperty: null,
+
       xMargin: 30,
       yMargin: 8,
       lineWidth: 3,
@@ -46,11 +51,11 @@ class ReadoutPanel extends Panel {
       tandem: Tandem.REQUIRED
     }, options );
 
-    const currentStringText = new Text( currentString, {
+    const labelText = new Text( labelString, {
       font: FONT,
       fill: PhetColorScheme.RED_COLORBLIND,
       maxWidth: 110, // empirically determined
-      tandem: options.tandem.createTandem( 'currentStringText' )
+      tandem: options.tandem.createTandem( 'labelText' )
     } );
 
     const equalsSign = new Text( '=', {
@@ -60,28 +65,29 @@ class ReadoutPanel extends Panel {
       phetioReadOnly: true
     } );
 
-    const currentValue = new Text( Utils.toFixed( OhmsLawModel.getMaxCurrent(), 1 ), {
+    const valueText = new Text( options.maxValueString, {
       font: FONT,
       fill: 'black',
-      tandem: options.tandem.createTandem( 'currentValue' ),
+      tandem: options.tandem.createTandem( 'valueText' ),
       phetioReadOnly: true
     } );
+    valueText.maxWidth = valueText.width;
 
-    // To keep the correct spacing as the current value changes
-    const currentValueBackground = Rectangle.bounds( currentValue.bounds, {
-      children: [ currentValue ]
+    // To keep the correct spacing as the value changes
+    const valueBackground = Rectangle.bounds( valueText.bounds, {
+      children: [ valueText ]
     } );
 
-    const currentUnit = new Text( currentUnitsString, {
+    const unitText = new Text( getUnitString(), {
       font: FONT,
       fill: PhetColorScheme.RED_COLORBLIND,
-      tandem: options.tandem.createTandem( 'currentUnit' ),
+      tandem: options.tandem.createTandem( 'unitText' ),
       phetioReadOnly: true
     } );
 
     const textContainer = new HBox( {
       spacing: 11.3, // empirically determined
-      children: [ currentStringText, equalsSign, currentValueBackground, currentUnit ]
+      children: [ labelText, equalsSign, valueBackground, unitText ]
     } );
 
     // Scale the text if greater than max allowed width.
@@ -90,13 +96,13 @@ class ReadoutPanel extends Panel {
     }
 
     // Present for the lifetime of the simulation, no need to unlink.
-    Property.multilink( [ model.currentProperty,
-      model.currentUnitsProperty ], ( current, units ) => {
-      const rightEdgePosition = currentValue.right;
-      currentValue.text = model.getFixedCurrent();
-      currentValue.right = rightEdgePosition;
+    const valueHiddenProperty = options.valueHiddenProperty || new BooleanProperty( false );
+    Property.multilink( [ valueHiddenProperty, ...dependencies ], valueHidden => {
+      const rightEdgePosition = valueText.right;
+      valueText.text = valueHidden ? HIDDEN_VALUE_STRING : getFixedValue();
+      valueText.right = rightEdgePosition;
 
-      currentUnit.text = units === CurrentUnit.AMPS ? currentAmpUnitsString : currentUnitsString;
+      unitText.text = getUnitString();
     } );
 
     super( textContainer, options );
@@ -0,0 +1,181 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Controls for the material, length and area of the resistance wire, with a readout of the resulting resistance. Shown
+ * in place of the resistance slider when the resistor is a wire.
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import Material from '../model/Material.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+const constantanString = ohmsLawStrings.constantan;
+const nichromeString = ohmsLawStrings.nichrome;
+const kanthalString = ohmsLawStrings.kanthal;
+const lengthString = ohmsLawStrings.length;
+const areaString = ohmsLawStrings.area;
+const lengthPatternString = ohmsLawStrings.lengthPattern;
+const areaPatternString = ohmsLawStrings.areaPattern;
+const resistivityPatternString = ohmsLawStrings.resistivityPattern;
+
+const materialString = OhmsLawA11yStrings.material.value;
+const materialDescriptionString = OhmsLawA11yStrings.materialDescription.value;
+const wireLengthPatternString = OhmsLawA11yStrings.wireLengthPattern.value;
+const wireAreaPatternString = OhmsLawA11yStrings.wireAreaPattern.value;
+const resistivityDescriptionPatternString = OhmsLawA11yStrings.resistivityDescriptionPattern.value;
+const resistanceUnitsPatternString = OhmsLawA11yStrings.resistanceUnitsPattern.value;
+
+// constants
+const CONTROL_FONT = new PhetFont( 16 );
+const RESISTIVITY_FONT = new PhetFont( 14 );
+const MAX_WIDTH = 110;
+const LENGTH_STEP = 0.5; // meters
+const AREA_STEP = 0.01; // square millimeters
+const RESISTIVITY_DECIMAL_PLACES = 2;
+
+class ResistanceWireControls extends VBox {
+
+  /**
+   * @param {ResistanceWire} resistanceWire
+   * @param {Property.<number>} resistanceProperty - in ohms
+   * @param {Object} [options]
+   */
+  constructor( resistanceWire, resistanceProperty, options ) {
+
+    options = merge( {
+      spacing: 8,
+      tandem: Tandem.REQUIRED,
+
+      // pdom
+      tagName: 'div'
+    }, options );
+
+    const materialRadioButtonGroup = new VerticalAquaRadioButtonGroup( resistanceWire.materialProperty, [
+      createMaterialItem( constantanString, Material.CONSTANTAN, 'constantanRadioButton' ),
+      createMaterialItem( nichromeString, Material.NICHROME, 'nichromeRadioButton' ),
+      createMaterialItem( kanthalString, Material.KANTHAL, 'kanthalRadioButton' )
+    ], {
+      spacing: 6,
+
+      // pdom
+      labelContent: materialString,
+      descriptionContent: materialDescriptionString,
+      tandem: options.tandem.createTandem( 'materialRadioButtonGroup' )
+    } );
+
+    const resistivityText = new Text( '', {
+      font: RESISTIVITY_FONT,
+      maxWidth: MAX_WIDTH,
+
+      // pdom
+      tagName: 'p'
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    resistanceWire.resistivityProperty.link( resistivity => {
+      const fixedResistivity = Utils.toFixed( resistivity, RESISTIVITY_DECIMAL_PLACES );
+      resistivityText.text = StringUtils.fillIn( resistivityPatternString, { value: fixedResistivity } );
+      resistivityText.innerContent = StringUtils.fillIn( resistivityDescriptionPatternString, { value: fixedResistivity } );
+    } );
+
+    const lengthControl = createDimensionControl( lengthString, resistanceWire.lengthProperty, LENGTH_STEP,
+      OhmsLawConstants.WIRE_LENGTH_SIG_FIGS, lengthPatternString, wireLengthPatternString,
+      options.tandem.createTandem( 'lengthSpinner' ) );
+    const areaControl = createDimensionControl( areaString, resistanceWire.areaProperty, AREA_STEP,
+      OhmsLawConstants.WIRE_AREA_SIG_FIGS, areaPatternString, wireAreaPatternString,
+      options.tandem.createTandem( 'areaSpinner' ) );
+
+    // the resistance of the wire, in the style of the readout of the resistance slider that this replaces
+    const resistanceText = new Text( '', {
+      font: OhmsLawConstants.READOUT_FONT,
+      maxWidth: MAX_WIDTH,
+      tandem: options.tandem.createTandem( 'resistanceText' ),
+      phetioReadOnly: true,
+
+      // pdom
+      tagName: 'p'
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    resistanceProperty.link( resistance => {
+      const fixedResistance = Utils.toFixed( resistance, OhmsLawConstants.RESISTANCE_SIG_FIGS );
+      resistanceText.text = `${fixedResistance} ${MathSymbols.OHMS}`;
+      resistanceText.innerContent = StringUtils.fillIn( resistanceUnitsPatternString, { value: fixedResistance } );
+    } );
+
+    assert && assert( !options.children, 'ResistanceWireControls sets children' );
+    options.children = [ materialRadioButtonGroup, resistivityText, lengthControl, areaControl, resistanceText ];
+
+    super( options );
+  }
+}
+
+/**
+ * Create an item for the radio button group that chooses the material.
+ * @param {string} labelString
+ * @param {Material} material
+ * @param {string} tandemName
+ * @returns {Object}
+ */
+function createMaterialItem( labelString, material, tandemName ) {
+  return {
+    node: new Text( labelString, { font: CONTROL_FONT, maxWidth: MAX_WIDTH - 25 } ),
+    value: material,
+    tandemName: tandemName,
+    labelContent: labelString
+  };
+}
+
+/**
+ * Create a labeled spinner for one of the dimensions of the wire.
+ * @param {string} labelString
+ * @param {NumberProperty} property
+ * @param {number} deltaValue
+ * @param {number} decimalPlaces
+ * @param {string} valuePatternString - for the displayed value
+ * @param {string} a11yValuePatternString - for the aria-valuetext
+ * @param {Tandem} tandem
+ * @returns {Node}
+ */
+function createDimensionControl( labelString, property, deltaValue, decimalPlaces, valuePatternString,
+                                 a11yValuePatternString, tandem ) {
+  const spinner = new NumberSpinner( property, new Property( property.range ), {
+
+    // rounded so that the steps don't accumulate floating point errors
+    incrementFunction: value => Utils.toFixedNumber( value + deltaValue, decimalPlaces ),
+    decrementFunction: value => Utils.toFixedNumber( value - deltaValue, decimalPlaces ),
+    numberDisplayOptions: {
+      decimalPlaces: decimalPlaces,
+      valuePattern: valuePatternString,
+      textOptions: { font: CONTROL_FONT }
+    },
+
+    // pdom
+    labelContent: labelString,
+    a11yCreateAriaValueText: value => StringUtils.fillIn( a11yValuePatternString, {
+      value: Utils.toFixed( value, decimalPlaces )
+    } ),
+    tandem: tandem
+  } );
+
+  return new VBox( {
+    spacing: 4,
+    children: [ new Text( labelString, { font: CONTROL_FONT, maxWidth: MAX_WIDTH } ), spinner ]
+  } );
+}
+
+ohmsLaw.register( 'ResistanceWireControls', ResistanceWireControls );
+export default ResistanceWireControls;
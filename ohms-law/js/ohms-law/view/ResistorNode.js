@@ -6,18 +6,25 @@
  * @author Anton Ulyanov (Mlearner)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import dotRandom from '../../../../dot/js/dotRandom.js';
 import LinearFunction from '../../../../dot/js/LinearFunction.js';
 import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import ColorBands from '../model/ColorBands.js';
+import ResistanceMode from '../model/ResistanceMode.js';
+import ResistanceWire from '../model/ResistanceWire.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
 
@@ -29,6 +36,7 @@ const largeAmountOfImpuritiesString = OhmsLawA11yStrings.largeAmountOfImpurities
 const veryLargeAmountOfImpuritiesString = OhmsLawA11yStrings.veryLargeAmountOfImpurities.value;
 const hugeAmountOfImpuritiesString = OhmsLawA11yStrings.hugeAmountOfImpurities.value;
 const resistanceDotsPatternString = OhmsLawA11yStrings.resistanceDotsPattern.value;
+const colorBandsPatternString = OhmsLawA11yStrings.colorBandsPattern.value;
 
 // constants
 const RESISTOR_WIDTH = OhmsLawConstants.WIRE_WIDTH / 2.123; // empirically determined
@@ -36,6 +44,58 @@ const RESISTOR_HEIGHT = OhmsLawConstants.WIRE_HEIGHT / 2.75; // empirically dete
 const PERSPECTIVE_FACTOR = 0.3; // multiplier that controls the width of the ellipses on the ends of the wire
 const MAX_WIDTH_INCLUDING_ROUNDED_ENDS = RESISTOR_WIDTH + RESISTOR_HEIGHT * PERSPECTIVE_FACTOR;
 
+// the colors of the digits of the color code, from 0 to 9, and the colors that are only for the multiplier and the
+// tolerance. Red and green are the ones of PhetColorScheme that can be told apart with color blindness, and the others
+// differ in lightness from their neighbors.
+const DIGIT_COLORS = [
+  { fill: 'black', name: OhmsLawA11yStrings.black.value },
+  { fill: 'rgb( 120, 60, 15 )', name: OhmsLawA11yStrings.brown.value },
+  { fill: PhetColorScheme.RED_COLORBLIND, name: OhmsLawA11yStrings.red.value },
+  { fill: 'rgb( 255, 170, 60 )', name: OhmsLawA11yStrings.orange.value },
+  { fill: 'rgb( 255, 240, 0 )', name: OhmsLawA11yStrings.yellow.value },
+  { fill: PhetColorScheme.GREEN_COLORBLIND, name: OhmsLawA11yStrings.green.value },
+  { fill: 'rgb( 40, 80, 230 )', name: OhmsLawA11yStrings.blue.value },
+  { fill: 'rgb( 140, 50, 190 )', name: OhmsLawA11yStrings.violet.value },
+  { fill: 'rgb( 130, 130, 130 )', name: OhmsLawA11yStrings.grey.value },
+  { fill: 'white', name: OhmsLawA11yStrings.white.value }
+];
+const GOLD_COLOR = { fill: 'rgb( 210, 170, 50 )', name: OhmsLawA11yStrings.gold.value };
+const SILVER_COLOR = { fill: 'rgb( 200, 200, 210 )', name: OhmsLawA11yStrings.silver.value };
+const MULTIPLIER_COLORS = { '-2': SILVER_COLOR, '-1': GOLD_COLOR };
+const TOLERANCE_COLORS = { 1: DIGIT_COLORS[ 1 ], 5: GOLD_COLOR };
+
+// position of the bands along the resistor, as fractions of its width from the left end. The digits and the multiplier
+// are spaced evenly from the left, and the tolerance is apart from them at the right.
+const FIRST_BAND_POSITION = 0.18;
+const BAND_SPACING = 0.12;
+const TOLERANCE_BAND_POSITION = 0.9;
+const BAND_WIDTH = 0.07 * RESISTOR_WIDTH;
+
+// the body of a resistor with bands is beige like real ones, so that the colors of the bands stand out
+const BANDS_BODY_FILL_GRADIENT = new LinearGradient( 0, -RESISTOR_HEIGHT / 2, 0, RESISTOR_HEIGHT / 2 )
+  .addColorStop( 0, '#c9a46e' )
+  .addColorStop( 0.266, '#f7e7c6' )
+  .addColorStop( 0.412, '#f3e0b8' )
+  .addColorStop( 1, '#c9a46e' );
+const BANDS_END_FILL = '#ebd3a6';
+
+// shading over the bands, for the same 3D effect as the body
+const BANDS_SHADING_GRADIENT = new LinearGradient( 0, -RESISTOR_HEIGHT / 2, 0, RESISTOR_HEIGHT / 2 )
+  .addColorStop( 0, 'rgba( 0, 0, 0, 0.25 )' )
+  .addColorStop( 0.3, 'rgba( 255, 255, 255, 0.3 )' )
+  .addColorStop( 0.45, 'rgba( 255, 255, 255, 0 )' )
+  .addColorStop( 1, 'rgba( 0, 0, 0, 0.35 )' );
+
+// thermal overlay, which is transparent at the ambient temperature
+const THERMAL_OVERLAY_COLOR = '#ff6a00';
+const TEMPERATURE_TO_OVERLAY_OPACITY = new LinearFunction(
+  OhmsLawConstants.TEMPERATURE_RANGE.min,
+  OhmsLawConstants.TEMPERATURE_RANGE.max,
+  0,
+  0.85,
+  true
+);
+
 // dots
 const DOT_RADIUS = 2;
 const AREA_PER_DOT = 40; // adjust this to control the density of the dots
@@ -63,6 +123,19 @@ const RESISTANCE_TO_NUM_DOTS = new LinearFunction(
   true
 );
 
+// pdom - Function to map the resistivity of a resistance wire to number of dots
+const RESISTIVITY_RANGE = ResistanceWire.getResistivityRange();
+const RESISTIVITY_TO_NUM_DOTS = new LinearFunction( RESISTIVITY_RANGE.min, RESISTIVITY_RANGE.max, MAX_DOTS * 0.3, MAX_DOTS, true );
+
+// the longest wire fills the resistor, and the thickest wire is as thick as the resistor
+const LENGTH_TO_X_SCALE = new LinearFunction(
+  ResistanceWire.LENGTH_RANGE.min,
+  ResistanceWire.LENGTH_RANGE.max,
+  0.4,
+  1,
+  true
+);
+
 class ResistorNode extends Node {
   /**
    * @param {Property.<number>} resistanceProperty
@@ -71,6 +144,18 @@ class ResistorNode extends Node {
   constructor( resistanceProperty, options ) {
 
     options = merge( {
+
+      // {Property.<number>|null} - temperature of the resistor in degrees Celsius, shown as a glow over the resistor
+      temperatureProperty: null,
+
+      // {ResistanceWire|null} - when provided with the resistanceModeProperty, the resistor is drawn as this wire in the
+      // WIRE mode, with its dimensions and with dots for the resistivity of its material
+      resistanceWire: null,
+      resistanceModeProperty: null,
+
+      // {Property.<ColorBands>|null} - the color code that the resistor is drawn with, in place of the dots
+      colorBandsProperty: null,
+
       tandem: Tandem.REQUIRED,
 
       // pdom
@@ -79,22 +164,52 @@ class ResistorNode extends Node {
 
     super();
 
+    // Body and end of the wire, which stretch and thicken with the dimensions of a resistance wire
+    const wireNode = new Node();
+    this.addChild( wireNode );
+
     // Body of the wire
-    const bodyPath = new Path( new Shape().moveTo( -RESISTOR_WIDTH / 2, RESISTOR_HEIGHT / 2 )
+    const bodyShape = new Shape().moveTo( -RESISTOR_WIDTH / 2, RESISTOR_HEIGHT / 2 )
       .horizontalLineToRelative( RESISTOR_WIDTH )
       .ellipticalArc( RESISTOR_WIDTH / 2, 0, PERSPECTIVE_FACTOR * RESISTOR_HEIGHT / 2, RESISTOR_HEIGHT / 2, 0, Math.PI / 2, 3 * Math.PI / 2, true )
-      .horizontalLineToRelative( -RESISTOR_WIDTH ), {
+      .horizontalLineToRelative( -RESISTOR_WIDTH );
+    const bodyPath = new Path( bodyShape, {
       stroke: 'black',
       fill: BODY_FILL_GRADIENT
     } );
-    this.addChild( bodyPath );
+    wireNode.addChild( bodyPath );
 
     // Cap/end of the wire
     const endPath = new Path( Shape.ellipse( -RESISTOR_WIDTH / 2, 0, RESISTOR_HEIGHT * PERSPECTIVE_FACTOR / 2, RESISTOR_HEIGHT / 2 ), {
       stroke: 'black',
       fill: '#ff9f9f'
     } );
-    this.addChild( endPath );
+    wireNode.addChild( endPath );
+
+    // Bands of the color code, as many as the longest code. They are on the body, so they stretch with it.
+    const bands = _.range( ColorBands.FIVE.numberOfBands ).map( () => new Rectangle( 0, 0, BAND_WIDTH, RESISTOR_HEIGHT, {
+      stroke: 'black',
+      lineWidth: 0.5,
+      centerY: 0
+    } ) );
+    const bandsNode = new Node( {
+      children: [ ...bands, new Path( bodyShape, { fill: BANDS_SHADING_GRADIENT } ) ]
+    } );
+    wireNode.addChild( bandsNode );
+
+    // Glow over the body and end of the wire that gets stronger as the resistor heats up. Present for the lifetime of
+    // the simulation; no need to unlink.
+    if ( options.temperatureProperty ) {
+      const thermalOverlayPath = new Path( bodyShape, {
+        fill: THERMAL_OVERLAY_COLOR
+      } );
+      thermalOverlayPath.addChild( new Path( endPath.shape, { fill: THERMAL_OVERLAY_COLOR } ) );
+      wireNode.addChild( thermalOverlayPath );
+
+      options.temperatureProperty.link( temperature => {
+        thermalOverlayPath.opacity = TEMPERATURE_TO_OVERLAY_OPACITY( temperature );
+      } );
+    }
 
     // Short stub of wire near the cap of wire
     const stubWirePath = new Path( new Shape().moveTo( 5 - RESISTOR_WIDTH / 2, 0 ).horizontalLineToRelative( -15 ), {
@@ -107,6 +222,9 @@ class ResistorNode extends Node {
     const dotsNodeTandem = options.tandem.createTandem( 'dotsNode' );
     const dotsNode = new Node( { tandem: dotsNodeTandem } );
 
+    // {Vector2[]} - position of each dot on the resistor when it isn't stretched or thickened
+    const dotPositions = [];
+
     // Create the dots randomly on the resistor. Density is based on AREA_PER_DOT.
     for ( let i = 0; i < NUMBER_OF_DOTS; i++ ) {
 
@@ -129,18 +247,91 @@ class ResistorNode extends Node {
         centerY: centerY
       } );
       dotsNode.addChild( dot );
+      dotPositions.push( dot.center );
     }
     this.addChild( dotsNode );
 
-    // Set the number of visible dots based on the resistivity. Present for the lifetime of the simulation; no need to unlink.
-    resistanceProperty.link( resistance => {
-      const numDotsToShow = RESISTANCE_TO_NUM_DOTS( resistance );
+    /**
+     * Show the provided number of dots, on a resistor that is stretched and thickened by the provided scales. The dots
+     * move with the resistor but keep their size.
+     * @param {number} numDotsToShow
+     * @param {number} xScale
+     * @param {number} yScale
+     */
+    const updateResistor = ( numDotsToShow, xScale, yScale ) => {
+      wireNode.setScaleMagnitude( xScale, yScale );
+      stubWirePath.x = ( 1 - xScale ) * RESISTOR_WIDTH / 2; // stays at the end of the wire
       dotsNode.children.forEach( ( dot, index ) => {
         dot.setVisible( index < numDotsToShow );
+        dot.center = dotPositions[ index ].componentTimes( new Vector2( xScale, yScale ) );
       } );
+    };
 
-      this.innerContent = this.getResistanceDescription( resistance );
-    } );
+    /**
+     * Show the color code of a resistance in place of the dots, or the dots for NONE.
+     * @param {ColorBands} colorBands
+     * @param {number} resistance
+     * @returns {string|null} - the description of the bands, null for NONE
+     */
+    const updateColorBands = ( colorBands, resistance ) => {
+      const hasBands = colorBands !== ColorBands.NONE;
+      bandsNode.visible = hasBands;
+      dotsNode.visible = !hasBands;
+      bodyPath.fill = hasBands ? BANDS_BODY_FILL_GRADIENT : BODY_FILL_GRADIENT;
+      endPath.fill = hasBands ? BANDS_END_FILL : '#ff9f9f';
+      if ( !hasBands ) {
+        return null;
+      }
+
+      const bandValues = ColorBands.getBandValues( colorBands, resistance );
+      const colors = [
+        ...bandValues.digits.map( digit => DIGIT_COLORS[ digit ] ),
+        DIGIT_COLORS[ bandValues.exponent ] || MULTIPLIER_COLORS[ bandValues.exponent ],
+        TOLERANCE_COLORS[ bandValues.tolerance ]
+      ];
+      bands.forEach( ( band, index ) => {
+        band.visible = index < colors.length;
+        if ( band.visible ) {
+          const isToleranceBand = index === colors.length - 1;
+          band.centerX = RESISTOR_WIDTH *
+                         ( ( isToleranceBand ? TOLERANCE_BAND_POSITION : FIRST_BAND_POSITION + index * BAND_SPACING ) - 0.5 );
+          band.fill = colors[ index ].fill;
+        }
+      } );
+      return StringUtils.fillIn( colorBandsPatternString, {
+        numberOfBands: colors.length,
+        colors: colors.map( color => color.name ).join( ', ' )
+      } );
+    };
+
+    // the resistor is drawn with the color code of its resistance when there is one
+    const colorBandsProperty = options.colorBandsProperty || new Property( ColorBands.NONE );
+
+    // Set the number of visible dots based on the resistance, or the resistivity of a resistance wire, which also
+    // sets the dimensions of the resistor. Present for the lifetime of the simulation; no need to unlink.
+    if ( options.resistanceWire ) {
+      const resistanceWire = options.resistanceWire;
+      Property.multilink( [ options.resistanceModeProperty, resistanceProperty, resistanceWire.resistivityProperty,
+        resistanceWire.lengthProperty, resistanceWire.areaProperty, colorBandsProperty ],
+        ( resistanceMode, resistance, resistivity, length, area, colorBands ) => {
+          if ( resistanceMode === ResistanceMode.WIRE ) {
+            updateResistor( RESISTIVITY_TO_NUM_DOTS( resistivity ), LENGTH_TO_X_SCALE( length ),
+              Math.sqrt( area / OhmsLawConstants.WIRE_AREA_RANGE.max ) );
+            this.innerContent = updateColorBands( colorBands, resistance ) ||
+                                this.getImpuritiesDescription( RESISTIVITY_RANGE.getNormalizedValue( resistivity ) );
+          }
+          else {
+            updateResistor( RESISTANCE_TO_NUM_DOTS( resistance ), 1, 1 );
+            this.innerContent = updateColorBands( colorBands, resistance ) || this.getResistanceDescription( resistance );
+          }
+        } );
+    }
+    else {
+      Property.multilink( [ resistanceProperty, colorBandsProperty ], ( resistance, colorBands ) => {
+        updateResistor( RESISTANCE_TO_NUM_DOTS( resistance ), 1, 1 );
+        this.innerContent = updateColorBands( colorBands, resistance ) || this.getResistanceDescription( resistance );
+      } );
+    }
 
     this.mutate( options );
   }
@@ -152,10 +343,19 @@ class ResistorNode extends Node {
    * @private
    */
   getResistanceDescription( resistance ) {
-    const range = OhmsLawConstants.RESISTANCE_RANGE;
+    return this.getImpuritiesDescription( OhmsLawConstants.RESISTANCE_RANGE.getNormalizedValue( resistance ) );
+  }
+
+  /**
+   * Get a description of the amount of impurities shown on the resistor.
+   * @param {number} normalizedImpurities - from 0 to 1
+   * @returns {string}
+   * @private
+   */
+  getImpuritiesDescription( normalizedImpurities ) {
 
-    // map the normalied value to one of the resistance descriptions
-    const index = Utils.roundSymmetric( Utils.linear( range.min, range.max, 0, IMPURITIES_STRINGS.length - 1, resistance ) );
+    // map the normalized value to one of the resistance descriptions
+    const index = Utils.roundSymmetric( normalizedImpurities * ( IMPURITIES_STRINGS.length - 1 ) );
     const numDotsDescription = IMPURITIES_STRINGS[ index ];
 
     return StringUtils.fillIn( resistanceDotsPatternString, {
@@ -0,0 +1,71 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Thermometer with a readout that shows the temperature of the resistors while they are heated.
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ThermometerNode from '../../../../scenery-phet/js/ThermometerNode.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+const temperaturePatternString = ohmsLawStrings.temperaturePattern;
+
+// constants
+const MAX_READOUT_WIDTH = 60;
+
+class ResistorThermometerNode extends VBox {
+
+  /**
+   * @param {Property.<number>} temperatureProperty - in degrees Celsius
+   * @param {Object} [options]
+   */
+  constructor( temperatureProperty, options ) {
+
+    options = merge( {
+      spacing: 6,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const range = OhmsLawConstants.TEMPERATURE_RANGE;
+    const thermometerNode = new ThermometerNode( range.min, range.max, temperatureProperty, {
+      bulbDiameter: 30,
+      tubeWidth: 16,
+      tubeHeight: 130,
+      lineWidth: 2,
+      glassThickness: 3,
+      majorTickLength: 8,
+      minorTickLength: 4,
+      tickSpacingTemperature: 20,
+      backgroundFill: 'white',
+      tandem: options.tandem.createTandem( 'thermometerNode' )
+    } );
+
+    const readoutText = new Text( '', {
+      font: new PhetFont( 16 ),
+      maxWidth: MAX_READOUT_WIDTH
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    temperatureProperty.link( temperature => {
+      readoutText.text = StringUtils.fillIn( temperaturePatternString, {
+        value: Utils.toFixed( temperature, OhmsLawConstants.TEMPERATURE_SIG_FIGS )
+      } );
+    } );
+
+    assert && assert( !options.children, 'ResistorThermometerNode sets children' );
+    options.children = [ thermometerNode, readoutText ];
+
+    super( options );
+  }
+}
+
+ohmsLaw.register( 'ResistorThermometerNode', ResistorThermometerNode );
+export default ResistorThermometerNode;
@@ -15,6 +15,7 @@ import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawModel from '../model/OhmsLawModel.js';
 
 // constants
 // points for the arrow
@@ -46,6 +47,10 @@ class RightAngleArrow extends Path {
       // scale it back. Part of https://github.com/phetsims/ohms-law/issues/62.
       scale: 0.85,
 
+      // {Property.<boolean>|null} - if provided, the arrow is hidden while this Property is true, but keeps following
+      // the current so that it has the right size when it is shown again
+      currentHiddenProperty: null,
+
       tandem: Tandem.REQUIRED
     }, options );
 
@@ -58,11 +63,23 @@ class RightAngleArrow extends Path {
     currentProperty.lazyLink( current => {
 
       // Scale the arrows based on the value of the current.
-      // Exponential scaling algorithm.  Linear makes the changes too big.
-      const scale = Math.pow( ( current * 0.1 ), 0.7 );
+      // Exponential scaling algorithm.  Linear makes the changes too big. The current of resistors in parallel is
+      // limited to the current of a single resistor, so that the arrows still fit around the circuit. Without a
+      // current the arrow is hidden instead, since it can't be scaled to nothing.
+      if ( current > 0 ) {
+        const scale = Math.pow( ( Math.min( current, OhmsLawModel.getMaxCurrent() ) * 0.1 ), 0.7 );
 
-      this.setScaleMagnitude( scale );
+        this.setScaleMagnitude( scale );
+      }
     } );
+
+    const updateVisible = () => {
+      this.visible = currentProperty.value > 0 && !( options.currentHiddenProperty && options.currentHiddenProperty.value );
+    };
+
+    // Present for the lifetime of the simulation
+    currentProperty.link( updateVisible );
+    options.currentHiddenProperty && options.currentHiddenProperty.link( updateVisible );
   }
 }
 
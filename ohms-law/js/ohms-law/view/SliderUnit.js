@@ -1,15 +1,19 @@
 // Copyright 2017-2020, University of Colorado Boulder
 
 /**
- * Slider unit with a vertical slider, a label above the slider and a readout display below the slider.
+ * Slider unit with a vertical slider, a label above the slider and a readout display below the slider. If a parent for
+ * the keypad is provided, an exact value can be entered on a keypad that is opened from the readout.
  * @author Martin Veillette (Berea College)
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import FireListener from '../../../../scenery/js/listeners/FireListener.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
@@ -17,10 +21,15 @@ import VBox from '../../../../scenery/js/nodes/VBox.js';
 import VSlider from '../../../../sun/js/VSlider.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
+import NumberEntryPanel from './NumberEntryPanel.js';
+
+const enterValuePatternString = OhmsLawA11yStrings.enterValuePattern.value;
 
 // constants
 const READOUT_SPACING = 6;
+const KEYPAD_SPACING = 10; // between the keypad and the slider unit
 
 class SliderUnit extends Node {
   /**
@@ -70,7 +79,11 @@ class SliderUnit extends Node {
       },
 
       // {number}
-      decimalPlaces: 0
+      decimalPlaces: 0,
+
+      // {Node|null} - if provided, the readout opens a keypad in this parent, which should be in front of everything
+      // else and in the coordinate frame of the screen view
+      keypadParent: null
     }, options );
 
     // override the start and end drag functions in the options
@@ -94,6 +107,12 @@ class SliderUnit extends Node {
 
     const slider = new VSlider( property, range, options.sliderOptions );
 
+    // The slider is disabled with this Node, but the readout stays visible. Present for the lifetime of the
+    // simulation; no need to unlink.
+    this.enabledProperty.link( enabled => {
+      slider.enabled = enabled;
+    } );
+
     const symbolText = new Text( symbolString, {
       font: OhmsLawConstants.SYMBOL_FONT,
       fill: OhmsLawConstants.BLUE_COLOR,
@@ -152,6 +171,65 @@ class SliderUnit extends Node {
       children: [ headerNode, slider, readoutBackground ]
     } ) );
 
+    // @private {NumberEntryPanel|null}
+    this.numberEntryPanel = null;
+
+    // The keypad enters a value like the slider would set it, so it is constrained to the values of the slider and the
+    // alerts of a drag describe the change.
+    if ( options.keypadParent ) {
+      const numberEntryPanel = new NumberEntryPanel(
+        options.sliderOptions.enabledRangeProperty || new Property( range ),
+        unitString, {
+          decimalPlaces: options.decimalPlaces,
+
+          // enough for the largest value of the slider, whose range can be set with a query parameter
+          maxDigits: Utils.toFixed( range.max, 0 ).length + options.decimalPlaces,
+          enterListener: value => {
+            providedStartDragFunction && providedStartDragFunction();
+            property.value = ( options.sliderOptions.enabledRangeProperty ?
+                               options.sliderOptions.enabledRangeProperty.value : range
+            ).constrainValue( options.sliderOptions.constrainValue( value ) );
+            providedEndDragFunction && providedEndDragFunction();
+          },
+
+          // pdom - back to the readout that opened the keypad
+          closeListener: () => readoutBackground.focus(),
+          createValueDescription: options.sliderOptions.a11yCreateAriaValueText || ( value => `${value}` ),
+          tandem: options.tandem.createTandem( 'numberEntryPanel' )
+        } );
+      options.keypadParent.addChild( numberEntryPanel );
+
+      readoutBackground.mutate( {
+        cursor: 'pointer',
+
+        // pdom
+        tagName: 'button',
+        innerContent: StringUtils.fillIn( enterValuePatternString, { name: nameString } )
+      } );
+      readoutBackground.addInputListener( new FireListener( {
+        fire: () => {
+
+          // to the left of the slider unit, since the control panel is at the right of the screen
+          const parentBounds = options.keypadParent.globalToLocalBounds( this.globalBounds );
+          numberEntryPanel.right = parentBounds.left - KEYPAD_SPACING;
+          numberEntryPanel.top = parentBounds.top;
+          numberEntryPanel.open();
+        },
+        tandem: options.tandem.createTandem( 'readoutFireListener' )
+      } ) );
+
+      // The keypad can only be opened while the slider is enabled. Present for the lifetime of the simulation; no
+      // need to unlink.
+      this.enabledProperty.link( enabled => {
+        if ( !enabled ) {
+          numberEntryPanel.close();
+        }
+        readoutBackground.inputEnabled = enabled;
+        readoutBackground.focusable = enabled;
+      } );
+      this.numberEntryPanel = numberEntryPanel;
+    }
+
     // Update value of the readout. Present for the lifetime of the simulation; no need to unlink.
     property.link( value => {
       valueText.text = Utils.toFixed( value, options.decimalPlaces );
@@ -161,6 +239,14 @@ class SliderUnit extends Node {
 
     this.mutate( options );
   }
+
+  /**
+   * Close the keypad, if there is one.
+   * @public
+   */
+  reset() {
+    this.numberEntryPanel && this.numberEntryPanel.close();
+  }
 }
 
 ohmsLaw.register( 'SliderUnit', SliderUnit );
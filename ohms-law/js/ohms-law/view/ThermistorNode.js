@@ -0,0 +1,71 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * View of an NTC thermistor in the circuit, a coated disc that glows as it heats up, like the resistors do.
+ */
+
+import LinearFunction from '../../../../dot/js/LinearFunction.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import RadialGradient from '../../../../scenery/js/util/RadialGradient.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+
+// constants
+const RADIUS = 28;
+const THERMAL_OVERLAY_COLOR = '#ff6a00';
+const TEMPERATURE_TO_OVERLAY_OPACITY = new LinearFunction(
+  OhmsLawConstants.TEMPERATURE_RANGE.min,
+  OhmsLawConstants.TEMPERATURE_RANGE.max,
+  0,
+  0.85,
+  true
+);
+
+const BODY_FILL_GRADIENT = new RadialGradient( -RADIUS / 3, -RADIUS / 3, 0, -RADIUS / 3, -RADIUS / 3, RADIUS * 1.5 )
+  .addColorStop( 0, '#6fa86f' )
+  .addColorStop( 1, '#1f4d1f' );
+
+class ThermistorNode extends Node {
+
+  /**
+   * @param {Property.<number>} temperatureProperty - in degrees Celsius
+   * @param {Object} [options]
+   */
+  constructor( temperatureProperty, options ) {
+
+    const body = new Circle( RADIUS, {
+      fill: BODY_FILL_GRADIENT,
+      stroke: '#000'
+    } );
+
+    const thermalOverlay = new Circle( RADIUS, {
+      fill: THERMAL_OVERLAY_COLOR
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    temperatureProperty.link( temperature => {
+      thermalOverlay.opacity = TEMPERATURE_TO_OVERLAY_OPACITY( temperature );
+    } );
+
+    // the marking of a thermistor, its resistance falls as the temperature rises
+    const label = new Text( '-t\u00B0', {
+      font: new PhetFont( { size: 18, weight: 'bold' } ),
+      fill: '#fff',
+      center: body.center,
+      maxWidth: RADIUS * 1.5
+    } );
+
+    options = merge( {
+      children: [ body, thermalOverlay, label ]
+    }, options );
+
+    super( options );
+  }
+}
+
+ohmsLaw.register( 'ThermistorNode', ThermistorNode );
+export default ThermistorNode;
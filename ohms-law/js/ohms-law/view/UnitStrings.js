@@ -0,0 +1,83 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The symbols that the units of the current, the resistance and the power are displayed with, for the units with each
+ * prefix.
+ * The words of the units for the PDOM are from OhmsLawDescriber.
+ */
+
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import PowerUnit from '../model/PowerUnit.js';
+import ResistanceUnit from '../model/ResistanceUnit.js';
+
+const currentMicroampUnitsString = ohmsLawStrings.currentMicroampUnits;
+const currentUnitsString = ohmsLawStrings.currentUnits;
+const currentAmpUnitsString = ohmsLawStrings.currentAmpUnits;
+const kiloohmsUnitsString = ohmsLawStrings.kiloohmsUnits;
+const powerMicrowattUnitsString = ohmsLawStrings.powerMicrowattUnits;
+const powerUnitsString = ohmsLawStrings.powerUnits;
+const powerWattUnitsString = ohmsLawStrings.powerWattUnits;
+
+const UnitStrings = {
+
+  /**
+   * Get the symbol of the unit that a current is displayed in, with the prefix for the magnitude of the current for
+   * AUTO.
+   * @public
+   *
+   * @param {CurrentUnit} currentUnit
+   * @param {number} current - in milliamps
+   * @returns {string}
+   */
+  getCurrentUnitString( currentUnit, current ) {
+    switch( CurrentUnit.getDisplayUnit( currentUnit, current ) ) {
+      case CurrentUnit.MICROAMPS:
+        return currentMicroampUnitsString;
+      case CurrentUnit.MILLIAMPS:
+        return currentUnitsString;
+      case CurrentUnit.AMPS:
+        return currentAmpUnitsString;
+      default:
+        break;
+    }
+    throw new Error( `unexpected currentUnit: ${currentUnit}` );
+  },
+
+  /**
+   * Get the symbol of a unit of resistance.
+   * @public
+   *
+   * @param {ResistanceUnit} resistanceUnit
+   * @returns {string}
+   */
+  getResistanceUnitString( resistanceUnit ) {
+    return resistanceUnit === ResistanceUnit.KILOOHMS ? kiloohmsUnitsString : MathSymbols.OHMS;
+  },
+
+  /**
+   * Get the symbol of the unit for the magnitude of a power, see OhmsLawModel.getFixedPower.
+   * @public
+   *
+   * @param {number} power - in milliwatts
+   * @returns {string}
+   */
+  getPowerUnitString( power ) {
+    switch( PowerUnit.getUnitForPower( power ) ) {
+      case PowerUnit.MICROWATTS:
+        return powerMicrowattUnitsString;
+      case PowerUnit.MILLIWATTS:
+        return powerUnitsString;
+      case PowerUnit.WATTS:
+        return powerWattUnitsString;
+      default:
+        break;
+    }
+    throw new Error( `unexpected power: ${power}` );
+  }
+};
+
+ohmsLaw.register( 'UnitStrings', UnitStrings );
+export default UnitStrings;
@@ -19,6 +19,8 @@ import CurrentUnit from '../model/CurrentUnit.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 
 const ampsAString = ohmsLawStrings.ampsA;
+const autoUnitsString = ohmsLawStrings.autoUnits;
+const microampsMicroAString = ohmsLawStrings.microampsMicroA;
 const milliampsMAString = ohmsLawStrings.milliampsMA;
 const unitsString = ohmsLawStrings.units;
 
@@ -26,7 +28,7 @@ const chooseUnitForCurrentString = OhmsLawA11yStrings.chooseUnitForCurrent.value
 
 // constants
 const MAX_WIDTH = 250;
-const RADIO_BUTTON_TEXT_OPTIONS = { font: new PhetFont( 20 ), maxWidth: MAX_WIDTH };
+const RADIO_BUTTON_TEXT_OPTIONS = { font: new PhetFont( 16 ), maxWidth: MAX_WIDTH }; // so that 4 units fit above the controls
 
 class UnitsRadioButtonContainer extends VBox {
 
@@ -51,6 +53,11 @@ class UnitsRadioButtonContainer extends VBox {
 
     const currentUnitRadioButtonGroup = new VerticalAquaRadioButtonGroup( currentUnitsProperty, [
       {
+        node: new Text( microampsMicroAString, RADIO_BUTTON_TEXT_OPTIONS ),
+        value: CurrentUnit.MICROAMPS,
+        tandemName: 'microampsRadioButton',
+        labelContent: microampsMicroAString
+      }, {
         node: new Text( milliampsMAString, RADIO_BUTTON_TEXT_OPTIONS ),
         value: CurrentUnit.MILLIAMPS,
         tandemName: 'milliampsRadioButton',
@@ -60,6 +67,13 @@ class UnitsRadioButtonContainer extends VBox {
         value: CurrentUnit.AMPS,
         tandemName: 'ampsRadioButton',
         labelContent: ampsAString
+      }, {
+
+        // the prefix for the magnitude of each current
+        node: new Text( autoUnitsString, RADIO_BUTTON_TEXT_OPTIONS ),
+        value: CurrentUnit.AUTO,
+        tandemName: 'autoRadioButton',
+        labelContent: autoUnitsString
       } ], {
       labelContent: unitsString,
       descriptionContent: chooseUnitForCurrentString,
@@ -69,7 +83,7 @@ class UnitsRadioButtonContainer extends VBox {
     super( {
       children: [ unitsHeading, currentUnitRadioButtonGroup ],
       align: 'left',
-      spacing: 10
+      spacing: 6
     } );
   }
 }
@@ -1,35 +1,100 @@
 // Copyright 2013-2021, University of Colorado Boulder
 
 /**
- * View circuit with a resistor, a battery pack, two current arrows and a current readout panel
+ * View circuit with one or more resistors, a battery pack, two current arrows and a current readout panel
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
+import LightBulbNode from '../../../../scenery-phet/js/LightBulbNode.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CircuitTopology from '../model/CircuitTopology.js';
+import LoadType from '../model/LoadType.js';
+import OhmsLawModel from '../model/OhmsLawModel.js';
+import ResistanceUnit from '../model/ResistanceUnit.js';
 import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
 import OhmsLawConstants from '../OhmsLawConstants.js';
+import OhmsLawGlobalOptions from '../OhmsLawGlobalOptions.js';
 import BatteriesView from './BatteriesView.js';
+import ChargesNode from './ChargesNode.js';
+import CurrentDirection from './CurrentDirection.js';
+import DiodeNode from './DiodeNode.js';
 import ReadoutPanel from './ReadoutPanel.js';
 import ResistorNode from './ResistorNode.js';
 import RightAngleArrow from './RightAngleArrow.js';
+import ThermistorNode from './ThermistorNode.js';
+import UnitStrings from './UnitStrings.js';
+
+const currentString = ohmsLawStrings.current;
+const powerString = ohmsLawStrings.power;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const batteryVoltagesPatternString = ohmsLawStrings.batteryVoltagesPattern;
+const loadResistancePatternString = ohmsLawStrings.loadResistancePattern;
+const loadResistanceAbovePatternString = ohmsLawStrings.loadResistanceAbovePattern;
 
 const circuitLabelString = OhmsLawA11yStrings.circuitLabel.value;
 const circuitDescriptionString = OhmsLawA11yStrings.circuitDescription.value;
 const currentDescriptionPatternString = OhmsLawA11yStrings.currentDescriptionPattern.value;
+const powerDescriptionPatternString = OhmsLawA11yStrings.powerDescriptionPattern.value;
+const hiddenCurrentDescriptionString = OhmsLawA11yStrings.hiddenCurrentDescription.value;
+const hiddenPowerDescriptionString = OhmsLawA11yStrings.hiddenPowerDescription.value;
+const terminalVoltageDescriptionPatternString = OhmsLawA11yStrings.terminalVoltageDescriptionPattern.value;
+const resistorTemperatureDescriptionPatternString = OhmsLawA11yStrings.resistorTemperatureDescriptionPattern.value;
+const lampDescriptionPatternString = OhmsLawA11yStrings.lampDescriptionPattern.value;
+const diodeDescriptionPatternString = OhmsLawA11yStrings.diodeDescriptionPattern.value;
+const thermistorDescriptionPatternString = OhmsLawA11yStrings.thermistorDescriptionPattern.value;
+const loadResistanceAboveDescriptionPatternString = OhmsLawA11yStrings.loadResistanceAboveDescriptionPattern.value;
+const conventionalChargesDescriptionString = OhmsLawA11yStrings.conventionalChargesDescription.value;
+const electronChargesDescriptionString = OhmsLawA11yStrings.electronChargesDescription.value;
 
 // constants
 const WIDTH = OhmsLawConstants.WIRE_WIDTH;
 const HEIGHT = OhmsLawConstants.WIRE_HEIGHT;
 const WIRE_THICKNESS = 10;
 const OFFSET = 10;  // position offset for the RightAngleArrow
+const READOUT_MARGIN = 4; // minimum space between the readouts and the batteries or resistors
+const CONTACT_DISTANCE = 10; // largest distance from the center of a wire that a probe touches it
+
+// layout for multiple resistors, empirically determined
+const MULTIPLE_RESISTORS_SCALE = 0.45; // scale of each resistor when there are several in the circuit
+const PARALLEL_BRANCH_SPACING = 38; // vertical spacing between the branches of a parallel circuit
+const PARALLEL_BRANCH_HALF_WIDTH = 110; // horizontal distance from the center of the circuit to the branch wires
+const BRANCH_ARROW_OFFSET = 14; // distance of the branch arrows above their wire
+const BRANCH_ARROW_MAX_LENGTH = 40;
+const BATTERY_VOLTAGES_FONT = new PhetFont( 16 );
+
+// layout for the loads that aren't only resistors, empirically determined
+const LAMP_BASE_OFFSET = 12; // distance of the bottom of the lamp below the center of the wire
+const DIODE_RESISTOR_X = WIDTH * 0.35; // position of the resistor in series with a diode
+const DIODE_X = WIDTH * 0.7;
+
+// V / I of a load is only displayed up to this, in ohms, since it is practically infinite when the current is tiny
+const MAX_DISPLAYED_LOAD_RESISTANCE = 1E6;
+const LOAD_DESCRIPTION_PATTERN_STRINGS = {
+  LAMP: lampDescriptionPatternString,
+  DIODE: diodeDescriptionPatternString,
+  THERMISTOR: thermistorDescriptionPatternString
+};
 
 class WireBox extends Node {
   /**
@@ -41,6 +106,20 @@ class WireBox extends Node {
 
     options = merge( {
 
+      // {Property.<boolean>|null} - if provided, a power readout is shown below the current readout while true
+      powerVisibleProperty: null,
+
+      // {Property.<boolean>|null} - if provided, charges are shown moving around the circuit while true, and
+      // currentDirectionProperty must also be provided
+      chargesVisibleProperty: null,
+
+      // {EnumerationProperty.<CurrentDirection>|null} - which charges are shown moving around the circuit
+      currentDirectionProperty: null,
+
+      // {Property.<boolean>|null} - if provided, everything that shows the current is hidden while this Property is
+      // true, and the lamp keeps its brightness
+      currentHiddenProperty: null,
+
       // phet-io
       tandem: Tandem.REQUIRED,
 
@@ -53,6 +132,8 @@ class WireBox extends Node {
 
     super( options );
 
+    const currentHiddenProperty = options.currentHiddenProperty || new BooleanProperty( false );
+
     // For positioning, the top left corner of the wireFrame is defined as 0,0
     const wireFrame = new Rectangle( 0, 0, WIDTH, HEIGHT, 4, 4, {
       stroke: '#000',
@@ -61,25 +142,156 @@ class WireBox extends Node {
     } );
     this.addChild( wireFrame );
 
+    // Wires for the additional branches of a parallel circuit, the first branch is the bottom of the wireFrame.
+    const branchWirePaths = [];
+    for ( let i = 1; i < model.resistanceProperties.length; i++ ) {
+      const branchY = HEIGHT - i * PARALLEL_BRANCH_SPACING;
+      const branchWirePath = new Path( new Shape()
+        .moveTo( WIDTH / 2 - PARALLEL_BRANCH_HALF_WIDTH, HEIGHT )
+        .lineTo( WIDTH / 2 - PARALLEL_BRANCH_HALF_WIDTH, branchY )
+        .lineTo( WIDTH / 2 + PARALLEL_BRANCH_HALF_WIDTH, branchY )
+        .lineTo( WIDTH / 2 + PARALLEL_BRANCH_HALF_WIDTH, HEIGHT ), {
+        stroke: '#000',
+        lineWidth: WIRE_THICKNESS,
+        lineJoin: 'round'
+      } );
+      this.addChild( branchWirePath );
+      branchWirePaths.push( branchWirePath );
+    }
+
     const batteriesView = new BatteriesView( model.voltageProperty, {
+      batteryPack: model.batteryPack,
+      acSource: model.acSource,
       left: OhmsLawConstants.BATTERIES_OFFSET, // Slightly to the right of the wire
       centerY: 0,
       tandem: options.tandem.createTandem( 'batteriesView' )
     } );
     this.addChild( batteriesView );
 
-    const resistorNode = new ResistorNode( model.resistanceProperty, {
-      centerX: WIDTH / 2,
-      centerY: HEIGHT,
-      tandem: options.tandem.createTandem( 'resistorNode' )
+    // One node for each resistor that can be in the circuit, the first is the only one shown for a single resistor.
+    const resistorNodes = model.resistanceProperties.map( ( resistanceProperty, index ) => {
+      const resistorNode = new ResistorNode( resistanceProperty, {
+        temperatureProperty: model.temperatureProperty,
+
+        // the first resistor is the only one in the circuit when it is a resistance wire
+        resistanceWire: index === 0 ? model.resistanceWire : null,
+        resistanceModeProperty: model.resistanceModeProperty,
+        colorBandsProperty: OhmsLawGlobalOptions.colorBandsProperty,
+        centerX: WIDTH / 2,
+        centerY: HEIGHT,
+        tandem: options.tandem.createTandem( index === 0 ? 'resistorNode' : `resistor${index + 1}Node` )
+      } );
+      this.addChild( resistorNode );
+      return resistorNode;
+    } );
+
+    // The devices that can be in the circuit in place of the resistors or in series with them, on the bottom wire. The
+    // lamp is at full brightness at its rated voltage.
+    const lampRatedPower = OhmsLawConstants.LAMP_RATED_VOLTAGE * OhmsLawConstants.LAMP_RATED_CURRENT; // in milliwatts
+    const lampBrightnessProperty = new NumberProperty( 0 );
+
+    // Present for the lifetime of the simulation, no need to unlink.
+    Property.multilink( [ model.loadTypeProperty, model.powerProperty, currentHiddenProperty ],
+      ( loadType, power, currentHidden ) => {
+        if ( !currentHidden ) {
+          lampBrightnessProperty.value = loadType === LoadType.LAMP ? Utils.clamp( power / lampRatedPower, 0, 1 ) : 0;
+        }
+      } );
+    const lampNode = new LightBulbNode( lampBrightnessProperty, {
+      bulbImageScale: 0.35,
+      maxRayLength: 50,
+      x: WIDTH / 2,
+      y: HEIGHT + LAMP_BASE_OFFSET,
+      tandem: options.tandem.createTandem( 'lampNode' )
+    } );
+    this.addChild( lampNode );
+
+    // the lamp is measured without its light rays, so that the layout doesn't change with its brightness
+    const lampTop = lampNode.top;
+
+    const diodeNode = new DiodeNode( {
+      center: new Vector2( DIODE_X, HEIGHT ),
+      tandem: options.tandem.createTandem( 'diodeNode' )
+    } );
+    this.addChild( diodeNode );
+
+    const thermistorNode = new ThermistorNode( model.temperatureProperty, {
+      center: new Vector2( WIDTH / 2, HEIGHT ),
+      tandem: options.tandem.createTandem( 'thermistorNode' )
+    } );
+    this.addChild( thermistorNode );
+
+    // @private {ChargesNode|null} - charges moving along the wires, in front of the resistors and devices
+    this.chargesNode = null;
+    if ( options.chargesVisibleProperty ) {
+      assert && assert( options.currentDirectionProperty, 'currentDirectionProperty is required with charges' );
+      this.chargesNode = new ChargesNode( options.currentDirectionProperty, {
+
+        // the charges follow the instantaneous current of the AC source, and freeze with its time
+        currentFactorProperty: model.acSource.waveFactorProperty,
+        pausedProperty: DerivedProperty.and( [
+          model.acSource.enabledProperty,
+          DerivedProperty.not( model.acSource.isPlayingProperty )
+        ] ),
+        visibleProperty: DerivedProperty.and( [
+          options.chargesVisibleProperty,
+          DerivedProperty.not( currentHiddenProperty )
+        ] )
+      } );
+      this.addChild( this.chargesNode );
+    }
+
+    // @private {Object[]} - the wires between the batteries and the resistors or devices, see getWires
+    this.wires = [];
+
+    // @public - emits when the wires change, after the layout of the circuit or the number of batteries changes
+    this.wiresChangedEmitter = new Emitter();
+
+    // the extent of the lamp on the bottom wire, measured without its light rays like its top
+    const lampHalfWidth = lampNode.width / 2;
+
+    const updateWires = () => {
+      const loadBounds = [ ...resistorNodes, diodeNode, thermistorNode ].filter( node => node.visible )
+        .map( node => node.bounds );
+      lampNode.visible && loadBounds.push( lampNode.bounds.withMinX( lampNode.x - lampHalfWidth )
+        .withMaxX( lampNode.x + lampHalfWidth ) );
+      const batteriesRight = batteriesView.left + batteriesView.getBatteriesWidth();
+
+      this.wires = getWires( model, model.circuitTopologyProperty.value, batteriesRight, loadBounds );
+      this.wiresChangedEmitter.emit();
+    };
+
+    // Arrows that show the current in each branch of a parallel circuit. Present for the lifetime of the simulation.
+    // Current flows clockwise, so the arrows point to the left, from the right end of their branch.
+    const branchArrowsParent = new Node( { visibleProperty: DerivedProperty.not( currentHiddenProperty ) } );
+    this.addChild( branchArrowsParent );
+    const branchArrows = model.resistorCurrentProperties.map( ( resistorCurrentProperty, index ) => {
+      const branchArrow = new ArrowNode( 0, 0, -BRANCH_ARROW_MAX_LENGTH, 0, {
+        fill: PhetColorScheme.RED_COLORBLIND,
+        stroke: '#000',
+        lineWidth: 0.2,
+        headHeight: 10,
+        headWidth: 12,
+        tailWidth: 4,
+        x: WIDTH / 2 + PARALLEL_BRANCH_HALF_WIDTH - READOUT_MARGIN,
+        y: HEIGHT - index * PARALLEL_BRANCH_SPACING - BRANCH_ARROW_OFFSET
+      } );
+      resistorCurrentProperty.link( current => {
+
+        // Same exponential scaling as the RightAngleArrow, so that the branch arrows are comparable to the main ones.
+        const length = Utils.clamp( 12 * Math.pow( current * 0.1, 0.7 ), 1, BRANCH_ARROW_MAX_LENGTH );
+        branchArrow.setTailAndTip( 0, 0, -length, 0 );
+      } );
+      branchArrowsParent.addChild( branchArrow );
+      return branchArrow;
     } );
-    this.addChild( resistorNode );
 
     // @private
     this.bottomLeftArrow = new RightAngleArrow( model.currentProperty, {
       x: -OFFSET,
       y: HEIGHT + OFFSET,
       rotation: Math.PI / 2,
+      currentHiddenProperty: currentHiddenProperty,
       tandem: options.tandem.createTandem( 'bottomLeftArrow' )
     } );
     this.addChild( this.bottomLeftArrow );
@@ -88,6 +300,7 @@ class WireBox extends Node {
       x: WIDTH + OFFSET,
       y: HEIGHT + OFFSET,
       rotation: 0,
+      currentHiddenProperty: currentHiddenProperty,
       tandem: options.tandem.createTandem( 'bottomRightArrow' )
     } );
     this.addChild( bottomRightArrow );
@@ -97,12 +310,245 @@ class WireBox extends Node {
     const accessibleCurrentNode = new Node( { tagName: 'li' } );
     this.addChild( accessibleCurrentNode );
 
-    const currentReadoutPanel = new ReadoutPanel( model, {
-      centerY: HEIGHT / 2,
-      centerX: WIDTH / 2,
-      tandem: options.tandem.createTandem( 'currentReadoutPanel' )
+    // pdom - accessible descriptions for how the resistors are connected, and for each of the resistors
+    const accessibleTopologyNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleTopologyNode );
+    const accessibleResistorNodes = model.resistanceProperties.map( () => {
+      const accessibleResistorNode = new Node( { tagName: 'li' } );
+      this.addChild( accessibleResistorNode );
+      return accessibleResistorNode;
+    } );
+
+    const currentReadoutPanel = new ReadoutPanel(
+      currentString,
+      [ model.currentProperty, model.currentUnitsProperty ],
+      () => model.getFixedCurrent(),
+      () => UnitStrings.getCurrentUnitString( model.currentUnitsProperty.value, model.currentProperty.value ), {
+        maxValueString: Utils.toFixed( OhmsLawModel.getMaxCurrent( CircuitTopology.PARALLEL,
+          OhmsLawConstants.NUMBER_OF_RESISTORS_RANGE.max ), 1 ),
+        valueHiddenProperty: currentHiddenProperty,
+        tandem: options.tandem.createTandem( 'currentReadoutPanel' )
+      } );
+
+    const readoutsBox = new VBox( {
+      spacing: 6,
+      children: [ currentReadoutPanel ]
+    } );
+    this.addChild( readoutsBox );
+
+    // Scale and position the readouts so that they fit between the batteries and the topmost resistor or device.
+    const updateReadoutsLayout = () => {
+      const top = OhmsLawConstants.BATTERY_HEIGHT / 2 + READOUT_MARGIN;
+      const loadTops = [ ...resistorNodes, diodeNode, thermistorNode ].filter( node => node.visible ).map( node => node.top );
+      lampNode.visible && loadTops.push( lampTop );
+      const bottom = _.min( loadTops ) - READOUT_MARGIN;
+
+      readoutsBox.setScaleMagnitude( 1 );
+      readoutsBox.setScaleMagnitude( Math.min( 1, ( bottom - top ) / readoutsBox.height ) );
+      readoutsBox.centerX = WIDTH / 2;
+
+      // centered in the circuit unless that would overlap the batteries or resistors
+      readoutsBox.centerY = Utils.clamp( HEIGHT / 2, top + readoutsBox.height / 2, bottom - readoutsBox.height / 2 );
+    };
+
+    // pdom - the accessible description for the power, only present when the power can be shown
+    let accessiblePowerNode = null;
+
+    if ( options.powerVisibleProperty ) {
+      const powerReadoutPanel = new ReadoutPanel(
+        powerString,
+        [ model.powerProperty ],
+        () => model.getFixedPower(),
+        () => UnitStrings.getPowerUnitString( model.powerProperty.value ), {
+          maxValueString: '99.9', // the widest value with three significant figures, see EngineeringNotation
+          valueHiddenProperty: currentHiddenProperty,
+          tandem: options.tandem.createTandem( 'powerReadoutPanel' )
+        } );
+      readoutsBox.addChild( powerReadoutPanel );
+
+      accessiblePowerNode = new Node( { tagName: 'li' } );
+      this.addChild( accessiblePowerNode );
+
+      // Present for the lifetime of the simulation, no need to unlink.
+      Property.multilink( [ model.powerProperty, currentHiddenProperty ], ( power, currentHidden ) => {
+        accessiblePowerNode.innerContent = currentHidden ? hiddenPowerDescriptionString :
+                                           StringUtils.fillIn( powerDescriptionPatternString, {
+                                             value: model.getFixedPower(),
+                                             unit: ohmsLawDescriber.getUnitForPower()
+                                           } );
+      } );
+
+      options.powerVisibleProperty.link( powerVisible => {
+        powerReadoutPanel.visible = powerVisible;
+        accessiblePowerNode.visible = powerVisible;
+        updateReadoutsLayout();
+      } );
+    }
+
+    // The EMF, terminal voltage and lost volts of the batteries, only shown when the batteries have internal
+    // resistance, otherwise the terminal voltage is the same as the EMF.
+    const batteryVoltagesText = new Text( '', {
+      font: BATTERY_VOLTAGES_FONT,
+      maxWidth: WIDTH,
+      tandem: options.tandem.createTandem( 'batteryVoltagesText' ),
+      phetioReadOnly: true
+    } );
+    readoutsBox.insertChild( 0, batteryVoltagesText );
+
+    // pdom - accessible description for the terminal voltage
+    const accessibleTerminalVoltageNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleTerminalVoltageNode );
+
+    // Present for the lifetime of the simulation, no need to unlink.
+    // The lost volts follow the current, so they are hidden with it.
+    Property.multilink( [ model.voltageProperty, model.terminalVoltageProperty, model.totalInternalResistanceProperty,
+        currentHiddenProperty ],
+      ( voltage, terminalVoltage, totalInternalResistance, currentHidden ) => {
+        const hasInternalResistance = totalInternalResistance > 0;
+        batteryVoltagesText.visible = hasInternalResistance && !currentHidden;
+        accessibleTerminalVoltageNode.visible = hasInternalResistance && !currentHidden;
+
+        if ( hasInternalResistance ) {
+          const fixedTerminalVoltage = Utils.toFixed( terminalVoltage, OhmsLawConstants.TERMINAL_VOLTAGE_SIG_FIGS );
+          const fixedLostVoltage = Utils.toFixed( model.lostVoltageProperty.value, OhmsLawConstants.TERMINAL_VOLTAGE_SIG_FIGS );
+
+          batteryVoltagesText.text = StringUtils.fillIn( batteryVoltagesPatternString, {
+            emf: Utils.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+            terminalVoltage: fixedTerminalVoltage,
+            lostVoltage: fixedLostVoltage,
+            units: voltageUnitsString
+          } );
+
+          accessibleTerminalVoltageNode.innerContent = StringUtils.fillIn( terminalVoltageDescriptionPatternString, {
+            lostVoltage: fixedLostVoltage,
+            terminalVoltage: fixedTerminalVoltage
+          } );
+        }
+        updateReadoutsLayout();
+      } );
+
+    // V / I for a load that isn't ohmic, which changes with the voltage. For the resistors it is the resistance that
+    // is set with the slider.
+    const loadResistanceText = new Text( '', {
+      font: BATTERY_VOLTAGES_FONT,
+      maxWidth: WIDTH,
+      tandem: options.tandem.createTandem( 'loadResistanceText' ),
+      phetioReadOnly: true
     } );
-    this.addChild( currentReadoutPanel );
+    readoutsBox.addChild( loadResistanceText );
+
+    // pdom - accessible description for the device that is in the circuit
+    const accessibleLoadNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleLoadNode );
+
+    // Present for the lifetime of the simulation, no need to unlink.
+    // V / I follows the current, so it is hidden with it.
+    Property.multilink( [ model.loadTypeProperty, model.loadResistanceProperty, currentHiddenProperty ],
+      ( loadType, loadResistance, currentHidden ) => {
+        const isOhmic = loadType.isOhmic();
+        loadResistanceText.visible = !isOhmic && !currentHidden;
+        accessibleLoadNode.visible = loadType !== LoadType.RESISTOR && !currentHidden;
+
+        if ( !isOhmic ) {
+          const isDisplayed = loadResistance <= MAX_DISPLAYED_LOAD_RESISTANCE;
+          const displayedLoadResistance = isDisplayed ? loadResistance : MAX_DISPLAYED_LOAD_RESISTANCE;
+          const fixedLoadResistance = model.getFixedResistance( displayedLoadResistance );
+
+          loadResistanceText.text = StringUtils.fillIn(
+            isDisplayed ? loadResistancePatternString : loadResistanceAbovePatternString, {
+              value: fixedLoadResistance,
+              units: UnitStrings.getResistanceUnitString( ResistanceUnit.getUnitForResistance( displayedLoadResistance ) )
+            } );
+          accessibleLoadNode.innerContent = StringUtils.fillIn( LOAD_DESCRIPTION_PATTERN_STRINGS[ loadType.name ], {
+            resistance: isDisplayed ? fixedLoadResistance :
+                        StringUtils.fillIn( loadResistanceAboveDescriptionPatternString, { value: fixedLoadResistance } ),
+            unit: ohmsLawDescriber.getUnitForResistance( displayedLoadResistance )
+          } );
+        }
+        updateReadoutsLayout();
+      } );
+
+    // pdom - accessible description for the temperature of the resistors, only when they are heated
+    const accessibleTemperatureNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleTemperatureNode );
+
+    // Present for the lifetime of the simulation, no need to unlink.
+    Property.multilink( [ model.heatingEnabledProperty, model.temperatureProperty, model.temperatureFactorProperty ],
+      ( heatingEnabled, temperature, temperatureFactor ) => {
+        accessibleTemperatureNode.visible = heatingEnabled;
+        accessibleTemperatureNode.innerContent = StringUtils.fillIn( resistorTemperatureDescriptionPatternString, {
+          temperature: Utils.toFixed( temperature, OhmsLawConstants.TEMPERATURE_SIG_FIGS ),
+          percentage: Utils.toFixed( ( temperatureFactor - 1 ) * 100, 0 )
+        } );
+      } );
+
+    // pdom - the accessible description for the charges, only present when the charges can be shown
+    let accessibleChargesNode = null;
+
+    if ( this.chargesNode ) {
+      accessibleChargesNode = new Node( { tagName: 'li' } );
+      this.addChild( accessibleChargesNode );
+
+      // Present for the lifetime of the simulation, no need to unlink.
+      Property.multilink( [ options.chargesVisibleProperty, options.currentDirectionProperty ],
+        ( chargesVisible, currentDirection ) => {
+          accessibleChargesNode.visible = chargesVisible;
+          accessibleChargesNode.innerContent = currentDirection === CurrentDirection.CONVENTIONAL ?
+                                               conventionalChargesDescriptionString :
+                                               electronChargesDescriptionString;
+        } );
+    }
+
+    // Lay out the resistors, devices, branch wires and branch arrows for how the resistors are connected and what is
+    // in the circuit. Present for the lifetime of the simulation, no need to unlink.
+    Property.multilink( [ model.circuitTopologyProperty, model.numberOfResistorsProperty, model.loadTypeProperty ],
+      ( topology, numberOfResistors, loadType ) => {
+        const numberOfActiveResistors = model.getNumberOfActiveResistors();
+        const hasDiode = loadType === LoadType.DIODE;
+
+        lampNode.visible = loadType === LoadType.LAMP;
+        diodeNode.visible = hasDiode;
+        thermistorNode.visible = loadType === LoadType.THERMISTOR;
+
+        resistorNodes.forEach( ( resistorNode, index ) => {
+          resistorNode.visible = loadType.hasResistors && index < numberOfActiveResistors;
+          resistorNode.setScaleMagnitude( topology === CircuitTopology.SINGLE && !hasDiode ? 1 : MULTIPLE_RESISTORS_SCALE );
+
+          if ( hasDiode ) {
+
+            // the resistor shares the bottom wire with the diode
+            resistorNode.center = new Vector2( DIODE_RESISTOR_X, HEIGHT );
+          }
+          else if ( topology === CircuitTopology.SERIES ) {
+
+            // evenly spaced along the bottom wire
+            resistorNode.center = new Vector2( WIDTH * ( index + 1 ) / ( numberOfActiveResistors + 1 ), HEIGHT );
+          }
+          else {
+
+            // stacked on the branches of a parallel circuit, the first branch is the bottom wire
+            resistorNode.center = new Vector2( WIDTH / 2, HEIGHT - index * PARALLEL_BRANCH_SPACING );
+          }
+        } );
+
+        branchWirePaths.forEach( ( branchWirePath, index ) => {
+          branchWirePath.visible = topology === CircuitTopology.PARALLEL && index + 1 < numberOfActiveResistors;
+        } );
+
+        branchArrows.forEach( ( branchArrow, index ) => {
+          branchArrow.visible = topology === CircuitTopology.PARALLEL && index < numberOfActiveResistors;
+        } );
+
+        this.chargesNode && this.chargesNode.setPaths( getChargePaths( model, topology ) );
+        updateWires();
+
+        updateReadoutsLayout();
+      } );
+
+    // the wire to the positive terminal starts after the batteries that are shown
+    model.voltageProperty.link( updateWires );
+    Property.lazyMultilink( [ model.batteryPack.enabledProperty, model.batteryPack.cells.lengthProperty,
+      model.batteryPack.arrangementProperty, model.acSource.enabledProperty ], updateWires );
 
     model.voltageProperty.set( OhmsLawConstants.VOLTAGE_RANGE.min );
     model.resistanceProperty.set( OhmsLawConstants.RESISTANCE_RANGE.max );
@@ -114,16 +560,89 @@ class WireBox extends Node {
     model.reset();
 
     // pdom - when the current changes, update the accessible description
-    Property.multilink( [ model.currentProperty, model.currentUnitsProperty ], () => {
-      accessibleCurrentNode.innerContent = StringUtils.fillIn( currentDescriptionPatternString, {
-        arrowSize: this.getArrowSizeDescription(),
-        value: model.getFixedCurrent(),
-        unit: ohmsLawDescriber.getUnitForCurrent()
+    Property.multilink( [ model.currentProperty, model.currentUnitsProperty, currentHiddenProperty ], () => {
+      accessibleCurrentNode.innerContent = currentHiddenProperty.value ? hiddenCurrentDescriptionString :
+                                           StringUtils.fillIn( currentDescriptionPatternString, {
+                                             arrowSize: this.getArrowSizeDescription(),
+                                             value: model.getFixedCurrent(),
+                                             unit: ohmsLawDescriber.getUnitForCurrent()
+                                           } );
+    } );
+
+    // pdom - describe how the resistors are connected and each of the connected resistors, only when there are
+    // multiple resistors in the circuit
+    Property.multilink( [
+      model.circuitTopologyProperty,
+      model.numberOfResistorsProperty,
+      model.equivalentResistanceProperty,
+      model.currentUnitsProperty,
+      currentHiddenProperty,
+      ...model.resistorCurrentProperties,
+      ...model.resistorVoltageProperties
+    ], ( topology, numberOfResistors, equivalentResistance, currentUnits, currentHidden ) => {
+      const hasMultipleResistors = topology !== CircuitTopology.SINGLE;
+      accessibleTopologyNode.visible = hasMultipleResistors;
+      if ( hasMultipleResistors ) {
+        accessibleTopologyNode.innerContent = ohmsLawDescriber.getCircuitTopologyDescription();
+      }
+
+      accessibleResistorNodes.forEach( ( accessibleResistorNode, index ) => {
+        accessibleResistorNode.visible = hasMultipleResistors && !currentHidden &&
+                                         index < model.getNumberOfActiveResistors();
+        if ( accessibleResistorNode.visible ) {
+          accessibleResistorNode.innerContent = ohmsLawDescriber.getResistorDescription( index );
+        }
       } );
     } );
 
-    // pdom - the order of descriptions should be batteries, resistance, then current
-    this.pdomOrder = [ batteriesView, resistorNode, accessibleCurrentNode ];
+    // pdom - the order of descriptions should be batteries, terminal voltage, resistance, the device, temperature, how
+    // the resistors are connected, each resistor, current, then power
+    const pdomOrder = [ batteriesView, accessibleTerminalVoltageNode, ...resistorNodes, accessibleLoadNode,
+      accessibleTemperatureNode, accessibleTopologyNode, ...accessibleResistorNodes, accessibleCurrentNode ];
+    accessiblePowerNode && pdomOrder.push( accessiblePowerNode );
+    accessibleChargesNode && pdomOrder.push( accessibleChargesNode );
+    this.pdomOrder = pdomOrder;
+  }
+
+  /**
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    this.chargesNode && this.chargesNode.step( dt );
+  }
+
+  /**
+   * Get the wire that a point touches, like the tip of a probe.
+   * @public
+   *
+   * @param {Vector2} point - in the parent coordinate frame
+   * @returns {{wire: Object, distance: number}|null} - the closest wire, see getWires, and the distance of the point
+   *                                                   along it, or null if the point doesn't touch a wire
+   */
+  getContact( point ) {
+    const localPoint = this.parentToLocalPoint( point );
+    let contact = null;
+    let contactDistance = CONTACT_DISTANCE;
+
+    this.wires.forEach( wire => {
+      let distanceAlongWire = 0;
+      for ( let i = 1; i < wire.points.length; i++ ) {
+        const start = wire.points[ i - 1 ];
+        const end = wire.points[ i ];
+        const length = start.distance( end );
+
+        // the closest point on the segment
+        const ratio = Utils.clamp( localPoint.minus( start ).dot( end.minus( start ) ) / ( length * length ), 0, 1 );
+        const distance = localPoint.distance( start.blend( end, ratio ) );
+        if ( distance <= contactDistance ) {
+          contact = { wire: wire, distance: distanceAlongWire + ratio * length };
+          contactDistance = distance;
+        }
+        distanceAlongWire += length;
+      }
+    } );
+    return contact;
   }
 
 
@@ -161,6 +680,136 @@ class WireBox extends Node {
   }
 }
 
+/**
+ * Get the paths that the charges move along for how the resistors are connected, in the direction of the conventional
+ * current, which is clockwise around the circuit.
+ * @param {OhmsLawModel} model
+ * @param {CircuitTopology} topology
+ * @returns {Object[]} - see ChargesNode.setPaths
+ */
+function getChargePaths( model, topology ) {
+  const topLeft = new Vector2( 0, 0 );
+  const topRight = new Vector2( WIDTH, 0 );
+  const bottomRight = new Vector2( WIDTH, HEIGHT );
+  const bottomLeft = new Vector2( 0, HEIGHT );
+
+  if ( topology !== CircuitTopology.PARALLEL ) {
+    return [ {
+      points: [ topLeft, topRight, bottomRight, bottomLeft, topLeft ],
+      currentProperty: model.currentProperty
+    } ];
+  }
+
+  // The total current flows from the left junction of the branches around the batteries to the right junction, then
+  // divides between the branches, the first of which is the bottom wire.
+  const leftX = WIDTH / 2 - PARALLEL_BRANCH_HALF_WIDTH;
+  const rightX = WIDTH / 2 + PARALLEL_BRANCH_HALF_WIDTH;
+  const paths = [ {
+    points: [ new Vector2( leftX, HEIGHT ), bottomLeft, topLeft, topRight, bottomRight, new Vector2( rightX, HEIGHT ) ],
+    currentProperty: model.currentProperty
+  } ];
+  for ( let i = 0; i < model.getNumberOfActiveResistors(); i++ ) {
+    const branchY = HEIGHT - i * PARALLEL_BRANCH_SPACING;
+    const branchPoints = i === 0 ? [] : [ new Vector2( rightX, branchY ), new Vector2( leftX, branchY ) ];
+    paths.push( {
+      points: [ new Vector2( rightX, HEIGHT ), ...branchPoints, new Vector2( leftX, HEIGHT ) ],
+      currentProperty: model.resistorCurrentProperties[ i ]
+    } );
+  }
+  return paths;
+}
+
+/**
+ * Get the wires between the batteries and the elements of the circuit, which each have a single potential and carry a
+ * single current. Resistors in parallel share the wires at the ends of their branches, which carry the sum of the
+ * currents of the branches beyond them.
+ * @param {OhmsLawModel} model
+ * @param {CircuitTopology} topology
+ * @param {number} batteriesRight - x of the positive terminal of the batteries
+ * @param {Bounds2[]} loadBounds - of the resistors and devices in the circuit, in the order of the wire potentials of
+ *                                 the model, which is from left to right in series and by branch in parallel
+ * @returns {Object[]} - each {points: Vector2[], potentialIndex: number, getCurrent: function():number}, where the
+ *                       points are in the direction of the conventional current, and the index is into the wire
+ *                       potentials of the model
+ */
+function getWires( model, topology, batteriesRight, loadBounds ) {
+  const topLeft = new Vector2( 0, 0 );
+  const topRight = new Vector2( WIDTH, 0 );
+  const bottomRight = new Vector2( WIDTH, HEIGHT );
+  const bottomLeft = new Vector2( 0, HEIGHT );
+  const negativeTerminal = new Vector2( OhmsLawConstants.BATTERIES_OFFSET, 0 );
+  const positiveTerminal = new Vector2( batteriesRight, 0 );
+  const getCurrent = () => model.currentProperty.value;
+
+  if ( topology !== CircuitTopology.PARALLEL ) {
+
+    // from the negative terminal, the wires are between the elements along the bottom wire
+    const wires = [ {
+      points: [ new Vector2( loadBounds[ 0 ].left, HEIGHT ), bottomLeft, topLeft, negativeTerminal ],
+      potentialIndex: 0,
+      getCurrent: getCurrent
+    } ];
+    for ( let i = 1; i < loadBounds.length; i++ ) {
+      wires.push( {
+        points: [ new Vector2( loadBounds[ i ].left, HEIGHT ), new Vector2( loadBounds[ i - 1 ].right, HEIGHT ) ],
+        potentialIndex: i,
+        getCurrent: getCurrent
+      } );
+    }
+    wires.push( {
+      points: [ positiveTerminal, topRight, bottomRight, new Vector2( _.last( loadBounds ).right, HEIGHT ) ],
+      potentialIndex: loadBounds.length,
+      getCurrent: getCurrent
+    } );
+    return wires;
+  }
+
+  const leftX = WIDTH / 2 - PARALLEL_BRANCH_HALF_WIDTH;
+  const rightX = WIDTH / 2 + PARALLEL_BRANCH_HALF_WIDTH;
+  const wires = [ {
+    points: [ new Vector2( leftX, HEIGHT ), bottomLeft, topLeft, negativeTerminal ],
+    potentialIndex: 0,
+    getCurrent: getCurrent
+  }, {
+    points: [ positiveTerminal, topRight, bottomRight, new Vector2( rightX, HEIGHT ) ],
+    potentialIndex: 1,
+    getCurrent: getCurrent
+  } ];
+
+  loadBounds.forEach( ( bounds, index ) => {
+    const branchY = HEIGHT - index * PARALLEL_BRANCH_SPACING;
+    const getBranchCurrent = () => model.resistorCurrentProperties[ index ].value;
+
+    // each branch starts at the right and ends at the left
+    wires.push( {
+      points: [ new Vector2( rightX, branchY ), new Vector2( bounds.right, branchY ) ],
+      potentialIndex: 1,
+      getCurrent: getBranchCurrent
+    }, {
+      points: [ new Vector2( bounds.left, branchY ), new Vector2( leftX, branchY ) ],
+      potentialIndex: 0,
+      getCurrent: getBranchCurrent
+    } );
+
+    // the wires up to the next branch carry the currents of all of the branches above
+    if ( index + 1 < loadBounds.length ) {
+      const nextBranchY = branchY - PARALLEL_BRANCH_SPACING;
+      const getBranchesAboveCurrent = () => _.sum( model.resistorCurrentProperties.slice( index + 1 )
+        .map( resistorCurrentProperty => resistorCurrentProperty.value ) );
+      wires.push( {
+        points: [ new Vector2( rightX, branchY ), new Vector2( rightX, nextBranchY ) ],
+        potentialIndex: 1,
+        getCurrent: getBranchesAboveCurrent
+      }, {
+        points: [ new Vector2( leftX, nextBranchY ), new Vector2( leftX, branchY ) ],
+        potentialIndex: 0,
+        getCurrent: getBranchesAboveCurrent
+      } );
+    }
+  } );
+  return wires;
+}
+
 ohmsLaw.register( 'WireBox', WireBox );
 
-export default WireBox;
\ No newline at end of file
+export default WireBox;
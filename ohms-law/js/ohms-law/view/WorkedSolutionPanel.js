@@ -0,0 +1,222 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with the worked solution of Ohm's law for the unknown, like "I = V / R = 4.5 V / 500 Ω = 0.00900 A = 9.00 mA".
+ * The values of the circuit are substituted with their units, and the current is converted to amps whenever it is
+ * given or shown in milliamps or microamps, since the units only work out in amps.
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ohmsLaw from '../../ohmsLaw.js';
+import ohmsLawStrings from '../../ohmsLawStrings.js';
+import CurrentUnit from '../model/CurrentUnit.js';
+import LoadType from '../model/LoadType.js';
+import SolveFor from '../model/SolveFor.js';
+import OhmsLawA11yStrings from '../OhmsLawA11yStrings.js';
+import OhmsLawConstants from '../OhmsLawConstants.js';
+import UnitStrings from './UnitStrings.js';
+
+const currentSymbolString = ohmsLawStrings.currentSymbol;
+const voltageSymbolString = ohmsLawStrings.voltageSymbol;
+const resistanceSymbolString = ohmsLawStrings.resistanceSymbol;
+const internalResistanceSymbolString = ohmsLawStrings.internalResistanceSymbol;
+const voltageUnitsString = ohmsLawStrings.voltageUnits;
+const currentAmpUnitsString = ohmsLawStrings.currentAmpUnits;
+const nonOhmicSolutionString = ohmsLawStrings.nonOhmicSolution;
+
+const workedSolutionString = OhmsLawA11yStrings.workedSolution.value;
+const currentSolutionPatternString = OhmsLawA11yStrings.currentSolutionPattern.value;
+const currentWithInternalResistanceSolutionPatternString =
+  OhmsLawA11yStrings.currentWithInternalResistanceSolutionPattern.value;
+const voltageSolutionPatternString = OhmsLawA11yStrings.voltageSolutionPattern.value;
+const resistanceSolutionPatternString = OhmsLawA11yStrings.resistanceSolutionPattern.value;
+const ampsPatternString = OhmsLawA11yStrings.ampsPattern.value;
+const ampsToUnitPatternString = OhmsLawA11yStrings.ampsToUnitPattern.value;
+const unitToAmpsPatternString = OhmsLawA11yStrings.unitToAmpsPattern.value;
+const nonOhmicSolutionDescriptionString = OhmsLawA11yStrings.nonOhmicSolution.value;
+
+// constants
+const FONT = new PhetFont( 18 );
+
+// size of the content, so that the panel doesn't resize as the equation changes
+const CONTENT_WIDTH = 480;
+const CONTENT_HEIGHT = 22;
+const CURRENT_COLOR = PhetColorScheme.RED_COLORBLIND.toCSS();
+const VOLTAGE_COLOR = OhmsLawConstants.BLUE_COLOR;
+const RESISTANCE_COLOR = OhmsLawConstants.BLUE_COLOR;
+
+// the symbols are colored like the letters of the formula
+const CURRENT_SYMBOL = colorSymbol( currentSymbolString, CURRENT_COLOR );
+const VOLTAGE_SYMBOL = colorSymbol( voltageSymbolString, VOLTAGE_COLOR );
+const RESISTANCE_SYMBOL = colorSymbol( resistanceSymbolString, RESISTANCE_COLOR );
+const INTERNAL_RESISTANCE_SYMBOL = colorSymbol( internalResistanceSymbolString, RESISTANCE_COLOR );
+
+class WorkedSolutionPanel extends Panel {
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {OhmsLawDescriber} ohmsLawDescriber
+   * @param {Object} [options]
+   */
+  constructor( model, ohmsLawDescriber, options ) {
+
+    options = merge( {
+      cornerRadius: 6,
+      xMargin: 10,
+      yMargin: 6,
+
+      // pdom
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: workedSolutionString,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const equationText = new RichText( '', {
+      font: FONT,
+      maxWidth: CONTENT_WIDTH
+    } );
+
+    // pdom - the equation, read as words
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    const contentNode = new Rectangle( 0, 0, CONTENT_WIDTH, CONTENT_HEIGHT, {
+      children: [ equationText, descriptionNode ]
+    } );
+
+    // Centered as the equation changes. Present for the lifetime of the simulation; no need to unlink.
+    equationText.boundsProperty.link( () => {
+      equationText.center = contentNode.localBounds.center;
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [ model.solveForProperty, model.loadTypeProperty, model.voltageProperty,
+      model.equivalentResistanceProperty, model.totalInternalResistanceProperty, model.currentProperty,
+      model.currentUnitsProperty ], ( solveFor, loadType, voltage, resistance, internalResistance, current,
+                                      currentUnits ) => {
+
+      // the rearranged equations are only solved for the resistors, so only the current can be the unknown otherwise
+      if ( loadType !== LoadType.RESISTOR ) {
+        equationText.text = nonOhmicSolutionString;
+        descriptionNode.innerContent = nonOhmicSolutionDescriptionString;
+        return;
+      }
+
+      // the current in amps has as many significant figures as the current in the unit that it is shown in
+      const currentUnit = CurrentUnit.getDisplayUnit( currentUnits, current );
+      const isConverted = currentUnit !== CurrentUnit.AMPS;
+      const fixedVoltage = Utils.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS );
+      const fixedResistance = Utils.toFixed( resistance, OhmsLawConstants.RESISTANCE_SIG_FIGS );
+      const fixedCurrent = model.getFixedCurrent( current, currentUnit );
+      const fixedAmps = model.getFixedCurrent( current, CurrentUnit.AMPS );
+
+      const voltageValue = `${fixedVoltage} ${voltageUnitsString}`;
+      const resistanceValue = `${fixedResistance} ${MathSymbols.OHMS}`;
+      const currentValue = `${fixedCurrent} ${UnitStrings.getCurrentUnitString( currentUnit, current )}`;
+      const ampsValue = `${fixedAmps} ${currentAmpUnitsString}`;
+      const ampsDescription = StringUtils.fillIn( ampsPatternString, { amps: fixedAmps } );
+      const currentUnitDescription = ohmsLawDescriber.getUnitForCurrent( currentUnit );
+
+      let steps;
+      if ( solveFor === SolveFor.CURRENT ) {
+        const hasInternalResistance = internalResistance > 0;
+        const fixedInternalResistance = Utils.toFixed( internalResistance,
+          OhmsLawConstants.INTERNAL_RESISTANCE_SIG_FIGS );
+        steps = [
+          CURRENT_SYMBOL,
+          hasInternalResistance ?
+          `${VOLTAGE_SYMBOL} / (${RESISTANCE_SYMBOL} + ${INTERNAL_RESISTANCE_SYMBOL})` :
+          `${VOLTAGE_SYMBOL} / ${RESISTANCE_SYMBOL}`,
+          hasInternalResistance ?
+          `${voltageValue} / (${resistanceValue} + ${fixedInternalResistance} ${MathSymbols.OHMS})` :
+          `${voltageValue} / ${resistanceValue}`,
+          ampsValue,
+          ...( isConverted ? [ currentValue ] : [] )
+        ];
+        descriptionNode.innerContent = StringUtils.fillIn( hasInternalResistance ?
+                                                           currentWithInternalResistanceSolutionPatternString :
+                                                           currentSolutionPatternString, {
+          voltage: fixedVoltage,
+          resistance: fixedResistance,
+          internalResistance: fixedInternalResistance,
+          current: isConverted ? StringUtils.fillIn( ampsToUnitPatternString, {
+            amps: fixedAmps,
+            current: fixedCurrent,
+            unit: currentUnitDescription
+          } ) : ampsDescription
+        } );
+      }
+      else if ( solveFor === SolveFor.VOLTAGE ) {
+        steps = [
+          VOLTAGE_SYMBOL,
+          `${CURRENT_SYMBOL} ${MathSymbols.TIMES} ${RESISTANCE_SYMBOL}`,
+          ...( isConverted ? [ `${currentValue} ${MathSymbols.TIMES} ${resistanceValue}` ] : [] ),
+          `${ampsValue} ${MathSymbols.TIMES} ${resistanceValue}`,
+          voltageValue
+        ];
+        descriptionNode.innerContent = StringUtils.fillIn( voltageSolutionPatternString, {
+          current: getGivenCurrentDescription( isConverted, fixedCurrent, currentUnitDescription, fixedAmps ),
+          resistance: fixedResistance,
+          voltage: fixedVoltage
+        } );
+      }
+      else {
+        steps = [
+          RESISTANCE_SYMBOL,
+          `${VOLTAGE_SYMBOL} / ${CURRENT_SYMBOL}`,
+          ...( isConverted ? [ `${voltageValue} / ${currentValue}` ] : [] ),
+          `${voltageValue} / ${ampsValue}`,
+          resistanceValue
+        ];
+        descriptionNode.innerContent = StringUtils.fillIn( resistanceSolutionPatternString, {
+          voltage: fixedVoltage,
+          current: getGivenCurrentDescription( isConverted, fixedCurrent, currentUnitDescription, fixedAmps ),
+          resistance: fixedResistance
+        } );
+      }
+      equationText.text = steps.join( ` ${MathSymbols.EQUAL_TO} ` );
+    } );
+
+    super( contentNode, options );
+  }
+}
+
+/**
+ * Wrap a symbol in a span with its color, for RichText.
+ * @param {string} symbolString
+ * @param {string} color - CSS color
+ * @returns {string}
+ */
+function colorSymbol( symbolString, color ) {
+  return `<span style="color: ${color};">${symbolString}</span>`;
+}
+
+/**
+ * Describe the current that is given in the rearranged equations, in amps and in the units that it is shown in.
+ * @param {boolean} isConverted - whether the current is shown in a unit other than amps
+ * @param {string} fixedCurrent
+ * @param {string} unit - the words of the unit that the current is shown in
+ * @param {string} fixedAmps
+ * @returns {string}
+ */
+function getGivenCurrentDescription( isConverted, fixedCurrent, unit, fixedAmps ) {
+  return isConverted ? StringUtils.fillIn( unitToAmpsPatternString, {
+    current: fixedCurrent,
+    unit: unit,
+    amps: fixedAmps
+  } ) : StringUtils.fillIn( ampsPatternString, { amps: fixedAmps } );
+}
+
+ohmsLaw.register( 'WorkedSolutionPanel', WorkedSolutionPanel );
+export default WorkedSolutionPanel;
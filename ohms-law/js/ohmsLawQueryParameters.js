@@ -0,0 +1,98 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Query parameters for the 'Ohm's Law' sim, so that a teacher can link students to a circuit that is set up for an
+ * activity. The ranges of the sliders are used for all of the constants that are derived from them, see
+ * OhmsLawConstants. Invalid values are replaced by their defaults with a warning, since these are public.
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import ohmsLaw from './ohmsLaw.js';
+
+/**
+ * Is a value a range of positive numbers, like 10,1000?
+ * @param {number[]} range
+ * @returns {boolean}
+ */
+const isPositiveRange = range => range.length === 2 && range[ 0 ] > 0 && range[ 0 ] < range[ 1 ];
+
+const ohmsLawQueryParameters = QueryStringMachine.getAll( {
+
+  // initial voltage of the batteries, in volts. It is constrained to voltageRange.
+  voltage: {
+    type: 'number',
+    defaultValue: 4.5,
+    public: true
+  },
+
+  // min and max of the voltage slider, in volts, like voltageRange=1,6
+  voltageRange: {
+    type: 'array',
+    elementSchema: { type: 'number' },
+    defaultValue: [ 0.1, 9 ],
+    isValidValue: isPositiveRange,
+    public: true
+  },
+
+  // initial resistance of the resistors, in ohms. It is constrained to resistanceRange.
+  resistance: {
+    type: 'number',
+    defaultValue: 500,
+    public: true
+  },
+
+  // min and max of the resistance slider, in ohms, like resistanceRange=100,5000
+  resistanceRange: {
+    type: 'array',
+    elementSchema: { type: 'number' },
+    defaultValue: [ 10, 1000 ],
+    isValidValue: isPositiveRange,
+    public: true
+  },
+
+  // unit that the current is displayed in until it is changed with the radio buttons, see CurrentUnit
+  currentUnits: {
+    type: 'string',
+    defaultValue: 'milliamps',
+    validValues: [ 'microamps', 'milliamps', 'amps', 'auto' ],
+    public: true
+  },
+
+  // whether the formula, the circuit and the radio buttons for the units of the current are shown
+  showFormula: {
+    type: 'boolean',
+    defaultValue: true,
+    public: true
+  },
+  showCircuit: {
+    type: 'boolean',
+    defaultValue: true,
+    public: true
+  },
+  showUnits: {
+    type: 'boolean',
+    defaultValue: true,
+    public: true
+  }
+} );
+
+/**
+ * Constrain an initial value to its range, with a warning if the value was given in the query string. A default
+ * value outside of a range that was given is constrained without a warning.
+ * @param {string} valueKey
+ * @param {string} rangeKey
+ */
+const constrainToRange = ( valueKey, rangeKey ) => {
+  const value = ohmsLawQueryParameters[ valueKey ];
+  const [ min, max ] = ohmsLawQueryParameters[ rangeKey ];
+  if ( value < min || value > max ) {
+    QueryStringMachine.containsKey( valueKey ) && QueryStringMachine.addWarning( valueKey, value,
+      `${valueKey} must be in ${rangeKey}, it is constrained to ${min},${max}` );
+    ohmsLawQueryParameters[ valueKey ] = Utils.clamp( value, min, max );
+  }
+};
+constrainToRange( 'voltage', 'voltageRange' );
+constrainToRange( 'resistance', 'resistanceRange' );
+
+ohmsLaw.register( 'ohmsLawQueryParameters', ohmsLawQueryParameters );
+export default ohmsLawQueryParameters;
@@ -16,6 +16,7 @@ import Node from '../../scenery/js/nodes/Node.js';
 import Rectangle from '../../scenery/js/nodes/Rectangle.js';
 import SliderTrack from './SliderTrack.js';
 import sun from './sun.js';
+import ValueMapping from './ValueMapping.js';
 
 class DefaultSliderTrack extends SliderTrack {
 
@@ -37,7 +38,8 @@ class DefaultSliderTrack extends SliderTrack {
       drag: _.noop, // called at the beginning of a drag event, before any other drag work happens
       endDrag: _.noop, // called when a drag sequence ends
       constrainValue: _.identity, // called before valueProperty is set
-      enabledRangeProperty: null
+      enabledRangeProperty: null,
+      valueMapping: ValueMapping.LINEAR // {ValueMapping}
     }, options );
 
     // @private - Represents the disabled range of the slider, always visible and always the full range
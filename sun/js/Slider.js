@@ -32,6 +32,7 @@ import DefaultSliderTrack from './DefaultSliderTrack.js';
 import SliderThumb from './SliderThumb.js';
 import SliderTrack from './SliderTrack.js';
 import sun from './sun.js';
+import ValueMapping from './ValueMapping.js';
 
 // constants
 const VERTICAL_ROTATION = -Math.PI / 2;
@@ -113,6 +114,13 @@ class Slider extends Node {
       constrainValue: _.identity, // called before valueProperty is set, passed to AccessibleValueHandler as well
 
       enabledRangeProperty: null, // {Property.<Range>|null} determine the portion of range that is enabled
+
+      // {ValueMapping} - maps the value to the space in which the thumb moves linearly along the track, like
+      // ValueMapping.LOGARITHMIC for a value that spans decades. The keyboardStep, shiftKeyboardStep and
+      // pageKeyboardStep of AccessibleValueHandler are in the mapped space. A supplied trackNode must have the same
+      // mapping.
+      valueMapping: ValueMapping.LINEAR,
+
       disabledOpacity: SceneryConstants.DISABLED_OPACITY, // opacity applied to the entire Slider when disabled
 
       // phet-io
@@ -132,6 +140,9 @@ class Slider extends Node {
     assert && assert( Orientation.includes( options.orientation ), `invalid orientation: ${options.orientation}` );
     assert && assert( options.trackNode === null || options.trackNode instanceof SliderTrack, 'trackNode must be of type SliderTrack' );
     assert && assert( options.thumbNode === null || options.thumbNode instanceof Node, 'thumbNode must be of type Node' );
+    assert && assert( options.valueMapping instanceof ValueMapping, 'valueMapping must be of type ValueMapping' );
+    assert && assert( options.trackNode === null || options.trackNode.valueMapping === options.valueMapping,
+      'trackNode must have the valueMapping of the Slider' );
 
     super();
 
@@ -189,13 +200,15 @@ class Slider extends Node {
       endDrag: options.endDrag,
       constrainValue: options.constrainValue,
       enabledRangeProperty: this.enabledRangeProperty,
+      valueMapping: options.valueMapping,
 
       // phet-io
       tandem: trackTandem
     } );
 
-    // Position the track horizontally
-    this.track.centerX = this.track.valueToPosition( ( range.max + range.min ) / 2 );
+    // Position the track horizontally, the middle of the range is only at the middle of the track for a linear mapping
+    this.track.centerX = this.track.valueToPosition( options.valueMapping.inverse(
+      ( options.valueMapping.map( range.max ) + options.valueMapping.map( range.min ) ) / 2 ) );
 
     const thumbTandem = options.tandem.createTandem( Slider.THUMB_NODE_TANDEM_NAME );
     if ( Tandem.VALIDATION && options.thumbNode ) {
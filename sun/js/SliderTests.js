@@ -11,9 +11,13 @@
 import BooleanProperty from '../../axon/js/BooleanProperty.js';
 import Property from '../../axon/js/Property.js';
 import TinyProperty from '../../axon/js/TinyProperty.js';
+import Dimension2 from '../../dot/js/Dimension2.js';
 import Range from '../../dot/js/Range.js';
+import Utils from '../../dot/js/Utils.js';
+import KeyboardUtils from '../../scenery/js/accessibility/KeyboardUtils.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import HSlider from './HSlider.js';
+import ValueMapping from './ValueMapping.js';
 
 QUnit.module( 'Slider' );
 
@@ -34,6 +38,92 @@ QUnit.test( 'Node.enabledProperty in Slider', assert => {
   myEnabledProperty.dispose();
 } );
 
+QUnit.test( 'valueMapping positions the thumb', assert => {
+  const valueProperty = new Property( 10 );
+  const slider = new HSlider( valueProperty, new Range( 10, 1000 ), {
+    valueMapping: ValueMapping.LOGARITHMIC,
+    trackSize: new Dimension2( 100, 5 ),
+    tandem: Tandem.ROOT_TEST.createTandem( 'mySlider' )
+  } );
+  const valueToPosition = slider.track.valueToPosition;
+
+  assert.ok( Utils.equalsEpsilon( valueToPosition( 10 ), 0, 1e-9 ), 'min at the start of the track' );
+  assert.ok( Utils.equalsEpsilon( valueToPosition( 100 ), 50, 1e-9 ), 'a decade is half of the track' );
+  assert.ok( Utils.equalsEpsilon( valueToPosition( 1000 ), 100, 1e-9 ), 'max at the end of the track' );
+  assert.ok( Utils.equalsEpsilon( valueToPosition.inverse( 25 ), Math.sqrt( 1000 ), 1e-9 ), 'inverse' );
+  assert.ok( valueToPosition( 1 ) === 0 && valueToPosition( 10000 ) === 100, 'positions are clamped to the track' );
+  slider.dispose();
+
+  // a custom mapping
+  const squareRootMapping = new ValueMapping( Math.sqrt, mappedValue => mappedValue * mappedValue );
+  const squareRootSlider = new HSlider( new Property( 0 ), new Range( 0, 100 ), {
+    valueMapping: squareRootMapping,
+    trackSize: new Dimension2( 100, 5 ),
+    tandem: Tandem.ROOT_TEST.createTandem( 'mySlider' )
+  } );
+  assert.ok( Utils.equalsEpsilon( squareRootSlider.track.valueToPosition( 25 ), 50, 1e-9 ), 'custom mapping' );
+  squareRootSlider.dispose();
+
+  assert.ok( !ValueMapping.LOGARITHMIC.canMapRange( new Range( 0, 10 ) ), 'log mapping of zero' );
+  window.assert && assert.throws( () => {
+    const logarithmicSlider = new HSlider( new Property( 1 ), new Range( 0, 10 ), {
+      valueMapping: ValueMapping.LOGARITHMIC,
+      tandem: Tandem.ROOT_TEST.createTandem( 'mySlider' )
+    } );
+    logarithmicSlider.dispose();
+  }, 'the range must be in the domain of the mapping' );
+} );
+
+QUnit.test( 'valueMapping keyboard steps', assert => {
+  const valueProperty = new Property( 100 );
+  const slider = new HSlider( valueProperty, new Range( 10, 1000 ), {
+    valueMapping: ValueMapping.LOGARITHMIC,
+    tandem: Tandem.ROOT_TEST.createTandem( 'mySlider' )
+  } );
+
+  assert.ok( Utils.equalsEpsilon( slider.keyboardStep, 0.1, 1e-9 ), 'default keyboard step in the mapped space' );
+
+  pressKey( slider, KeyboardUtils.KEY_RIGHT_ARROW );
+  assert.ok( Utils.equalsEpsilon( valueProperty.value, Math.pow( 10, 2.1 ), 1e-9 ), 'step up by a factor' );
+  pressKey( slider, KeyboardUtils.KEY_LEFT_ARROW );
+  pressKey( slider, KeyboardUtils.KEY_LEFT_ARROW );
+  assert.ok( Utils.equalsEpsilon( valueProperty.value, Math.pow( 10, 1.9 ), 1e-9 ), 'step down by a factor' );
+  pressKey( slider, KeyboardUtils.KEY_PAGE_UP );
+  assert.ok( Utils.equalsEpsilon( valueProperty.value, Math.pow( 10, 2.1 ), 1e-9 ), 'page step' );
+  pressKey( slider, KeyboardUtils.KEY_HOME );
+  assert.equal( valueProperty.value, 10, 'home' );
+  pressKey( slider, KeyboardUtils.KEY_LEFT_ARROW );
+  assert.equal( valueProperty.value, 10, 'limited to the range' );
+
+  assert.equal( slider.ariaValueText, '10', 'aria-valuetext is the value, not the mapped value' );
+  slider.dispose();
+
+  // rounding to the step size rounds in the mapped space
+  const roundedValueProperty = new Property( 100 );
+  const roundedSlider = new HSlider( roundedValueProperty, new Range( 10, 1000 ), {
+    valueMapping: ValueMapping.LOGARITHMIC,
+    keyboardStep: 0.5,
+    roundToStepSize: true,
+    tandem: Tandem.ROOT_TEST.createTandem( 'mySlider' )
+  } );
+  pressKey( roundedSlider, KeyboardUtils.KEY_RIGHT_ARROW );
+  assert.ok( Utils.equalsEpsilon( roundedValueProperty.value, Math.pow( 10, 2.5 ), 1e-9 ), 'rounded step' );
+  pressKey( roundedSlider, KeyboardUtils.KEY_RIGHT_ARROW );
+  assert.ok( Utils.equalsEpsilon( roundedValueProperty.value, 1000, 1e-9 ), 'rounded step to the max' );
+  roundedSlider.dispose();
+} );
+
+/**
+ * Press and release a key on a slider, like the keyboard would.
+ * @param {Slider} slider
+ * @param {string} code - a key of KeyboardUtils
+ */
+function pressKey( slider, code ) {
+  const pointer = { reserveForKeyboardDrag: _.noop };
+  slider.handleKeyDown( { domEvent: new window.KeyboardEvent( 'keydown', { code: code } ), pointer: pointer } );
+  slider.handleKeyUp( { domEvent: new window.KeyboardEvent( 'keyup', { code: code } ), pointer: pointer } );
+}
+
 /**
  * Test basic functionality for an object that mixes in EnabledComponent
  * @param {Object} assert - from QUnit
@@ -17,6 +17,7 @@ import DragListener from '../../scenery/js/listeners/DragListener.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import sun from './sun.js';
+import ValueMapping from './ValueMapping.js';
 
 class SliderTrack extends Node {
 
@@ -36,6 +37,7 @@ class SliderTrack extends Node {
       endDrag: _.noop, // called when a drag sequence ends
       constrainValue: _.identity, // called before valueProperty is set
       enabledRangeProperty: new Property( new Range( range.min, range.max ) ), // Defaults to a constant range
+      valueMapping: ValueMapping.LINEAR, // {ValueMapping} the value changes linearly along the track in the mapped space
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -44,8 +46,19 @@ class SliderTrack extends Node {
     // @public (read-only)
     this.size = options.size;
 
-    // @public (read-only) - maps the value along the range of the track to the position along the width of the track
-    this.valueToPosition = new LinearFunction( range.min, range.max, 0, this.size.width, true /* clamp */ );
+    assert && assert( options.valueMapping.canMapRange( range ), 'valueMapping must map the range' );
+
+    // @public (read-only) {ValueMapping}
+    this.valueMapping = options.valueMapping;
+
+    // maps the value in the mapped space to the position along the width of the track
+    const mappedValueToPosition = new LinearFunction( options.valueMapping.map( range.min ),
+      options.valueMapping.map( range.max ), 0, this.size.width, true /* clamp */ );
+
+    // @public (read-only) {function(number):number} - maps the value along the range of the track to the position along
+    // the width of the track, and back with valueToPosition.inverse, like a LinearFunction
+    this.valueToPosition = value => mappedValueToPosition( options.valueMapping.map( value ) );
+    this.valueToPosition.inverse = position => options.valueMapping.inverse( mappedValueToPosition.inverse( position ) );
 
     // click in the track to change the value, continue dragging if desired
     const handleTrackEvent = ( event, trail ) => {
@@ -0,0 +1,60 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Maps the value of a Slider to the space in which it changes evenly, so that the thumb and the keyboard steps can be
+ * spread evenly on another scale than the value, like a log scale for a value that spans decades. The thumb is
+ * positioned linearly in the mapped space, and the keyboard steps are deltas in the mapped space. The value itself,
+ * and so the PDOM value and aria-valuetext, are not mapped.
+ *
+ * Use LINEAR, LOGARITHMIC, or create a ValueMapping with a custom increasing function and its inverse.
+ */
+
+import sun from './sun.js';
+
+class ValueMapping {
+
+  /**
+   * @param {function(number):number} map - maps the value to the mapped space, must be increasing
+   * @param {function(number):number} inverse - maps from the mapped space back to the value
+   */
+  constructor( map, inverse ) {
+    assert && assert( typeof map === 'function', 'map must be a function' );
+    assert && assert( typeof inverse === 'function', 'inverse must be a function' );
+
+    // @public (read-only)
+    this.map = map;
+    this.inverse = inverse;
+  }
+
+  /**
+   * Is every value of a range in the domain of this mapping? For example, a log mapping can only map positive values.
+   * @public
+   *
+   * @param {Range} range
+   * @returns {boolean}
+   */
+  canMapRange( range ) {
+    return isFinite( this.map( range.min ) ) && isFinite( this.map( range.max ) );
+  }
+
+  /**
+   * Get the value that is a delta away from a value in the mapped space, like for a keyboard step.
+   * @public
+   *
+   * @param {number} value
+   * @param {number} mappedDelta
+   * @returns {number}
+   */
+  step( value, mappedDelta ) {
+    return this.inverse( this.map( value ) + mappedDelta );
+  }
+}
+
+// @public {ValueMapping} - the value is not mapped
+ValueMapping.LINEAR = new ValueMapping( _.identity, _.identity );
+
+// @public {ValueMapping} - the mapped space is the power of ten of the value, so a step of 1 changes the value tenfold
+ValueMapping.LOGARITHMIC = new ValueMapping( Math.log10, mappedValue => Math.pow( 10, mappedValue ) );
+
+sun.register( 'ValueMapping', ValueMapping );
+export default ValueMapping;
@@ -28,6 +28,7 @@ import animatedPanZoomSingleton from '../../../scenery/js/listeners/animatedPanZ
 import Node from '../../../scenery/js/nodes/Node.js';
 import Utterance from '../../../utterance-queue/js/Utterance.js';
 import sun from '../sun.js';
+import ValueMapping from '../ValueMapping.js';
 
 // constants
 const DEFAULT_TAG_NAME = 'input';
@@ -70,6 +71,10 @@ const AccessibleValueHandler = {
         // members of the Node API that are used by this trait
         assertHasProperties( this, [ 'mutate', 'inputValue', 'setPDOMAttribute' ] );
 
+        // the default steps are in the mapped space
+        const valueMapping = options.valueMapping || ValueMapping.LINEAR;
+        const mappedRangeLength = valueMapping.map( rangeProperty.get().max ) - valueMapping.map( rangeProperty.get().min );
+
         const defaults = {
 
           // other
@@ -86,14 +91,19 @@ const AccessibleValueHandler = {
           // it is often the case that shiftKeyboardStep is a smaller step size then what is allowed by constrainValue.
           constrainValue: _.identity,
 
-          // {number} - delta for the valueProperty for each press of the arrow keys
-          keyboardStep: ( rangeProperty.get().max - rangeProperty.get().min ) / 20,
+          // {ValueMapping} - the keyboard steps are deltas in the mapped space of this mapping, so that they are even
+          // along a slider with the same mapping. See ValueMapping.
+          valueMapping: ValueMapping.LINEAR,
+
+          // {number} - delta for the valueProperty for each press of the arrow keys, in the mapped space
+          keyboardStep: mappedRangeLength / 20,
 
-          // {number} - delta for the valueProperty for each press of the arrow keys while the shift modifier is down
-          shiftKeyboardStep: ( rangeProperty.get().max - rangeProperty.get().min ) / 100,
+          // {number} - delta for the valueProperty for each press of the arrow keys while the shift modifier is down,
+          // in the mapped space
+          shiftKeyboardStep: mappedRangeLength / 100,
 
-          // {number} - delta for the valueProperty for each press of "Page Up" and "Page Down"
-          pageKeyboardStep: ( rangeProperty.get().max - rangeProperty.get().min ) / 10,
+          // {number} - delta for the valueProperty for each press of "Page Up" and "Page Down", in the mapped space
+          pageKeyboardStep: mappedRangeLength / 10,
 
           ariaOrientation: Orientation.HORIZONTAL, // specify orientation, read by assistive technology
 
@@ -102,8 +112,8 @@ const AccessibleValueHandler = {
           panTargetNode: null,
 
           // {boolean} - When setting the Property value from the PDOM input, this option controls whether or not to
-          // round the value to a multiple of the keyboardStep. This will only round the value on normal key presses,
-          // rounding will not occur on large jumps like page up/page down/home/end.
+          // round the value to a multiple of the keyboardStep in the mapped space. This will only round the value on
+          // normal key presses, rounding will not occur on large jumps like page up/page down/home/end.
           // see https://github.com/phetsims/gravity-force-lab-basics/issues/72
           roundToStepSize: false,
 
@@ -236,6 +246,9 @@ const AccessibleValueHandler = {
         // @private {function(number,number):number} - see options for documentation
         this._a11yMapValue = options.a11yMapValue;
 
+        // @private {ValueMapping} - see options for documentation
+        this._valueMapping = options.valueMapping;
+
         // @private {null|Node}
         this._panTargetNode = options.panTargetNode;
 
@@ -473,6 +486,18 @@ const AccessibleValueHandler = {
         return mappedValue;
       },
 
+      /**
+       * Round a new value to the nearest multiple of the step size in the mapped space, see roundToStepSize.
+       * @param {number} newValue
+       * @param {number} stepSize - in the mapped space
+       * @returns {number}
+       * @private
+       */
+      roundToMappedStepSize( newValue, stepSize ) {
+        return this._valueMapping.inverse( roundValue( this._valueMapping.map( newValue ),
+          this._valueMapping.map( this._valueProperty.get() ), stepSize ) );
+      },
+
       /**
        * Return the input listener that could be attached to mixed in types of AccessibleValueHandler to support
        * interaction.
@@ -557,10 +582,10 @@ const AccessibleValueHandler = {
                 stepSize = this.pageKeyboardStep;
 
                 if ( key === KeyboardUtils.KEY_PAGE_UP ) {
-                  newValue = this._valueProperty.get() + stepSize;
+                  newValue = this._valueMapping.step( this._valueProperty.get(), stepSize );
                 }
                 else if ( key === KeyboardUtils.KEY_PAGE_DOWN ) {
-                  newValue = this._valueProperty.get() - stepSize;
+                  newValue = this._valueMapping.step( this._valueProperty.get(), -stepSize );
                 }
               }
               else if ( KeyboardUtils.isArrowKey( domEvent ) ) {
@@ -574,14 +599,14 @@ const AccessibleValueHandler = {
                 useConstrainValue = !domEvent.shiftKey;
 
                 if ( key === KeyboardUtils.KEY_RIGHT_ARROW || key === KeyboardUtils.KEY_UP_ARROW ) {
-                  newValue = this._valueProperty.get() + stepSize;
+                  newValue = this._valueMapping.step( this._valueProperty.get(), stepSize );
                 }
                 else if ( key === KeyboardUtils.KEY_LEFT_ARROW || key === KeyboardUtils.KEY_DOWN_ARROW ) {
-                  newValue = this._valueProperty.get() - stepSize;
+                  newValue = this._valueMapping.step( this._valueProperty.get(), -stepSize );
                 }
 
                 if ( this.roundToStepSize ) {
-                  newValue = roundValue( newValue, this._valueProperty.get(), stepSize );
+                  newValue = this.roundToMappedStepSize( newValue, stepSize );
                 }
               }
             }
@@ -696,14 +721,14 @@ const AccessibleValueHandler = {
           this._startChange( event );
 
           if ( inputValue > mappedValue ) {
-            newValue = this._valueProperty.get() + stepSize;
+            newValue = this._valueMapping.step( this._valueProperty.get(), stepSize );
           }
           else if ( inputValue < mappedValue ) {
-            newValue = this._valueProperty.get() - stepSize;
+            newValue = this._valueMapping.step( this._valueProperty.get(), -stepSize );
           }
 
           if ( this.roundToStepSize ) {
-            newValue = roundValue( newValue, this._valueProperty.get(), stepSize );
+            newValue = this.roundToMappedStepSize( newValue, stepSize );
           }
 
           // limit to enabled range